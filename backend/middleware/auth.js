@@ -16,6 +16,8 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    await user.syncRole();
+
     req.user = user;
     next();
   } catch (error) {
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Reusable curated question, drawn into interviews by matching skills
+const bankQuestionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['technical', 'project', 'internship', 'experience', 'behavioral'],
+    required: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  // Skills the question exercises; matched against resume skills (lowercase)
+  skills: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  modelAnswer: {
+    type: String
+  },
+  rubricNotes: {
+    type: String
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+bankQuestionSchema.index({ category: 1, active: 1 });
+bankQuestionSchema.index({ active: 1, difficulty: 1 });
+bankQuestionSchema.index({ skills: 1 });
+bankQuestionSchema.index({ text: 'text' });
+
+module.exports = mongoose.model('BankQuestion', bankQuestionSchema);
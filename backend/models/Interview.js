@@ -36,6 +36,127 @@ const interviewSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Setup chosen before the interview was created (see services/interviewConfig.js)
+  config: {
+    questionCount: Number,
+    categoryWeights: {
+      technical: Number,
+      project: Number,
+      experience: Number,
+      internship: Number,
+      behavioral: Number
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard']
+    },
+    timeLimits: {
+      technical: Number,
+      project: Number,
+      experience: Number,
+      internship: Number,
+      behavioral: Number
+    },
+    totalTimeBudget: Number, // seconds; unset means no cap
+    answerMode: {
+      type: String,
+      enum: ['voice', 'typed']
+    },
+    bankShare: Number, // 0-1
+    codingQuestions: Number,
+    codingLanguage: String,
+    codingTimeLimit: Number, // seconds per coding question
+    // Rubric id used to score each kind of question (see services/rubrics.js)
+    rubrics: {
+      technical: String,
+      project: String,
+      experience: String,
+      internship: String,
+      behavioral: String,
+      coding: String
+    }
+  },
+  // Target role the interview was tailored to
+  jobDescription: {
+    title: String,
+    text: String,
+    fileName: String,
+    requiredSkills: [String],
+    niceToHaveSkills: [String],
+    extractionMeta: {
+      source: {
+        type: String,
+        enum: ['ai', 'fallback']
+      },
+      provider: String,
+      model: String,
+      fallbackReason: String
+    }
+  },
+  // Resume vs job description match (see services/jobMatcher.js)
+  gapAnalysis: {
+    matched: [{
+      skill: String,
+      importance: { type: String, enum: ['required', 'niceToHave'] },
+      evidence: [String]
+    }],
+    transferable: [{
+      skill: String,
+      importance: { type: String, enum: ['required', 'niceToHave'] },
+      via: [String]
+    }],
+    missing: [{
+      skill: String,
+      importance: { type: String, enum: ['required', 'niceToHave'] }
+    }],
+    matchScore: Number, // 0-100
+    generatedAt: Date
+  },
+  followUps: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Maximum chain of follow-ups below one original question
+    maxDepth: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 3
+    }
+  },
+  questionGeneration: {
+    source: {
+      type: String,
+      enum: ['ai', 'fallback', 'bank', 'template']
+    },
+    provider: String,
+    model: String,
+    fallbackReason: String
+  },
+  // Drills are short sessions built from the user's weakest or due practice topics (services/practice.js)
+  mode: {
+    type: String,
+    enum: ['interview', 'drill'],
+    default: 'interview'
+  },
+  // The topic each drill question practises
+  drillTopics: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['category', 'skill']
+    },
+    name: String,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    }
+  }],
+  // Set once the completed interview's scores have been applied to the practice schedule
+  practiceRecordedAt: {
+    type: Date
+  },
   startTime: {
     type: Date
   },
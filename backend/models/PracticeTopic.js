@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A category or resume skill the user practises, scheduled by spaced repetition (services/practice.js).
+// Every completed interview or drill that touched the topic counts as one review.
+const practiceTopicSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // "category" topics are question categories (or "coding"); "skill" topics are lowercase resume skills
+  kind: {
+    type: String,
+    enum: ['category', 'skill'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // SM-2 state
+  easeFactor: {
+    type: Number,
+    default: 2.5
+  },
+  intervalDays: {
+    type: Number,
+    default: 0
+  },
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // 0-100, from a moving average of the scores
+  mastery: {
+    type: Number,
+    default: 0
+  },
+  lastScore: Number,
+  lastReviewedAt: Date,
+  reviews: {
+    type: Number,
+    default: 0
+  },
+  // Most recent reviews, oldest first
+  history: [{
+    _id: false,
+    interviewId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Interview'
+    },
+    score: Number,
+    reviewedAt: Date
+  }]
+}, {
+  timestamps: true,
+  // Concurrent syncs re-read the topic instead of overwriting each other's reviews
+  optimisticConcurrency: true
+});
+
+practiceTopicSchema.index({ userId: 1, kind: 1, name: 1 }, { unique: true });
+practiceTopicSchema.index({ userId: 1, dueAt: 1 });
+
+module.exports = mongoose.model('PracticeTopic', practiceTopicSchema);
@@ -1,5 +1,37 @@
 const mongoose = require('mongoose');
 
+const codingTestSchema = new mongoose.Schema({
+  args: mongoose.Schema.Types.Mixed,
+  expected: mongoose.Schema.Types.Mixed,
+  hidden: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Coding questions are answered by implementing one function; text holds the prompt
+const codingSchema = new mongoose.Schema({
+  problemId: String,
+  title: String,
+  // Language preselected in the editor; any language with starter code may be used
+  language: String,
+  functionNames: {
+    type: Map,
+    of: String
+  },
+  starterCode: {
+    type: Map,
+    of: String
+  },
+  // Visible tests shown to the candidate as examples
+  examples: [codingTestSchema],
+  // Full test suite including hidden cases; never sent to the client
+  tests: {
+    type: [codingTestSchema],
+    select: false
+  }
+}, { _id: false });
+
 const questionSchema = new mongoose.Schema({
   interviewId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,9 +51,56 @@ const questionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  type: {
+    type: String,
+    enum: ['verbal', 'coding'],
+    default: 'verbal'
+  },
+  coding: {
+    type: codingSchema,
+    default: undefined
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
   timeLimit: {
     type: Number,
     default: 120 // 2 minutes in seconds
+  },
+  // Where the question came from; bank questions keep a link to their curated source
+  source: {
+    type: String,
+    enum: ['ai', 'bank', 'template', 'followUp']
+  },
+  bankQuestionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankQuestion'
+  },
+  // Follow-ups point at the question they probe; depth 0 is an original question
+  parentQuestionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Exemplary answer grounded in the candidate's resume, generated after the interview.
+  // source "bank": the question bank's curated answer, used as is because the AI was unavailable
+  modelAnswer: {
+    text: String,
+    keyPoints: [String],
+    source: {
+      type: String,
+      enum: ['ai', 'bank']
+    },
+    fromBank: Boolean, // the bank's curated answer was the starting point
+    provider: String,
+    model: String,
+    fallbackReason: String,
+    generatedAt: Date
   }
 }, {
   timestamps: true
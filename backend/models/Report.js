@@ -6,18 +6,39 @@ const reportSchema = new mongoose.Schema({
     ref: 'Interview',
     required: true
   },
+  // 1, 2, ... per interview; every regeneration adds a version. Reports from before versioning have none.
+  version: {
+    type: Number
+  },
+  // The AI narrative (or the score-based fallback) in full
   summary: {
     totalQuestions: Number,
     averageScore: Number,
+    overview: String,
     strengths: [String],
     weaknesses: [String],
-    recommendations: [String]
+    recommendations: [String],
+    hireability: Number, // 0-100, AI reports only
+    perQuestion: [{
+      _id: false,
+      question: String,
+      assessment: String
+    }]
   },
+  // Averages over scored answers; each dimension is averaged over the answers whose rubric has it
   scores: {
+    overall: Number,
+    dimensions: [{
+      _id: false,
+      key: String,
+      label: String,
+      average: Number,
+      count: Number
+    }],
+    // Reports generated before rubrics
     technicalDepth: Number,
     clarity: Number,
-    confidence: Number,
-    overall: Number
+    confidence: Number
   },
   flags: {
     totalFlags: Number,
@@ -25,6 +46,22 @@ const reportSchema = new mongoose.Schema({
     silenceCount: Number,
     irrelevantCount: Number
   },
+  // Totals across coding questions; absent when the interview had none
+  coding: {
+    questions: Number,
+    fullyPassed: Number,
+    testsPassed: Number,
+    testsTotal: Number
+  },
+  aiMeta: {
+    source: {
+      type: String,
+      enum: ['ai', 'fallback']
+    },
+    provider: String,
+    model: String,
+    fallbackReason: String
+  },
   pdfPath: {
     type: String
   },
@@ -35,5 +72,10 @@ const reportSchema = new mongoose.Schema({
   timestamps: true
 });
 
+reportSchema.index(
+  { interviewId: 1, version: 1 },
+  { unique: true, partialFilterExpression: { version: { $exists: true } } }
+);
+
 module.exports = mongoose.model('Report', reportSchema);
 
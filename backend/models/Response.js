@@ -1,14 +1,192 @@
 const mongoose = require('mongoose');
 
+const starComponentSchema = {
+  strength: {
+    type: String,
+    enum: ['strong', 'weak', 'missing']
+  },
+  spans: [{
+    _id: false,
+    start: Number,
+    end: Number
+  }],
+  feedback: String
+};
+
+// Scores on the dimensions of the rubric the answer was evaluated with (services/rubrics.js);
+// overallScore is their weighted mean
+const evaluationFields = {
+  rubric: {
+    id: String,
+    version: Number,
+    name: String
+  },
+  scores: [{
+    _id: false,
+    key: String,
+    label: String,
+    weight: Number,
+    score: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    feedback: String
+  }],
+  // Fixed dimensions of evaluations made before rubrics; equivalent to the "general" rubric
+  technicalDepth: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    feedback: String
+  },
+  clarity: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    feedback: String
+  },
+  confidence: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    feedback: String
+  },
+  sentiment: {
+    type: String,
+    enum: ['positive', 'neutral', 'negative']
+  },
+  flags: {
+    reading: {
+      type: Boolean,
+      default: false
+    },
+    silence: {
+      type: Boolean,
+      default: false
+    },
+    irrelevant: {
+      type: Boolean,
+      default: false
+    }
+  },
+  overallScore: {
+    type: Number,
+    min: 0,
+    max: 5
+  }
+};
+
+// source "skipped": the answer could not be transcribed, so it was not scored
+const evaluationMetaFields = {
+  source: {
+    type: String,
+    enum: ['ai', 'fallback', 'skipped']
+  },
+  provider: String,
+  model: String,
+  fallbackReason: String,
+  promptVersion: Number, // aiService prompt revision, when scored by AI
+  evaluatedAt: Date
+};
+
 const responseSchema = new mongoose.Schema({
   questionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Question',
     required: true
   },
+  // Empty when nothing usable was captured; see transcription.status
   transcript: {
     type: String,
-    required: true
+    default: ''
+  },
+  // Where a spoken answer's transcript came from and how server-side transcription went
+  transcription: {
+    source: {
+      type: String,
+      enum: ['client', 'server', 'none']
+    },
+    status: {
+      type: String,
+      enum: ['ok', 'empty', 'failed', 'skipped']
+    },
+    engine: String,
+    language: String,
+    confidence: Number, // mean word confidence, 0-1
+    durationSeconds: Number,
+    words: [{
+      _id: false,
+      word: String,
+      start: Number, // seconds from the start of the recording
+      end: Number,
+      confidence: Number
+    }],
+    error: String,
+    // Browser transcript kept for comparison when the server transcript replaced it
+    clientTranscript: String
+  },
+  // Delivery measured from the recording (source "audio"), word timestamps or the transcript alone;
+  // pause and silence fields are only set when timing was available
+  speechMetrics: {
+    source: {
+      type: String,
+      enum: ['audio', 'timestamps', 'transcript']
+    },
+    durationSeconds: Number,
+    speakingTimeSeconds: Number,
+    wordCount: Number,
+    wordsPerMinute: Number,
+    fillerCount: Number,
+    fillersPerMinute: Number,
+    fillers: [{
+      _id: false,
+      word: String,
+      count: Number
+    }],
+    longestPauseSeconds: Number,
+    pauseCount: Number,
+    silenceRatio: Number // share of the recording without speech, 0-1
+  },
+  // How the answer was given; typed answers have no audio and are judged as writing
+  answerMode: {
+    type: String,
+    enum: ['voice', 'typed', 'code'],
+    default: 'voice'
+  },
+  // Coding answers: the submitted solution and its test run (hidden test details are not stored)
+  code: {
+    language: String,
+    source: String
+  },
+  codeRun: {
+    status: {
+      type: String,
+      enum: ['passed', 'failed', 'error', 'timeout']
+    },
+    passed: Number,
+    total: Number,
+    runTimeMs: Number,
+    results: [{
+      _id: false,
+      index: Number,
+      hidden: Boolean,
+      passed: Boolean,
+      args: mongoose.Schema.Types.Mixed,
+      expected: mongoose.Schema.Types.Mixed,
+      actual: mongoose.Schema.Types.Mixed,
+      error: String,
+      timeMs: Number
+    }],
+    stdout: String,
+    stderr: String,
+    error: String
   },
   audioPath: {
     type: String
@@ -16,60 +194,99 @@ const responseSchema = new mongoose.Schema({
   videoPath: {
     type: String
   },
-  evaluation: {
-    technicalDepth: {
-      score: {
-        type: Number,
-        min: 0,
-        max: 5
-      },
-      feedback: String
+  evaluation: evaluationFields,
+  evaluationMeta: evaluationMetaFields,
+  // Every evaluation of this answer, oldest first; the one marked current is mirrored in evaluation/evaluationMeta
+  evaluationHistory: [{
+    _id: false,
+    version: Number,
+    current: {
+      type: Boolean,
+      default: false
     },
-    clarity: {
-      score: {
-        type: Number,
-        min: 0,
-        max: 5
-      },
-      feedback: String
+    trigger: {
+      type: String,
+      enum: ['submit', 're-evaluate']
     },
-    confidence: {
-      score: {
-        type: Number,
-        min: 0,
-        max: 5
+    evaluation: evaluationFields,
+    meta: evaluationMetaFields
+  }],
+  // STAR breakdown of behavioral answers; spans are character offsets into transcript
+  starAnalysis: {
+    components: {
+      situation: starComponentSchema,
+      task: starComponentSchema,
+      action: starComponentSchema,
+      result: starComponentSchema
+    },
+    ownership: {
+      firstPerson: Number, // count of I/me/my
+      plural: Number, // count of we/us/our
+      ratio: Number, // first person share of the two, 0-1
+      assessment: {
+        type: String,
+        enum: ['clear', 'mixed', 'team-focused', 'unclear']
       },
       feedback: String
     },
-    sentiment: {
-      type: String,
-      enum: ['positive', 'neutral', 'negative']
-    },
-    flags: {
-      reading: {
-        type: Boolean,
-        default: false
+    missing: [String],
+    weak: [String],
+    summary: String,
+    meta: {
+      source: {
+        type: String,
+        enum: ['ai', 'fallback']
       },
-      silence: {
-        type: Boolean,
-        default: false
+      provider: String,
+      model: String,
+      fallbackReason: String
+    }
+  },
+  // This answer against the question's model answer, by the model answer's key points
+  comparison: {
+    covered: [String],
+    missed: [String],
+    incorrect: [{
+      _id: false,
+      claim: String,
+      correction: String
+    }],
+    summary: String,
+    meta: {
+      source: {
+        type: String,
+        enum: ['ai', 'fallback']
       },
-      irrelevant: {
-        type: Boolean,
-        default: false
-      }
+      provider: String,
+      model: String,
+      fallbackReason: String
     },
-    overallScore: {
-      type: Number,
-      min: 0,
-      max: 5
-    }
+    comparedAt: Date
   },
+  // Face/attention measurements from in-browser detection; figures are only set when status is "analyzed"
   videoAnalysis: {
+    status: {
+      type: String,
+      enum: ['analyzed', 'unavailable', 'none']
+    },
+    engine: String,
+    framesAnalyzed: Number,
     notes: { type: String },
-    attentionLostSeconds: { type: Number, default: 0 },
-    multipleFacesDetected: { type: Boolean, default: false },
-    noFaceDetected: { type: Boolean, default: false }
+    attentionLostSeconds: { type: Number },
+    noFaceSeconds: Number,
+    lookingAwaySeconds: Number,
+    multipleFacesSeconds: Number,
+    multipleFacesDetected: { type: Boolean },
+    noFaceDetected: { type: Boolean },
+    events: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['no-face', 'multiple-faces', 'looking-away']
+      },
+      start: Number, // seconds from the start of the answer
+      end: Number
+    }]
   },
   duration: {
     type: Number // in seconds
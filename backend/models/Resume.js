@@ -6,6 +6,11 @@ const resumeSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Shared by all versions of the same resume; the first version's id unless it was regrouped
+  lineageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
   originalText: {
     type: String,
     required: true
@@ -43,6 +48,36 @@ const resumeSchema = new mongoose.Schema({
       technologies: [String]
     }]
   },
+  // Confidence (0-1) of each parsed value and the span of originalText it was read from;
+  // `path` names the value, e.g. "skills.3" or "experience.0.company"
+  fieldConfidence: [{
+    _id: false,
+    path: String,
+    confidence: Number,
+    start: Number,
+    end: Number
+  }],
+  // Values the user added, changed or confirmed after parsing, by fieldConfidence path
+  corrections: [{
+    _id: false,
+    path: String,
+    action: {
+      type: String,
+      enum: ['added', 'edited', 'confirmed', 'removed']
+    },
+    // The removed skill or entry, for 'removed'
+    previous: mongoose.Schema.Types.Mixed,
+    correctedAt: Date
+  }],
+  parseMeta: {
+    source: {
+      type: String,
+      enum: ['ai', 'fallback']
+    },
+    provider: String,
+    model: String,
+    fallbackReason: String
+  },
   filePath: {
     type: String,
     required: true
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Read-only link to one report for someone without an account. The token in the URL is the only
+// credential, so links expire and can be revoked; views are counted for the owner's audit list.
+const shareLinkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  interviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interview',
+    required: true
+  },
+  // The report version shared; regenerating the report later does not change what the link shows
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  includeTranscripts: {
+    type: Boolean,
+    default: true
+  },
+  includeRecordings: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ userId: 1, interviewId: 1 });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
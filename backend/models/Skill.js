@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Skill added to the built-in taxonomy (services/skillTaxonomy.js), or extra aliases for a built-in
+// skill when `key` matches one
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercase name, unique across the taxonomy
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  category: {
+    type: String,
+    enum: ['language', 'framework', 'database', 'cloud', 'tool', 'soft']
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Skill', skillSchema);
@@ -19,6 +19,11 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   resumes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Resume'
@@ -44,6 +49,25 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Admin rights follow the current ADMIN_EMAILS, so changing the list promotes or demotes existing accounts
+userSchema.methods.resolveRole = function() {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+  return adminEmails.includes(this.email) ? 'admin' : 'user';
+};
+
+// Store the role resolved from ADMIN_EMAILS when it has changed; only the role is written
+userSchema.methods.syncRole = async function() {
+  const role = this.resolveRole();
+  if (this.role !== role) {
+    this.role = role;
+    await this.constructor.updateOne({ _id: this._id }, { role });
+  }
+  return role;
+};
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,94 @@
+const express = require('express');
+const Interview = require('../models/Interview');
+const Response = require('../models/Response');
+const Resume = require('../models/Resume');
+const auth = require('../middleware/auth');
+const analytics = require('../services/analytics');
+const resumeVersions = require('../services/resumeVersions');
+
+const router = express.Router();
+
+// Per-interview stats for the user's completed interviews (or only those matching `where`).
+// Practice drills are left out: they are short sessions on weak topics and would drag the trends down.
+async function loadStats(userId, where = {}) {
+  const filter = { ...where, userId, status: 'completed', mode: { $ne: 'drill' } };
+  const interviews = await Interview.find(filter)
+    .populate('resumeId', 'fileName parsedData')
+    .select('questions resumeId jobDescription.title startTime endTime createdAt');
+
+  const responses = await Response.find({
+    questionId: { $in: interviews.flatMap(i => i.questions) }
+  })
+    .populate('questionId', 'interviewId text category type bankQuestionId')
+    .select('questionId evaluation duration');
+
+  const bankSkills = await analytics.loadBankSkills(responses);
+
+  return interviews.map(interview => {
+    const own = responses.filter(r => String(r.questionId.interviewId) === String(interview._id));
+    const skills = analytics.skillsByQuestion(own, interview.resumeId?.parsedData, bankSkills);
+    return analytics.interviewStats(interview, own, skills);
+  });
+}
+
+// Progress across all of the user's completed interviews
+router.get('/', auth, async (req, res) => {
+  try {
+    const stats = await loadStats(req.user._id);
+    res.json(analytics.progress(stats));
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Two completed interviews side by side: `?a=<interviewId>&b=<interviewId>`
+router.get('/compare', auth, async (req, res) => {
+  try {
+    const { a, b } = req.query;
+    if (!a || !b || a === b) {
+      return res.status(400).json({ message: 'Choose two different interviews to compare' });
+    }
+
+    const stats = await loadStats(req.user._id, { _id: { $in: [a, b] } });
+    const left = stats.find(s => String(s.interviewId) === a);
+    const right = stats.find(s => String(s.interviewId) === b);
+
+    if (!left || !right) {
+      return res.status(404).json({ message: 'Completed interview not found' });
+    }
+
+    res.json(analytics.compare(left, right));
+  } catch (error) {
+    console.error('Compare interviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Interview performance for each version of a resume, oldest version first
+router.get('/resume-versions/:resumeId', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.resumeId, userId: req.user._id });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const lineageId = resumeVersions.lineageOf(resume);
+    const members = await resumeVersions.members(req.user._id, lineageId);
+    const stats = await loadStats(req.user._id, { resumeId: { $in: members.map(m => m._id) } });
+
+    res.json({
+      lineageId,
+      versions: analytics.versionPerformance(members.map((member, i) => ({
+        version: i + 1,
+        resume: member,
+        stats: stats.filter(s => String(s.resumeId) === String(member._id))
+      })))
+    });
+  } catch (error) {
+    console.error('Get resume version analytics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -17,11 +17,8 @@ router.post('/register', async (req, res) => {
     }
 
     // Create new user
-    user = new User({
-      name,
-      email,
-      password
-    });
+    user = new User({ name, email, password });
+    user.role = user.resolveRole();
 
     await user.save();
 
@@ -37,7 +34,8 @@ router.post('/register', async (req, res) => {
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role
       }
     });
   } catch (error) {
@@ -63,6 +61,9 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Emails added to or removed from ADMIN_EMAILS since the last login take effect now
+    await user.syncRole();
+
     // Generate JWT token
     const token = jwt.sign(
       { userId: user._id },
@@ -75,7 +76,8 @@ router.post('/login', async (req, res) => {
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role
       }
     });
   } catch (error) {
@@ -1,14 +1,132 @@
 const express = require('express');
+const path = require('path');
+const fs = require('fs-extra');
 const Interview = require('../models/Interview');
 const Question = require('../models/Question');
 const Response = require('../models/Response');
 const Report = require('../models/Report');
+const Resume = require('../models/Resume');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
 const aiService = require('../services/aiService');
+const answerEvaluation = require('../services/answerEvaluation');
+const codingService = require('../services/codingService');
+const modelAnswers = require('../services/modelAnswers');
+const { renderReportPdf } = require('../services/reportPdf');
+const { averageEvaluations, evaluationScores } = require('../services/rubrics');
 
 const router = express.Router();
 
-// Generate final report
+// Answers that could not be transcribed are stored without an evaluation and left out of scores
+const isScored = (response) => typeof response.evaluation?.overallScore === 'number';
+
+// Legacy evaluations get their fixed dimensions listed as rubric scores
+const withScores = (evaluation) => ({ ...evaluation, scores: evaluationScores(evaluation) });
+
+// Overall and per-dimension averages from whichever rubrics the answers were scored with
+const averageScores = (responses) => averageEvaluations(responses.filter(isScored).map(r => r.evaluation));
+
+// Text of one answer for report prompts and the stored transcript
+function describeAnswer(response) {
+  if (response.code?.source) return `${codingService.describeSubmission(response)}\nExplanation: ${response.transcript}`;
+  if (response.answerMode === 'typed') return `(typed answer) ${response.transcript}`;
+  if (!response.transcript && response.transcription?.status !== 'empty') return '(answer could not be transcribed)';
+  return response.transcript;
+}
+
+// Answers whose current evaluation is the offline fallback rather than an AI assessment
+const isFallback = (response) => response.evaluationMeta?.source === 'fallback';
+
+// Compact evaluation history for the results page
+const historyEntries = (response) => response.toObject().evaluationHistory.map(({ evaluation, meta, ...entry }) => ({
+  ...entry,
+  ...meta,
+  rubric: evaluation?.rubric?.id ? evaluation.rubric : undefined,
+  overallScore: evaluation?.overallScore
+}));
+
+// Stored model answer of a question and comparison of an answer with it, if generated
+const storedModelAnswer = (question) => (question.modelAnswer?.text ? question.modelAnswer : undefined);
+const storedComparison = (response) => (response.comparison?.comparedAt ? response.comparison : undefined);
+
+const modelAnswerEntry = (response) => ({
+  questionId: response.questionId._id,
+  question: response.questionId.text,
+  modelAnswer: storedModelAnswer(response.questionId),
+  comparison: storedComparison(response)
+});
+
+// Test totals across coding answers, or undefined when there were none
+function summarizeCoding(responses) {
+  const coding = responses.filter(r => r.codeRun?.total);
+  if (coding.length === 0) return undefined;
+  return coding.reduce((acc, r) => {
+    acc.fullyPassed += r.codeRun.status === 'passed' ? 1 : 0;
+    acc.testsPassed += r.codeRun.passed;
+    acc.testsTotal += r.codeRun.total;
+    return acc;
+  }, { questions: coding.length, fullyPassed: 0, testsPassed: 0, testsTotal: 0 });
+}
+
+// Score-based report used when the AI report cannot be generated
+function buildFallbackReport(scores, flags, coding) {
+  const label = (d) => d.label.toLowerCase();
+  const strong = scores.dimensions.filter(d => d.average >= 3.5);
+  const weak = scores.dimensions.filter(d => d.average < 3);
+  const strengths = strong.map(d => `Consistently good ${label(d)} (${d.average.toFixed(1)}/5)`);
+  const weaknesses = weak.map(d => `Low ${label(d)} (${d.average.toFixed(1)}/5)`);
+  const recommendations = weak.length
+    ? weak.map(d => `Practice answers focusing on ${label(d)}`)
+    : ['Keep practicing to maintain your scores'];
+  if (flags.silenceCount > 0) recommendations.push('Avoid long silences; think aloud while structuring an answer');
+  if (flags.readingCount > 0) recommendations.push('Answer in your own words rather than reading prepared text');
+  if (coding) {
+    const line = `Passed ${coding.testsPassed}/${coding.testsTotal} tests across ${coding.questions} coding question(s)`;
+    if (coding.fullyPassed === coding.questions) strengths.push(line);
+    else {
+      weaknesses.push(line);
+      recommendations.push('Practice coding problems and test edge cases before submitting');
+    }
+  }
+
+  return {
+    summary: `Average overall score ${scores.overall.toFixed(1)}/5. Detailed AI feedback was unavailable for this report.`,
+    strengths,
+    weaknesses,
+    recommendations,
+    perQuestion: []
+  };
+}
+
+// Report as returned to the client, with the interview's report versions for switching between them
+async function reportPayload(report) {
+  const versions = await Report.find({ interviewId: report.interviewId })
+    .select('version createdAt aiMeta.source')
+    .sort({ createdAt: 1 });
+  return {
+    id: report._id,
+    version: report.version,
+    createdAt: report.createdAt,
+    summary: report.summary,
+    scores: report.scores,
+    flags: report.flags,
+    coding: report.coding,
+    aiMeta: report.aiMeta,
+    versions: versions.map(v => ({ id: v._id, version: v.version, createdAt: v.createdAt, source: v.aiMeta?.source }))
+  };
+}
+
+// Latest report of an interview: the one the interview points at, else the newest
+async function latestReport(interview) {
+  if (interview.reportId) {
+    const report = await Report.findById(interview.reportId);
+    if (report) return report;
+  }
+  return Report.findOne({ interviewId: interview._id }).sort({ createdAt: -1 });
+}
+
+// Generate final report. An existing report is returned as is unless `regenerate` is set,
+// which adds a new version and keeps the earlier ones.
 router.post('/:interviewId/generate-report', auth, async (req, res) => {
   try {
     const interview = await Interview.findOne({
@@ -24,6 +142,13 @@ router.post('/:interviewId/generate-report', auth, async (req, res) => {
       return res.status(400).json({ message: 'Interview must be completed to generate report' });
     }
 
+    if (req.body?.regenerate !== true) {
+      const existing = await latestReport(interview);
+      if (existing) {
+        return res.json({ message: 'Report already generated', created: false, report: await reportPayload(existing) });
+      }
+    }
+
     // Get all responses for this interview
     const responses = await Response.find({
       questionId: { $in: interview.questions.map(q => q._id) }
@@ -34,24 +159,10 @@ router.post('/:interviewId/generate-report', auth, async (req, res) => {
     }
 
     // Calculate overall scores
-    const totalScores = responses.reduce((acc, response) => {
-      acc.technicalDepth += response.evaluation.technicalDepth.score;
-      acc.clarity += response.evaluation.clarity.score;
-      acc.confidence += response.evaluation.confidence.score;
-      acc.overall += response.evaluation.overallScore;
-      return acc;
-    }, { technicalDepth: 0, clarity: 0, confidence: 0, overall: 0 });
-
-    const numResponses = responses.length;
-    const averageScores = {
-      technicalDepth: totalScores.technicalDepth / numResponses,
-      clarity: totalScores.clarity / numResponses,
-      confidence: totalScores.confidence / numResponses,
-      overall: totalScores.overall / numResponses
-    };
+    const scores = averageScores(responses);
 
     // Count flags
-    const flags = responses.reduce((acc, response) => {
+    const flags = responses.filter(isScored).reduce((acc, response) => {
       acc.totalFlags += Object.values(response.evaluation.flags).filter(Boolean).length;
       acc.readingCount += response.evaluation.flags.reading ? 1 : 0;
       acc.silenceCount += response.evaluation.flags.silence ? 1 : 0;
@@ -59,43 +170,64 @@ router.post('/:interviewId/generate-report', auth, async (req, res) => {
       return acc;
     }, { totalFlags: 0, readingCount: 0, silenceCount: 0, irrelevantCount: 0 });
 
-    // Generate AI summary
-    const questions = interview.questions.map(q => q.text);
-    const transcripts = responses.map(r => r.transcript);
-    const aiReport = await aiService.generateReport(transcripts, questions);
+    const coding = summarizeCoding(responses);
+
+    // Generate AI summary; coding answers are described by their code and test outcome
+    const questions = responses.map(r => r.questionId.text);
+    const transcripts = responses.map(describeAnswer);
+    let aiReport;
+    let aiMeta;
+    try {
+      aiReport = await aiService.generateReport(transcripts, questions);
+      aiMeta = aiService.resultMeta();
+    } catch (aiError) {
+      console.error('AI report generation failed, using fallback:', aiError.message);
+      aiReport = buildFallbackReport(scores, flags, coding);
+      aiMeta = aiService.resultMeta(aiError);
+    }
+
+    const previous = await Report.findOne({ interviewId: interview._id, version: { $exists: true } })
+      .sort({ version: -1 })
+      .select('version');
 
     // Create report
     const report = new Report({
       interviewId: interview._id,
+      version: (previous?.version || 0) + 1,
       summary: {
         totalQuestions: interview.totalQuestions,
-        averageScore: averageScores.overall,
+        averageScore: scores.overall,
+        overview: aiReport.summary,
         strengths: aiReport.strengths,
         weaknesses: aiReport.weaknesses,
-        recommendations: aiReport.recommendations
+        recommendations: aiReport.recommendations,
+        hireability: aiReport.hireability,
+        perQuestion: aiReport.perQuestion
       },
-      scores: averageScores,
+      scores: scores,
       flags: flags,
+      coding: coding,
+      aiMeta: aiMeta,
       transcript: transcripts.join('\n\n')
     });
 
-    await report.save();
+    try {
+      await report.save();
+    } catch (saveError) {
+      // Another request generated the same version first; return that one
+      if (saveError.code !== 11000) throw saveError;
+      const existing = await Report.findOne({ interviewId: interview._id, version: report.version });
+      return res.json({ message: 'Report already generated', created: false, report: await reportPayload(existing) });
+    }
 
-    // Update interview with report
+    // Point the interview at the latest version
     interview.reportId = report._id;
     await interview.save();
 
     res.json({
       message: 'Report generated successfully',
-      report: {
-        id: report._id,
-        summary: {
-          ...report.summary,
-          ai: aiReport
-        },
-        scores: report.scores,
-        flags: report.flags
-      }
+      created: true,
+      report: await reportPayload(report)
     });
   } catch (error) {
     console.error('Generate report error:', error);
@@ -103,6 +235,83 @@ router.post('/:interviewId/generate-report', auth, async (req, res) => {
   }
 });
 
+// Latest report of an interview, or a given `?version=`
+router.get('/:interviewId/report', auth, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({
+      _id: req.params.interviewId,
+      userId: req.user._id
+    });
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    const version = parseInt(req.query.version, 10);
+    const report = Number.isInteger(version)
+      ? await Report.findOne({ interviewId: interview._id, version })
+      : await latestReport(interview);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    res.json(await reportPayload(report));
+  } catch (error) {
+    console.error('Get interview report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PDF of an interview's latest report (or `?version=`), rendered on first download and stored
+// in the report's pdfPath; `?refresh=true` renders it again with the answers as they are now
+router.get('/:interviewId/report/pdf', auth, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({
+      _id: req.params.interviewId,
+      userId: req.user._id
+    });
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    const version = parseInt(req.query.version, 10);
+    const report = Number.isInteger(version)
+      ? await Report.findOne({ interviewId: interview._id, version })
+      : await latestReport(interview);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Generate the report before downloading it' });
+    }
+
+    const stored = report.pdfPath && await fs.pathExists(report.pdfPath);
+    if (!stored || req.query.refresh === 'true') {
+      const [user, resume, responses] = await Promise.all([
+        User.findById(interview.userId).select('name email'),
+        Resume.findById(interview.resumeId).select('parsedData'),
+        Response.find({ questionId: { $in: interview.questions } }).populate('questionId')
+      ]);
+
+      const dir = path.join(__dirname, '../uploads/reports');
+      await fs.ensureDir(dir);
+      report.pdfPath = await renderReportPdf({
+        report: report.toObject(),
+        interview: interview.toObject(),
+        user,
+        resume: resume?.toObject(),
+        responses: responses.map(r => r.toObject())
+      }, path.join(dir, `report-${report._id}.pdf`));
+      await report.save();
+    }
+
+    res.download(report.pdfPath, `interview-report-v${report.version ?? 1}.pdf`);
+  } catch (error) {
+    console.error('Report PDF error:', error);
+    res.status(500).json({ message: 'Failed to create report PDF' });
+  }
+});
+
 // Get report
 router.get('/report/:reportId', auth, async (req, res) => {
   try {
@@ -126,6 +335,78 @@ router.get('/report/:reportId', auth, async (req, res) => {
   }
 });
 
+// Generate model answers for the answered questions and compare each answer with its model answer.
+// Stored results are reused unless `refresh` is set.
+router.post('/:interviewId/model-answers', auth, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({
+      _id: req.params.interviewId,
+      userId: req.user._id
+    });
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    if (interview.status !== 'completed') {
+      return res.status(400).json({ message: 'Interview must be completed to see model answers' });
+    }
+
+    const refresh = req.body?.refresh === true;
+    const resume = await Resume.findById(interview.resumeId).select('parsedData');
+    const responses = await Response.find({
+      questionId: { $in: interview.questions }
+    }).populate('questionId');
+
+    let unavailable = 0;
+    for (const response of responses) {
+      const hadModelAnswer = Boolean(response.questionId.modelAnswer?.text);
+      const modelAnswer = await modelAnswers.ensure(response.questionId, resume?.parsedData, { refresh });
+      if (!modelAnswer) {
+        unavailable += 1;
+        continue;
+      }
+      // Compare again whenever the model answer was (re)generated
+      if (refresh || !hadModelAnswer || !response.comparison?.comparedAt) {
+        const answerText = response.transcript || response.code?.source ? describeAnswer(response) : '';
+        response.comparison = await modelAnswers.compare(response.questionId, modelAnswer, answerText);
+        await response.save();
+      }
+    }
+
+    res.json({
+      modelAnswers: responses.map(modelAnswerEntry),
+      unavailable
+    });
+  } catch (error) {
+    console.error('Generate model answers error:', error);
+    res.status(500).json({ message: 'Failed to generate model answers' });
+  }
+});
+
+// Stored model answers and comparisons, without generating missing ones
+router.get('/:interviewId/model-answers', auth, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({
+      _id: req.params.interviewId,
+      userId: req.user._id
+    });
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    const responses = await Response.find({
+      questionId: { $in: interview.questions }
+    }).populate('questionId');
+
+    res.json({ modelAnswers: responses.map(modelAnswerEntry) });
+  } catch (error) {
+    console.error('Get model answers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get interview evaluation summary
 router.get('/:interviewId/summary', auth, async (req, res) => {
   try {
@@ -145,11 +426,11 @@ router.get('/:interviewId/summary', auth, async (req, res) => {
     const summary = {
       totalQuestions: interview.totalQuestions,
       completedQuestions: responses.length,
+      unscoredResponses: responses.filter(r => !isScored(r)).length,
+      fallbackResponses: responses.filter(isFallback).length,
       averageScores: {
-        technicalDepth: 0,
-        clarity: 0,
-        confidence: 0,
-        overall: 0
+        overall: 0,
+        dimensions: []
       },
       flags: {
         total: 0,
@@ -158,34 +439,33 @@ router.get('/:interviewId/summary', auth, async (req, res) => {
         irrelevant: 0
       },
       responses: responses.map(response => ({
+        responseId: response._id,
         question: response.questionId.text,
         category: response.questionId.category,
+        isFollowUp: Boolean(response.questionId.parentQuestionId),
+        type: response.questionId.type,
+        answerMode: response.answerMode,
         transcript: response.transcript,
-        evaluation: response.evaluation,
+        transcription: response.transcription?.status ? response.transcription : undefined,
+        speechMetrics: response.speechMetrics?.source ? response.speechMetrics : undefined,
+        code: response.code?.source ? response.code : undefined,
+        codeRun: response.codeRun?.status ? response.codeRun : undefined,
+        evaluation: isScored(response) ? withScores(response.toObject().evaluation) : undefined,
+        evaluationMeta: response.evaluationMeta,
+        evaluationHistory: historyEntries(response),
+        starAnalysis: response.starAnalysis?.components ? response.starAnalysis : undefined,
+        modelAnswer: storedModelAnswer(response.questionId),
+        comparison: storedComparison(response),
         videoAnalysis: response.videoAnalysis,
         duration: response.duration
       }))
     };
 
     if (responses.length > 0) {
-      // Calculate averages
-      const totals = responses.reduce((acc, response) => {
-        acc.technicalDepth += response.evaluation.technicalDepth.score;
-        acc.clarity += response.evaluation.clarity.score;
-        acc.confidence += response.evaluation.confidence.score;
-        acc.overall += response.evaluation.overallScore;
-        return acc;
-      }, { technicalDepth: 0, clarity: 0, confidence: 0, overall: 0 });
-
-      summary.averageScores = {
-        technicalDepth: totals.technicalDepth / responses.length,
-        clarity: totals.clarity / responses.length,
-        confidence: totals.confidence / responses.length,
-        overall: totals.overall / responses.length
-      };
+      summary.averageScores = averageScores(responses);
 
       // Count flags
-      summary.flags = responses.reduce((acc, response) => {
+      summary.flags = responses.filter(isScored).reduce((acc, response) => {
         acc.total += Object.values(response.evaluation.flags).filter(Boolean).length;
         acc.reading += response.evaluation.flags.reading ? 1 : 0;
         acc.silence += response.evaluation.flags.silence ? 1 : 0;
@@ -201,6 +481,70 @@ router.get('/:interviewId/summary', auth, async (req, res) => {
   }
 });
 
+// Evaluate every answer of an interview again, or only those scored by the fallback (`fallbackOnly`).
+// Earlier evaluations are kept in each response's history.
+router.post('/:interviewId/re-evaluate', auth, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({
+      _id: req.params.interviewId,
+      userId: req.user._id
+    });
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    const fallbackOnly = req.body?.fallbackOnly === true;
+    const responses = await Response.find({
+      questionId: { $in: interview.questions }
+    });
+    const selected = fallbackOnly ? responses.filter(isFallback) : responses;
+
+    for (const response of selected) {
+      await answerEvaluation.reevaluate(response, interview);
+    }
+
+    res.json({
+      message: 'Answers re-evaluated',
+      reEvaluated: selected.length,
+      stillFallback: responses.filter(isFallback).length
+    });
+  } catch (error) {
+    console.error('Re-evaluate interview error:', error);
+    res.status(500).json({ message: 'Failed to re-evaluate answers' });
+  }
+});
+
+// Evaluate one answer again
+router.post('/response/:responseId/re-evaluate', auth, async (req, res) => {
+  try {
+    const response = await Response.findById(req.params.responseId)
+      .populate({
+        path: 'questionId',
+        populate: {
+          path: 'interviewId',
+          match: { userId: req.user._id }
+        }
+      });
+
+    if (!response || !response.questionId.interviewId) {
+      return res.status(404).json({ message: 'Response not found' });
+    }
+
+    await answerEvaluation.reevaluate(response, response.questionId.interviewId);
+
+    res.json({
+      message: 'Answer re-evaluated',
+      evaluation: isScored(response) ? withScores(response.toObject().evaluation) : undefined,
+      evaluationMeta: response.evaluationMeta,
+      evaluationHistory: historyEntries(response)
+    });
+  } catch (error) {
+    console.error('Re-evaluate response error:', error);
+    res.status(500).json({ message: 'Failed to re-evaluate answer' });
+  }
+});
+
 // Get response details
 router.get('/response/:responseId', auth, async (req, res) => {
   try {
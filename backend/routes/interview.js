@@ -7,64 +7,18 @@ const Question = require('../models/Question');
 const Response = require('../models/Response');
 const Resume = require('../models/Resume');
 const auth = require('../middleware/auth');
-const aiService = require('../services/aiService');
-
-// Helper function to generate fallback questions from resume data
-function generateFallbackQuestions(parsedData) {
-  const fallbackQuestions = [];
-  const { skills = [], projects = [], experience = [], internships = [] } = parsedData;
-
-  // Technical questions based on skills
-  if (skills.length > 0) {
-    const topSkills = skills.slice(0, 3);
-    topSkills.forEach(skill => {
-      fallbackQuestions.push({
-        category: 'technical',
-        question: `Can you explain how you've used ${skill} in your projects? What were the challenges and how did you overcome them?`
-      });
-    });
-  }
-
-  // Project questions
-  if (projects.length > 0) {
-    projects.slice(0, 2).forEach(project => {
-      fallbackQuestions.push({
-        category: 'project',
-        question: `Tell me about your project "${project.title}". What was your role, what technologies did you use, and what were the key outcomes?`
-      });
-    });
-  }
-
-  // Experience questions
-  if (experience.length > 0) {
-    experience.slice(0, 2).forEach(exp => {
-      fallbackQuestions.push({
-        category: 'experience',
-        question: `At ${exp.company}, what were your main responsibilities as ${exp.role}? Can you describe a challenging problem you solved?`
-      });
-    });
-  }
-
-  // Internship questions
-  if (internships.length > 0) {
-    internships.slice(0, 1).forEach(intern => {
-      fallbackQuestions.push({
-        category: 'internship',
-        question: `During your internship at ${intern.company}, what did you learn and what projects did you work on?`
-      });
-    });
-  }
-
-  // Add behavioral questions to reach 10 total
-  while (fallbackQuestions.length < 10) {
-    fallbackQuestions.push({
-      category: 'behavioral',
-      question: 'Describe a time when you had to work with a difficult team member. How did you handle the situation?'
-    });
-  }
-
-  return fallbackQuestions.slice(0, 10);
-}
+const answerEvaluation = require('../services/answerEvaluation');
+const codingService = require('../services/codingService');
+const followUpService = require('../services/followUpService');
+const jobMatcher = require('../services/jobMatcher');
+const resumeParser = require('../services/resumeParser');
+const transcriptionService = require('../services/transcription');
+const speechMetrics = require('../services/speechMetrics');
+const starAnalysis = require('../services/starAnalysis');
+const { summarizeVideoAnalysis } = require('../services/videoAnalysis');
+const { generateInterviewQuestions } = require('../services/questionGenerator');
+const { ANSWER_MODES, DEFAULT_CONFIG, DIFFICULTIES, LIMITS, normalizeConfig, assignTimeLimits } = require('../services/interviewConfig');
+const { listRubrics, rubricForQuestion } = require('../services/rubrics');
 
 const router = express.Router();
 
@@ -104,10 +58,65 @@ const upload = multer({
   }
 });
 
+// Job descriptions can be attached as a document at interview creation
+const jobDescriptionUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (resumeParser.fileFormat(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${resumeParser.formatNames()} job descriptions are allowed`), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  }
+});
+
+// Rejected or oversized job description files are the client's to fix
+function acceptJobDescriptionFile(req, res, next) {
+  jobDescriptionUpload.single('jobDescriptionFile')(req, res, (error) => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE' ? 'Job description files must be less than 5MB' : error.message;
+    res.status(400).json({ message });
+  });
+}
+
+// Multipart requests carry nested objects as JSON strings
+function parseJSONField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+async function readJobDescription(pastedText, file) {
+  if (file) {
+    return resumeParser.parseFile(file.path, resumeParser.fileFormat(file), { document: 'job description' });
+  }
+  return (pastedText || '').trim();
+}
+
+// Defaults and allowed ranges for the interview setup form
+router.get('/config/defaults', auth, (req, res) => {
+  res.json({
+    defaults: DEFAULT_CONFIG,
+    difficulties: DIFFICULTIES,
+    answerModes: ANSWER_MODES,
+    limits: LIMITS,
+    rubrics: listRubrics()
+  });
+});
+
 // Create new interview session
-router.post('/create', auth, async (req, res) => {
+router.post('/create', auth, acceptJobDescriptionFile, async (req, res) => {
   try {
     const { resumeId } = req.body;
+    const followUps = parseJSONField(req.body.followUps);
+    const jobDescriptionInput = parseJSONField(req.body.jobDescription) || {};
+    const config = normalizeConfig(parseJSONField(req.body.config));
 
     // Get resume data
     const resume = await Resume.findOne({
@@ -119,25 +128,45 @@ router.post('/create', auth, async (req, res) => {
       return res.status(404).json({ message: 'Resume not found' });
     }
 
-    // Generate questions based on resume
-    let questions;
-    try {
-      questions = await aiService.generateQuestions(resume.parsedData);
-    } catch (aiError) {
-      console.error('AI question generation failed, using fallback:', aiError.message);
-      questions = generateFallbackQuestions(resume.parsedData);
+    // Target job: extract its skills and compare them with the resume
+    let jobDescription;
+    let gapAnalysis;
+    const jobDescriptionText = await readJobDescription(jobDescriptionInput.text, req.file);
+    if (jobDescriptionText) {
+      const { meta, ...requirements } = await jobMatcher.extractRequirements(jobDescriptionText);
+      jobDescription = {
+        title: (jobDescriptionInput.title || '').trim() || requirements.title,
+        text: jobDescriptionText,
+        fileName: req.file?.originalname,
+        requiredSkills: requirements.requiredSkills,
+        niceToHaveSkills: requirements.niceToHaveSkills,
+        extractionMeta: meta
+      };
+      gapAnalysis = jobMatcher.computeGap(resume.parsedData, resume.originalText, requirements);
     }
 
-    // Ensure we have valid questions
-    if (!questions || !Array.isArray(questions) || questions.length === 0) {
-      questions = generateFallbackQuestions(resume.parsedData);
-    }
+    // Generate questions based on resume, honoring the configured mix and difficulty;
+    // values the offline parser only guessed at are left out
+    const { questions, meta: questionGeneration } = await generateInterviewQuestions(
+      resumeParser.trustedData(resume),
+      config,
+      { jobDescription, gapAnalysis }
+    );
+    const timeLimits = assignTimeLimits(questions, config);
 
     // Create interview
     const interview = new Interview({
       userId: req.user._id,
       resumeId: resumeId,
       totalQuestions: questions.length,
+      questionGeneration: questionGeneration,
+      config: config,
+      jobDescription: jobDescription,
+      gapAnalysis: gapAnalysis,
+      followUps: {
+        enabled: Boolean(followUps?.enabled),
+        maxDepth: Math.min(3, Math.max(0, parseInt(followUps?.maxDepth, 10) || 1))
+      },
       status: 'pending'
     });
 
@@ -150,7 +179,13 @@ router.post('/create', auth, async (req, res) => {
         interviewId: interview._id,
         text: questions[i].question,
         category: questions[i].category,
-        order: i + 1
+        order: i + 1,
+        type: questions[i].type,
+        coding: questions[i].coding,
+        difficulty: questions[i].difficulty || config.difficulty,
+        timeLimit: timeLimits[i],
+        source: questions[i].source,
+        bankQuestionId: questions[i].bankQuestionId
       });
       await question.save();
       questionObjects.push(question);
@@ -165,12 +200,49 @@ router.post('/create', auth, async (req, res) => {
       interview: {
         id: interview._id,
         totalQuestions: interview.totalQuestions,
+        config: interview.config,
+        gapAnalysis: interview.gapAnalysis,
         status: interview.status
       }
     });
   } catch (error) {
     console.error('Create interview error:', error);
+    // An unreadable job description file (scanned PDF, empty or damaged file) is the client's to fix
+    if (error.name === 'ResumeFileError') {
+      return res.status(400).json({ message: `Could not use the job description file: ${error.message}` });
+    }
     res.status(500).json({ message: 'Failed to create interview' });
+  } finally {
+    // Only the extracted text is kept
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// Get job description match report
+router.get('/:id/gap-analysis', auth, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select('jobDescription gapAnalysis');
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    if (!interview.gapAnalysis?.generatedAt) {
+      return res.status(404).json({ message: 'No job description attached to this interview' });
+    }
+
+    res.json({
+      jobDescription: interview.jobDescription,
+      gapAnalysis: interview.gapAnalysis
+    });
+  } catch (error) {
+    console.error('Get gap analysis error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
@@ -221,14 +293,39 @@ router.get('/:id/current-question', auth, async (req, res) => {
       return res.json({ message: 'Interview completed', completed: true });
     }
 
+    // Serving the first question starts the interview, so the time budget runs from here
+    if (!interview.startTime) {
+      interview.status = 'in-progress';
+      interview.startTime = new Date();
+      await interview.save();
+    }
+
+    // Overall time budget: once spent, the remaining questions are skipped
+    let remainingBudgetSeconds = null;
+    if (interview.config?.totalTimeBudget && interview.startTime) {
+      const elapsed = Math.floor((Date.now() - interview.startTime.getTime()) / 1000);
+      remainingBudgetSeconds = Math.max(0, interview.config.totalTimeBudget - elapsed);
+      if (remainingBudgetSeconds === 0) {
+        interview.status = 'completed';
+        interview.endTime = new Date();
+        await interview.save();
+        return res.json({ message: 'Interview time budget exhausted', completed: true });
+      }
+    }
+
     const currentQuestion = interview.questions[interview.currentQuestionIndex];
     console.log('Current question:', currentQuestion);
     
+    // The question list can grow while answering, so progress is computed from the live list
     res.json({
       question: currentQuestion,
+      answerMode: interview.config?.answerMode || DEFAULT_CONFIG.answerMode,
       progress: {
         current: interview.currentQuestionIndex + 1,
-        total: interview.questions.length
+        total: interview.questions.length,
+        followUps: interview.questions.filter(q => q.parentQuestionId).length,
+        isFollowUp: Boolean(currentQuestion.parentQuestionId),
+        remainingBudgetSeconds
       }
     });
   } catch (error) {
@@ -237,13 +334,49 @@ router.get('/:id/current-question', auth, async (req, res) => {
   }
 });
 
+// Run code against a coding question's example tests without submitting
+router.post('/:id/questions/:questionId/run', auth, async (req, res) => {
+  try {
+    const { language, code } = req.body;
+
+    const interview = await Interview.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    const question = await Question.findOne({
+      _id: req.params.questionId,
+      interviewId: interview._id
+    });
+
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const invalid = codingService.validateSubmission(question, { language, code });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const run = await codingService.run(question, { language, code });
+    res.json({ run });
+  } catch (error) {
+    console.error('Run code error:', error);
+    res.status(500).json({ message: 'Failed to run code' });
+  }
+});
+
 // Submit answer
 router.post('/:id/submit-answer', auth, upload.fields([
   { name: 'audio', maxCount: 1 },
   { name: 'video', maxCount: 1 }
 ]), async (req, res) => {
   try {
-    const { transcript, questionId, duration } = req.body;
+    const { transcript, questionId, duration, code, language, answerMode: requestedMode } = req.body;
 
     const interview = await Interview.findOne({
       _id: req.params.id,
@@ -254,66 +387,117 @@ router.post('/:id/submit-answer', auth, upload.fields([
       return res.status(404).json({ message: 'Interview not found' });
     }
 
-    // Validate question belongs to this interview
+    // Validate question belongs to this interview; coding questions need their hidden tests for grading
     const question = await Question.findOne({
       _id: questionId,
       interviewId: interview._id
-    });
+    }).select('+coding.tests');
 
     if (!question) {
       return res.status(404).json({ message: 'Question not found' });
     }
 
-    // Build final transcript: prefer client transcript; otherwise transcribe audio server-side
+    const isCoding = question.type === 'coding';
+    if (isCoding) {
+      const invalid = codingService.validateSubmission(question, { language, code });
+      if (invalid) {
+        return res.status(400).json({ message: invalid });
+      }
+    }
+
+    // The candidate may switch modes per question; the interview's setting is the default
+    let answerMode = ANSWER_MODES.includes(requestedMode)
+      ? requestedMode
+      : interview.config?.answerMode || DEFAULT_CONFIG.answerMode;
+    if (isCoding) answerMode = 'code';
+
+    // Spoken answers go through the transcription pipeline; typed and coding answers are used as given
     let finalTranscript = (transcript || '').trim();
-    if (!finalTranscript && req.files?.audio?.[0]?.path) {
-      try {
-        finalTranscript = await aiService.transcribeAudio(req.files.audio[0].path);
-      } catch {}
+    let transcription;
+    let wavPath;
+    if (answerMode === 'voice') {
+      ({ text: finalTranscript, transcription, wavPath } = await transcriptionService.resolveTranscript({
+        clientTranscript: transcript,
+        audioPath: req.files?.audio?.[0]?.path,
+        keepWav: true
+      }));
     }
 
-    // Evaluate response using AI (with fallback)
-    let evaluation;
-    try {
-      evaluation = await aiService.evaluateResponse(finalTranscript || '(transcript unavailable)', question.text);
-    } catch (aiError) {
-      console.error('AI evaluation failed, using fallback:', aiError.message);
-      evaluation = {
-        technicalDepth: { score: 3, feedback: "Basic understanding shown" },
-        clarity: { score: 3, feedback: "Clear communication" },
-        confidence: { score: 3, feedback: "Moderate confidence" },
-        sentiment: "neutral",
-        flags: { reading: false, silence: false, irrelevant: false },
-        overallScore: 3.0
-      };
+    // Measured delivery (pace, fillers, pauses) for spoken answers; decides the silence/reading flags
+    let delivery;
+    if (answerMode === 'voice' && transcription.status !== 'failed' && transcription.status !== 'skipped') {
+      delivery = await speechMetrics.analyze({
+        transcript: finalTranscript,
+        words: transcription.words,
+        durationSeconds: transcription.durationSeconds ?? duration,
+        audioPath: req.files?.audio?.[0]?.path,
+        wavPath
+      });
+    }
+    if (wavPath) await fs.remove(wavPath).catch(() => {});
+
+    // Coding answers are graded by running the full test suite, on the rubric the interview uses
+    // for this kind of question
+    const rubric = rubricForQuestion(question, interview.config?.rubrics);
+    const codeRun = isCoding ? await codingService.run(question, { language, code }, { grade: true }) : undefined;
+    const scored = await answerEvaluation.evaluate({
+      question,
+      rubric,
+      answerMode,
+      transcript: finalTranscript,
+      transcription,
+      delivery,
+      code: isCoding ? { language, source: code } : undefined,
+      codeRun
+    });
+    const { evaluation, evaluationMeta } = scored;
+
+    // Behavioral answers are also broken down into Situation/Task/Action/Result
+    let star;
+    if (!isCoding && question.category === 'behavioral' && finalTranscript) {
+      const { analysis, meta } = await starAnalysis.analyze(finalTranscript, question.text);
+      star = { ...analysis, meta };
     }
 
-    // Basic video analysis placeholders (enhance later with real CV if needed)
-    const videoAnalysis = {
-      notes: 'Basic heuristic: ensure face visible and eyes on screen',
-      attentionLostSeconds: 0,
-      multipleFacesDetected: false,
-      noFaceDetected: false
-    };
+    // Face/attention events measured in the browser during recording
+    const videoAnalysis = answerMode === 'voice'
+      ? summarizeVideoAnalysis(req.body.videoAnalysis, { duration, hasVideo: Boolean(req.files?.video?.[0]) })
+      : undefined;
 
     // Create response
     const response = new Response({
       questionId: questionId,
-      transcript: finalTranscript || '(transcript unavailable)',
+      transcript: finalTranscript,
+      answerMode: answerMode,
+      transcription: transcription,
+      speechMetrics: delivery,
+      code: isCoding ? { language, source: code } : undefined,
+      codeRun: codeRun,
       audioPath: req.files?.audio?.[0]?.path,
       videoPath: req.files?.video?.[0]?.path,
-      evaluation: evaluation,
+      starAnalysis: star,
       videoAnalysis: videoAnalysis,
       duration: duration
     });
+    answerEvaluation.record(response, scored, 'submit');
 
     await response.save();
 
+    // Probe the answer with a follow-up if adaptive questioning is on
+    let followUp = null;
+    if (finalTranscript) {
+      try {
+        followUp = await followUpService.maybeAddFollowUp(interview, question, finalTranscript, evaluation);
+      } catch (followUpError) {
+        console.error('Follow-up generation failed:', followUpError.message);
+      }
+    }
+
     // Update interview
     interview.responses.push(response._id);
     interview.currentQuestionIndex += 1;
 
-    if (interview.currentQuestionIndex >= interview.totalQuestions) {
+    if (interview.currentQuestionIndex >= interview.questions.length) {
       interview.status = 'completed';
       interview.endTime = new Date();
     } else {
@@ -325,7 +509,11 @@ router.post('/:id/submit-answer', auth, upload.fields([
     res.json({
       message: 'Answer submitted successfully',
       evaluation: evaluation,
-      nextQuestion: interview.currentQuestionIndex < interview.totalQuestions,
+      evaluationMeta: evaluationMeta,
+      codeRun: codeRun,
+      nextQuestion: interview.currentQuestionIndex < interview.questions.length,
+      followUpAdded: Boolean(followUp),
+      totalQuestions: interview.questions.length,
       completed: interview.status === 'completed'
     });
   } catch (error) {
@@ -346,8 +534,9 @@ router.post('/:id/start', auth, async (req, res) => {
       return res.status(404).json({ message: 'Interview not found' });
     }
 
+    // Starting again does not reset the clock of an interview already under way
     interview.status = 'in-progress';
-    interview.startTime = new Date();
+    interview.startTime = interview.startTime || new Date();
     await interview.save();
 
     res.json({ message: 'Interview started successfully' });
@@ -362,7 +551,7 @@ router.get('/', auth, async (req, res) => {
   try {
     const interviews = await Interview.find({ userId: req.user._id })
       .populate('resumeId', 'fileName')
-      .select('status totalQuestions currentQuestionIndex startTime endTime createdAt')
+      .select('status mode totalQuestions currentQuestionIndex startTime endTime createdAt reportId jobDescription.title gapAnalysis.matchScore')
       .sort({ createdAt: -1 });
 
     res.json(interviews);
@@ -0,0 +1,134 @@
+const express = require('express');
+const Interview = require('../models/Interview');
+const Question = require('../models/Question');
+const Resume = require('../models/Resume');
+const PracticeTopic = require('../models/PracticeTopic');
+const auth = require('../middleware/auth');
+const practice = require('../services/practice');
+const resumeParser = require('../services/resumeParser');
+const { assignTimeLimits } = require('../services/interviewConfig');
+
+const router = express.Router();
+
+const topicEntry = (topic, now = new Date()) => ({
+  id: topic._id,
+  kind: topic.kind,
+  name: topic.name,
+  mastery: topic.mastery,
+  dueAt: topic.dueAt,
+  due: topic.dueAt <= now,
+  intervalDays: topic.intervalDays,
+  reviews: topic.reviews,
+  lastScore: topic.lastScore,
+  lastReviewedAt: topic.lastReviewedAt,
+  history: topic.history
+});
+
+// Practice topics with their mastery and next review, soonest due first
+router.get('/', auth, async (req, res) => {
+  try {
+    await practice.sync(req.user._id);
+    const topics = await PracticeTopic.find({ userId: req.user._id }).sort({ dueAt: 1 });
+    const now = new Date();
+
+    res.json({
+      topics: topics.map(t => topicEntry(t, now)),
+      dueCount: topics.filter(t => t.dueAt <= now).length,
+      drillSize: practice.drillSize()
+    });
+  } catch (error) {
+    console.error('Get practice topics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a drill: a short interview on the due and weakest topics. Uses `resumeId`, or the resume
+// of the latest completed interview.
+router.post('/drills', auth, async (req, res) => {
+  try {
+    await practice.sync(req.user._id);
+    const topics = await PracticeTopic.find({ userId: req.user._id });
+
+    if (topics.length === 0) {
+      return res.status(400).json({ message: 'Complete an interview first so drills can target your weak areas' });
+    }
+
+    let resumeId = req.body?.resumeId;
+    if (!resumeId) {
+      const latest = await Interview.findOne({ userId: req.user._id, status: 'completed' })
+        .sort({ endTime: -1, createdAt: -1 })
+        .select('resumeId');
+      resumeId = latest?.resumeId;
+    }
+    const resume = resumeId && await Resume.findOne({
+      _id: resumeId,
+      userId: req.user._id
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    // Prefer bank questions the user has not been asked before
+    const past = await Interview.find({ userId: req.user._id }).select('_id');
+    const asked = new Set(await Question.distinct('text', { interviewId: { $in: past.map(i => i._id) } }));
+
+    const selected = practice.pickTopics(topics, practice.drillSize(req.body?.size));
+    const { questions, config, meta } = await practice.buildDrill(resumeParser.trustedData(resume), selected, {
+      difficulty: req.body?.difficulty,
+      answerMode: req.body?.answerMode,
+      exclude: asked
+    });
+    const timeLimits = assignTimeLimits(questions, config);
+
+    const interview = new Interview({
+      userId: req.user._id,
+      resumeId: resume._id,
+      mode: 'drill',
+      totalQuestions: questions.length,
+      questionGeneration: meta,
+      config: config,
+      status: 'pending'
+    });
+
+    await interview.save();
+
+    const questionObjects = [];
+    for (let i = 0; i < questions.length; i++) {
+      const question = new Question({
+        interviewId: interview._id,
+        text: questions[i].question,
+        category: questions[i].category,
+        order: i + 1,
+        type: questions[i].type,
+        coding: questions[i].coding,
+        difficulty: questions[i].difficulty || config.difficulty,
+        timeLimit: timeLimits[i],
+        source: questions[i].source,
+        bankQuestionId: questions[i].bankQuestionId
+      });
+      await question.save();
+      questionObjects.push(question);
+    }
+
+    interview.questions = questionObjects.map(q => q._id);
+    interview.drillTopics = questions.map((q, i) => ({ ...q.topic, questionId: questionObjects[i]._id }));
+    await interview.save();
+
+    res.status(201).json({
+      message: 'Drill created successfully',
+      interview: {
+        id: interview._id,
+        totalQuestions: interview.totalQuestions,
+        mode: interview.mode,
+        topics: interview.drillTopics.map(t => ({ kind: t.kind, name: t.name })),
+        status: interview.status
+      }
+    });
+  } catch (error) {
+    console.error('Create drill error:', error);
+    res.status(500).json({ message: 'Failed to create drill' });
+  }
+});
+
+module.exports = router;
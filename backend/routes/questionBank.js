@@ -0,0 +1,158 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const BankQuestion = require('../models/BankQuestion');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const questionBank = require('../services/questionBank');
+const skillTaxonomy = require('../services/skillTaxonomy');
+
+const router = express.Router();
+
+// Imports are small text files, kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.json', '.csv'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON and CSV files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  }
+});
+
+router.use(auth, admin);
+
+// List questions with optional filters
+router.get('/', async (req, res) => {
+  try {
+    const { category, difficulty, skill, tag, q, active } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+
+    const filter = {};
+    if (category) filter.category = category;
+    if (difficulty) filter.difficulty = difficulty;
+    if (skill) filter.skills = skillTaxonomy.key(skill);
+    if (tag) filter.tags = String(tag).toLowerCase();
+    if (active !== undefined) filter.active = active === 'true';
+    if (q) filter.$text = { $search: String(q) };
+
+    const [questions, total] = await Promise.all([
+      BankQuestion.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      BankQuestion.countDocuments(filter)
+    ]);
+
+    res.json({ questions, total, page, limit });
+  } catch (error) {
+    console.error('List bank questions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export the whole bank as JSON or CSV
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const questions = await BankQuestion.find().sort({ category: 1, createdAt: 1 });
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="question-bank.${format}"`);
+    res.send(questionBank.exportQuestions(questions, format));
+  } catch (error) {
+    console.error('Export bank questions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import from an uploaded JSON/CSV file or a JSON body ({ questions: [...] })
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    let rawQuestions;
+    try {
+      if (req.file) {
+        const format = path.extname(req.file.originalname).toLowerCase() === '.csv' ? 'csv' : 'json';
+        rawQuestions = questionBank.parseImport(req.file.buffer.toString('utf8'), format);
+      } else {
+        rawQuestions = questionBank.parseImport(req.body, 'json');
+      }
+    } catch (parseError) {
+      return res.status(400).json({ message: `Invalid import file: ${parseError.message}` });
+    }
+
+    const result = await questionBank.importQuestions(rawQuestions, req.user._id);
+    res.status(201).json({ message: 'Import finished', ...result });
+  } catch (error) {
+    console.error('Import bank questions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one question
+router.get('/:id', async (req, res) => {
+  try {
+    const question = await BankQuestion.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.json(question);
+  } catch (error) {
+    console.error('Get bank question error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create question
+router.post('/', async (req, res) => {
+  try {
+    const { value, errors } = questionBank.validate(req.body);
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid question', errors });
+    }
+
+    const question = await BankQuestion.create({ ...value, createdBy: req.user._id });
+    res.status(201).json(question);
+  } catch (error) {
+    console.error('Create bank question error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update question
+router.put('/:id', async (req, res) => {
+  try {
+    const { value, errors } = questionBank.validate(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid question', errors });
+    }
+
+    const question = await BankQuestion.findByIdAndUpdate(req.params.id, value, { new: true });
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.json(question);
+  } catch (error) {
+    console.error('Update bank question error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete question
+router.delete('/:id', async (req, res) => {
+  try {
+    const question = await BankQuestion.findByIdAndDelete(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.json({ message: 'Question deleted successfully' });
+  } catch (error) {
+    console.error('Delete bank question error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
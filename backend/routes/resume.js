@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
@@ -6,6 +7,9 @@ const Resume = require('../models/Resume');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const resumeParser = require('../services/resumeParser');
+const resumeEditor = require('../services/resumeEditor');
+const resumeVersions = require('../services/resumeVersions');
+const skillTaxonomy = require('../services/skillTaxonomy');
 const aiService = require('../services/aiService');
 
 const router = express.Router();
@@ -26,15 +30,10 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (resumeParser.fileFormat(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and DOCX files are allowed'), false);
+      cb(new Error(`Only ${resumeParser.formatNames()} files are allowed`), false);
     }
   },
   limits: {
@@ -42,7 +41,14 @@ const upload = multer({
   }
 });
 
-// Upload and parse resume
+const versionEntry = (resume, version) => ({
+  id: resume._id,
+  version,
+  fileName: resume.fileName,
+  createdAt: resume.createdAt
+});
+
+// Upload and parse resume. `versionOf` (a resume id) uploads it as a new version of that resume.
 router.post('/upload', auth, upload.single('resume'), async (req, res) => {
   try {
     if (!req.file) {
@@ -52,31 +58,46 @@ router.post('/upload', auth, upload.single('resume'), async (req, res) => {
     // Validate file
     resumeParser.validateFile(req.file);
 
+    let lineageId;
+    if (req.body?.versionOf) {
+      const previous = await Resume.findOne({ _id: req.body.versionOf, userId: req.user._id });
+      if (!previous) {
+        await fs.remove(req.file.path);
+        return res.status(404).json({ message: 'Resume not found' });
+      }
+      lineageId = resumeVersions.lineageOf(previous);
+    }
+
     // Parse the file
-    const resumeText = await resumeParser.parseFile(req.file.path, req.file.mimetype);
+    const resumeText = await resumeParser.parseFile(req.file.path, resumeParser.fileFormat(req.file));
 
     // Use AI to extract structured data; if it fails, use heuristic parsing
     let parsedData;
+    let parseMeta;
+    let fieldConfidence;
     try {
       parsedData = await aiService.parseResume(resumeText);
+      parseMeta = aiService.resultMeta();
+      fieldConfidence = resumeParser.locateFields(parsedData, resumeText);
     } catch (aiError) {
       console.error('AI parsing failed, using heuristic fallback:', aiError.message);
-      parsedData = resumeParser.extractStructuredFallback(resumeText);
-    }
-
-    // Ensure we have valid data structure
-    if (!parsedData || !parsedData.skills || !Array.isArray(parsedData.skills)) {
-      parsedData = resumeParser.extractStructuredFallback(resumeText);
+      ({ parsedData, fieldConfidence } = resumeParser.extractStructuredFallback(resumeText));
+      parseMeta = aiService.resultMeta(aiError);
     }
+    // Store skills and technologies under their canonical names, e.g. "nodejs" -> "Node.js"
+    ({ parsedData, fieldConfidence } = skillTaxonomy.normalizeParsedData(parsedData, fieldConfidence));
 
     // Save to database
     const resume = new Resume({
       userId: req.user._id,
       originalText: resumeText,
       parsedData: parsedData,
+      fieldConfidence: fieldConfidence,
+      parseMeta: parseMeta,
       filePath: req.file.path,
       fileName: req.file.originalname
     });
+    resume.lineageId = lineageId || resume._id;
 
     await resume.save();
 
@@ -91,7 +112,10 @@ router.post('/upload', auth, upload.single('resume'), async (req, res) => {
       resume: {
         id: resume._id,
         fileName: resume.fileName,
-        parsedData: resume.parsedData
+        lineageId: resume.lineageId,
+        parsedData: resume.parsedData,
+        fieldConfidence: resume.fieldConfidence,
+        parseMeta: resume.parseMeta
       }
     });
   } catch (error) {
@@ -102,18 +126,21 @@ router.post('/upload', auth, upload.single('resume'), async (req, res) => {
       await fs.remove(req.file.path);
     }
     
-    res.status(500).json({ message: error.message || 'Failed to upload resume' });
+    // Problems with the file itself (unsupported, unreadable, scanned PDF) are the client's to fix
+    const status = error.name === 'ResumeFileError' ? 400 : 500;
+    res.status(status).json({ message: error.message || 'Failed to upload resume' });
   }
 });
 
-// Get user's resumes
+// Get user's resumes, each with its lineage, version number and the lineage's version count
 router.get('/', auth, async (req, res) => {
   try {
     const resumes = await Resume.find({ userId: req.user._id })
-      .select('fileName parsedData createdAt')
+      .select('fileName lineageId parsedData fieldConfidence corrections parseMeta createdAt')
       .sort({ createdAt: -1 });
+    const versions = resumeVersions.number(resumes);
 
-    res.json(resumes);
+    res.json(resumes.map(resume => ({ ...resume.toObject(), ...versions.get(String(resume._id)) })));
   } catch (error) {
     console.error('Get resumes error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -139,6 +166,169 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Versions in the resume's lineage, oldest first, each with what changed from the one before
+router.get('/:id/versions', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const lineageId = resumeVersions.lineageOf(resume);
+    const members = await resumeVersions.members(req.user._id, lineageId);
+
+    res.json({
+      lineageId,
+      versions: members.map((member, i) => ({
+        ...versionEntry(member, i + 1),
+        changes: i > 0 ? resumeVersions.diff(members[i - 1].parsedData, member.parsedData) : null
+      }))
+    });
+  } catch (error) {
+    console.error('Get resume versions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Parsed data changes from `?against=<resumeId>` (by default the previous version) to this resume
+router.get('/:id/diff', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const members = await resumeVersions.members(req.user._id, resumeVersions.lineageOf(resume));
+    const index = members.findIndex(m => String(m._id) === String(resume._id));
+    let base;
+    if (req.query.against) {
+      base = await Resume.findOne({ _id: req.query.against, userId: req.user._id });
+      if (!base) {
+        return res.status(404).json({ message: 'Resume to compare against not found' });
+      }
+    } else {
+      base = members[index - 1];
+      if (!base) {
+        return res.status(400).json({ message: 'This is the first version; choose a resume to compare against' });
+      }
+    }
+    const baseIndex = members.findIndex(m => String(m._id) === String(base._id));
+
+    res.json({
+      from: versionEntry(base, baseIndex === -1 ? null : baseIndex + 1),
+      to: versionEntry(resume, index + 1),
+      changes: resumeVersions.diff(base.parsedData, resume.parsedData)
+    });
+  } catch (error) {
+    console.error('Diff resumes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a resume into the lineage of `versionOf` (a resume id), or into a lineage of its own when it is null
+router.patch('/:id/lineage', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const versionOf = req.body?.versionOf;
+    if (versionOf && String(versionOf) === String(resume._id)) {
+      return res.status(400).json({ message: 'A resume cannot be a version of itself' });
+    }
+
+    if (versionOf) {
+      const other = await Resume.findOne({ _id: versionOf, userId: req.user._id });
+      if (!other) {
+        return res.status(404).json({ message: 'Resume not found' });
+      }
+      // Resumes from before lineages existed get theirs recorded first
+      if (!other.lineageId) {
+        other.lineageId = other._id;
+        await other.save();
+      }
+      resume.lineageId = other.lineageId;
+    } else {
+      // A new id, since other versions may still share this resume's own id as their lineage
+      resume.lineageId = new mongoose.Types.ObjectId();
+    }
+    await resume.save();
+
+    const members = await resumeVersions.members(req.user._id, resume.lineageId);
+    res.json({
+      message: 'Resume versions updated',
+      lineageId: resume.lineageId,
+      versions: members.map((member, i) => versionEntry(member, i + 1))
+    });
+  } catch (error) {
+    console.error('Update resume lineage error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit parsed data: `parsedData` holds the edited sections (PUT replaces all of them, PATCH only those
+// sent) and `confirmed` the paths of uncertain values the user checked and kept
+async function updateParsedData(req, res, partial) {
+  try {
+    const { value, errors } = resumeEditor.validate(req.body?.parsedData, { partial });
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid resume data', errors });
+    }
+    const { parsedData: edits } = skillTaxonomy.normalizeParsedData(value);
+
+    const resume = await Resume.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const current = resume.toObject();
+    const edited = resumeEditor.applyEdits(current.parsedData || {}, edits, {
+      fieldConfidence: current.fieldConfidence,
+      corrections: current.corrections,
+      confirmed: Array.isArray(req.body?.confirmed) ? req.body.confirmed.map(String) : []
+    });
+    resume.parsedData = edited.parsedData;
+    resume.fieldConfidence = edited.fieldConfidence;
+    resume.corrections = edited.corrections;
+    await resume.save();
+
+    res.json({
+      message: 'Resume updated successfully',
+      resume: {
+        id: resume._id,
+        fileName: resume.fileName,
+        parsedData: resume.parsedData,
+        fieldConfidence: resume.fieldConfidence,
+        corrections: resume.corrections,
+        parseMeta: resume.parseMeta
+      }
+    });
+  } catch (error) {
+    console.error('Update resume error:', error);
+    res.status(500).json({ message: 'Failed to update resume' });
+  }
+}
+
+router.put('/:id/parsed-data', auth, (req, res) => updateParsedData(req, res, false));
+router.patch('/:id/parsed-data', auth, (req, res) => updateParsedData(req, res, true));
+
 // Delete resume
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -0,0 +1,266 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const Interview = require('../models/Interview');
+const Response = require('../models/Response');
+const Report = require('../models/Report');
+const ShareLink = require('../models/ShareLink');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { evaluationScores } = require('../services/rubrics');
+
+const router = express.Router();
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECORDING_KINDS = { audio: 'audioPath', video: 'videoPath' };
+
+// Filter matching links that can still be opened
+const activeFilter = () => ({ revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } });
+
+function linkStatus(link) {
+  if (link.revokedAt) return 'revoked';
+  return link.expiresAt > new Date() ? 'active' : 'expired';
+}
+
+// Link as listed to its owner
+const linkEntry = (link) => ({
+  id: link._id,
+  interviewId: link.interviewId,
+  reportId: link.reportId?._id || link.reportId,
+  reportVersion: link.reportId?.version,
+  token: link.token,
+  includeTranscripts: link.includeTranscripts,
+  includeRecordings: link.includeRecordings,
+  status: linkStatus(link),
+  views: link.views,
+  lastViewedAt: link.lastViewedAt,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  createdAt: link.createdAt
+});
+
+// Explains why a token cannot be opened, or null when it can
+async function unavailableReason(token) {
+  const link = await ShareLink.findOne({ token }).select('revokedAt expiresAt');
+  if (!link) return { status: 404, message: 'Share link not found' };
+  if (link.revokedAt) return { status: 410, message: 'This share link has been revoked' };
+  if (link.expiresAt <= new Date()) return { status: 410, message: 'This share link has expired' };
+  return null;
+}
+
+// Per-dimension feedback routinely quotes the answer, so it is only shared along with transcripts
+function sharedEvaluation(evaluation, includeTranscripts) {
+  const scores = evaluationScores(evaluation);
+  if (includeTranscripts) return { ...evaluation, scores };
+  // The fixed dimensions of evaluations made before rubrics carry feedback too; their scores are in `scores`
+  const { technicalDepth, clarity, confidence, ...rest } = evaluation;
+  return { ...rest, scores: scores.map(({ feedback, ...score }) => score) };
+}
+
+// Answer as shown on the shared page; transcripts, code and recordings only when the link includes them
+function sharedResponse(response, link) {
+  const stored = response.toObject();
+  const entry = {
+    responseId: response._id,
+    question: response.questionId.text,
+    category: response.questionId.category,
+    type: response.questionId.type,
+    isFollowUp: Boolean(response.questionId.parentQuestionId),
+    answerMode: response.answerMode,
+    evaluation: typeof stored.evaluation?.overallScore === 'number'
+      ? sharedEvaluation(stored.evaluation, link.includeTranscripts)
+      : undefined,
+    evaluationSource: response.evaluationMeta?.source,
+    duration: response.duration
+  };
+  if (link.includeTranscripts) {
+    entry.transcript = response.transcript;
+    entry.code = response.code?.source ? { language: response.code.language, source: response.code.source } : undefined;
+    entry.codeRun = response.codeRun?.status
+      ? { status: response.codeRun.status, passed: response.codeRun.passed, total: response.codeRun.total }
+      : undefined;
+    entry.starAnalysis = response.starAnalysis?.components ? stored.starAnalysis : undefined;
+  }
+  if (link.includeRecordings) {
+    entry.recordings = { audio: Boolean(response.audioPath), video: Boolean(response.videoPath) };
+  }
+  return entry;
+}
+
+// Create a share link for the interview's latest report
+router.post('/', auth, async (req, res) => {
+  try {
+    const { interviewId, includeTranscripts = true, includeRecordings = false } = req.body || {};
+    const interview = await Interview.findOne({
+      _id: interviewId,
+      userId: req.user._id
+    });
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    const report = interview.reportId
+      ? await Report.findById(interview.reportId)
+      : await Report.findOne({ interviewId: interview._id }).sort({ createdAt: -1 });
+
+    if (!report) {
+      return res.status(400).json({ message: 'Generate the report before sharing it' });
+    }
+
+    const days = Math.min(MAX_EXPIRY_DAYS, Math.max(1, parseInt(req.body?.expiresInDays, 10) || DEFAULT_EXPIRY_DAYS));
+    const link = await ShareLink.create({
+      userId: req.user._id,
+      interviewId: interview._id,
+      reportId: report._id,
+      token: crypto.randomBytes(24).toString('base64url'),
+      includeTranscripts: includeTranscripts === true,
+      includeRecordings: includeRecordings === true,
+      expiresAt: new Date(Date.now() + days * DAY_MS)
+    });
+    await link.populate('reportId', 'version');
+
+    res.status(201).json({ message: 'Share link created', link: linkEntry(link) });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ message: 'Failed to create share link' });
+  }
+});
+
+// The user's active share links (`?all=true` adds expired and revoked ones), optionally for one interview
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.interviewId) filter.interviewId = req.query.interviewId;
+    if (req.query.all !== 'true') Object.assign(filter, activeFilter());
+
+    const links = await ShareLink.find(filter)
+      .populate('reportId', 'version')
+      .sort({ createdAt: -1 });
+
+    res.json(links.map(linkEntry));
+  } catch (error) {
+    console.error('List share links error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a link; it stays in the audit list with its view count
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).populate('reportId', 'version');
+
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({ message: 'Share link revoked', link: linkEntry(link) });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public read-only view of a shared report; every successful load counts as a view
+router.get('/view/:token', async (req, res) => {
+  try {
+    const link = await ShareLink.findOneAndUpdate(
+      { token: req.params.token, ...activeFilter() },
+      { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!link) {
+      const reason = await unavailableReason(req.params.token);
+      return res.status(reason?.status || 404).json({ message: reason?.message || 'Share link not found' });
+    }
+
+    const [interview, report, user] = await Promise.all([
+      Interview.findById(link.interviewId).select('questions totalQuestions startTime createdAt jobDescription.title'),
+      Report.findById(link.reportId),
+      User.findById(link.userId).select('name')
+    ]);
+
+    if (!interview || !report) {
+      return res.status(404).json({ message: 'The shared report no longer exists' });
+    }
+
+    const responses = await Response.find({
+      questionId: { $in: interview.questions }
+    }).populate('questionId');
+
+    // Per-question assessments paraphrase the answers, so they go with the transcripts
+    const { perQuestion, ...summary } = report.toObject().summary || {};
+
+    res.json({
+      candidate: user?.name,
+      interview: {
+        date: interview.startTime || interview.createdAt,
+        jobTitle: interview.jobDescription?.title,
+        totalQuestions: interview.totalQuestions
+      },
+      report: {
+        version: report.version,
+        createdAt: report.createdAt,
+        summary: link.includeTranscripts ? { ...summary, perQuestion } : summary,
+        scores: report.scores,
+        flags: report.flags,
+        coding: report.coding,
+        aiSource: report.aiMeta?.source
+      },
+      responses: responses.map(response => sharedResponse(response, link)),
+      link: {
+        expiresAt: link.expiresAt,
+        includeTranscripts: link.includeTranscripts,
+        includeRecordings: link.includeRecordings
+      }
+    });
+  } catch (error) {
+    console.error('View shared report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stream an answer's audio or video recording, when the link includes recordings
+router.get('/view/:token/recordings/:responseId/:kind', async (req, res) => {
+  try {
+    const field = RECORDING_KINDS[req.params.kind];
+    const link = await ShareLink.findOne({ token: req.params.token, ...activeFilter() });
+
+    if (!link) {
+      const reason = await unavailableReason(req.params.token);
+      return res.status(reason?.status || 404).json({ message: reason?.message || 'Share link not found' });
+    }
+
+    if (!link.includeRecordings || !field) {
+      return res.status(404).json({ message: 'Recording not found' });
+    }
+
+    const interview = await Interview.findById(link.interviewId).select('questions');
+    const response = interview && await Response.findOne({
+      _id: req.params.responseId,
+      questionId: { $in: interview.questions }
+    }).select(field);
+
+    if (!response?.[field] || !(await fs.pathExists(response[field]))) {
+      return res.status(404).json({ message: 'Recording not found' });
+    }
+
+    res.sendFile(response[field]);
+  } catch (error) {
+    console.error('Shared recording error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
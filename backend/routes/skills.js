@@ -0,0 +1,54 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const skillTaxonomy = require('../services/skillTaxonomy');
+
+const router = express.Router();
+
+// Browse the taxonomy, optionally by category or matching `q` by name or alias
+router.get('/', auth, async (req, res) => {
+  try {
+    await skillTaxonomy.load();
+    const { category, q } = req.query;
+    res.json({
+      categories: skillTaxonomy.categories(),
+      skills: skillTaxonomy.browse({ category, q })
+    });
+  } catch (error) {
+    console.error('List skills error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a skill, or aliases to an existing one
+router.post('/', auth, admin, async (req, res) => {
+  try {
+    await skillTaxonomy.load();
+    const { value, errors } = skillTaxonomy.validate(req.body);
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid skill', errors });
+    }
+
+    const skill = await skillTaxonomy.extend(value, req.user._id);
+    res.status(201).json(skill);
+  } catch (error) {
+    console.error('Add skill error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a custom skill or the aliases added to a built-in one
+router.delete('/:id', auth, admin, async (req, res) => {
+  try {
+    const skill = await skillTaxonomy.remove(req.params.id);
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found' });
+    }
+    res.json({ message: 'Skill removed successfully' });
+  } catch (error) {
+    console.error('Remove skill error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
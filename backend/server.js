@@ -9,6 +9,14 @@ const authRoutes = require('./routes/auth');
 const resumeRoutes = require('./routes/resume');
 const interviewRoutes = require('./routes/interview');
 const evaluationRoutes = require('./routes/evaluation');
+const questionBankRoutes = require('./routes/questionBank');
+const shareRoutes = require('./routes/share');
+const analyticsRoutes = require('./routes/analytics');
+const practiceRoutes = require('./routes/practice');
+const skillRoutes = require('./routes/skills');
+const aiService = require('./services/aiService');
+const transcriptionService = require('./services/transcription');
+const skillTaxonomy = require('./services/skillTaxonomy');
 
 const app = express();
 
@@ -22,19 +30,26 @@ mongoose
   .connect(MONGODB_URI, { dbName: process.env.DB_NAME || undefined })
   .then(() => {
     console.log('✅ Connected to MongoDB');
+    // Custom skills extend the built-in taxonomy; without them only built-in skills are recognised
+    skillTaxonomy.load().catch((err) => console.error('❌ Failed to load custom skills:', err.message));
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err.message);
   });
 
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok' });
+  res.json({ status: 'ok', ai: aiService.describe(), transcription: transcriptionService.describe() });
 });
 
 app.use('/api/auth', authRoutes);
 app.use('/api/resume', resumeRoutes);
 app.use('/api/interview', interviewRoutes);
 app.use('/api/evaluation', evaluationRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/practice', practiceRoutes);
+app.use('/api/skills', skillRoutes);
 
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -0,0 +1,389 @@
+// Schemas for the JSON each AI task must return.
+// normalize() coerces recoverable problems (out-of-range scores, unknown enum values, missing
+// optional fields) and reports anything it cannot fix in `errors`, which triggers a repair round.
+
+const { buildEvaluation } = require('./rubrics');
+
+class AIOutputError extends Error {
+  constructor(task, errors) {
+    super(`Invalid ${task} output: ${errors.join('; ')}`);
+    this.name = 'AIOutputError';
+    this.task = task;
+    this.errors = errors;
+  }
+}
+
+const QUESTION_CATEGORIES = ['technical', 'project', 'internship', 'experience', 'behavioral'];
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const STAR_COMPONENTS = ['situation', 'task', 'action', 'result'];
+const STAR_STRENGTHS = ['strong', 'weak', 'missing'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Tracks fixes applied while normalizing so they can be logged
+function createContext() {
+  return { errors: [], adjustments: [] };
+}
+
+function toStr(value, path, ctx, fallback = '') {
+  if (typeof value === 'string') return value.trim();
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    ctx.adjustments.push(`${path}: coerced to string`);
+    return String(value);
+  }
+  ctx.adjustments.push(`${path}: replaced non-string value`);
+  return fallback;
+}
+
+function toStrArray(value, path, ctx) {
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'string') {
+    ctx.adjustments.push(`${path}: split string into list`);
+    return value.split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(value)) {
+    ctx.adjustments.push(`${path}: replaced non-array value`);
+    return [];
+  }
+  return value
+    .map((v, i) => toStr(v, `${path}[${i}]`, ctx))
+    .filter(Boolean);
+}
+
+function toBool(value, path, ctx) {
+  if (typeof value === 'boolean') return value;
+  if (value === undefined || value === null) return false;
+  ctx.adjustments.push(`${path}: coerced to boolean`);
+  return value === 'true' || value === 1 || value === 'yes';
+}
+
+// Accepts numbers and strings like "4", "4/5" or "80%"; returns null when no number can be read
+function toNumber(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value !== 'string') return null;
+  const fraction = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/);
+  if (fraction) return (Number(fraction[1]) / Number(fraction[2])) * 5;
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function clamp(value, min, max, path, ctx) {
+  if (value < min || value > max) {
+    ctx.adjustments.push(`${path}: clamped ${value} to [${min}, ${max}]`);
+    return Math.min(max, Math.max(min, value));
+  }
+  return value;
+}
+
+function toEnum(value, allowed, aliases, fallback, path, ctx) {
+  const key = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (allowed.includes(key)) return key;
+  if (aliases[key]) {
+    ctx.adjustments.push(`${path}: mapped "${value}" to "${aliases[key]}"`);
+    return aliases[key];
+  }
+  ctx.adjustments.push(value === undefined
+    ? `${path}: missing, defaulted to "${fallback}"`
+    : `${path}: unknown value "${value}", defaulted to "${fallback}"`);
+  return fallback;
+}
+
+function toObjectArray(value, path, ctx, mapItem) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    ctx.adjustments.push(`${path}: replaced non-array value`);
+    return [];
+  }
+  return value
+    .map((item, i) => {
+      if (!isObject(item)) {
+        ctx.adjustments.push(`${path}[${i}]: dropped non-object entry`);
+        return null;
+      }
+      return mapItem(item, `${path}[${i}]`);
+    })
+    .filter(Boolean);
+}
+
+// --- Resume.parsedData ---
+function normalizeResume(raw, ctx) {
+  if (!isObject(raw)) {
+    ctx.errors.push('expected a JSON object');
+    return null;
+  }
+  return {
+    skills: Array.from(new Set(toStrArray(raw.skills, 'skills', ctx))),
+    projects: toObjectArray(raw.projects, 'projects', ctx, (p, path) => ({
+      title: toStr(p.title, `${path}.title`, ctx),
+      description: toStr(p.description, `${path}.description`, ctx),
+      techStack: toStrArray(p.techStack, `${path}.techStack`, ctx),
+      duration: toStr(p.duration, `${path}.duration`, ctx),
+      role: toStr(p.role, `${path}.role`, ctx)
+    })),
+    internships: toObjectArray(raw.internships, 'internships', ctx, (p, path) => ({
+      company: toStr(p.company, `${path}.company`, ctx),
+      role: toStr(p.role, `${path}.role`, ctx),
+      tasks: toStrArray(p.tasks, `${path}.tasks`, ctx),
+      technologies: toStrArray(p.technologies, `${path}.technologies`, ctx),
+      duration: toStr(p.duration, `${path}.duration`, ctx)
+    })),
+    education: toObjectArray(raw.education, 'education', ctx, (p, path) => ({
+      degree: toStr(p.degree, `${path}.degree`, ctx),
+      institution: toStr(p.institution, `${path}.institution`, ctx),
+      years: toStr(p.years, `${path}.years`, ctx),
+      gpa: toStr(p.gpa, `${path}.gpa`, ctx)
+    })),
+    experience: toObjectArray(raw.experience, 'experience', ctx, (p, path) => ({
+      company: toStr(p.company, `${path}.company`, ctx),
+      role: toStr(p.role, `${path}.role`, ctx),
+      duration: toStr(p.duration, `${path}.duration`, ctx),
+      responsibilities: toStrArray(p.responsibilities, `${path}.responsibilities`, ctx),
+      technologies: toStrArray(p.technologies, `${path}.technologies`, ctx)
+    }))
+  };
+}
+
+// --- Generated questions ---
+const CATEGORY_ALIASES = {
+  tech: 'technical',
+  skills: 'technical',
+  skill: 'technical',
+  projects: 'project',
+  internships: 'internship',
+  work: 'experience',
+  'work experience': 'experience',
+  behaviour: 'behavioral',
+  behavioural: 'behavioral',
+  situational: 'behavioral',
+  hr: 'behavioral'
+};
+
+function normalizeQuestions(raw, ctx) {
+  // Some models wrap the list: {"questions": [...]}
+  if (isObject(raw) && Array.isArray(raw.questions)) {
+    ctx.adjustments.push('unwrapped "questions" property');
+    raw = raw.questions;
+  }
+  if (!Array.isArray(raw)) {
+    ctx.errors.push('expected a JSON array of questions');
+    return null;
+  }
+  const questions = toObjectArray(raw, 'questions', ctx, (q, path) => {
+    const text = toStr(q.question ?? q.text, `${path}.question`, ctx);
+    if (!text) {
+      ctx.adjustments.push(`${path}: dropped question without text`);
+      return null;
+    }
+    return {
+      category: toEnum(q.category, QUESTION_CATEGORIES, CATEGORY_ALIASES, 'behavioral', `${path}.category`, ctx),
+      question: text
+    };
+  });
+  if (questions.length === 0) {
+    ctx.errors.push('no usable questions');
+    return null;
+  }
+  return questions;
+}
+
+// --- Response.evaluation ---
+const SENTIMENT_ALIASES = {
+  mixed: 'neutral',
+  neutral_positive: 'positive',
+  'slightly positive': 'positive',
+  'slightly negative': 'negative',
+  good: 'positive',
+  bad: 'negative'
+};
+
+function normalizeScore(value, path, ctx) {
+  const num = toNumber(value);
+  if (num === null) return null;
+  return clamp(Math.round(num * 10) / 10, 0, 5, path, ctx);
+}
+
+// Scores are expected for every dimension of the rubric the answer is scored with;
+// the overall score is always the rubric's weighted mean, never the model's own figure
+function normalizeEvaluation(raw, ctx, { rubric }) {
+  if (!isObject(raw)) {
+    ctx.errors.push('expected a JSON object');
+    return null;
+  }
+  const scores = isObject(raw.scores) ? raw.scores : raw;
+  const dimensionScores = {};
+  for (const { key } of rubric.dimensions) {
+    // Accept both {"score": 4, "feedback": ".."} and a bare number
+    const entry = isObject(scores[key]) ? scores[key] : { score: scores[key] };
+    const score = normalizeScore(entry.score, `scores.${key}.score`, ctx);
+    if (score === null) {
+      ctx.errors.push(`scores.${key}.score must be a number between 0 and 5`);
+      continue;
+    }
+    dimensionScores[key] = { score, feedback: toStr(entry.feedback, `scores.${key}.feedback`, ctx) };
+  }
+  if (ctx.errors.length) return null;
+
+  const flags = isObject(raw.flags) ? raw.flags : {};
+  return buildEvaluation(rubric, dimensionScores, {
+    sentiment: toEnum(raw.sentiment, SENTIMENTS, SENTIMENT_ALIASES, 'neutral', 'sentiment', ctx),
+    flags: {
+      reading: toBool(flags.reading, 'flags.reading', ctx),
+      silence: toBool(flags.silence, 'flags.silence', ctx),
+      irrelevant: toBool(flags.irrelevant, 'flags.irrelevant', ctx)
+    }
+  });
+}
+
+// --- Final report narrative ---
+function normalizeReport(raw, ctx) {
+  if (!isObject(raw)) {
+    ctx.errors.push('expected a JSON object');
+    return null;
+  }
+  const out = {
+    summary: toStr(raw.summary, 'summary', ctx),
+    strengths: toStrArray(raw.strengths, 'strengths', ctx),
+    weaknesses: toStrArray(raw.weaknesses, 'weaknesses', ctx),
+    recommendations: toStrArray(raw.recommendations, 'recommendations', ctx),
+    perQuestion: toObjectArray(raw.perQuestion, 'perQuestion', ctx, (p, path) => ({
+      question: toStr(p.question, `${path}.question`, ctx),
+      assessment: toStr(p.assessment, `${path}.assessment`, ctx)
+    }))
+  };
+  if (!out.summary && out.strengths.length === 0 && out.weaknesses.length === 0) {
+    ctx.errors.push('report must include a summary, strengths or weaknesses');
+    return null;
+  }
+  const hireability = toNumber(raw.hireability);
+  if (hireability !== null) {
+    out.hireability = Math.round(clamp(hireability, 0, 100, 'hireability', ctx));
+  }
+  return out;
+}
+
+// --- Follow-up question decision ---
+function normalizeFollowUp(raw, ctx) {
+  if (!isObject(raw)) {
+    ctx.errors.push('expected a JSON object');
+    return null;
+  }
+  const shouldAsk = toBool(raw.shouldAsk ?? raw.ask, 'shouldAsk', ctx);
+  const question = toStr(raw.question, 'question', ctx);
+  if (shouldAsk && !question) {
+    ctx.errors.push('question is required when shouldAsk is true');
+    return null;
+  }
+  return { shouldAsk, question: shouldAsk ? question : '', reason: toStr(raw.reason, 'reason', ctx) };
+}
+
+// --- STAR breakdown of a behavioral answer ---
+const STAR_STRENGTH_ALIASES = {
+  present: 'strong',
+  good: 'strong',
+  partial: 'weak',
+  vague: 'weak',
+  absent: 'missing',
+  none: 'missing'
+};
+
+function normalizeStar(raw, ctx) {
+  if (!isObject(raw)) {
+    ctx.errors.push('expected a JSON object');
+    return null;
+  }
+  const out = { summary: toStr(raw.summary, 'summary', ctx) };
+  for (const component of STAR_COMPONENTS) {
+    if (!isObject(raw[component])) {
+      ctx.errors.push(`${component} must be an object`);
+      continue;
+    }
+    const entry = raw[component];
+    out[component] = {
+      strength: toEnum(entry.strength, STAR_STRENGTHS, STAR_STRENGTH_ALIASES, 'weak', `${component}.strength`, ctx),
+      quotes: toStrArray(entry.quotes, `${component}.quotes`, ctx),
+      feedback: toStr(entry.feedback, `${component}.feedback`, ctx)
+    };
+  }
+  return ctx.errors.length ? null : out;
+}
+
+// --- Model answer for a question ---
+function normalizeModelAnswer(raw, ctx) {
+  if (!isObject(raw)) {
+    ctx.errors.push('expected a JSON object');
+    return null;
+  }
+  const answer = toStr(raw.answer, 'answer', ctx);
+  const keyPoints = toStrArray(raw.keyPoints, 'keyPoints', ctx);
+  if (!answer) ctx.errors.push('answer is required');
+  if (keyPoints.length === 0) ctx.errors.push('keyPoints must list at least one point');
+  return ctx.errors.length ? null : { answer, keyPoints };
+}
+
+// --- Candidate answer compared with the model answer ---
+function normalizeComparison(raw, ctx) {
+  if (!isObject(raw)) {
+    ctx.errors.push('expected a JSON object');
+    return null;
+  }
+  return {
+    covered: toStrArray(raw.covered, 'covered', ctx),
+    missed: toStrArray(raw.missed, 'missed', ctx),
+    incorrect: toObjectArray(raw.incorrect, 'incorrect', ctx, (item, path) => {
+      const claim = toStr(item.claim, `${path}.claim`, ctx);
+      return claim ? { claim, correction: toStr(item.correction, `${path}.correction`, ctx) } : null;
+    }),
+    summary: toStr(raw.summary, 'summary', ctx)
+  };
+}
+
+// --- Job description requirements ---
+function normalizeJobRequirements(raw, ctx) {
+  if (!isObject(raw)) {
+    ctx.errors.push('expected a JSON object');
+    return null;
+  }
+  const out = {
+    title: toStr(raw.title, 'title', ctx),
+    requiredSkills: Array.from(new Set(toStrArray(raw.requiredSkills, 'requiredSkills', ctx))),
+    niceToHaveSkills: Array.from(new Set(toStrArray(raw.niceToHaveSkills, 'niceToHaveSkills', ctx)))
+  };
+  if (out.requiredSkills.length === 0 && out.niceToHaveSkills.length === 0) {
+    ctx.errors.push('no skills extracted');
+    return null;
+  }
+  return out;
+}
+
+const SCHEMAS = {
+  parseResume: normalizeResume,
+  generateQuestions: normalizeQuestions,
+  evaluateResponse: normalizeEvaluation,
+  evaluateCode: normalizeEvaluation,
+  generateReport: normalizeReport,
+  generateFollowUp: normalizeFollowUp,
+  analyzeStar: normalizeStar,
+  generateModelAnswer: normalizeModelAnswer,
+  compareAnswers: normalizeComparison,
+  extractJobRequirements: normalizeJobRequirements
+};
+
+// Validate and normalize raw parsed output for a task; `options` carries task-specific
+// expectations such as the rubric an evaluation must follow
+function validate(task, raw, options = {}) {
+  const normalizeFn = SCHEMAS[task];
+  if (!normalizeFn) throw new Error(`No schema registered for task "${task}"`);
+  const ctx = createContext();
+  const value = raw === null || raw === undefined ? null : normalizeFn(raw, ctx, options);
+  if (value === null && ctx.errors.length === 0) ctx.errors.push('output was not valid JSON');
+  return { value: ctx.errors.length ? null : value, errors: ctx.errors, adjustments: ctx.adjustments };
+}
+
+module.exports = {
+  AIOutputError,
+  QUESTION_CATEGORIES,
+  SENTIMENTS,
+  STAR_COMPONENTS,
+  validate
+};
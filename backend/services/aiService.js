@@ -1,13 +1,110 @@
-const OpenAI = require('openai');
-const fs = require('fs');
+const { getProviderConfig, createProvider } = require('./providers');
+const { AIOutputError, validate } = require('./aiSchemas');
+const { getRubric } = require('./rubrics');
 
-// Use GitHub Models API with the provided key
-const openai = new OpenAI({
-  apiKey: process.env.GITHUB_MODELS_API_KEY,
-  baseURL: 'https://models.inference.ai.azure.com'
-});
+// Extra rounds in which the model is shown its invalid output and asked to fix it
+const MAX_REPAIR_ATTEMPTS = Number(process.env.AI_MAX_REPAIR_ATTEMPTS ?? 1);
+// Retries for provider errors (network, rate limit) before giving up, waiting
+// RETRY_DELAY_MS, then twice as long before each further retry
+const MAX_PROVIDER_RETRIES = Number(process.env.AI_MAX_PROVIDER_RETRIES ?? 1);
+const RETRY_DELAY_MS = Number(process.env.AI_RETRY_DELAY_MS ?? 1000);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Revision of the scoring prompts, stored with each evaluation; bump when a prompt's wording changes
+const PROMPT_VERSIONS = {
+  evaluateResponse: 1,
+  evaluateCode: 1
+};
+
+// Scoring instructions and the expected JSON for a rubric
+function rubricPrompt(rubric) {
+  const dimensions = rubric.dimensions.map(d => {
+    const anchors = Object.entries(d.anchors).map(([score, text]) => `${score} = ${text}`).join('; ');
+    return `- "${d.key}" (${d.label}): ${d.description}. ${anchors}`;
+  });
+  const example = rubric.dimensions
+    .map(d => `    "${d.key}": {"score": 3, "feedback": "One sentence on ${d.label.toLowerCase()}"}`)
+    .join(',\n');
+  return {
+    dimensions: dimensions.join('\n'),
+    json: `{
+  "scores": {
+${example}
+  },
+  "sentiment": "positive",
+  "flags": {"reading": false, "silence": false, "irrelevant": false}
+}`
+  };
+}
 
 class AIService {
+  constructor() {
+    this.config = getProviderConfig();
+    this.provider = createProvider(this.config);
+  }
+
+  // Provider/model in use, safe to expose (no keys)
+  describe() {
+    return { provider: this.provider.name, model: this.provider.model };
+  }
+
+  // Provenance recorded on documents produced by an AI call or by a fallback
+  resultMeta(error) {
+    if (!error) return { source: 'ai', ...this.describe() };
+    return { source: 'fallback', ...this.describe(), fallbackReason: error.message || String(error) };
+  }
+
+  promptVersion(task) {
+    return PROMPT_VERSIONS[task];
+  }
+
+  // Single entry point for chat completions; `task` and `input` let offline providers build canned output
+  async complete(task, messages, { temperature, maxTokens, input }) {
+    let lastError;
+    for (let attempt = 0; attempt <= MAX_PROVIDER_RETRIES; attempt++) {
+      try {
+        return await this.provider.chat({ task, input, messages, temperature, maxTokens });
+      } catch (error) {
+        lastError = error;
+        console.warn(`AI provider error on ${task} (attempt ${attempt + 1}):`, error.message);
+        if (attempt < MAX_PROVIDER_RETRIES) await sleep(RETRY_DELAY_MS * 2 ** attempt);
+      }
+    }
+    throw lastError;
+  }
+
+  // Run a JSON-producing task: call the model, validate against the task schema and
+  // re-ask with the validation errors until the output is valid or repair attempts run out.
+  // `options.schema` is passed to the task's validator (e.g. the rubric for evaluations).
+  async runTask(task, prompt, options) {
+    const messages = [{ role: 'user', content: prompt }];
+    let errors = [];
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      const content = await this.complete(task, messages, options);
+      const result = validate(task, this.extractJSON(content), options.schema);
+
+      if (result.value) {
+        if (result.adjustments.length) {
+          console.warn(`Normalized ${task} output:`, result.adjustments.join('; '));
+        }
+        return result.value;
+      }
+
+      errors = result.errors;
+      console.warn(`Invalid ${task} output (attempt ${attempt + 1}):`, errors.join('; '));
+      messages.push(
+        { role: 'assistant', content: String(content || '') },
+        {
+          role: 'user',
+          content: `Your previous reply was invalid: ${errors.join('; ')}. Reply again with ONLY the corrected JSON in the exact structure requested, no prose.`
+        }
+      );
+    }
+
+    throw new AIOutputError(task, errors);
+  }
+
   // Safely parse JSON from LLM output (handles ```json fences and extra prose)
   extractJSON(content) {
     if (!content) return null;
@@ -46,16 +143,11 @@ class AIService {
 Resume text:
 ${resumeText.substring(0, 3000)}`;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
+      return await this.runTask('parseResume', prompt, {
         temperature: 0.1,
-        max_tokens: 800
+        maxTokens: 800,
+        input: { resumeText }
       });
-
-      const parsedData = this.extractJSON(response.choices[0].message.content);
-      if (!parsedData) throw new Error('LLM returned non-JSON');
-      return parsedData;
     } catch (error) {
       console.error('Error parsing resume:', error);
       throw error; // Let the route handle fallback
@@ -63,9 +155,20 @@ ${resumeText.substring(0, 3000)}`;
   }
 
   // Generate interview questions based on parsed resume
-  async generateQuestions(parsedResume) {
+  // `plan` maps category -> number of questions; `difficulty` is easy | medium | hard
+  // `focus` (optional) steers technical questions toward a target job's skill gaps
+  async generateQuestions(parsedResume, { plan, difficulty = 'medium', focus } = {}) {
     try {
-      const prompt = `Create 10 specific interview questions based on this resume data. Return ONLY a JSON array:
+      const total = plan ? Object.values(plan).reduce((sum, n) => sum + n, 0) : 10;
+      const mix = plan
+        ? Object.entries(plan).filter(([, n]) => n > 0).map(([category, n]) => `${n} ${category}`).join(', ')
+        : 'a mix of categories';
+      const prompt = `Create ${total} specific interview questions based on this resume data: ${mix}.
+Difficulty: ${difficulty} (easy = fundamentals and recall, medium = applied experience, hard = design trade-offs, scale and edge cases).
+${focus ? `The candidate is targeting this role: ${focus.title || 'unspecified title'}.
+Prioritise technical questions on skills the role needs but the resume lacks (${focus.missing.join(', ') || 'none'}),
+then on skills they may transfer from related experience (${focus.transferable.join(', ') || 'none'}).
+` : ''}Return ONLY a JSON array:
 
 [
   {"category": "technical", "question": "Specific question about listed skills"},
@@ -77,48 +180,50 @@ ${resumeText.substring(0, 3000)}`;
 
 Resume data: ${JSON.stringify(parsedResume)}`;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
+      return await this.runTask('generateQuestions', prompt, {
         temperature: 0.7,
-        max_tokens: 600
+        maxTokens: Math.max(600, total * 80),
+        input: { parsedResume, plan, difficulty, focus }
       });
-
-      const questions = this.extractJSON(response.choices[0].message.content);
-      if (!Array.isArray(questions)) throw new Error('LLM returned non-array');
-      return questions;
     } catch (error) {
       console.error('Error generating questions:', error);
       throw error; // Let the route handle fallback
     }
   }
 
-  // Evaluate response with rubric scoring
-  async evaluateResponse(transcript, question) {
+  // Score a response on each dimension of `rubric` (see services/rubrics.js; defaults to "general").
+  // `answerMode` says whether the answer was spoken or typed; `delivery` is an optional one-line
+  // summary of measured speech metrics for spoken answers
+  async evaluateResponse(transcript, question, { answerMode = 'voice', delivery, rubric = getRubric('general') } = {}) {
     try {
-      const prompt = `Evaluate this interview response. Return ONLY valid JSON:
+      const modeGuidance = answerMode === 'typed'
+        ? `The answer was typed, not spoken. Judge communication as writing and confidence from how decisive the wording is.
+"reading" must be false. Set "silence" only if the answer is empty or just a few words.`
+        : `The answer was spoken and transcribed automatically, so ignore transcription errors.
+Set "reading" if it sounds read from a script and "silence" if the candidate said little or nothing.${delivery ? `
+Measured delivery: ${delivery}. Take pace, filler words and pauses into account for delivery-related dimensions.` : ''}`;
+      const { dimensions, json } = rubricPrompt(rubric);
+      const prompt = `Evaluate this interview response using the "${rubric.name}" rubric. Return ONLY valid JSON:
 
-{
-  "technicalDepth": {"score": 4, "feedback": "Good technical knowledge"},
-  "clarity": {"score": 3, "feedback": "Clear explanation"},
-  "confidence": {"score": 4, "feedback": "Spoke with confidence"},
-  "sentiment": "positive",
-  "flags": {"reading": false, "silence": false, "irrelevant": false},
-  "overallScore": 3.7
-}
+${json}
+
+Score each dimension from 0 to 5:
+${dimensions}
+
+"sentiment" must be one of "positive", "neutral" or "negative".
+${modeGuidance}
 
 Question: ${question}
 Response: ${transcript}`;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
+      const evaluation = await this.runTask('evaluateResponse', prompt, {
         temperature: 0.3,
-        max_tokens: 400
+        maxTokens: 200 + 80 * rubric.dimensions.length,
+        input: { transcript, question, answerMode, dimensions: rubric.dimensions.map(d => d.key) },
+        schema: { rubric }
       });
-
-      const evaluation = this.extractJSON(response.choices[0].message.content);
-      if (!evaluation) throw new Error('LLM returned non-JSON');
+      // Nobody reads a typed answer aloud, whatever the model says
+      if (answerMode === 'typed') evaluation.flags.reading = false;
       return evaluation;
     } catch (error) {
       console.error('Error evaluating response:', error);
@@ -126,6 +231,43 @@ Response: ${transcript}`;
     }
   }
 
+  // Review a coding answer; test results are supplied so the model judges quality rather than guessing correctness
+  async evaluateCode(question, { language, code, explanation }, run, { rubric = getRubric('coding') } = {}) {
+    try {
+      const failing = run.results
+        .filter(r => !r.passed)
+        .slice(0, 3)
+        .map(r => (r.hidden ? '- hidden test failed' : `- input ${JSON.stringify(r.args)}: expected ${JSON.stringify(r.expected)}, got ${r.error || JSON.stringify(r.actual)}`));
+      const { dimensions, json } = rubricPrompt(rubric);
+      const prompt = `Evaluate this coding interview answer using the "${rubric.name}" rubric. Return ONLY valid JSON:
+
+${json}
+
+Score each dimension from 0 to 5:
+${dimensions}
+
+"sentiment" must be one of "positive", "neutral" or "negative".
+Set "irrelevant" to true if the code does not attempt the problem.
+
+Problem: ${question}
+Language: ${language}
+Test results: ${run.passed}/${run.total} passed (${run.status})${run.error ? `, error: ${run.error.substring(0, 300)}` : ''}
+${failing.length ? `Failing tests:\n${failing.join('\n')}\n` : ''}Candidate's explanation: ${explanation || '(none)'}
+Code:
+${code.substring(0, 6000)}`;
+
+      return await this.runTask('evaluateCode', prompt, {
+        temperature: 0.3,
+        maxTokens: 200 + 80 * rubric.dimensions.length,
+        input: { question, language, code, explanation, run, dimensions: rubric.dimensions.map(d => d.key) },
+        schema: { rubric }
+      });
+    } catch (error) {
+      console.error('Error evaluating code:', error);
+      throw error; // Let the caller handle fallback
+    }
+  }
+
   // Generate final report summary
   async generateReport(responses, questions) {
     try {
@@ -144,33 +286,160 @@ Response: ${transcript}`;
 Q/A pairs:
 ${paired.map((p, i) => `Q${i+1}: ${p.q}\nA${i+1}: ${p.a}`).join('\n\n')}`;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
+      return await this.runTask('generateReport', prompt, {
         temperature: 0.5,
-        max_tokens: 600
+        maxTokens: 600,
+        input: { questions, responses }
       });
-
-      const report = this.extractJSON(response.choices[0].message.content);
-      if (!report) throw new Error('LLM returned non-JSON');
-      return report;
     } catch (error) {
       console.error('Error generating report:', error);
       throw error; // Let the route handle fallback
     }
   }
 
-  // Audio transcription
-  async transcribeAudio(audioFile) {
+  // Decide whether an answer warrants a probing follow-up question
+  async generateFollowUp(question, transcript, evaluation) {
+    try {
+      const prompt = `You are an interviewer deciding whether to ask a follow-up question.
+Ask one when the answer is shallow, vague or mentions something worth probing (a decision, a metric, a technology).
+Do not repeat the original question. Return ONLY valid JSON:
+
+{"shouldAsk": true, "question": "The follow-up question", "reason": "Why it is worth asking"}
+
+Question: ${question}
+Answer: ${transcript}
+Evaluation: ${JSON.stringify(evaluation)}`;
+
+      return await this.runTask('generateFollowUp', prompt, {
+        temperature: 0.5,
+        maxTokens: 200,
+        input: { question, transcript, evaluation }
+      });
+    } catch (error) {
+      console.error('Error generating follow-up:', error);
+      throw error; // Let the caller handle fallback
+    }
+  }
+
+  // Split a behavioral answer into Situation/Task/Action/Result, quoting the answer for each part
+  async analyzeStar(question, transcript) {
+    try {
+      const prompt = `Analyze this behavioral interview answer using the STAR method (Situation, Task, Action, Result).
+For each component, copy the exact words from the answer that describe it into "quotes" (verbatim, no paraphrasing),
+rate it "strong", "weak" (vague, generic or too short) or "missing", and give one sentence of feedback on what to add or improve.
+Return ONLY valid JSON:
+
+{
+  "situation": {"strength": "strong", "quotes": ["exact words from the answer"], "feedback": "..."},
+  "task": {"strength": "weak", "quotes": [], "feedback": "..."},
+  "action": {"strength": "strong", "quotes": ["..."], "feedback": "..."},
+  "result": {"strength": "missing", "quotes": [], "feedback": "..."},
+  "summary": "One sentence on the overall structure"
+}
+
+Question: ${question}
+Answer: ${transcript}`;
+
+      return await this.runTask('analyzeStar', prompt, {
+        temperature: 0.2,
+        maxTokens: 700,
+        input: { question, transcript }
+      });
+    } catch (error) {
+      console.error('Error analyzing STAR structure:', error);
+      throw error; // Let the caller handle fallback
+    }
+  }
+
+  // Write a strong answer to a question as this candidate could give it, drawing on their resume.
+  // `reference` is an optional curated answer to build on.
+  async generateModelAnswer(question, { category, parsedResume, reference } = {}) {
+    try {
+      const guidance = {
+        behavioral: 'Structure it as Situation, Task, Action, Result, with the candidate clearly owning their actions.',
+        coding: 'Explain the approach, its time and space complexity and the edge cases, then give a short reference solution.'
+      }[category];
+      const prompt = `Write an exemplary answer to this ${category || ''} interview question, as this candidate could realistically give it.
+Ground it in the candidate's own resume: use their real projects, roles and technologies, and never invent employers, projects or results that are not in the resume.
+${guidance ? `${guidance}\n` : ''}Keep it to what could be said in about two minutes, then list the key points an interviewer would look for.
+Return ONLY valid JSON:
+
+{"answer": "The model answer in the first person", "keyPoints": ["Key point 1", "Key point 2"]}
+
+Question: ${question}
+${reference ? `Reference answer from the question bank (adapt it to the candidate): ${reference}\n` : ''}Resume data: ${JSON.stringify(parsedResume || {})}`;
+
+      return await this.runTask('generateModelAnswer', prompt, {
+        temperature: 0.5,
+        maxTokens: 800,
+        input: { question, category, parsedResume, reference }
+      });
+    } catch (error) {
+      console.error('Error generating model answer:', error);
+      throw error; // Let the caller handle fallback
+    }
+  }
+
+  // Compare a candidate's answer with the model answer: key points covered, missed, and wrong claims
+  async compareAnswers(question, modelAnswer, candidateAnswer) {
     try {
-      const transcription = await openai.audio.transcriptions.create({
-        file: fs.createReadStream(audioFile),
-        model: "whisper-1",
+      const prompt = `Compare a candidate's interview answer with a model answer.
+List the model answer's key points the candidate covered and the ones they missed (use the key point wording),
+and any statements in the candidate's answer that are factually or technically incorrect, with a correction.
+Return ONLY valid JSON:
+
+{
+  "covered": ["Key point the candidate made"],
+  "missed": ["Key point the candidate did not make"],
+  "incorrect": [{"claim": "What the candidate said", "correction": "What is actually true"}],
+  "summary": "One or two sentences on how the answers differ"
+}
+
+Question: ${question}
+Model answer: ${modelAnswer.answer}
+Key points: ${JSON.stringify(modelAnswer.keyPoints)}
+Candidate answer: ${candidateAnswer}`;
+
+      return await this.runTask('compareAnswers', prompt, {
+        temperature: 0.2,
+        maxTokens: 700,
+        input: { question, modelAnswer, candidateAnswer }
       });
-      return transcription.text;
+    } catch (error) {
+      console.error('Error comparing answers:', error);
+      throw error; // Let the caller handle fallback
+    }
+  }
+
+  // Pull the role title and required / nice-to-have skills out of a job description
+  async extractJobRequirements(text) {
+    try {
+      const prompt = `Extract the skills this job description asks for. Use short canonical skill names (e.g. "react", "postgresql", "system design").
+Put skills under "niceToHaveSkills" only when the text marks them as preferred, a plus or optional. Return ONLY valid JSON:
+
+{"title": "Job title", "requiredSkills": ["skill1"], "niceToHaveSkills": ["skill2"]}
+
+Job description:
+${text.substring(0, 4000)}`;
+
+      return await this.runTask('extractJobRequirements', prompt, {
+        temperature: 0.1,
+        maxTokens: 400,
+        input: { text }
+      });
+    } catch (error) {
+      console.error('Error extracting job requirements:', error);
+      throw error; // Let the caller handle fallback
+    }
+  }
+
+  // Audio transcription through the AI provider; see services/transcription for the full pipeline
+  async transcribeAudio(audioFile) {
+    try {
+      return await this.provider.transcribe(audioFile);
     } catch (error) {
       console.error('Error transcribing audio:', error);
-      return 'Transcription failed due to AI service error.';
+      throw error; // Let the caller record the failure
     }
   }
 }
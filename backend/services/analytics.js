@@ -0,0 +1,223 @@
+const BankQuestion = require('../models/BankQuestion');
+const questionBank = require('./questionBank');
+const skillTaxonomy = require('./skillTaxonomy');
+const { evaluationScores } = require('./rubrics');
+
+// Categories and skills need this many scored answers before they can be called best or worst
+const MIN_ANSWERS = 2;
+// Skills shown in the trends, most practised first
+const MAX_SKILLS = 15;
+const FLAGS = ['reading', 'silence', 'irrelevant'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const isScored = (response) => typeof response.evaluation?.overallScore === 'number';
+
+// Running totals keyed by name: add(key, value, extras) then list() for { ...extras, average, count }
+function averager() {
+  const entries = new Map();
+  return {
+    add(key, value, extras = {}) {
+      const entry = entries.get(key) || { ...extras, total: 0, count: 0 };
+      entry.total += value;
+      entry.count += 1;
+      entries.set(key, entry);
+    },
+    list() {
+      return [...entries.values()].map(({ total, count, ...extras }) => ({ ...extras, average: round2(total / count), count }));
+    }
+  };
+}
+
+class AnalyticsService {
+  // What a question is grouped under: its category, or "coding"
+  questionKind(question) {
+    return question.type === 'coding' ? 'coding' : question.category;
+  }
+
+  // Resume skills a question exercises: the bank question's skills, or those its text mentions
+  questionSkills(question, resumeSkills, bankSkills = []) {
+    const fromBank = bankSkills.map(s => skillTaxonomy.key(s)).filter(s => resumeSkills.has(s));
+    if (fromBank.length) return fromBank;
+    return [...resumeSkills].filter(skill => skillTaxonomy.mentions(question.text, skill));
+  }
+
+  // Skills of the bank questions the responses' questions came from, keyed by bank question id
+  async loadBankSkills(responses) {
+    const ids = responses.map(r => r.questionId.bankQuestionId).filter(Boolean);
+    if (!ids.length) return new Map();
+    const questions = await BankQuestion.find({ _id: { $in: ids } }).select('skills');
+    return new Map(questions.map(q => [String(q._id), q.skills]));
+  }
+
+  // Question id -> resume skills the question exercises, for one interview's responses
+  skillsByQuestion(responses, parsedData, bankSkills = new Map()) {
+    const resumeSkills = questionBank.resumeSkills(parsedData);
+    return new Map(responses.map(r => [
+      String(r.questionId._id),
+      this.questionSkills(r.questionId, resumeSkills, bankSkills.get(String(r.questionId.bankQuestionId)))
+    ]));
+  }
+
+  // Figures for one completed interview. `responses` have their question populated;
+  // `skillsByQuestion` maps question ids to the resume skills the question exercises.
+  interviewStats(interview, responses, skillsByQuestion = new Map()) {
+    const scored = responses.filter(isScored);
+    const dimensions = averager();
+    const categories = averager();
+    const skills = averager();
+    for (const response of scored) {
+      const { overallScore } = response.evaluation;
+      for (const s of evaluationScores(response.evaluation)) dimensions.add(s.key, s.score, { key: s.key, label: s.label });
+      const kind = this.questionKind(response.questionId);
+      categories.add(kind, overallScore, { category: kind });
+      for (const skill of skillsByQuestion.get(String(response.questionId._id)) || []) {
+        skills.add(skill, overallScore, { skill });
+      }
+    }
+
+    const flags = { answers: scored.length };
+    for (const flag of FLAGS) flags[flag] = scored.filter(r => r.evaluation.flags?.[flag]).length;
+
+    const timed = responses.filter(r => r.duration > 0);
+    return {
+      interviewId: interview._id,
+      resumeId: interview.resumeId?._id || interview.resumeId,
+      date: interview.endTime || interview.startTime || interview.createdAt,
+      jobTitle: interview.jobDescription?.title,
+      resumeName: interview.resumeId?.fileName,
+      answered: responses.length,
+      scored: scored.length,
+      overall: scored.length ? round2(scored.reduce((sum, r) => sum + r.evaluation.overallScore, 0) / scored.length) : null,
+      dimensions: dimensions.list(),
+      categories: categories.list(),
+      skills: skills.list(),
+      flags,
+      averageDuration: timed.length ? Math.round(timed.reduce((sum, r) => sum + r.duration, 0) / timed.length) : null
+    };
+  }
+
+  // One series per dimension, category or skill: its average in each interview that had it, oldest first
+  trends(stats, field, idKey) {
+    const series = new Map();
+    for (const interview of stats) {
+      for (const entry of interview[field]) {
+        const { average, count, ...id } = entry;
+        const item = series.get(id[idKey]) || { ...id, points: [], total: 0, count: 0 };
+        item.points.push({ interviewId: interview.interviewId, date: interview.date, average, count });
+        item.total += average * count;
+        item.count += count;
+        series.set(id[idKey], item);
+      }
+    }
+    return [...series.values()].map(({ total, count, ...item }) => ({
+      ...item,
+      average: round2(total / count),
+      count,
+      // Change from the first to the latest interview that had it
+      change: item.points.length > 1 ? round2(item.points[item.points.length - 1].average - item.points[0].average) : null
+    }));
+  }
+
+  // Highest and lowest averaged entries with enough answers (any entries when none have enough)
+  bestAndWorst(entries) {
+    const eligible = entries.filter(e => e.count >= MIN_ANSWERS);
+    const ranked = (eligible.length ? eligible : entries).slice().sort((a, b) => b.average - a.average);
+    if (!ranked.length) return { best: null, worst: null };
+    return { best: ranked[0], worst: ranked.length > 1 ? ranked[ranked.length - 1] : null };
+  }
+
+  // Progress across interviews from their per-interview stats
+  progress(stats) {
+    const sorted = stats.slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+    const categories = this.trends(sorted, 'categories', 'category');
+    const skills = this.trends(sorted, 'skills', 'skill')
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_SKILLS);
+    const timed = sorted.filter(s => s.averageDuration !== null);
+    const scoredAnswers = sorted.reduce((sum, s) => sum + s.flags.answers, 0);
+
+    return {
+      interviews: sorted.map(({ interviewId, date, jobTitle, resumeName, answered, scored, overall, averageDuration }) => ({
+        interviewId, date, jobTitle, resumeName, answered, scored, overall, averageDuration
+      })),
+      overall: sorted.filter(s => s.overall !== null).map(s => ({ interviewId: s.interviewId, date: s.date, average: s.overall })),
+      dimensions: this.trends(sorted, 'dimensions', 'key'),
+      categories,
+      skills,
+      flags: {
+        points: sorted.map(s => ({ interviewId: s.interviewId, date: s.date, ...s.flags })),
+        // Share of scored answers with each flag across all interviews
+        rates: Object.fromEntries(FLAGS.map(flag => [
+          flag,
+          scoredAnswers ? round2(sorted.reduce((sum, s) => sum + s.flags[flag], 0) / scoredAnswers) : 0
+        ]))
+      },
+      averageDuration: timed.length
+        ? Math.round(timed.reduce((sum, s) => sum + s.averageDuration * s.answered, 0) / timed.reduce((sum, s) => sum + s.answered, 0))
+        : null,
+      categoryRanking: this.bestAndWorst(categories)
+    };
+  }
+
+  // Interview figures for each version of a resume, with the change in overall score from the last
+  // earlier version that had scored answers. `versions` are { version, resume, stats }, oldest first.
+  versionPerformance(versions) {
+    const withoutPoints = (series) => series.map(({ points, change, ...entry }) => entry);
+    let previous = null;
+    return versions.map(({ version, resume, stats }) => {
+      const scored = stats.reduce((sum, s) => sum + s.scored, 0);
+      const overall = scored ? round2(stats.reduce((sum, s) => sum + (s.overall || 0) * s.scored, 0) / scored) : null;
+      const entry = {
+        resumeId: resume._id,
+        version,
+        fileName: resume.fileName,
+        uploadedAt: resume.createdAt,
+        interviews: stats.length,
+        scored,
+        overall,
+        comparedWith: null,
+        change: null,
+        dimensions: withoutPoints(this.trends(stats, 'dimensions', 'key')),
+        categories: withoutPoints(this.trends(stats, 'categories', 'category'))
+      };
+      if (overall !== null && previous) {
+        entry.comparedWith = previous.version;
+        entry.change = round2(overall - previous.overall);
+        entry.categories = entry.categories.map(c => {
+          const before = previous.categories.find(p => p.category === c.category);
+          return { ...c, change: before ? round2(c.average - before.average) : null };
+        });
+      }
+      if (overall !== null) previous = entry;
+      return entry;
+    });
+  }
+
+  // Two interviews side by side, with the change from `a` to `b` for each figure both have
+  compare(a, b) {
+    const delta = (x, y) => (typeof x === 'number' && typeof y === 'number' ? round2(y - x) : null);
+    const pair = (field, idKey) => {
+      const keys = [...new Set([...a[field], ...b[field]].map(e => e[idKey]))];
+      return keys.map(key => {
+        const left = a[field].find(e => e[idKey] === key);
+        const right = b[field].find(e => e[idKey] === key);
+        const { average, count, ...id } = left || right;
+        return { ...id, a: left?.average ?? null, b: right?.average ?? null, change: delta(left?.average, right?.average) };
+      });
+    };
+
+    return {
+      a,
+      b,
+      overall: { a: a.overall, b: b.overall, change: delta(a.overall, b.overall) },
+      averageDuration: { a: a.averageDuration, b: b.averageDuration, change: delta(a.averageDuration, b.averageDuration) },
+      dimensions: pair('dimensions', 'key'),
+      categories: pair('categories', 'category'),
+      skills: pair('skills', 'skill'),
+      flags: FLAGS.map(flag => ({ flag, a: a.flags[flag], b: b.flags[flag], change: b.flags[flag] - a.flags[flag] }))
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,94 @@
+const Question = require('../models/Question');
+const aiService = require('./aiService');
+const codingService = require('./codingService');
+const speechMetrics = require('./speechMetrics');
+const { rubricForQuestion, uniformEvaluation } = require('./rubrics');
+
+class AnswerEvaluationService {
+  // Score one answer: { evaluation, evaluationMeta }. Coding answers are graded from their test run,
+  // other answers by AI (both with fallback), on `rubric`. A spoken answer that could not be
+  // transcribed is left unscored (evaluation undefined) rather than judged on placeholder text.
+  async evaluate({ question, rubric, answerMode, transcript, transcription, delivery, code, codeRun }) {
+    let evaluation;
+    let evaluationMeta;
+    let task;
+    if (question.type === 'coding') {
+      task = 'evaluateCode';
+      ({ evaluation, evaluationMeta } = await codingService.evaluate(
+        question,
+        { language: code.language, code: code.source, explanation: transcript },
+        codeRun,
+        rubric
+      ));
+    } else if (transcription?.status === 'empty') {
+      evaluation = uniformEvaluation(rubric, 0, 'No speech was detected in the recording', { flags: { silence: true } });
+      evaluationMeta = { source: 'fallback', fallbackReason: 'No speech detected in the recording' };
+    } else if (transcription && transcription.status !== 'ok') {
+      evaluationMeta = { source: 'skipped', fallbackReason: `Answer could not be transcribed: ${transcription.error}` };
+    } else {
+      task = 'evaluateResponse';
+      try {
+        evaluation = await aiService.evaluateResponse(
+          transcript || '(no answer given)',
+          question.text,
+          { answerMode, delivery: delivery && speechMetrics.describe(delivery), rubric }
+        );
+        evaluationMeta = aiService.resultMeta();
+      } catch (aiError) {
+        console.error('AI evaluation failed, using fallback:', aiError.message);
+        evaluation = uniformEvaluation(rubric, 3, 'Default score: AI evaluation was unavailable');
+        evaluationMeta = aiService.resultMeta(aiError);
+      }
+      evaluation = speechMetrics.applyFlags(evaluation, delivery);
+    }
+
+    return {
+      evaluation,
+      evaluationMeta: {
+        ...evaluationMeta,
+        promptVersion: task && evaluationMeta.source === 'ai' ? aiService.promptVersion(task) : undefined,
+        evaluatedAt: new Date()
+      }
+    };
+  }
+
+  // Make a new evaluation the response's current one; every evaluation is kept in its history
+  record(response, { evaluation, evaluationMeta }, trigger) {
+    const history = response.evaluationHistory;
+    const stored = response.toObject();
+    // Answers evaluated before history was kept start with their original evaluation
+    if (history.length === 0 && response.evaluationMeta?.source) {
+      history.push({
+        version: 1,
+        trigger: 'submit',
+        evaluation: stored.evaluation,
+        meta: { ...stored.evaluationMeta, evaluatedAt: stored.evaluationMeta.evaluatedAt || response.createdAt }
+      });
+    }
+    history.forEach(entry => { entry.current = false; });
+    history.push({ version: history.length + 1, current: true, trigger, evaluation, meta: evaluationMeta });
+    response.evaluation = evaluation;
+    response.evaluationMeta = evaluationMeta;
+  }
+
+  // Evaluate a stored answer again with the current provider, prompts and the interview's rubric choice
+  async reevaluate(response, interview) {
+    const question = await Question.findById(response.questionId._id);
+    const stored = response.toObject();
+    const result = await this.evaluate({
+      question,
+      rubric: rubricForQuestion(question, interview.config?.rubrics),
+      answerMode: stored.answerMode,
+      transcript: stored.transcript,
+      transcription: stored.transcription?.status ? stored.transcription : undefined,
+      delivery: stored.speechMetrics?.source ? stored.speechMetrics : undefined,
+      code: stored.code,
+      codeRun: stored.codeRun
+    });
+    this.record(response, result, 're-evaluate');
+    await response.save();
+    return response;
+  }
+}
+
+module.exports = new AnswerEvaluationService();
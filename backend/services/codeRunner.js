@@ -0,0 +1,322 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Submissions run as separate interpreter processes in a throwaway directory with a
+// wall-clock timeout, CPU and memory limits, a scrubbed environment and capped output,
+// inside a sandbox with no network and only the interpreter and the run directory visible.
+// The sandbox is bubblewrap (bwrap) when installed, or the command prefix in
+// CODE_RUNNER_WRAPPER; without either, code is not run at all.
+const TIMEOUT_MS = Number(process.env.CODE_RUNNER_TIMEOUT_MS || 5000);
+const MEMORY_MB = Number(process.env.CODE_RUNNER_MEMORY_MB || 256);
+const MAX_CONCURRENT_RUNS = Number(process.env.CODE_RUNNER_MAX_CONCURRENT || 2);
+const MAX_RESULT_BYTES = 1024 * 1024;
+const MAX_LOG_CHARS = 4000;
+
+// The harnesses only report what the function returned, as JSON lines on fd 3 so that the
+// candidate's own console output (stdout/stderr) cannot be mistaken for them. Expected values
+// never reach the child: outputs are compared here. Each line carries the run's nonce and the
+// test index, and lines without them are ignored.
+const JS_HARNESS = `
+const fs = require('fs');
+const { nonce, functionName, args } = JSON.parse(fs.readFileSync(0, 'utf8'));
+const emit = (obj) => fs.writeSync(3, JSON.stringify({ ...obj, nonce }) + '\\n');
+const normalize = (value) => {
+  if (value === undefined) return null;
+  try { return JSON.parse(JSON.stringify(value)); } catch { return String(value); }
+};
+(async () => {
+  let fn;
+  try {
+    fn = require('./solution.js');
+    if (typeof fn !== 'function') throw new Error('Function ' + functionName + ' is not defined');
+  } catch (error) {
+    emit({ setupError: String(error && error.stack || error).split('\\n').slice(0, 6).join('\\n') });
+    return;
+  }
+  for (const [index, testArgs] of args.entries()) {
+    const start = process.hrtime.bigint();
+    const timeMs = () => Number(process.hrtime.bigint() - start) / 1e6;
+    try {
+      const actual = normalize(await fn(...testArgs));
+      emit({ index, actual, timeMs: timeMs() });
+    } catch (error) {
+      emit({ index, error: String(error && error.message || error), timeMs: timeMs() });
+    }
+  }
+})();
+`;
+
+const PY_HARNESS = `
+import json, os, sys, time, traceback
+def normalize(value):
+    try:
+        return json.loads(json.dumps(value, allow_nan=False))
+    except Exception:
+        return str(value)
+def main():
+    payload = json.loads(sys.stdin.read())
+    nonce = payload['nonce']
+    out = os.fdopen(3, 'w')
+    def emit(obj):
+        out.write(json.dumps(dict(obj, nonce=nonce)) + '\\n')
+        out.flush()
+    try:
+        namespace = {'__name__': 'solution'}
+        with open('solution.py') as f:
+            exec(compile(f.read(), 'solution.py', 'exec'), namespace)
+        fn = namespace.get(payload['functionName'])
+        if not callable(fn):
+            raise NameError('Function %s is not defined' % payload['functionName'])
+    except BaseException:
+        emit({'setupError': traceback.format_exc(limit=3)})
+        return
+    for index, args in enumerate(payload['args']):
+        start = time.perf_counter()
+        try:
+            actual = normalize(fn(*args))
+            emit({'index': index, 'actual': actual, 'timeMs': (time.perf_counter() - start) * 1000})
+        except Exception as error:
+            emit({'index': index, 'error': '%s: %s' % (type(error).__name__, error), 'timeMs': (time.perf_counter() - start) * 1000})
+main()
+`;
+
+// Deep equality of JSON values; booleans never equal numbers
+const same = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => same(v, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(k => Object.hasOwn(b, k) && same(a[k], b[k]));
+  }
+  return a === b;
+};
+
+const RUNTIMES = {
+  javascript: {
+    command: () => process.env.CODE_RUNNER_NODE || process.execPath,
+    args: () => [`--max-old-space-size=${MEMORY_MB}`, 'harness.js'],
+    files: (code, functionName) => ({
+      'harness.js': JS_HARNESS,
+      'solution.js': `${code}\nmodule.exports = typeof ${functionName} === 'function' ? ${functionName} : undefined;\n`
+    }),
+    // V8 reserves far more address space than it uses, so memory is capped via the heap flag instead
+    limitAddressSpace: false
+  },
+  python: {
+    command: () => process.env.CODE_RUNNER_PYTHON || 'python3',
+    args: () => ['-I', 'harness.py'],
+    files: (code) => ({
+      'harness.py': PY_HARNESS,
+      'solution.py': code
+    }),
+    limitAddressSpace: true
+  }
+};
+
+// Small FIFO semaphore so a burst of submissions cannot exhaust the server
+let activeRuns = 0;
+const waiting = [];
+const acquire = () => new Promise(resolve => {
+  if (activeRuns < MAX_CONCURRENT_RUNS) {
+    activeRuns++;
+    resolve();
+  } else {
+    waiting.push(resolve);
+  }
+});
+const release = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else activeRuns--;
+};
+
+// Absolute path of a command, looked up on PATH unless it already has a directory
+function resolveCommand(command) {
+  if (command.includes('/')) return fs.existsSync(command) ? command : null;
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, command);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch {}
+  }
+  return null;
+}
+
+// Command prefix that isolates a run in `dir`, or null when no sandbox is available.
+// bubblewrap gets fresh namespaces (so no network), the system directories read-only,
+// the interpreter's install prefix when it lives elsewhere (e.g. nvm) and the run directory.
+function sandbox(runtime, dir) {
+  const wrapper = (process.env.CODE_RUNNER_WRAPPER || '').split(/\s+/).filter(Boolean);
+  if (wrapper.length) return wrapper;
+
+  const bwrap = resolveCommand('bwrap');
+  const interpreter = resolveCommand(runtime.command());
+  if (!bwrap || !interpreter) return null;
+
+  const binds = ['/usr', '/bin', '/lib', '/lib64', '/sbin'].flatMap(p => ['--ro-bind-try', p, p]);
+  const prefix = path.dirname(path.dirname(fs.realpathSync(interpreter)));
+  if (!['/', '/usr'].includes(prefix)) binds.push('--ro-bind', prefix, prefix);
+  return [
+    bwrap, '--unshare-all', '--die-with-parent', '--new-session',
+    ...binds,
+    '--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp',
+    '--bind', dir, dir, '--chdir', dir
+  ];
+}
+
+const truncate = (text) => text.length > MAX_LOG_CHARS ? `${text.slice(0, MAX_LOG_CHARS)}\n... (truncated)` : text;
+
+function execute(runtime, dir, input, wrapper) {
+  const limits = [`ulimit -t ${Math.ceil(TIMEOUT_MS / 1000) + 1}`];
+  if (runtime.limitAddressSpace) limits.push(`ulimit -v ${MEMORY_MB * 1024}`);
+  const argv = [
+    ...wrapper,
+    '/bin/sh', '-c', `${limits.join('; ')}; exec "$0" "$@"`,
+    runtime.command(), ...runtime.args()
+  ];
+
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const child = spawn(argv[0], argv.slice(1), {
+      cwd: dir,
+      env: { PATH: process.env.PATH, HOME: dir, LANG: 'C.UTF-8', PYTHONDONTWRITEBYTECODE: '1' },
+      stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+      detached: true
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let results = '';
+    let killedFor = null;
+    const kill = (reason) => {
+      if (killedFor) return;
+      killedFor = reason;
+      // detached: the child leads its own process group, which also covers wrapper subprocesses
+      try { process.kill(-child.pid, 'SIGKILL'); } catch {}
+    };
+    const timer = setTimeout(() => kill('timeout'), TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => { if (stdout.length < MAX_LOG_CHARS * 2) stdout += chunk; });
+    child.stderr.on('data', (chunk) => { if (stderr.length < MAX_LOG_CHARS * 2) stderr += chunk; });
+    child.stdio[3].on('data', (chunk) => {
+      results += chunk;
+      if (results.length > MAX_RESULT_BYTES) kill('output');
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ spawnError: error.message, stdout, stderr, results, runTimeMs: Date.now() - started });
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, killedFor, stdout, stderr, results, runTimeMs: Date.now() - started });
+    });
+  });
+}
+
+// Results reported by the harness: the load error, if any, and the outcome of each test by index.
+// Lines without this run's nonce, or for a test already reported, are ignored.
+function readResults(results, nonce, testCount) {
+  let setupError;
+  const outcomes = new Array(testCount).fill(undefined);
+  for (const line of results.split('\n').filter(Boolean)) {
+    let result;
+    try { result = JSON.parse(line); } catch { continue; }
+    if (!result || result.nonce !== nonce) continue;
+    if (typeof result.setupError === 'string') setupError = setupError || result.setupError;
+    else if (Number.isInteger(result.index) && result.index >= 0 && result.index < testCount && !outcomes[result.index]) {
+      outcomes[result.index] = result;
+    }
+  }
+  return { setupError, outcomes };
+}
+
+// Run `code` against `tests` ({ args, expected, hidden }) and report per-test outcomes.
+// status: passed (all tests pass), failed, error (code did not load or crashed, or no sandbox) or timeout.
+async function runTests({ language, code, functionName, tests }) {
+  const runtime = RUNTIMES[language];
+  if (!runtime) throw new Error(`Unsupported language: ${language}`);
+
+  await acquire();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'coderun-'));
+  try {
+    const wrapper = sandbox(runtime, dir);
+    if (!wrapper) {
+      console.error('Code runner: no sandbox available; install bubblewrap or set CODE_RUNNER_WRAPPER');
+      return {
+        language,
+        status: 'error',
+        passed: 0,
+        total: tests.length,
+        runTimeMs: 0,
+        results: tests.map((test, index) => ({
+          index, hidden: Boolean(test.hidden), passed: false, args: test.args, expected: test.expected, error: 'Not run'
+        })),
+        stdout: '',
+        stderr: '',
+        error: 'Code execution is unavailable on this server'
+      };
+    }
+
+    for (const [name, content] of Object.entries(runtime.files(code, functionName))) {
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const input = JSON.stringify({ nonce, functionName, args: tests.map(t => t.args) });
+    const run = await execute(runtime, dir, input, wrapper);
+    const { setupError, outcomes } = readResults(run.results, nonce, tests.length);
+
+    let error = setupError || run.spawnError || null;
+    if (!error && run.killedFor === 'output') error = 'Output limit exceeded';
+    if (!error && outcomes.some(o => !o) && run.killedFor !== 'timeout') {
+      error = run.signal ? `Process terminated (${run.signal}); the memory or CPU limit may have been exceeded` : 'Process exited before all tests ran';
+    }
+
+    const results = tests.map((test, index) => {
+      const outcome = outcomes[index];
+      const missing = run.killedFor === 'timeout' ? 'Time limit exceeded' : 'Not run';
+      return {
+        index,
+        hidden: Boolean(test.hidden),
+        passed: Boolean(outcome) && outcome.error === undefined && same(outcome.actual, test.expected),
+        args: test.args,
+        expected: test.expected,
+        actual: outcome?.actual,
+        error: outcome ? outcome.error : (setupError ? 'Code failed to load' : missing),
+        timeMs: outcome ? Math.round(outcome.timeMs * 100) / 100 : undefined
+      };
+    });
+
+    const passed = results.filter(r => r.passed).length;
+    let status = passed === tests.length ? 'passed' : 'failed';
+    if (run.killedFor === 'timeout') status = 'timeout';
+    else if (error) status = 'error';
+
+    return {
+      language,
+      status,
+      passed,
+      total: tests.length,
+      runTimeMs: run.runTimeMs,
+      results,
+      stdout: truncate(run.stdout),
+      stderr: truncate(run.stderr),
+      error: error ? truncate(error) : undefined
+    };
+  } finally {
+    release();
+    await fs.remove(dir).catch(() => {});
+  }
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES: Object.keys(RUNTIMES),
+  runTests
+};
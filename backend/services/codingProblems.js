@@ -0,0 +1,163 @@
+// Built-in coding problems. Each problem is solved by implementing one function;
+// tests pass `args` to that function and compare the return value with `expected`.
+// Non-hidden tests are shown to the candidate as examples and can be run before submitting.
+
+const CODING_PROBLEMS = [
+  {
+    id: 'sum-of-evens',
+    title: 'Sum of even numbers',
+    difficulty: 'easy',
+    skills: ['arrays', 'javascript', 'python'],
+    prompt: 'Write a function that takes an array of integers and returns the sum of the even numbers in it. An empty array sums to 0.',
+    functionName: { javascript: 'sumOfEvens', python: 'sum_of_evens' },
+    starterCode: {
+      javascript: 'function sumOfEvens(nums) {\n  // your code here\n}\n',
+      python: 'def sum_of_evens(nums):\n    # your code here\n    pass\n'
+    },
+    tests: [
+      { args: [[1, 2, 3, 4]], expected: 6 },
+      { args: [[]], expected: 0 },
+      { args: [[-2, -3, 7, 10]], expected: 8, hidden: true },
+      { args: [[1, 3, 5]], expected: 0, hidden: true },
+      { args: [[0, 0, 2]], expected: 2, hidden: true }
+    ]
+  },
+  {
+    id: 'is-palindrome',
+    title: 'Palindrome check',
+    difficulty: 'easy',
+    skills: ['strings', 'javascript', 'python'],
+    prompt: 'Write a function that returns true if a string reads the same forwards and backwards, ignoring case and any character that is not a letter or digit.',
+    functionName: { javascript: 'isPalindrome', python: 'is_palindrome' },
+    starterCode: {
+      javascript: 'function isPalindrome(s) {\n  // your code here\n}\n',
+      python: 'def is_palindrome(s):\n    # your code here\n    pass\n'
+    },
+    tests: [
+      { args: ['A man, a plan, a canal: Panama'], expected: true },
+      { args: ['hello'], expected: false },
+      { args: [''], expected: true, hidden: true },
+      { args: ['No lemon, no melon'], expected: true, hidden: true },
+      { args: ['ab1ba2'], expected: false, hidden: true }
+    ]
+  },
+  {
+    id: 'two-sum',
+    title: 'Two sum',
+    difficulty: 'medium',
+    skills: ['arrays', 'hash maps', 'algorithms'],
+    prompt: 'Given an array of integers `nums` and an integer `target`, return the indices [i, j] (i < j) of the two numbers that add up to `target`. Exactly one solution exists. Aim for better than O(n^2).',
+    functionName: { javascript: 'twoSum', python: 'two_sum' },
+    starterCode: {
+      javascript: 'function twoSum(nums, target) {\n  // your code here\n}\n',
+      python: 'def two_sum(nums, target):\n    # your code here\n    pass\n'
+    },
+    tests: [
+      { args: [[2, 7, 11, 15], 9], expected: [0, 1] },
+      { args: [[3, 2, 4], 6], expected: [1, 2] },
+      { args: [[3, 3], 6], expected: [0, 1], hidden: true },
+      { args: [[-1, -2, -3, -4, -5], -8], expected: [2, 4], hidden: true },
+      { args: [[0, 4, 3, 0], 0], expected: [0, 3], hidden: true }
+    ]
+  },
+  {
+    id: 'merge-intervals',
+    title: 'Merge intervals',
+    difficulty: 'medium',
+    skills: ['arrays', 'sorting', 'algorithms'],
+    prompt: 'Given a list of intervals [start, end], merge all overlapping intervals and return them sorted by start. Intervals that touch (e.g. [1, 4] and [4, 5]) count as overlapping.',
+    functionName: { javascript: 'mergeIntervals', python: 'merge_intervals' },
+    starterCode: {
+      javascript: 'function mergeIntervals(intervals) {\n  // your code here\n}\n',
+      python: 'def merge_intervals(intervals):\n    # your code here\n    pass\n'
+    },
+    tests: [
+      { args: [[[1, 3], [2, 6], [8, 10], [15, 18]]], expected: [[1, 6], [8, 10], [15, 18]] },
+      { args: [[[1, 4], [4, 5]]], expected: [[1, 5]] },
+      { args: [[[5, 6], [1, 2]]], expected: [[1, 2], [5, 6]], hidden: true },
+      { args: [[[1, 10], [2, 3], [4, 5]]], expected: [[1, 10]], hidden: true },
+      { args: [[]], expected: [], hidden: true }
+    ]
+  },
+  {
+    id: 'longest-unique-substring',
+    title: 'Longest substring without repeats',
+    difficulty: 'hard',
+    skills: ['strings', 'hash maps', 'algorithms'],
+    prompt: 'Return the length of the longest substring of `s` that contains no repeated characters. Aim for O(n).',
+    functionName: { javascript: 'longestUniqueSubstring', python: 'longest_unique_substring' },
+    starterCode: {
+      javascript: 'function longestUniqueSubstring(s) {\n  // your code here\n}\n',
+      python: 'def longest_unique_substring(s):\n    # your code here\n    pass\n'
+    },
+    tests: [
+      { args: ['abcabcbb'], expected: 3 },
+      { args: ['bbbbb'], expected: 1 },
+      { args: ['pwwkew'], expected: 3, hidden: true },
+      { args: [''], expected: 0, hidden: true },
+      { args: ['abba'], expected: 2, hidden: true },
+      { args: ['dvdf'], expected: 3, hidden: true }
+    ]
+  },
+  {
+    id: 'edit-distance',
+    title: 'Edit distance',
+    difficulty: 'hard',
+    skills: ['dynamic programming', 'strings', 'algorithms'],
+    prompt: 'Return the minimum number of single-character insertions, deletions or substitutions needed to turn string `a` into string `b`.',
+    functionName: { javascript: 'editDistance', python: 'edit_distance' },
+    starterCode: {
+      javascript: 'function editDistance(a, b) {\n  // your code here\n}\n',
+      python: 'def edit_distance(a, b):\n    # your code here\n    pass\n'
+    },
+    tests: [
+      { args: ['horse', 'ros'], expected: 3 },
+      { args: ['intention', 'execution'], expected: 5 },
+      { args: ['', 'abc'], expected: 3, hidden: true },
+      { args: ['same', 'same'], expected: 0, hidden: true },
+      { args: ['kitten', 'sitting'], expected: 3, hidden: true }
+    ]
+  }
+];
+
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+// Pick `count` distinct problems, closest difficulty first, preferring ones that touch the resume's skills
+function pickProblems(count, difficulty = 'medium', skills = new Set()) {
+  const target = DIFFICULTY_ORDER.indexOf(difficulty);
+  return CODING_PROBLEMS
+    .map(problem => ({
+      problem,
+      distance: Math.abs(DIFFICULTY_ORDER.indexOf(problem.difficulty) - target),
+      overlap: problem.skills.filter(s => skills.has(s)).length
+    }))
+    .sort((a, b) => a.distance - b.distance || b.overlap - a.overlap)
+    .slice(0, count)
+    .map(s => s.problem);
+}
+
+// Question fields for a problem; only the non-hidden tests are exposed as examples
+function toCodingQuestion(problem, language) {
+  return {
+    category: 'technical',
+    type: 'coding',
+    difficulty: problem.difficulty,
+    question: problem.prompt,
+    source: 'template',
+    coding: {
+      problemId: problem.id,
+      title: problem.title,
+      language,
+      functionNames: problem.functionName,
+      starterCode: problem.starterCode,
+      examples: problem.tests.filter(t => !t.hidden),
+      tests: problem.tests
+    }
+  };
+}
+
+module.exports = {
+  CODING_PROBLEMS,
+  pickProblems,
+  toCodingQuestion
+};
@@ -0,0 +1,97 @@
+const aiService = require('./aiService');
+const { buildEvaluation, getRubric, weightedScore } = require('./rubrics');
+const { SUPPORTED_LANGUAGES, runTests } = require('./codeRunner');
+
+const MAX_CODE_LENGTH = 20000;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+class CodingService {
+  // Check a submission against the question before anything is executed; returns an error message or null
+  validateSubmission(question, { language, code }) {
+    if (question.type !== 'coding') return 'Question is not a coding question';
+    if (!SUPPORTED_LANGUAGES.includes(language) || !question.coding.functionNames?.get(language)) {
+      return `Language must be one of ${[...question.coding.functionNames.keys()].join(', ')}`;
+    }
+    if (typeof code !== 'string' || !code.trim()) return 'Code is required';
+    if (code.length > MAX_CODE_LENGTH) return `Code must be at most ${MAX_CODE_LENGTH} characters`;
+    return null;
+  }
+
+  // Run the visible examples only (practice runs), or the full suite when grading.
+  // Grading needs the question loaded with select('+coding.tests').
+  async run(question, { language, code }, { grade = false } = {}) {
+    const tests = grade ? question.coding.tests : question.coding.examples;
+    const run = await runTests({
+      language,
+      code,
+      functionName: question.coding.functionNames.get(language),
+      tests: tests.map(t => ({ args: t.args, expected: t.expected, hidden: t.hidden }))
+    });
+    return this.redact(run);
+  }
+
+  // Hidden tests only reveal whether they passed, so their cases cannot be read back from results.
+  // Console output is dropped from runs that included hidden tests, since the code could print its inputs.
+  redact(run) {
+    const hidden = run.results.some(r => r.hidden);
+    return {
+      ...run,
+      stdout: hidden ? '' : run.stdout,
+      stderr: hidden ? '' : run.stderr,
+      results: run.results.map(r => (r.hidden
+        ? { index: r.index, hidden: true, passed: r.passed, error: r.passed ? undefined : 'Hidden test failed', timeMs: r.timeMs }
+        : r))
+    };
+  }
+
+  // Offline scoring from test results alone: test-capped dimensions follow the pass rate,
+  // the rest get a neutral score
+  heuristicEvaluation(run, rubric) {
+    const ratio = run.total ? run.passed / run.total : 0;
+    const dimensionScores = {};
+    for (const d of rubric.dimensions) {
+      dimensionScores[d.key] = d.cappedByTests
+        ? { score: round1(5 * ratio), feedback: `Passed ${run.passed} of ${run.total} tests` }
+        : { score: run.status === 'passed' ? 3.5 : 2.5, feedback: `${d.label} was not assessed` };
+    }
+    return buildEvaluation(rubric, dimensionScores);
+  }
+
+  // Tests are the ground truth for correctness: failing code cannot earn a high correctness or overall score
+  applyTestOutcome(evaluation, run) {
+    const ratio = run.total ? run.passed / run.total : 0;
+    const cap = round1(1 + 4 * ratio);
+    const capped = new Set(getRubric(evaluation.rubric.id).dimensions.filter(d => d.cappedByTests).map(d => d.key));
+    const scores = evaluation.scores.map(s => (capped.has(s.key) && s.score > cap
+      ? { ...s, score: cap, feedback: `${s.feedback} (capped: ${run.passed}/${run.total} tests passed)`.trim() }
+      : s));
+    return {
+      ...evaluation,
+      scores,
+      overallScore: Math.min(weightedScore(scores), cap)
+    };
+  }
+
+  async evaluate(question, { language, code, explanation }, run, rubric) {
+    try {
+      const evaluation = await aiService.evaluateCode(question.text, { language, code, explanation }, run, { rubric });
+      return { evaluation: this.applyTestOutcome(evaluation, run), evaluationMeta: aiService.resultMeta() };
+    } catch (aiError) {
+      console.error('AI code evaluation failed, using fallback:', aiError.message);
+      return {
+        evaluation: this.applyTestOutcome(this.heuristicEvaluation(run, rubric), run),
+        evaluationMeta: aiService.resultMeta(aiError)
+      };
+    }
+  }
+
+  // One line per coding answer for report prompts and transcripts
+  describeSubmission(response) {
+    const run = response.codeRun;
+    const outcome = run?.total ? `passed ${run.passed}/${run.total} tests (${run.status})` : 'not run';
+    return `[${response.code.language} solution, ${outcome}]\n${response.code.source.substring(0, 2000)}`;
+  }
+}
+
+module.exports = new CodingService();
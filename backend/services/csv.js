@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, embedded commas, quotes and newlines)
+
+function escapeField(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// rows: array of objects; columns: keys to write, in order
+function toCSV(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(col => escapeField(row[col])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Returns an array of objects keyed by the header row
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(r => r.some(f => f.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return rows.map(r => keys.reduce((obj, key, i) => {
+    obj[key] = r[i] !== undefined ? r[i] : '';
+    return obj;
+  }, {}));
+}
+
+module.exports = { toCSV, parseCSV };
@@ -0,0 +1,442 @@
+// Plain text from resume documents, keeping one line per paragraph, list items as "- " / "1. "
+// lines (indented two spaces per nesting level) and table rows as "cell | cell" lines.
+
+const JSZip = require('jszip');
+const convert = require('xml-js');
+
+// ---- XML helpers (xml-js non-compact trees) ----
+
+const parseXml = (xml) => convert.xml2js(xml, { compact: false, captureSpacesBetweenElements: true });
+const elements = (node, name) =>
+  (node?.elements || []).filter(e => e.type === 'element' && (!name || e.name === name));
+const element = (node, name) => elements(node, name)[0];
+const attr = (node, name) => node?.attributes?.[name];
+const textOf = (node) => (node?.elements || []).map(e => (e.type === 'text' ? e.text : '')).join('');
+
+// Every descendant element with the given name
+function findAll(node, name, found = []) {
+  for (const child of elements(node)) {
+    if (child.name === name) found.push(child);
+    else findAll(child, name, found);
+  }
+  return found;
+}
+
+async function readXml(zip, name) {
+  const file = zip.file(name);
+  return file ? parseXml(await file.async('string')) : null;
+}
+
+const indent = (level) => '  '.repeat(level);
+
+// Running item numbers for ordered lists; starting a shallower item resets the deeper levels
+function listCounter() {
+  const counts = new Map();
+  return (listId, level, start = 1) => {
+    const levels = counts.get(listId) || [];
+    levels[level] = levels[level] === undefined ? start : levels[level] + 1;
+    levels.length = level + 1;
+    counts.set(listId, levels);
+    return levels[level];
+  };
+}
+
+// ---- DOCX (Office Open XML) ----
+
+// numId -> per-level { numbered, start } from word/numbering.xml
+function docxNumbering(numbering) {
+  const abstracts = new Map(findAll(numbering, 'w:abstractNum').map(abstract => [
+    attr(abstract, 'w:abstractNumId'),
+    elements(abstract, 'w:lvl').reduce((levels, lvl) => {
+      const format = attr(element(lvl, 'w:numFmt'), 'w:val') || 'decimal';
+      levels[Number(attr(lvl, 'w:ilvl')) || 0] = {
+        numbered: !['bullet', 'none'].includes(format),
+        start: Number(attr(element(lvl, 'w:start'), 'w:val')) || 1
+      };
+      return levels;
+    }, [])
+  ]));
+  return new Map(findAll(numbering, 'w:num').map(num => [
+    attr(num, 'w:numId'),
+    abstracts.get(attr(element(num, 'w:abstractNumId'), 'w:val')) || []
+  ]));
+}
+
+// styleId -> numbering of paragraph styles that are lists (e.g. "List Bullet") from word/styles.xml
+function docxStyleNumbering(styles) {
+  const numbered = new Map();
+  for (const style of findAll(styles, 'w:style')) {
+    const numPr = element(element(style, 'w:pPr'), 'w:numPr');
+    if (numPr) numbered.set(attr(style, 'w:styleId'), numPr);
+  }
+  return numbered;
+}
+
+function docxInline(node, ctx) {
+  let text = '';
+  for (const child of elements(node)) {
+    switch (child.name) {
+      case 'w:t':
+        text += textOf(child);
+        break;
+      case 'w:tab':
+      case 'w:ptab':
+        text += '\t';
+        break;
+      case 'w:br':
+      case 'w:cr':
+        text += '\n';
+        break;
+      case 'w:noBreakHyphen':
+        text += '-';
+        break;
+      case 'w:txbxContent':
+        text += `\n${docxBlocks(child, ctx).join('\n')}\n`;
+        break;
+      // Properties (tab stops are w:tab too), deleted revisions, field codes, and the legacy
+      // copy of drawings that would repeat text box contents
+      case 'w:pPr':
+      case 'w:rPr':
+      case 'w:del':
+      case 'w:moveFrom':
+      case 'w:instrText':
+      case 'mc:Fallback':
+        break;
+      default:
+        text += docxInline(child, ctx);
+    }
+  }
+  return text;
+}
+
+function docxParagraph(paragraph, ctx) {
+  const text = docxInline(paragraph, ctx);
+  const pPr = element(paragraph, 'w:pPr');
+  const numPr = element(pPr, 'w:numPr') || ctx.styleNumbering.get(attr(element(pPr, 'w:pStyle'), 'w:val'));
+  const numId = attr(element(numPr, 'w:numId'), 'w:val');
+  if (!numId || numId === '0' || !text.trim()) return text;
+
+  const level = Number(attr(element(numPr, 'w:ilvl'), 'w:val')) || 0;
+  const format = ctx.numbering.get(numId)?.[level] || { numbered: false };
+  const marker = format.numbered ? `${ctx.count(numId, level, format.start)}.` : '-';
+  return `${indent(level)}${marker} ${text.trim()}`;
+}
+
+function docxBlocks(node, ctx) {
+  const lines = [];
+  for (const child of elements(node)) {
+    switch (child.name) {
+      case 'w:p':
+        lines.push(docxParagraph(child, ctx));
+        break;
+      case 'w:tbl':
+        for (const row of elements(child, 'w:tr')) {
+          const cells = elements(row, 'w:tc').map(cell => docxBlocks(cell, ctx).map(l => l.trim()).filter(Boolean).join(' '));
+          if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        }
+        break;
+      case 'w:sectPr':
+      case 'w:del':
+        break;
+      default:
+        // Content controls, custom XML and other wrappers around paragraphs
+        lines.push(...docxBlocks(child, ctx));
+    }
+  }
+  return lines;
+}
+
+async function docxText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const document = await readXml(zip, 'word/document.xml');
+  if (!document) throw new Error('word/document.xml is missing');
+
+  const ctx = {
+    numbering: docxNumbering(await readXml(zip, 'word/numbering.xml')),
+    styleNumbering: docxStyleNumbering(await readXml(zip, 'word/styles.xml')),
+    count: listCounter()
+  };
+
+  // Page headers often hold the name and contact details; the same text can repeat per section
+  const headers = [];
+  const headerFiles = zip.file(/^word\/header\d*\.xml$/).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  for (const file of headerFiles) {
+    const text = docxBlocks(parseXml(await file.async('string')), ctx).join('\n').trim();
+    if (text && !headers.includes(text)) headers.push(text);
+  }
+
+  return [...headers, ...docxBlocks(findAll(document, 'w:body')[0], ctx)].join('\n');
+}
+
+// ---- ODT (OpenDocument Text) ----
+
+// List style name -> per-level { numbered, start } from content.xml and styles.xml
+function odtListStyles(...roots) {
+  const styles = new Map();
+  for (const style of roots.flatMap(root => findAll(root, 'text:list-style'))) {
+    const levels = [];
+    for (const level of elements(style)) {
+      levels[(Number(attr(level, 'text:level')) || 1) - 1] = {
+        numbered: level.name === 'text:list-level-style-number',
+        start: Number(attr(level, 'text:start-value')) || 1
+      };
+    }
+    styles.set(attr(style, 'style:name'), levels);
+  }
+  return styles;
+}
+
+function odtInline(node, ctx) {
+  let text = '';
+  for (const child of node.elements || []) {
+    if (child.type === 'text') {
+      text += child.text;
+      continue;
+    }
+    if (child.type !== 'element') continue;
+    switch (child.name) {
+      case 'text:s':
+        text += ' '.repeat(Number(attr(child, 'text:c')) || 1);
+        break;
+      case 'text:tab':
+        text += '\t';
+        break;
+      case 'text:line-break':
+        text += '\n';
+        break;
+      case 'draw:text-box':
+        text += `\n${odtBlocks(child, ctx).join('\n')}\n`;
+        break;
+      // Footnotes and comments
+      case 'text:note':
+      case 'office:annotation':
+        break;
+      default:
+        text += odtInline(child, ctx);
+    }
+  }
+  return text;
+}
+
+function odtList(list, ctx, parent) {
+  const style = attr(list, 'text:style-name') || parent?.style;
+  const level = parent ? parent.level + 1 : 0;
+  const format = ctx.listStyles.get(style)?.[level] || { numbered: false };
+  const lines = [];
+
+  for (const item of elements(list)) {
+    const itemLines = odtBlocks(item, ctx, { style, level });
+    const startsWithText = ['text:p', 'text:h'].includes(elements(item)[0]?.name);
+    if (item.name === 'text:list-item' && startsWithText && itemLines.length) {
+      const marker = format.numbered ? `${ctx.count(list, level, format.start)}.` : '-';
+      itemLines[0] = `${indent(level)}${marker} ${itemLines[0].trim()}`;
+    }
+    lines.push(...itemLines);
+  }
+  return lines;
+}
+
+function odtBlocks(node, ctx, list = null) {
+  const lines = [];
+  for (const child of elements(node)) {
+    switch (child.name) {
+      case 'text:p':
+      case 'text:h':
+        lines.push(odtInline(child, ctx));
+        break;
+      case 'text:list':
+        lines.push(...odtList(child, ctx, list));
+        break;
+      case 'table:table':
+        for (const row of findAll(child, 'table:table-row')) {
+          const cells = elements(row, 'table:table-cell').map(cell => odtBlocks(cell, ctx).map(l => l.trim()).filter(Boolean).join(' '));
+          if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        }
+        break;
+      case 'text:note':
+      case 'office:annotation':
+      case 'text:tracked-changes':
+        break;
+      default:
+        // Sections and other wrappers around paragraphs
+        lines.push(...odtBlocks(child, ctx, list));
+    }
+  }
+  return lines;
+}
+
+async function odtText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = await readXml(zip, 'content.xml');
+  if (!content) throw new Error('content.xml is missing');
+
+  const ctx = {
+    listStyles: odtListStyles(content, await readXml(zip, 'styles.xml')),
+    count: listCounter()
+  };
+  return odtBlocks(findAll(content, 'office:text')[0], ctx).join('\n');
+}
+
+// ---- RTF ----
+
+// Groups that hold document settings, tables of fonts/colours/styles, pictures or field codes
+const RTF_SKIPPED_GROUPS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl',
+  'info', 'generator', 'pict', 'object', 'themedata', 'colorschememapping', 'latentstyles',
+  'datastore', 'xmlnstbl', 'filetbl', 'fldinst', 'footnote', 'annotation'
+]);
+const RTF_WORDS = {
+  par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', tab: '\t', cell: ' | ', nestcell: ' | ',
+  bullet: '•', emdash: '—', endash: '–', emspace: ' ', enspace: ' ',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+const RTF_SYMBOLS = { '~': ' ', '_': '-', '-': '', '\\': '\\', '{': '{', '}': '}', '\n': '\n', '\r': '\n' };
+
+function rtfText(input) {
+  let decoder = new TextDecoder('windows-1252');
+  let out = '';
+  let bytes = [];
+  let state = { skip: false, uc: 1 };
+  const groups = [];
+  // Fallback characters still to skip after a \u unicode escape
+  let skipChars = 0;
+
+  const flush = () => {
+    if (bytes.length) out += decoder.decode(Buffer.from(bytes));
+    bytes = [];
+  };
+  const emit = (text) => {
+    if (state.skip) return;
+    flush();
+    // A cell separator at the end of a row is not needed
+    if (text === '\n') out = out.replace(/ \| $/, '');
+    out += text;
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (ch === '{' || ch === '}') {
+      flush();
+      if (ch === '{') {
+        groups.push(state);
+        state = { ...state };
+      } else {
+        state = groups.pop() || state;
+      }
+      skipChars = 0;
+      i++;
+    } else if (ch === '\\' && input[i + 1] === "'") {
+      if (skipChars > 0) skipChars--;
+      else if (!state.skip) bytes.push(parseInt(input.substr(i + 2, 2), 16));
+      i += 4;
+    } else if (ch === '\\') {
+      const control = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(input.slice(i, i + 40));
+      if (!control) {
+        const symbol = input[i + 1];
+        if (symbol === '*') state.skip = true;
+        else if (symbol in RTF_SYMBOLS) emit(RTF_SYMBOLS[symbol]);
+        i += 2;
+        continue;
+      }
+      i += control[0].length;
+      const [, word, param] = control;
+      if (RTF_SKIPPED_GROUPS.has(word)) state.skip = true;
+      else if (word === 'u') {
+        const code = Number(param);
+        emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+        skipChars = state.uc;
+      } else if (word === 'uc') state.uc = Number(param) || 0;
+      else if (word === 'bin') i += Number(param) || 0;
+      else if (word === 'ansicpg') {
+        try {
+          decoder = new TextDecoder(`windows-${param}`);
+        } catch {
+          // Unknown code page: keep windows-1252
+        }
+      } else if (word in RTF_WORDS) emit(RTF_WORDS[word]);
+    } else if (ch === '\r' || ch === '\n') {
+      i++;
+    } else {
+      if (skipChars > 0) skipChars--;
+      else emit(ch);
+      i++;
+    }
+  }
+  flush();
+  return out;
+}
+
+// ---- Plain text and Markdown ----
+
+// UTF-8 (with or without BOM) or UTF-16 with a BOM; anything else is read as Latin-1
+function plainText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.toString('utf16le', 2);
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2))).swap16().toString('utf16le');
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    return buffer.toString('latin1');
+  }
+}
+
+// Backslash-escaped characters are set aside as private-use characters until the markup is removed
+const MD_ESCAPE = 0xe000;
+
+function markdownInline(line) {
+  return line
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, (match, char) => String.fromCharCode(MD_ESCAPE + char.charCodeAt(0)))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?[^)]*\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/<((?:https?:|mailto:)[^>\s]+)>/g, '$1')
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+    .replace(/`+([^`]+)`+/g, '$1')
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?![\w*])/g, '$1$2')
+    .replace(/(^|\W)_(?=\S)([^_]+?)(?<=\S)_(?!\w)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/[\ue000-\ue0ff]/g, (char) => String.fromCharCode(char.charCodeAt(0) - MD_ESCAPE));
+}
+
+function markdownText(buffer) {
+  const lines = [];
+  let fence = null;
+
+  for (let line of plainText(buffer).split(/\r\n?|\n/)) {
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch && (!fence || fenceMatch[1][0] === fence)) {
+      fence = fence ? null : fenceMatch[1][0];
+      continue;
+    }
+    if (fence) {
+      lines.push(line);
+      continue;
+    }
+    // Horizontal rules, setext heading underlines and table header separators
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s*=+\s*$/.test(line)) continue;
+    if (line.includes('-') && /^\s*\|?(\s*:?-+:?\s*\|)+\s*(:?-+:?)?\s*$/.test(line)) continue;
+
+    line = line
+      .replace(/^(\s*>\s?)+/, '')
+      .replace(/^\s{0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/, '$1')
+      .replace(/^(\s*)[*+-]\s+(\[[ xX]\]\s+)?/, '$1- ');
+
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      line = line.trim().slice(1, -1).split(/(?<!\\)\|/).map(cell => markdownInline(cell.trim())).join(' | ');
+    } else {
+      line = markdownInline(line);
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  docxText,
+  odtText,
+  rtfText,
+  plainText,
+  markdownText
+};
@@ -0,0 +1,84 @@
+const Question = require('../models/Question');
+const aiService = require('./aiService');
+
+const SHALLOW_WORD_COUNT = 40;
+const LOW_SCORE = 2.5;
+
+class FollowUpService {
+  // Follow-ups are only considered when enabled and the topic's chain is below maxDepth
+  canFollowUp(interview, question) {
+    if (!interview.followUps?.enabled) return false;
+    // Coding answers are judged by their tests, not by how much was said
+    if (question.type === 'coding') return false;
+    return (question.depth || 0) < (interview.followUps.maxDepth ?? 1);
+  }
+
+  // Offline rule: probe short or low-scoring answers with a generic prompt
+  heuristicFollowUp(transcript, evaluation) {
+    const words = transcript.trim().split(/\s+/).filter(Boolean).length;
+    const score = evaluation?.overallScore;
+
+    if (words > 0 && words < SHALLOW_WORD_COUNT) {
+      return {
+        shouldAsk: true,
+        question: 'Could you expand on that with a specific example, including what you did and what the outcome was?',
+        reason: 'Answer was short'
+      };
+    }
+    if (typeof score === 'number' && score < LOW_SCORE) {
+      return {
+        shouldAsk: true,
+        question: 'What would you do differently if you faced that situation again, and why?',
+        reason: 'Answer scored low'
+      };
+    }
+    return { shouldAsk: false, question: '', reason: 'Answer was sufficient' };
+  }
+
+  async decide(question, transcript, evaluation) {
+    try {
+      return await aiService.generateFollowUp(question.text, transcript, evaluation);
+    } catch (aiError) {
+      console.error('AI follow-up generation failed, using heuristic:', aiError.message);
+      return this.heuristicFollowUp(transcript, evaluation);
+    }
+  }
+
+  // Create the follow-up directly after its parent and shift later questions down
+  async insertFollowUp(interview, parent, text) {
+    await Question.updateMany(
+      { interviewId: interview._id, order: { $gt: parent.order } },
+      { $inc: { order: 1 } }
+    );
+
+    const followUp = new Question({
+      interviewId: interview._id,
+      text,
+      category: parent.category,
+      order: parent.order + 1,
+      difficulty: parent.difficulty,
+      timeLimit: parent.timeLimit,
+      source: 'followUp',
+      parentQuestionId: parent._id,
+      depth: (parent.depth || 0) + 1
+    });
+    await followUp.save();
+
+    const parentIndex = interview.questions.findIndex(id => id.equals(parent._id));
+    interview.questions.splice(parentIndex + 1, 0, followUp._id);
+    interview.totalQuestions = interview.questions.length;
+    return followUp;
+  }
+
+  // Decide on and insert a follow-up for an answered question; returns the new question or null
+  async maybeAddFollowUp(interview, question, transcript, evaluation) {
+    if (!this.canFollowUp(interview, question) || !transcript.trim()) return null;
+
+    const decision = await this.decide(question, transcript, evaluation);
+    if (!decision.shouldAsk) return null;
+
+    return this.insertFollowUp(interview, question, decision.question);
+  }
+}
+
+module.exports = new FollowUpService();
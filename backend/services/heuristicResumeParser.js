@@ -0,0 +1,476 @@
+// Offline resume parser used when the LLM is unavailable. It finds section headings, splits each
+// section into entries and reads dates, roles, companies, degrees and bullet lists from them.
+// Anything it cannot read is left empty. Every value it fills in is listed in `fieldConfidence` as
+// { path, confidence (0-1), start, end }, where start/end are the character span of the resume
+// text it was read from and path is e.g. "skills.3" or "experience.0.company".
+
+const skillTaxonomy = require('./skillTaxonomy');
+
+const SECTION_HEADINGS = {
+  skills: [
+    'skills', 'technical skills', 'core skills', 'key skills', 'skills and tools', 'skills and technologies',
+    'technologies', 'tech stack', 'tools', 'tools and technologies', 'programming languages',
+    'languages and tools', 'competencies', 'core competencies', 'technical proficiencies', 'expertise'
+  ],
+  experience: [
+    'experience', 'work experience', 'professional experience', 'employment', 'employment history',
+    'work history', 'career history', 'relevant experience', 'industry experience'
+  ],
+  internships: ['internships', 'internship', 'internship experience', 'internships and training'],
+  projects: [
+    'projects', 'personal projects', 'academic projects', 'key projects', 'selected projects', 'side projects',
+    'project experience', 'technical projects', 'portfolio'
+  ],
+  education: [
+    'education', 'academic background', 'academics', 'qualifications', 'education and training',
+    'academic qualifications', 'educational qualifications'
+  ],
+  // Sections that are not parsed but end the one before them
+  other: [
+    'summary', 'professional summary', 'profile', 'objective', 'career objective', 'about', 'about me',
+    'certifications', 'certificates', 'awards', 'achievements', 'honors', 'honours', 'publications',
+    'languages', 'interests', 'hobbies', 'references', 'volunteering', 'volunteer experience', 'activities',
+    'extracurricular activities', 'leadership', 'contact', 'contact information', 'personal details'
+  ]
+};
+const ENTRY_SECTIONS = ['experience', 'internships', 'projects', 'education'];
+const HEADING_SECTION = new Map(
+  Object.entries(SECTION_HEADINGS).flatMap(([section, names]) => names.map(name => [name, section]))
+);
+
+const ROLE_WORDS = /\b(engineer|developer|intern|internship|manager|analyst|designer|consultant|lead|architect|scientist|specialist|administrator|programmer|sde|associate|assistant|officer|director|head|coordinator|technician|researcher|fellow|trainee|founder|co-founder|cto|ceo|devops|tester|qa)\b/i;
+const COMPANY_WORDS = /\b(inc|llc|ltd|limited|corp|corporation|company|technologies|technology|solutions|systems|labs|software|group|gmbh|pvt|plc|studios?|consulting|services|bank)\b/i;
+const INTERN_WORDS = /\bintern(ship)?\b/i;
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|polytechnic|iit|nit|iiit)\b/i;
+// Spelled-out degrees match in any case; abbreviations such as "BE" or "MS" only in capitals
+const DEGREE_WORDS = /\b(ph\.?\s?d|doctor(ate)? of|masters?|master's|bachelors?|bachelor's|m\.?\s?tech|b\.?\s?tech|m\.?\s?sc|b\.?\s?sc|mba|bca|mca|bba|associate'?s? degree|diploma|high school|secondary school|higher secondary)\b/i;
+const DEGREE_ABBREVIATIONS = /\b(B\.?E|M\.?E|B\.?A|M\.?A|B\.?S|M\.?S)\b\.?/;
+const GPA = /\b(?:c?gpa|cpi|grade)\s*[:-]?\s*(\d{1,2}(?:\.\d{1,2})?(?:\s*\/\s*\d{1,2}(?:\.\d{1,2})?)?)|\b(\d(?:\.\d{1,2})?\s*\/\s*(?:4|5|10)(?:\.0{1,2})?)\b|\b(\d{2}(?:\.\d{1,2})?\s*%)/i;
+const TECH_LINE = /^(?:tech(?:nologies)?(?: used)?|tech stack|stack|tools|built with)\s*[:-]\s*(.+)$/i;
+const ROLE_LINE = /^role\s*[:-]\s*(.+)$/i;
+const BULLET = /^(?:[-*•◦▪‣●○■□➢➤►–]|\d{1,2}[.)])\s+/;
+// Splits a header line into parts: "Engineer | Acme Corp | Remote"
+const SEPARATOR = /\s+[|–—·•-]\s+|\s*\|\s*|,\s+/;
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE = `(?<![\\w/.])(?:${MONTH}\\s*'?\\d{2,4}|\\d{1,2}\\s*\\/\\s*\\d{4}|(?:19|20)\\d{2})(?!\\w)`;
+const DATE_RANGE = new RegExp(`${DATE}\\s*(?:-|–|—|to|until|till)\\s*(?:${DATE}|present|current|now|ongoing|today|date)`, 'i');
+const SINGLE_DATE = new RegExp(`(?:(?:expected|graduat\\w*|since|from)\\s+)?${DATE}`, 'i');
+
+// Confidence below which a value is treated as a guess
+const TRUSTED_CONFIDENCE = 0.5;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word-boundary aware search so "java" doesn't match "javascript"
+const mentionIndex = (text, term) => {
+  const match = new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}(?=$|[^a-z0-9+#])`, 'i').exec(text);
+  return match ? match.index + match[1].length : -1;
+};
+
+// Lines with their offsets in the text; `indent` is the leading whitespace stripped from `text`
+function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+  for (const raw of text.split('\n')) {
+    const indent = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    lines.push({ text: trimmed, start: offset + indent, end: offset + indent + trimmed.length, indent });
+    offset += raw.length + 1;
+  }
+  return lines;
+}
+
+// Part of a line as its own line, keeping offsets into the text
+function subLine(line, part) {
+  const at = line.text.indexOf(part);
+  const start = at === -1 ? line.start : line.start + at;
+  return { text: part, start, end: at === -1 ? line.end : start + part.length, indent: line.indent };
+}
+
+function normalizeHeading(text) {
+  let heading = text.replace(/^#+\s*/, '').replace(/[:\s]+$/, '');
+  // Letter-spaced headings: "E X P E R I E N C E"
+  if (/^([A-Za-z] )+[A-Za-z]$/.test(heading)) heading = heading.replace(/ /g, '');
+  return heading.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// { section, rest } when the line is a section heading; `rest` is content after an inline heading
+// such as "Skills: React, Node.js". Grouped skills ("Languages: ...") and an entry's "Tools: ..."
+// line are content, not headings.
+function headingOf(line, current) {
+  if (line.text.length <= 50 && !BULLET.test(line.text)) {
+    const section = HEADING_SECTION.get(normalizeHeading(line.text));
+    if (section) return { section };
+  }
+  const inline = /^([A-Za-z][A-Za-z &/]{1,40}?)\s*:\s*(\S.*)$/.exec(line.text);
+  const isContent = current === 'skills' || (ENTRY_SECTIONS.includes(current) && TECH_LINE.test(line.text));
+  if (inline && !isContent) {
+    const section = HEADING_SECTION.get(normalizeHeading(inline[1]));
+    if (section) return { section, rest: subLine(line, inline[2]) };
+  }
+  return null;
+}
+
+// Section name -> its lines, in resume order
+function splitSections(lines) {
+  const sections = { skills: [], experience: [], internships: [], projects: [], education: [] };
+  let current = null;
+  for (const line of lines) {
+    const heading = line.text ? headingOf(line, current) : null;
+    if (heading) {
+      current = heading.section;
+      if (heading.rest && sections[current]) sections[current].push(heading.rest);
+    } else if (sections[current]) {
+      sections[current].push(line);
+    }
+  }
+  return sections;
+}
+
+// Group a section's lines into entries: header lines (title, company, dates) followed by detail
+// lines (bullets and sentences). Sections written as a plain bullet list get one entry per bullet.
+function splitEntries(lines) {
+  const entries = [];
+  let current = null;
+  let gap = false;
+
+  for (const line of lines) {
+    if (!line.text) {
+      gap = true;
+      continue;
+    }
+    const marker = BULLET.exec(line.text);
+    const content = marker ? subLine(line, line.text.slice(marker[0].length).trim()) : line;
+    // "Tools: ..." and "Role: ..." lines belong to the entry above them
+    const attached = TECH_LINE.test(content.text) || ROLE_LINE.test(content.text);
+    const isDetail = Boolean(marker) || attached || line.text.length > 90
+      || (/[.!]$/.test(line.text) && line.text.split(/\s+/).length > 6);
+    const hasDate = DATE_RANGE.test(line.text);
+    const hasDegree = DEGREE_WORDS.test(line.text) || DEGREE_ABBREVIATIONS.test(line.text);
+
+    const startsEntry = !current
+      || (current.fromBullet ? Boolean(marker) && line.indent === 0 : !isDetail && (
+        gap || current.details.length > 0 || current.header.length >= 3
+        || (current.hasDate && hasDate) || (current.hasDegree && hasDegree)
+      ));
+    if (startsEntry) {
+      current = { header: [], details: [], hasDate: false, hasDegree: false, fromBullet: Boolean(marker) };
+      entries.push(current);
+    }
+
+    if (current.header.length === 0 || (!isDetail && current.details.length === 0)) current.header.push(content);
+    else current.details.push(content);
+    current.hasDate = current.hasDate || hasDate;
+    current.hasDegree = current.hasDegree || hasDegree;
+    gap = false;
+  }
+  return entries;
+}
+
+// Collects values and their confidence records for one parse
+function createRecorder() {
+  const fieldConfidence = [];
+  return {
+    fieldConfidence,
+    // Record a value read from `span` (a line or { start, end }); returns the value
+    set(path, value, confidence, span) {
+      if (value === '' || (Array.isArray(value) && value.length === 0)) return value;
+      fieldConfidence.push({ path, confidence, start: span.start, end: span.end });
+      return value;
+    }
+  };
+}
+
+const spanOf = (lines) => ({ start: lines[0].start, end: lines[lines.length - 1].end });
+
+function findDates(lines) {
+  for (const line of lines) {
+    const range = DATE_RANGE.exec(line.text);
+    if (range) return { ...subLine(line, range[0]), confidence: 0.9 };
+  }
+  for (const line of lines) {
+    const single = SINGLE_DATE.exec(line.text);
+    if (single) return { ...subLine(line, single[0]), confidence: 0.7 };
+  }
+  return null;
+}
+
+// Header line parts with dates, brackets and locations removed
+function headerParts(lines, dates) {
+  return lines.flatMap(line => {
+    const text = (dates ? line.text.replace(dates.text, ' ') : line.text)
+      .replace(/[()[\]]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s|,–—·•-]+|[\s|,–—·•-]+$/g, '');
+    return text.split(SEPARATOR)
+      .map(part => part.trim())
+      .filter(part => part && !/^(remote|hybrid|on-?site)$/i.test(part) && !/^[A-Z]{2}$/.test(part))
+      .map(part => subLine(line, part));
+  });
+}
+
+// Technologies named in an entry: an explicit "Tech: ..." line, else known skills it mentions
+function entryTechnologies(entry, knownSkills) {
+  const lines = [...entry.header, ...entry.details];
+  for (const line of lines) {
+    const match = TECH_LINE.exec(line.text);
+    if (match) return { line, values: splitList(match[1]), confidence: 0.8 };
+  }
+  // Skills listed in the resume and taxonomy skills mentioned in the entry, written as in the entry
+  // (e.g. "Node.js" rather than "node.js"), in order of appearance
+  const text = lines.map(l => l.text).join('\n');
+  const mentioned = [
+    ...knownSkills
+      .map(skill => ({ start: mentionIndex(text, skill), length: skill.length }))
+      .filter(({ start }) => start !== -1)
+      .map(({ start, length }) => ({ text: text.substr(start, length), start })),
+    ...skillTaxonomy.find(text)
+  ].sort((a, b) => a.start - b.start);
+  const seen = new Set();
+  const values = mentioned
+    .map(m => m.text)
+    .filter(v => !seen.has(skillTaxonomy.key(v)) && seen.add(skillTaxonomy.key(v)));
+  return { line: spanOf(lines), values, confidence: 0.6 };
+}
+
+function splitList(text) {
+  return text
+    .split(/[,;|•·]|\s{2,}|\s\/\s/)
+    .map(item => item.trim().replace(/\.$/, ''))
+    .filter(item => item && item.length <= 40 && item.split(/\s+/).length <= 4);
+}
+
+// Role and company from an experience or internship entry's header
+function roleAndCompany(entry, dates) {
+  for (const line of entry.header) {
+    const text = dates ? line.text.replace(dates.text, '').trim() : line.text;
+    const at = /^(.+?)\s+(?:at|@)\s+(.+?)[\s|,–—-]*$/i.exec(text);
+    if (at) {
+      const [company] = at[2].split(SEPARATOR);
+      return {
+        role: { ...subLine(line, at[1].trim()), confidence: 0.8 },
+        company: { ...subLine(line, company.trim()), confidence: 0.8 }
+      };
+    }
+  }
+
+  const parts = headerParts(entry.header, dates);
+  const rolePart = parts.find(p => ROLE_WORDS.test(p.text));
+  const others = parts.filter(p => p !== rolePart);
+  const companyPart = others.find(p => COMPANY_WORDS.test(p.text)) || others[0];
+  const role = rolePart
+    ? { ...rolePart, confidence: 0.7 }
+    : others[1] && { ...(others[0] === companyPart ? others[1] : others[0]), confidence: 0.4 };
+  const company = companyPart && {
+    ...companyPart,
+    confidence: COMPANY_WORDS.test(companyPart.text) ? 0.8 : rolePart ? 0.6 : 0.4
+  };
+  return { role, company };
+}
+
+function parseJob(entry, knownSkills) {
+  const dates = findDates(entry.header);
+  const { role, company } = roleAndCompany(entry, dates);
+  const details = entry.details.filter(line => !TECH_LINE.test(line.text));
+  return {
+    role,
+    company,
+    duration: dates,
+    details: details.length ? { values: details.map(l => l.text), ...spanOf(details), confidence: 0.8 } : null,
+    technologies: entryTechnologies(entry, knownSkills)
+  };
+}
+
+function parseProject(entry, knownSkills) {
+  const [first, ...rest] = entry.header;
+  const dates = findDates(entry.header);
+  const firstText = dates && first.text.includes(dates.text) ? first.text.replace(dates.text, '').trim() : first.text;
+  // "Title: what it does", "Title | React, Node.js" or "Title (React, Node.js)"
+  const split = /^(.+?)(?:\s*:\s+|\s+[|–—-]\s+|\s*\()(.+?)\)?[\s|,–—-]*$/.exec(firstText);
+  const title = split ? split[1].trim() : firstText.replace(/[\s|,–—-]+$/, '');
+  const remainder = split ? split[2].trim() : '';
+  const remainderIsTech = remainder && splitList(remainder).length > 1
+    && splitList(remainder).every(item =>
+      knownSkills.includes(item.toLowerCase()) || skillTaxonomy.lookup(item) || item.split(/\s+/).length <= 2);
+
+  const details = [...rest, ...entry.details].filter(line => !TECH_LINE.test(line.text) && !ROLE_LINE.test(line.text));
+  const description = [!remainderIsTech && remainder, ...details.map(l => l.text)].filter(Boolean);
+  const roleLine = [...rest, ...entry.details].find(line => ROLE_LINE.test(line.text));
+  const role = roleLine && subLine(roleLine, ROLE_LINE.exec(roleLine.text)[1].trim());
+
+  let technologies = entryTechnologies(entry, knownSkills);
+  if (remainderIsTech && technologies.confidence < 0.8) {
+    technologies = { line: subLine(first, remainder), values: splitList(remainder), confidence: 0.8 };
+  }
+  return {
+    title: title && { ...subLine(first, title), confidence: entry.fromBullet ? 0.6 : 0.7 },
+    description: description.length
+      ? { text: description.join(' '), ...spanOf(remainder && !remainderIsTech ? [first, ...details] : details), confidence: 0.7 }
+      : null,
+    role: role && { ...role, confidence: 0.6 },
+    duration: dates,
+    technologies
+  };
+}
+
+function parseEducation(entry) {
+  const lines = [...entry.header, ...entry.details];
+  const dates = findDates(lines);
+  const parts = headerParts(entry.header, dates).filter(p => !GPA.test(p.text));
+  const degreePart = parts.find(p => DEGREE_WORDS.test(p.text) || DEGREE_ABBREVIATIONS.test(p.text));
+  const institutionPart = parts.find(p => p !== degreePart && INSTITUTION_WORDS.test(p.text));
+  const fallbackInstitution = !institutionPart && parts.find(p => p !== degreePart);
+
+  let gpa = null;
+  for (const line of lines) {
+    const match = GPA.exec(line.text);
+    if (match) {
+      gpa = { ...subLine(line, (match[1] || match[2] || match[3]).trim()), confidence: 0.9 };
+      break;
+    }
+  }
+  return {
+    degree: degreePart && { ...degreePart, confidence: 0.8 },
+    institution: institutionPart
+      ? { ...institutionPart, confidence: 0.8 }
+      : fallbackInstitution && { ...fallbackInstitution, confidence: 0.4 },
+    years: dates,
+    gpa
+  };
+}
+
+function parseSkills(lines) {
+  const skills = [];
+  const seen = new Set();
+  for (const line of lines) {
+    if (!line.text) continue;
+    const marker = BULLET.exec(line.text);
+    let content = marker ? subLine(line, line.text.slice(marker[0].length).trim()) : line;
+    // Grouped lists: "Languages: JavaScript, Python"
+    const group = /^[^:]{1,30}:\s*(.+)$/.exec(content.text);
+    if (group) content = subLine(content, group[1]);
+    for (const item of splitList(content.text)) {
+      if (seen.has(item.toLowerCase())) continue;
+      seen.add(item.toLowerCase());
+      skills.push({ ...subLine(content, item), confidence: 0.9 });
+    }
+  }
+  return skills;
+}
+
+// Taxonomy skills mentioned anywhere, for resumes without a skills section
+function scanSkills(text) {
+  return skillTaxonomy.find(text).map(({ text: found, start, end }) => ({ text: found, start, end, confidence: 0.5 }));
+}
+
+// Parse resume text into Resume.parsedData plus confidence records for every value filled in
+function parseResumeText(text) {
+  const lines = splitLines(text);
+  const sections = splitSections(lines);
+  const { set, fieldConfidence } = createRecorder();
+  const parsedData = { skills: [], projects: [], internships: [], education: [], experience: [] };
+  const value = (found) => found?.text || '';
+
+  const skills = sections.skills.length ? parseSkills(sections.skills) : scanSkills(text);
+  skills.forEach(skill => {
+    parsedData.skills.push(set(`skills.${parsedData.skills.length}`, skill.text, skill.confidence, skill));
+  });
+  const knownSkills = Array.from(new Set(parsedData.skills.map(s => s.toLowerCase())));
+
+  // Internships listed under experience are moved to internships
+  const jobs = [
+    ...splitEntries(sections.experience).map(entry => ({ entry, job: parseJob(entry, knownSkills) })),
+    ...splitEntries(sections.internships).map(entry => ({ entry, job: parseJob(entry, knownSkills), intern: true }))
+  ];
+  for (const { entry, job, intern } of jobs) {
+    const isIntern = intern || INTERN_WORDS.test(value(job.role)) || INTERN_WORDS.test(entry.header.map(l => l.text).join(' '));
+    const list = isIntern ? 'internships' : 'experience';
+    const path = `${list}.${parsedData[list].length}`;
+    const tasksKey = isIntern ? 'tasks' : 'responsibilities';
+    parsedData[list].push({
+      company: set(`${path}.company`, value(job.company), job.company?.confidence, job.company),
+      role: set(`${path}.role`, value(job.role), job.role?.confidence, job.role),
+      duration: set(`${path}.duration`, value(job.duration), job.duration?.confidence, job.duration),
+      [tasksKey]: set(`${path}.${tasksKey}`, job.details?.values || [], job.details?.confidence, job.details),
+      technologies: set(`${path}.technologies`, job.technologies.values, job.technologies.confidence, job.technologies.line)
+    });
+  }
+
+  for (const entry of splitEntries(sections.projects)) {
+    const project = parseProject(entry, knownSkills);
+    const path = `projects.${parsedData.projects.length}`;
+    parsedData.projects.push({
+      title: set(`${path}.title`, value(project.title), project.title?.confidence, project.title),
+      description: set(`${path}.description`, project.description?.text || '', project.description?.confidence, project.description),
+      techStack: set(`${path}.techStack`, project.technologies.values, project.technologies.confidence, project.technologies.line),
+      duration: set(`${path}.duration`, value(project.duration), project.duration?.confidence, project.duration),
+      role: set(`${path}.role`, value(project.role), project.role?.confidence, project.role)
+    });
+  }
+
+  for (const entry of splitEntries(sections.education)) {
+    const education = parseEducation(entry);
+    const path = `education.${parsedData.education.length}`;
+    parsedData.education.push({
+      degree: set(`${path}.degree`, value(education.degree), education.degree?.confidence, education.degree),
+      institution: set(`${path}.institution`, value(education.institution), education.institution?.confidence, education.institution),
+      years: set(`${path}.years`, value(education.years), education.years?.confidence, education.years),
+      gpa: set(`${path}.gpa`, value(education.gpa), education.gpa?.confidence, education.gpa)
+    });
+  }
+
+  return { parsedData, fieldConfidence };
+}
+
+// Confidence records for parsed data from elsewhere (the LLM): values found verbatim in the
+// resume text are trusted with their span; others may be paraphrased or invented.
+function locateFields(parsedData = {}, text = '') {
+  const lower = text.toLowerCase();
+  const records = [];
+  const locate = (path, value) => {
+    const values = (Array.isArray(value) ? value : [value]).filter(v => typeof v === 'string' && v.trim());
+    if (!values.length) return;
+    const found = values.map(v => lower.indexOf(v.trim().toLowerCase())).filter(at => at !== -1);
+    const record = { path, confidence: Math.round((0.6 + 0.3 * (found.length / values.length)) * 100) / 100 };
+    if (found.length) {
+      record.start = Math.min(...found);
+      const last = Math.max(...found);
+      record.end = last + values.find(v => lower.indexOf(v.trim().toLowerCase()) === last).trim().length;
+    }
+    records.push(record);
+  };
+
+  (parsedData.skills || []).forEach((skill, i) => locate(`skills.${i}`, skill));
+  for (const list of ['projects', 'internships', 'education', 'experience']) {
+    (parsedData[list] || []).forEach((entry, i) => {
+      for (const [key, value] of Object.entries(entry)) {
+        if (key !== '_id') locate(`${list}.${i}.${key}`, value);
+      }
+    });
+  }
+  return records;
+}
+
+// Copy of parsed data without the values whose confidence is below TRUSTED_CONFIDENCE;
+// values without a confidence record (e.g. resumes parsed before it was kept) are trusted
+function trustedData(parsedData = {}, fieldConfidence = []) {
+  const guessed = new Set(fieldConfidence.filter(f => f.confidence < TRUSTED_CONFIDENCE).map(f => f.path));
+  const trusted = { skills: (parsedData.skills || []).filter((skill, i) => !guessed.has(`skills.${i}`)) };
+  for (const list of ['projects', 'internships', 'education', 'experience']) {
+    trusted[list] = (parsedData[list] || []).map((entry, i) => Object.fromEntries(
+      Object.entries(entry).map(([key, value]) => [
+        key,
+        guessed.has(`${list}.${i}.${key}`) ? (Array.isArray(value) ? [] : '') : value
+      ])
+    ));
+  }
+  return trusted;
+}
+
+module.exports = {
+  TRUSTED_CONFIDENCE,
+  parseResumeText,
+  locateFields,
+  trustedData
+};
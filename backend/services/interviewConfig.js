@@ -0,0 +1,143 @@
+const { QUESTION_CATEGORIES } = require('./aiSchemas');
+const { SUPPORTED_LANGUAGES } = require('./codeRunner');
+const { DEFAULT_RUBRICS, normalizeRubricChoices } = require('./rubrics');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// How spoken-style questions are answered: recorded and transcribed, or typed
+const ANSWER_MODES = ['voice', 'typed'];
+
+const LIMITS = {
+  questionCount: { min: 1, max: 30 },
+  timeLimit: { min: 30, max: 600 },
+  totalTimeBudget: { min: 60, max: 4 * 60 * 60 },
+  codingQuestions: { min: 0, max: 5 },
+  codingTimeLimit: { min: 120, max: 60 * 60 }
+};
+
+const DEFAULT_CONFIG = {
+  questionCount: 10,
+  // Relative weights; only their ratio matters
+  categoryWeights: {
+    technical: 3,
+    project: 2,
+    experience: 2,
+    internship: 1,
+    behavioral: 2
+  },
+  difficulty: 'medium',
+  // Default answer mode; candidates can still switch per question
+  answerMode: 'voice',
+  // Seconds allowed per question, by category
+  timeLimits: {
+    technical: 120,
+    project: 150,
+    experience: 120,
+    internship: 120,
+    behavioral: 120
+  },
+  // Optional cap in seconds for the whole interview; null means no cap
+  totalTimeBudget: null,
+  // Fraction (0-1) of each category's questions drawn from the curated question bank
+  bankShare: 0,
+  // Coding problems included in the interview; they take the place of technical questions
+  codingQuestions: 0,
+  codingLanguage: 'javascript',
+  codingTimeLimit: 15 * 60,
+  // Rubric id per question kind (category, or "coding"); see services/rubrics.js
+  rubrics: { ...DEFAULT_RUBRICS }
+};
+
+const clampInt = (value, { min, max }, fallback) => {
+  const num = parseInt(value, 10);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(max, Math.max(min, num));
+};
+
+// Fill in defaults and clamp user-supplied values into supported ranges
+function normalizeConfig(input = {}) {
+  const config = {
+    questionCount: clampInt(input.questionCount, LIMITS.questionCount, DEFAULT_CONFIG.questionCount),
+    categoryWeights: {},
+    difficulty: DIFFICULTIES.includes(input.difficulty) ? input.difficulty : DEFAULT_CONFIG.difficulty,
+    answerMode: ANSWER_MODES.includes(input.answerMode) ? input.answerMode : DEFAULT_CONFIG.answerMode,
+    timeLimits: {},
+    totalTimeBudget: null,
+    bankShare: DEFAULT_CONFIG.bankShare,
+    codingQuestions: clampInt(input.codingQuestions, LIMITS.codingQuestions, DEFAULT_CONFIG.codingQuestions),
+    codingLanguage: SUPPORTED_LANGUAGES.includes(input.codingLanguage) ? input.codingLanguage : DEFAULT_CONFIG.codingLanguage,
+    codingTimeLimit: clampInt(input.codingTimeLimit, LIMITS.codingTimeLimit, DEFAULT_CONFIG.codingTimeLimit),
+    rubrics: normalizeRubricChoices(input.rubrics)
+  };
+  config.codingQuestions = Math.min(config.codingQuestions, config.questionCount);
+
+  for (const category of QUESTION_CATEGORIES) {
+    const weight = Number(input.categoryWeights?.[category]);
+    config.categoryWeights[category] = Number.isFinite(weight) && weight >= 0
+      ? weight
+      : DEFAULT_CONFIG.categoryWeights[category];
+    config.timeLimits[category] = clampInt(
+      input.timeLimits?.[category],
+      LIMITS.timeLimit,
+      DEFAULT_CONFIG.timeLimits[category]
+    );
+  }
+
+  // All-zero weights would leave nothing to ask
+  if (Object.values(config.categoryWeights).every(w => w === 0)) {
+    config.categoryWeights = { ...DEFAULT_CONFIG.categoryWeights };
+  }
+
+  const bankShare = Number(input.bankShare);
+  if (Number.isFinite(bankShare)) {
+    config.bankShare = Math.min(1, Math.max(0, bankShare));
+  }
+
+  if (input.totalTimeBudget !== undefined && input.totalTimeBudget !== null && input.totalTimeBudget !== '') {
+    config.totalTimeBudget = clampInt(input.totalTimeBudget, LIMITS.totalTimeBudget, null);
+  }
+
+  return config;
+}
+
+// Split questionCount across categories by weight (largest remainder method)
+function allocateCategories(config) {
+  const totalWeight = QUESTION_CATEGORIES.reduce((sum, c) => sum + config.categoryWeights[c], 0);
+  const shares = QUESTION_CATEGORIES.map(category => {
+    const exact = (config.categoryWeights[category] / totalWeight) * config.questionCount;
+    return { category, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let assigned = shares.reduce((sum, s) => sum + s.count, 0);
+  const byRemainder = [...shares].sort((a, b) => b.remainder - a.remainder);
+  for (let i = 0; assigned < config.questionCount; i++, assigned++) {
+    byRemainder[i % byRemainder.length].count += 1;
+  }
+
+  return shares.reduce((plan, s) => {
+    plan[s.category] = s.count;
+    return plan;
+  }, {});
+}
+
+// Per-question time limits, scaled down proportionally when they exceed the overall budget
+function assignTimeLimits(questions, config) {
+  const limits = questions.map(q => q.type === 'coding'
+    ? config.codingTimeLimit || DEFAULT_CONFIG.codingTimeLimit
+    : config.timeLimits[q.category] || DEFAULT_CONFIG.timeLimits.behavioral);
+  const total = limits.reduce((sum, l) => sum + l, 0);
+  if (!config.totalTimeBudget || total <= config.totalTimeBudget) return limits;
+
+  const scale = config.totalTimeBudget / total;
+  return limits.map(l => Math.max(LIMITS.timeLimit.min, Math.floor(l * scale)));
+}
+
+module.exports = {
+  ANSWER_MODES,
+  DIFFICULTIES,
+  DEFAULT_CONFIG,
+  LIMITS,
+  normalizeConfig,
+  allocateCategories,
+  assignTimeLimits
+};
@@ -0,0 +1,152 @@
+const aiService = require('./aiService');
+const skillTaxonomy = require('./skillTaxonomy');
+
+// Skills that are close enough that experience in one transfers to another (canonical names, see skillTaxonomy)
+const RELATED_SKILLS = [
+  ['React', 'Angular', 'Vue.js', 'Next.js'],
+  ['Node.js', 'Express', 'NestJS'],
+  ['Django', 'Flask', 'FastAPI'],
+  ['Java', 'Kotlin', 'Scala', 'C#'],
+  ['PostgreSQL', 'MySQL', 'SQL'],
+  ['MongoDB', 'DynamoDB', 'NoSQL'],
+  ['AWS', 'Azure', 'GCP'],
+  ['Docker', 'Kubernetes'],
+  ['Kafka', 'RabbitMQ'],
+  ['Jenkins', 'GitHub Actions', 'CI/CD'],
+  ['TensorFlow', 'PyTorch', 'Machine Learning', 'Deep Learning'],
+  ['Jest', 'Cypress', 'Testing'],
+  ['JavaScript', 'TypeScript']
+];
+
+// Headings that start the optional part of a job description, e.g. "Nice to have:", "Bonus points"
+const NICE_TO_HAVE_HEADING = /^\W*(nice[\s-]to[\s-]have|good[\s-]to[\s-]have|preferred|desirable|bonus|plus points)\b/i;
+const REQUIRED_HEADING = /(requirements|required|must[\s-]have|qualifications|what you('|’)ll need|you have)/i;
+// Marks a single line as optional, e.g. "Kubernetes is a plus"
+const NICE_TO_HAVE_MARKER = /\b(nice[\s-]to[\s-]have|good[\s-]to[\s-]have|preferred|desirable|an? (plus|bonus)|(bonus|plus) points?)\b/i;
+
+class JobMatcher {
+  // Split the JD into required and nice-to-have parts by heading, then spot known skills in each
+  heuristicRequirements(text) {
+    const required = new Set();
+    const niceToHave = new Set();
+    let inNiceToHave = false;
+
+    for (const line of text.split(/\r?\n/)) {
+      if (NICE_TO_HAVE_HEADING.test(line) && line.length < 80) inNiceToHave = true;
+      else if (REQUIRED_HEADING.test(line) && line.length < 80) inNiceToHave = false;
+
+      for (const { name: skill } of skillTaxonomy.find(line)) {
+        // A "nice to have" marker on the same line wins, e.g. "Kubernetes is a plus"
+        if (inNiceToHave || NICE_TO_HAVE_MARKER.test(line)) niceToHave.add(skill);
+        else required.add(skill);
+      }
+    }
+
+    required.forEach(skill => niceToHave.delete(skill));
+    const title = text.split(/\r?\n/).map(l => l.trim()).find(Boolean) || '';
+    return {
+      title: title.length <= 100 ? title : '',
+      requiredSkills: Array.from(required),
+      niceToHaveSkills: Array.from(niceToHave)
+    };
+  }
+
+  async extractRequirements(text) {
+    try {
+      const result = await aiService.extractJobRequirements(text);
+      return {
+        ...result,
+        requiredSkills: skillTaxonomy.normalizeList(result.requiredSkills || []),
+        niceToHaveSkills: skillTaxonomy.normalizeList(result.niceToHaveSkills || []),
+        meta: aiService.resultMeta()
+      };
+    } catch (aiError) {
+      console.error('AI job description extraction failed, using heuristic:', aiError.message);
+      return { ...this.heuristicRequirements(text), meta: aiService.resultMeta(aiError) };
+    }
+  }
+
+  // Every place a skill shows up in the resume, e.g. "skills", "project: Chat App"
+  collectEvidence(parsedData = {}) {
+    const evidence = new Map();
+    const add = (skill, source) => {
+      const key = skillTaxonomy.key(skill);
+      if (!key) return;
+      if (!evidence.has(key)) evidence.set(key, new Set());
+      evidence.get(key).add(source);
+    };
+
+    (parsedData.skills || []).forEach(s => add(s, 'skills'));
+    (parsedData.projects || []).forEach(p => {
+      (p.techStack || []).forEach(s => add(s, `project: ${p.title || 'untitled'}`));
+    });
+    (parsedData.experience || []).forEach(e => {
+      (e.technologies || []).forEach(s => add(s, `experience: ${e.company || 'unknown'}`));
+    });
+    (parsedData.internships || []).forEach(i => {
+      (i.technologies || []).forEach(s => add(s, `internship: ${i.company || 'unknown'}`));
+    });
+    return evidence;
+  }
+
+  // Where a skill is found in the resume, either as a listed item (under any alias) or mentioned in free text
+  findEvidence(skill, evidence, resumeText) {
+    const sources = new Set();
+    const skillKey = skillTaxonomy.key(skill);
+    for (const [key, from] of evidence) {
+      if (key === skillKey || skillTaxonomy.mentions(key, skill)) from.forEach(s => sources.add(s));
+    }
+    if (sources.size === 0 && resumeText && skillTaxonomy.mentions(resumeText, skill)) sources.add('resume text');
+    return Array.from(sources);
+  }
+
+  // Compare JD requirements with the resume: matched, transferable (a related skill is present) and missing
+  computeGap(parsedData, resumeText, requirements) {
+    const evidence = this.collectEvidence(parsedData);
+    const matched = [];
+    const transferable = [];
+    const missing = [];
+    let earned = 0;
+    let possible = 0;
+
+    const assess = (skill, importance) => {
+      const weight = importance === 'required' ? 2 : 1;
+      possible += weight;
+
+      const found = this.findEvidence(skill, evidence, resumeText);
+      if (found.length) {
+        matched.push({ skill, importance, evidence: found });
+        earned += weight;
+        return;
+      }
+
+      const key = skillTaxonomy.key(skill);
+      const group = RELATED_SKILLS.find(g => g.some(related => skillTaxonomy.key(related) === key)) || [];
+      const via = group.filter(related => skillTaxonomy.key(related) !== key && this.findEvidence(related, evidence, resumeText).length);
+      if (via.length) {
+        transferable.push({ skill, importance, via });
+        earned += weight / 2;
+        return;
+      }
+
+      missing.push({ skill, importance });
+    };
+
+    const required = skillTaxonomy.normalizeList(requirements.requiredSkills || []);
+    const requiredKeys = new Set(required.map(s => skillTaxonomy.key(s)));
+    required.forEach(s => assess(s, 'required'));
+    skillTaxonomy.normalizeList(requirements.niceToHaveSkills || [])
+      .filter(s => !requiredKeys.has(skillTaxonomy.key(s)))
+      .forEach(s => assess(s, 'niceToHave'));
+
+    return {
+      matched,
+      transferable,
+      missing,
+      matchScore: possible ? Math.round((earned / possible) * 100) : null,
+      generatedAt: new Date()
+    };
+  }
+}
+
+module.exports = new JobMatcher();
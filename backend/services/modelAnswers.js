@@ -0,0 +1,103 @@
+const BankQuestion = require('../models/BankQuestion');
+const aiService = require('./aiService');
+
+// Words ignored when matching key points against an answer offline
+const STOPWORDS = new Set([
+  'about', 'after', 'also', 'because', 'been', 'being', 'both', 'could', 'does', 'each', 'from', 'have',
+  'into', 'just', 'like', 'more', 'most', 'other', 'over', 'should', 'some', 'such', 'than', 'that',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'very', 'were', 'what',
+  'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your'
+]);
+// Share of a key point's content words that must appear in the answer for it to count as covered
+const COVERED_SHARE = 0.5;
+const MAX_KEY_POINTS = 8;
+
+const contentWords = (text) =>
+  (text.toLowerCase().match(/[a-z0-9+#.]+/g) || [])
+    .map(w => w.replace(/\.+$/, ''))
+    .filter(w => w.length > 3 && !STOPWORDS.has(w));
+
+// Sentences of a curated answer used as its key points when the AI cannot list them
+const sentencePoints = (text) =>
+  text.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean).slice(0, MAX_KEY_POINTS);
+
+class ModelAnswerService {
+  // The question's model answer, generated from the candidate's resume (and the bank's curated
+  // answer, when the question came from the bank) unless one is stored already. Without the AI,
+  // a curated answer is used as is; questions without one get no model answer (returns null).
+  async ensure(question, parsedResume, { refresh = false } = {}) {
+    if (question.modelAnswer?.text && !refresh) return question.modelAnswer;
+
+    const bank = question.bankQuestionId
+      ? await BankQuestion.findById(question.bankQuestionId).select('modelAnswer')
+      : null;
+    const reference = bank?.modelAnswer?.trim() || undefined;
+
+    try {
+      const { answer, keyPoints } = await aiService.generateModelAnswer(question.text, {
+        category: question.type === 'coding' ? 'coding' : question.category,
+        parsedResume,
+        reference
+      });
+      const { source, ...meta } = aiService.resultMeta();
+      question.modelAnswer = { text: answer, keyPoints, source, fromBank: Boolean(reference), ...meta, generatedAt: new Date() };
+    } catch (error) {
+      if (!reference) {
+        console.error('Model answer unavailable:', error.message);
+        return null;
+      }
+      question.modelAnswer = {
+        text: reference,
+        keyPoints: sentencePoints(reference),
+        source: 'bank',
+        fromBank: true,
+        fallbackReason: error.message,
+        generatedAt: new Date()
+      };
+    }
+    await question.save();
+    return question.modelAnswer;
+  }
+
+  // Key points of the model answer found in the candidate's answer by word overlap; incorrect
+  // statements cannot be judged offline
+  heuristicComparison(modelAnswer, answerText) {
+    const words = new Set(contentWords(answerText));
+    const covered = [];
+    const missed = [];
+    for (const point of modelAnswer.keyPoints) {
+      const pointWords = contentWords(point);
+      const found = pointWords.filter(w => words.has(w)).length;
+      (pointWords.length && found / pointWords.length >= COVERED_SHARE ? covered : missed).push(point);
+    }
+    return {
+      covered,
+      missed,
+      incorrect: [],
+      summary: `Covered ${covered.length} of ${modelAnswer.keyPoints.length} key points (matched by wording)`
+    };
+  }
+
+  // Key points covered, missed and incorrect in `answerText` relative to the model answer
+  async compare(question, modelAnswer, answerText) {
+    if (!answerText.trim()) {
+      return {
+        covered: [],
+        missed: modelAnswer.keyPoints,
+        incorrect: [],
+        summary: 'No answer was given to compare',
+        meta: { source: 'fallback', fallbackReason: 'No answer text' },
+        comparedAt: new Date()
+      };
+    }
+    try {
+      const comparison = await aiService.compareAnswers(question.text, modelAnswer, answerText);
+      return { ...comparison, meta: aiService.resultMeta(), comparedAt: new Date() };
+    } catch (error) {
+      console.error('AI answer comparison failed, matching key points by wording:', error.message);
+      return { ...this.heuristicComparison(modelAnswer, answerText), meta: aiService.resultMeta(error), comparedAt: new Date() };
+    }
+  }
+}
+
+module.exports = new ModelAnswerService();
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Interview = require('../models/Interview');
+const Response = require('../models/Response');
+const PracticeTopic = require('../models/PracticeTopic');
+const analytics = require('./analytics');
+const { QUESTION_CATEGORIES } = require('./aiSchemas');
+const { normalizeConfig } = require('./interviewConfig');
+const { generateInterviewQuestions, generateSkillQuestions } = require('./questionGenerator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// SM-2 constants: answers scoring below PASSING restart the schedule
+const MIN_EASE = 1.3;
+const PASSING = 3;
+// Weight of the newest score in the mastery moving average
+const MASTERY_WEIGHT = 0.4;
+const HISTORY_LIMIT = 20;
+const DRILL_SIZE = { default: 4, min: 1, max: 6 };
+// Attempts at saving a review when another request updated the same topic meanwhile
+const SAVE_ATTEMPTS = 3;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const isScored = (response) => typeof response.evaluation?.overallScore === 'number';
+
+class PracticeService {
+  // Apply one review (the topic's 0-5 average score in a session) with the SM-2 algorithm
+  review(topic, score, reviewedAt, interviewId) {
+    const quality = Math.max(0, Math.min(5, Math.round(score)));
+    if (quality < PASSING) {
+      topic.repetitions = 0;
+      topic.intervalDays = 1;
+    } else {
+      topic.repetitions += 1;
+      if (topic.repetitions === 1) topic.intervalDays = 1;
+      else if (topic.repetitions === 2) topic.intervalDays = 6;
+      else topic.intervalDays = Math.round(topic.intervalDays * topic.easeFactor);
+    }
+    topic.easeFactor = Math.max(MIN_EASE, round2(topic.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    topic.dueAt = new Date(reviewedAt.getTime() + topic.intervalDays * DAY_MS);
+
+    const average = topic.reviews ? (topic.mastery / 20) * (1 - MASTERY_WEIGHT) + score * MASTERY_WEIGHT : score;
+    topic.mastery = Math.round(average * 20);
+    topic.lastScore = round2(score);
+    topic.lastReviewedAt = reviewedAt;
+    topic.reviews += 1;
+    topic.history.push({ interviewId, score: round2(score), reviewedAt });
+    if (topic.history.length > HISTORY_LIMIT) topic.history.splice(0, topic.history.length - HISTORY_LIMIT);
+    return topic;
+  }
+
+  // Average score per topic in one completed session: drill answers count for the topic they were
+  // asked for; interview answers for their category and the resume skills they exercise
+  topicScores(interview, responses, skillsByQuestion = new Map()) {
+    const scores = new Map();
+    const add = (kind, name, score) => {
+      const entry = scores.get(`${kind}:${name}`) || { kind, name, total: 0, count: 0 };
+      entry.total += score;
+      entry.count += 1;
+      scores.set(`${kind}:${name}`, entry);
+    };
+
+    if (interview.mode === 'drill') {
+      for (const topic of interview.drillTopics) {
+        const response = responses.find(r => String(r.questionId._id) === String(topic.questionId));
+        if (response && isScored(response)) add(topic.kind, topic.name, response.evaluation.overallScore);
+      }
+    } else {
+      for (const response of responses.filter(isScored)) {
+        const score = response.evaluation.overallScore;
+        add('category', analytics.questionKind(response.questionId), score);
+        for (const skill of skillsByQuestion.get(String(response.questionId._id)) || []) add('skill', skill, score);
+      }
+    }
+    return [...scores.values()].map(({ kind, name, total, count }) => ({ kind, name, score: total / count }));
+  }
+
+  // Count one session's score for a topic, creating the topic on first use. A topic that already has
+  // this session in its history was updated by an earlier sync that did not finish, or a concurrent one.
+  async recordReview(userId, { kind, name, score }, reviewedAt, interviewId) {
+    for (let attempt = 1; ; attempt++) {
+      const topic = await PracticeTopic.findOneAndUpdate(
+        { userId, kind, name },
+        { $setOnInsert: { dueAt: reviewedAt } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      if (topic.history.some(h => String(h.interviewId) === String(interviewId))) return;
+      this.review(topic, score, reviewedAt, interviewId);
+      try {
+        await topic.save();
+        return;
+      } catch (error) {
+        if (!(error instanceof mongoose.Error.VersionError) || attempt >= SAVE_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  // Apply every completed interview not yet counted to the user's practice topics, oldest first.
+  // An interview is marked as counted only once all its topics are updated, so a failure is retried
+  // on the next sync.
+  async sync(userId) {
+    const pending = await Interview.find({ userId, status: 'completed', practiceRecordedAt: { $exists: false } })
+      .populate('resumeId', 'parsedData')
+      .select('mode drillTopics questions resumeId endTime updatedAt')
+      .sort({ endTime: 1, createdAt: 1 });
+
+    for (const interview of pending) {
+      const responses = await Response.find({ questionId: { $in: interview.questions } })
+        .populate('questionId', 'text category type bankQuestionId')
+        .select('questionId evaluation');
+      const skills = interview.mode === 'drill'
+        ? new Map()
+        : analytics.skillsByQuestion(responses, interview.resumeId?.parsedData, await analytics.loadBankSkills(responses));
+      const reviewedAt = interview.endTime || interview.updatedAt;
+
+      for (const topicScore of this.topicScores(interview, responses, skills)) {
+        await this.recordReview(userId, topicScore, reviewedAt, interview._id);
+      }
+      await Interview.updateOne({ _id: interview._id }, { $set: { practiceRecordedAt: new Date() } });
+    }
+  }
+
+  // Topics for the next drill: due ones first, then the least mastered
+  pickTopics(topics, size, now = new Date()) {
+    const byMastery = (a, b) => a.mastery - b.mastery || a.dueAt - b.dueAt;
+    const due = topics.filter(t => t.dueAt <= now).sort(byMastery);
+    const later = topics.filter(t => t.dueAt > now).sort(byMastery);
+    return [...due, ...later].slice(0, size);
+  }
+
+  // Questions for a drill: one per category topic ("coding" gets a coding problem) and one per skill
+  // topic, each tagged with the topic it practises. Returns { questions, config, meta }.
+  async buildDrill(parsedData, topics, { difficulty, answerMode, exclude } = {}) {
+    const categories = topics.filter(t => t.kind === 'category' && t.name !== 'coding').map(t => t.name);
+    const coding = topics.filter(t => t.kind === 'category' && t.name === 'coding').length;
+    const skills = topics.filter(t => t.kind === 'skill').map(t => t.name);
+    const config = normalizeConfig({
+      questionCount: categories.length + coding,
+      categoryWeights: Object.fromEntries(QUESTION_CATEGORIES.map(c => [c, categories.includes(c) ? 1 : 0])),
+      codingQuestions: coding,
+      difficulty,
+      answerMode
+    });
+
+    let generated = [];
+    let meta = { source: 'template' };
+    if (categories.length + coding > 0) {
+      ({ questions: generated, meta } = await generateInterviewQuestions(parsedData, config));
+    }
+    // A category the resume cannot support is replaced by another; the question practises what it asks
+    const tag = (q) => ({ ...q, topic: { kind: 'category', name: q.type === 'coding' ? 'coding' : q.category } });
+    const skillQuestions = (await generateSkillQuestions(skills, config.difficulty, { exclude }))
+      .map(({ skill, ...q }) => ({ ...q, topic: { kind: 'skill', name: skill } }));
+
+    const questions = [
+      ...generated.filter(q => q.type !== 'coding').map(tag),
+      ...skillQuestions,
+      ...generated.filter(q => q.type === 'coding').map(tag)
+    ];
+    return { questions, config: { ...config, questionCount: questions.length }, meta };
+  }
+
+  drillSize(input) {
+    const size = parseInt(input, 10);
+    if (!Number.isFinite(size)) return DRILL_SIZE.default;
+    return Math.min(DRILL_SIZE.max, Math.max(DRILL_SIZE.min, size));
+  }
+}
+
+module.exports = new PracticeService();
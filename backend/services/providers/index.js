@@ -0,0 +1,54 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = ['openai', 'ollama', 'mock'];
+
+// Read provider settings from the environment.
+// AI_PROVIDER selects the backend: "openai" (any OpenAI-compatible endpoint), "ollama" or "mock".
+// An unknown value falls back to the mock provider rather than stopping the server.
+function getProviderConfig(env = process.env) {
+  const provider = (env.AI_PROVIDER || 'openai').toLowerCase();
+
+  if (provider === 'ollama') {
+    return {
+      provider,
+      baseURL: env.AI_BASE_URL || 'http://localhost:11434',
+      model: env.AI_MODEL || 'llama3.1',
+      timeoutMs: Number(env.AI_TIMEOUT_MS) || 120000
+    };
+  }
+
+  if (!PROVIDERS.includes(provider)) {
+    console.error(`❌ Unknown AI_PROVIDER "${env.AI_PROVIDER}" (expected ${PROVIDERS.join(', ')}); using the mock provider`);
+    return { provider: 'mock', model: 'mock' };
+  }
+
+  if (provider === 'mock') {
+    return { provider, model: 'mock' };
+  }
+
+  return {
+    provider,
+    // GITHUB_MODELS_API_KEY / OPENAI_API_KEY kept for existing .env files
+    apiKey: env.AI_API_KEY || env.GITHUB_MODELS_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.AI_BASE_URL || 'https://models.inference.ai.azure.com',
+    model: env.AI_MODEL || 'gpt-4o-mini',
+    transcriptionModel: env.AI_TRANSCRIPTION_MODEL || 'whisper-1'
+  };
+}
+
+function createProvider(config = getProviderConfig()) {
+  switch (config.provider) {
+    case 'ollama':
+      return new OllamaProvider(config);
+    case 'mock':
+      return new MockProvider(config);
+    case 'openai':
+      return new OpenAICompatibleProvider(config);
+    default:
+      throw new Error(`Unknown AI provider "${config.provider}"`);
+  }
+}
+
+module.exports = { getProviderConfig, createProvider };
@@ -0,0 +1,173 @@
+// Deterministic offline provider: returns canned, schema-valid JSON for each AI task.
+// Output depends only on the task input, so the same resume/answer always yields the same result.
+
+const SKILL_KEYWORDS = [
+  'javascript', 'typescript', 'react', 'node.js', 'express', 'python', 'java', 'c++', 'sql',
+  'mongodb', 'postgresql', 'docker', 'kubernetes', 'aws', 'git', 'html', 'css', 'django', 'flask'
+];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function mockParseResume({ resumeText = '' }) {
+  const lower = resumeText.toLowerCase();
+  const skills = SKILL_KEYWORDS.filter(k =>
+    new RegExp(`(^|[^a-z0-9])${escapeRegExp(k)}($|[^a-z0-9+#])`).test(lower)
+  );
+  return { skills, projects: [], internships: [], education: [], experience: [] };
+}
+
+function mockGenerateQuestions({ parsedResume = {}, plan }) {
+  const total = plan ? Object.values(plan).reduce((sum, n) => sum + n, 0) : 10;
+  const skills = parsedResume.skills || [];
+  const project = parsedResume.projects?.[0]?.title;
+  const experience = parsedResume.experience?.[0]?.company;
+  const internship = parsedResume.internships?.[0]?.company;
+
+  const questions = [];
+  skills.slice(0, 3).forEach(skill => {
+    questions.push({ category: 'technical', question: `What is a problem you solved with ${skill}, and why was it the right tool?` });
+  });
+  if (project) questions.push({ category: 'project', question: `Walk me through the architecture of "${project}".` });
+  if (experience) questions.push({ category: 'experience', question: `What was the most impactful thing you delivered at ${experience}?` });
+  if (internship) questions.push({ category: 'internship', question: `What did you learn during your internship at ${internship}?` });
+
+  const behavioral = [
+    'Tell me about a time you disagreed with a teammate. How did you resolve it?',
+    'Describe a deadline you nearly missed. What did you do?',
+    'Tell me about a mistake you made and what you learned from it.',
+    'Describe a situation where you had to learn something new quickly.',
+    'Tell me about a project you are proud of and your specific contribution.',
+    'Describe a time you received critical feedback. How did you respond?',
+    'Tell me about a time you had to prioritise competing tasks.',
+    'Describe a time you helped a colleague who was struggling.',
+    'Tell me about a time you improved an existing process.',
+    'Describe a time you took ownership of a problem nobody else picked up.'
+  ];
+  for (let i = 0; questions.length < total; i++) {
+    questions.push({ category: 'behavioral', question: behavioral[i % behavioral.length] });
+  }
+  return questions.slice(0, total);
+}
+
+// Same score and feedback for every rubric dimension requested
+const mockScores = (dimensions, score, feedback) =>
+  Object.fromEntries(dimensions.map(key => [key, { score, feedback }]));
+
+function mockEvaluateResponse({ transcript = '', dimensions = [] }) {
+  const words = transcript.trim().split(/\s+/).filter(Boolean).length;
+  // Longer answers score higher, capped at 4 so mock output never looks perfect
+  const base = words === 0 ? 0 : Math.min(4, 1 + Math.floor(words / 40));
+  return {
+    scores: mockScores(dimensions, base, 'Mock evaluation: estimated from answer length'),
+    sentiment: 'neutral',
+    flags: { reading: false, silence: words === 0, irrelevant: false }
+  };
+}
+
+function mockEvaluateCode({ run = {}, dimensions = [] }) {
+  const score = run.total ? Math.round((run.passed / run.total) * 40) / 10 : 0;
+  return {
+    scores: mockScores(dimensions, score, 'Mock evaluation: scored from the share of tests passed'),
+    sentiment: 'neutral',
+    flags: { reading: false, silence: false, irrelevant: false }
+  };
+}
+
+// First sentence as the situation, last as the result, the rest as actions; no task
+function mockAnalyzeStar({ transcript = '' }) {
+  const sentences = transcript.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+  const component = (quotes) => ({
+    strength: quotes.length ? 'weak' : 'missing',
+    quotes,
+    feedback: 'Mock analysis: components assigned by sentence position'
+  });
+  return {
+    situation: component(sentences.slice(0, 1)),
+    task: component([]),
+    action: component(sentences.slice(1, -1)),
+    result: component(sentences.length > 1 ? sentences.slice(-1) : []),
+    summary: 'Mock STAR analysis'
+  };
+}
+
+function mockGenerateModelAnswer({ question = '', parsedResume = {}, reference }) {
+  const skill = (parsedResume.skills || [])[0] || 'my main technology';
+  return {
+    answer: reference || `Mock model answer to "${question}", drawing on my experience with ${skill}.`,
+    keyPoints: [`Concrete example using ${skill}`, 'Reasoning behind the approach', 'Outcome and what was learned']
+  };
+}
+
+// First key point counts as covered when there is any answer; no incorrect claims
+function mockCompareAnswers({ modelAnswer = {}, candidateAnswer = '' }) {
+  const points = modelAnswer.keyPoints || [];
+  const answered = candidateAnswer.trim().length > 0;
+  return {
+    covered: answered ? points.slice(0, 1) : [],
+    missed: answered ? points.slice(1) : points,
+    incorrect: [],
+    summary: 'Mock comparison'
+  };
+}
+
+function mockGenerateReport({ questions = [] }) {
+  return {
+    summary: `Mock report covering ${questions.length} question(s).`,
+    strengths: ['Completed the interview'],
+    weaknesses: ['Mock provider does not assess answer content'],
+    recommendations: ['Configure a real AI provider for detailed feedback'],
+    hireability: 50,
+    perQuestion: questions.map(q => ({ question: q, assessment: 'Not assessed by mock provider' }))
+  };
+}
+
+function mockGenerateFollowUp({ transcript = '' }) {
+  const words = transcript.trim().split(/\s+/).filter(Boolean).length;
+  if (words >= 40) return { shouldAsk: false, question: '', reason: 'Answer was detailed enough' };
+  return {
+    shouldAsk: true,
+    question: 'Can you walk me through a concrete example of that, including what you personally did?',
+    reason: 'Answer was short'
+  };
+}
+
+function mockExtractJobRequirements({ text = '' }) {
+  const { skills } = mockParseResume({ resumeText: text });
+  return { title: '', requiredSkills: skills.length ? skills : ['communication'], niceToHaveSkills: [] };
+}
+
+const HANDLERS = {
+  parseResume: mockParseResume,
+  generateQuestions: mockGenerateQuestions,
+  evaluateResponse: mockEvaluateResponse,
+  evaluateCode: mockEvaluateCode,
+  generateReport: mockGenerateReport,
+  generateFollowUp: mockGenerateFollowUp,
+  analyzeStar: mockAnalyzeStar,
+  generateModelAnswer: mockGenerateModelAnswer,
+  compareAnswers: mockCompareAnswers,
+  extractJobRequirements: mockExtractJobRequirements
+};
+
+class MockProvider {
+  constructor({ model }) {
+    this.name = 'mock';
+    this.model = model || 'mock';
+  }
+
+  async chat({ task, input }) {
+    const handler = HANDLERS[task];
+    if (!handler) {
+      throw new Error(`Mock provider has no canned output for task "${task}"`);
+    }
+    return JSON.stringify(handler(input || {}));
+  }
+
+  async transcribe() {
+    const text = 'This is a mock transcription of the recorded answer';
+    const words = text.split(' ').map((word, i) => ({ word, start: i * 0.4, end: i * 0.4 + 0.3, confidence: 0.9 }));
+    return { text, language: 'en', durationSeconds: words.length * 0.4, words };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,37 @@
+// Self-hosted model server using Ollama's native chat API (no API key, no outbound network)
+class OllamaProvider {
+  constructor({ baseURL, model, timeoutMs }) {
+    this.name = 'ollama';
+    this.baseURL = (baseURL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async chat({ messages, temperature, maxTokens }) {
+    const res = await fetch(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        stream: false,
+        options: { temperature, num_predict: maxTokens }
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      throw new Error(`Ollama request failed (${res.status}): ${body.slice(0, 200)}`);
+    }
+
+    const data = await res.json();
+    return data?.message?.content || '';
+  }
+
+  async transcribe() {
+    throw new Error('The ollama provider does not support audio transcription');
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,75 @@
+const OpenAI = require('openai');
+const fs = require('fs');
+
+// Any endpoint that speaks the OpenAI chat/audio API (OpenAI, GitHub Models, OpenRouter, vLLM, LM Studio...)
+class OpenAICompatibleProvider {
+  constructor({ apiKey, baseURL, model, transcriptionModel }) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.model = model;
+    this.transcriptionModel = transcriptionModel;
+    this.client = null;
+  }
+
+  // Create the client on first use so a missing key doesn't crash the server at startup
+  getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error('No API key configured for the OpenAI-compatible provider (set AI_API_KEY)');
+      }
+      this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL });
+    }
+    return this.client;
+  }
+
+  async chat({ messages, temperature, maxTokens }) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    });
+    return response.choices?.[0]?.message?.content || '';
+  }
+
+  // Returns { text, language, durationSeconds, words: [{ word, start, end, confidence }] }.
+  // Word confidence is the probability implied by the enclosing segment's average log-probability.
+  async transcribe(filePath) {
+    let result;
+    try {
+      result = await this.getClient().audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model: this.transcriptionModel,
+        response_format: 'verbose_json',
+        timestamp_granularities: ['word', 'segment']
+      });
+    } catch (error) {
+      // Some transcription models only support plain JSON output (no timestamps)
+      if (error.status !== 400) throw error;
+      result = await this.getClient().audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model: this.transcriptionModel
+      });
+    }
+
+    const segments = result.segments || [];
+    const confidenceAt = (time) => {
+      const segment = segments.find(s => time >= s.start && time <= s.end);
+      return typeof segment?.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : undefined;
+    };
+    return {
+      text: result.text || '',
+      language: result.language,
+      durationSeconds: result.duration,
+      words: (result.words || []).map(w => ({
+        word: w.word,
+        start: w.start,
+        end: w.end,
+        confidence: confidenceAt(w.start)
+      }))
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,148 @@
+const BankQuestion = require('../models/BankQuestion');
+const { QUESTION_CATEGORIES } = require('./aiSchemas');
+const { DIFFICULTIES } = require('./interviewConfig');
+const { toCSV, parseCSV } = require('./csv');
+const skillTaxonomy = require('./skillTaxonomy');
+
+const EXPORT_COLUMNS = ['text', 'category', 'difficulty', 'skills', 'tags', 'modelAnswer', 'rubricNotes', 'active'];
+
+// Lists may arrive as arrays (JSON) or as ";"/","-separated strings (CSV, forms)
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+  if (typeof value === 'string') return value.split(/[;,]/).map(v => v.trim().toLowerCase()).filter(Boolean);
+  return [];
+};
+
+const toBool = (value, fallback) => {
+  if (typeof value === 'boolean') return value;
+  if (value === undefined || value === null || value === '') return fallback;
+  return !['false', '0', 'no'].includes(String(value).trim().toLowerCase());
+};
+
+class QuestionBankService {
+  // Validate create/update/import input; `partial` allows updates that omit required fields
+  validate(input = {}, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (input.text !== undefined || !partial) {
+      const text = typeof input.text === 'string' ? input.text.trim() : '';
+      if (!text) errors.push('text is required');
+      value.text = text;
+    }
+    if (input.category !== undefined || !partial) {
+      const category = String(input.category || '').trim().toLowerCase();
+      if (!QUESTION_CATEGORIES.includes(category)) {
+        errors.push(`category must be one of ${QUESTION_CATEGORIES.join(', ')}`);
+      }
+      value.category = category;
+    }
+    if (input.difficulty !== undefined && input.difficulty !== '') {
+      const difficulty = String(input.difficulty).trim().toLowerCase();
+      if (!DIFFICULTIES.includes(difficulty)) {
+        errors.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+      }
+      value.difficulty = difficulty;
+    }
+    // Skills are stored as taxonomy keys so aliases ("nodejs", "node.js") match the same questions
+    if (input.skills !== undefined) value.skills = [...new Set(toList(input.skills).map(s => skillTaxonomy.key(s)))];
+    if (input.tags !== undefined) value.tags = toList(input.tags);
+    if (input.modelAnswer !== undefined) value.modelAnswer = String(input.modelAnswer || '');
+    if (input.rubricNotes !== undefined) value.rubricNotes = String(input.rubricNotes || '');
+    if (input.active !== undefined) value.active = toBool(input.active, true);
+
+    return { value, errors };
+  }
+
+  // Parse an uploaded/posted import payload into raw question objects
+  parseImport(content, format) {
+    if (format === 'csv') return parseCSV(content);
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.questions)) return data.questions;
+    throw new Error('JSON import must be an array of questions or { "questions": [...] }');
+  }
+
+  // Insert valid questions, skipping exact duplicates already in the bank
+  async importQuestions(rawQuestions, userId) {
+    const imported = [];
+    const skipped = [];
+    const errors = [];
+
+    for (let i = 0; i < rawQuestions.length; i++) {
+      const { value, errors: itemErrors } = this.validate(rawQuestions[i]);
+      if (itemErrors.length) {
+        errors.push({ index: i, errors: itemErrors });
+        continue;
+      }
+      const exists = await BankQuestion.exists({ text: value.text, category: value.category });
+      if (exists) {
+        skipped.push(i);
+        continue;
+      }
+      imported.push(await BankQuestion.create({ ...value, createdBy: userId }));
+    }
+
+    return { imported: imported.length, skipped: skipped.length, errors };
+  }
+
+  exportQuestions(questions, format) {
+    const rows = questions.map(q => ({
+      text: q.text,
+      category: q.category,
+      difficulty: q.difficulty,
+      skills: q.skills,
+      tags: q.tags,
+      modelAnswer: q.modelAnswer || '',
+      rubricNotes: q.rubricNotes || '',
+      active: q.active
+    }));
+    if (format === 'csv') {
+      return toCSV(rows.map(r => ({ ...r, skills: r.skills.join(';'), tags: r.tags.join(';') })), EXPORT_COLUMNS);
+    }
+    return JSON.stringify({ questions: rows }, null, 2);
+  }
+
+  // Skill keys (see skillTaxonomy) from the resume (listed skills plus project/job tech) and any target-job gaps
+  resumeSkills(parsedData = {}, focus) {
+    const skills = new Set();
+    const add = (s) => s && skills.add(skillTaxonomy.key(s));
+    (parsedData.skills || []).forEach(add);
+    (parsedData.projects || []).forEach(p => (p.techStack || []).forEach(add));
+    (parsedData.experience || []).forEach(e => (e.technologies || []).forEach(add));
+    (parsedData.internships || []).forEach(i => (i.technologies || []).forEach(add));
+    if (focus) [...focus.missing, ...focus.transferable].forEach(add);
+    return skills;
+  }
+
+  // Active bank questions exercising one skill, those at the given difficulty first
+  async findForSkill(skill, { difficulty } = {}) {
+    const questions = await BankQuestion.find({ active: true, skills: skillTaxonomy.key(skill) }).lean();
+    return questions.sort((a, b) => (b.difficulty === difficulty) - (a.difficulty === difficulty));
+  }
+
+  // Active bank questions relevant to the resume at the given difficulty, best matches first, grouped
+  // by category. Skill-specific questions need at least one overlapping skill; generic ones always qualify.
+  async findForResume(parsedData, { difficulty, focus } = {}) {
+    const skills = this.resumeSkills(parsedData, focus);
+    // Questions saved before skills were stored as taxonomy keys may use an alias
+    const names = [...skills].flatMap(key => [key, ...(skillTaxonomy.lookup(key)?.aliases || [])]);
+    const filter = {
+      active: true,
+      $or: [{ skills: { $in: names } }, { skills: { $size: 0 } }]
+    };
+    if (difficulty) filter.difficulty = difficulty;
+    const candidates = await BankQuestion.find(filter).lean();
+
+    const scored = candidates
+      .map(q => ({ question: q, score: (q.skills || []).filter(s => skills.has(skillTaxonomy.key(s))).length }))
+      .sort((a, b) => b.score - a.score);
+
+    return QUESTION_CATEGORIES.reduce((byCategory, category) => {
+      byCategory[category] = scored.filter(s => s.question.category === category).map(s => s.question);
+      return byCategory;
+    }, {});
+  }
+}
+
+module.exports = new QuestionBankService();
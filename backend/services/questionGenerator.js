@@ -0,0 +1,252 @@
+const aiService = require('./aiService');
+const { QUESTION_CATEGORIES } = require('./aiSchemas');
+const { allocateCategories } = require('./interviewConfig');
+const questionBank = require('./questionBank');
+const { pickProblems, toCodingQuestion } = require('./codingProblems');
+
+const BEHAVIORAL_QUESTIONS = [
+  'Describe a time when you had to work with a difficult team member. How did you handle the situation?',
+  'Tell me about a time you missed a deadline or nearly did. What happened and what did you change afterwards?',
+  'Describe a situation where you had to learn a new technology quickly. How did you approach it?',
+  'Tell me about a mistake you made at work or in a project. How did you handle it?',
+  'Describe a time you disagreed with a decision. What did you do?',
+  'Tell me about a time you received critical feedback. How did you respond?',
+  'Describe a time you had to prioritise several urgent tasks at once.',
+  'Tell me about a time you took ownership of a problem outside your responsibilities.',
+  'Describe a situation where you had to explain a technical topic to a non-technical person.',
+  'Tell me about the achievement you are most proud of and your specific contribution.'
+];
+
+// Extra prompt asked on top of a template question for harder interviews
+const DIFFICULTY_SUFFIX = {
+  easy: '',
+  medium: '',
+  hard: ' What trade-offs did you consider, and what would you do differently at ten times the scale?'
+};
+
+function technicalQuestion(skill, difficulty) {
+  if (difficulty === 'easy') {
+    return `What is ${skill}, and how have you used it in your work or projects?`;
+  }
+  return `Can you explain how you've used ${skill} in your projects? What were the challenges and how did you overcome them?`;
+}
+
+// Questions probing a target job's gaps: missing skills first, then transferable ones
+function gapQuestions(focus) {
+  if (!focus) return [];
+  return [
+    ...focus.missing.map(skill =>
+      `This role uses ${skill}, which isn't on your resume. How would you get productive with it quickly, and what related experience would help?`
+    ),
+    ...focus.transferable.map(skill =>
+      `This role needs ${skill}. How does your experience with related tools carry over, and what would be different?`
+    )
+  ];
+}
+
+// Template questions per category built from resume data, used when the LLM is unavailable
+function buildCandidates(parsedData, difficulty, focus) {
+  const { skills = [], projects = [], experience = [], internships = [] } = parsedData;
+  const suffix = DIFFICULTY_SUFFIX[difficulty] || '';
+
+  return {
+    technical: [
+      ...gapQuestions(focus),
+      ...skills.map(skill => technicalQuestion(skill, difficulty) + suffix)
+    ],
+    project: projects.filter(p => p.title).map(project =>
+      `Tell me about your project "${project.title}". What was your role, what technologies did you use, and what were the key outcomes?` + suffix
+    ),
+    experience: experience.filter(e => e.company).map(exp =>
+      `At ${exp.company}, what were your main responsibilities${exp.role ? ` as ${exp.role}` : ''}? Can you describe a challenging problem you solved?` + suffix
+    ),
+    internship: internships.filter(i => i.company).map(intern =>
+      `During your internship at ${intern.company}, what did you learn and what projects did you work on?` + suffix
+    ),
+    behavioral: [...BEHAVIORAL_QUESTIONS]
+  };
+}
+
+const asEntries = (questions, source) => questions.map(question => ({ question, source }));
+
+// Selects questions from per-category pools of { question, source, bankQuestionId } entries,
+// never picking the same question text twice
+function createPicker() {
+  const used = new Set();
+  const selected = [];
+
+  const take = (pools, category, count) => {
+    let taken = 0;
+    for (const entry of pools[category] || []) {
+      if (taken >= count) break;
+      if (used.has(entry.question)) continue;
+      used.add(entry.question);
+      selected.push({ category, ...entry });
+      taken++;
+    }
+    return taken;
+  };
+
+  return { take, selected };
+}
+
+// Pick questions per category according to the plan; categories the resume cannot
+// support (e.g. no internships) are topped up with behavioral, then technical questions
+function fillPlan(plan, pools, picker = createPicker()) {
+  let shortfall = 0;
+
+  for (const category of QUESTION_CATEGORIES) {
+    const count = plan[category] || 0;
+    shortfall += count - picker.take(pools, category, count);
+  }
+
+  if (shortfall > 0) shortfall -= picker.take(pools, 'behavioral', shortfall);
+  if (shortfall > 0) shortfall -= picker.take(pools, 'technical', shortfall);
+  // Behavioral pool exhausted: repeat from the start rather than return a short interview
+  for (let i = 0; shortfall > 0; i++, shortfall--) {
+    picker.selected.push({
+      category: 'behavioral',
+      question: BEHAVIORAL_QUESTIONS[i % BEHAVIORAL_QUESTIONS.length],
+      source: 'template'
+    });
+  }
+
+  // Keep the interview grouped by category in a stable order
+  const rank = (category) => QUESTION_CATEGORIES.indexOf(category);
+  return picker.selected.sort((a, b) => rank(a.category) - rank(b.category));
+}
+
+function templatePools(parsedData, difficulty, focus) {
+  const candidates = buildCandidates(parsedData, difficulty, focus);
+  return QUESTION_CATEGORIES.reduce((pools, category) => {
+    pools[category] = asEntries(candidates[category], 'template');
+    return pools;
+  }, {});
+}
+
+// Concatenate pools category by category, earlier pools taking priority
+function mergePools(...poolSets) {
+  return QUESTION_CATEGORIES.reduce((merged, category) => {
+    merged[category] = poolSets.flatMap(pools => pools[category] || []);
+    return merged;
+  }, {});
+}
+
+// Per-category counts of spoken questions; coding problems take the place of
+// technical questions first, then of the largest remaining categories
+function verbalPlan(config) {
+  const plan = allocateCategories(config);
+  for (let left = config.codingQuestions || 0; left > 0; left--) {
+    const category = plan.technical > 0
+      ? 'technical'
+      : QUESTION_CATEGORIES.reduce((a, b) => (plan[b] > plan[a] ? b : a));
+    if (plan[category] === 0) break;
+    plan[category] -= 1;
+  }
+  return plan;
+}
+
+function codingQuestions(parsedData, config) {
+  return pickProblems(config.codingQuestions || 0, config.difficulty, questionBank.resumeSkills(parsedData))
+    .map(problem => toCodingQuestion(problem, config.codingLanguage));
+}
+
+// Skill gaps from a job description match, in the shape question generation expects
+function focusFromGap(jobDescription, gapAnalysis) {
+  if (!gapAnalysis) return null;
+  return {
+    title: jobDescription?.title || '',
+    missing: (gapAnalysis.missing || []).map(g => g.skill),
+    transferable: (gapAnalysis.transferable || []).map(g => g.skill)
+  };
+}
+
+// Matching bank questions per category; an unavailable bank just means no bank questions
+async function loadBankPools(parsedData, difficulty, focus) {
+  try {
+    const byCategory = await questionBank.findForResume(parsedData, { difficulty, focus });
+    return QUESTION_CATEGORIES.reduce((pools, category) => {
+      pools[category] = byCategory[category].map(q => ({ question: q.text, source: 'bank', bankQuestionId: q._id }));
+      return pools;
+    }, {});
+  } catch (error) {
+    console.error('Question bank lookup failed:', error.message);
+    return {};
+  }
+}
+
+async function generateVerbalQuestions(parsedData, config, focus) {
+  const plan = verbalPlan(config);
+  if (Object.values(plan).every(n => n === 0)) {
+    return { questions: [], meta: { source: 'template' } };
+  }
+  const bankPools = config.bankShare > 0 ? await loadBankPools(parsedData, config.difficulty, focus) : {};
+
+  // Draw the configured share of each category from the bank first; the AI fills the rest
+  const picker = createPicker();
+  const remaining = {};
+  for (const category of QUESTION_CATEGORIES) {
+    const fromBank = picker.take(bankPools, category, Math.round(plan[category] * (config.bankShare || 0)));
+    remaining[category] = plan[category] - fromBank;
+  }
+  const remainingTotal = Object.values(remaining).reduce((sum, n) => sum + n, 0);
+
+  if (remainingTotal === 0) {
+    return { questions: fillPlan(remaining, {}, picker), meta: { source: 'bank' } };
+  }
+
+  const templates = templatePools(parsedData, config.difficulty, focus);
+  try {
+    const aiQuestions = await aiService.generateQuestions(parsedData, {
+      plan: remaining,
+      difficulty: config.difficulty,
+      focus
+    });
+    const aiPools = QUESTION_CATEGORIES.reduce((pools, category) => {
+      pools[category] = asEntries(aiQuestions.filter(q => q.category === category).map(q => q.question), 'ai');
+      return pools;
+    }, {});
+    return {
+      questions: fillPlan(remaining, mergePools(aiPools, bankPools, templates), picker),
+      meta: aiService.resultMeta()
+    };
+  } catch (aiError) {
+    console.error('AI question generation failed, using fallback:', aiError.message);
+    return {
+      questions: fillPlan(remaining, mergePools(bankPools, templates), picker),
+      meta: aiService.resultMeta(aiError)
+    };
+  }
+}
+
+// Generate the question list for a new interview; returns the questions and how they were produced.
+// `target` optionally carries { jobDescription, gapAnalysis } to bias questions toward the role's gaps.
+// Coding problems, if configured, close the interview after the spoken questions.
+async function generateInterviewQuestions(parsedData, config, target = {}) {
+  const focus = focusFromGap(target.jobDescription, target.gapAnalysis);
+  const { questions, meta } = await generateVerbalQuestions(parsedData, config, focus);
+  return { questions: [...questions, ...codingQuestions(parsedData, config)], meta };
+}
+
+// One technical question per skill for practice drills: a matching bank question not in `exclude`
+// (question texts asked before), else a template. An unavailable bank just means templates.
+async function generateSkillQuestions(skills, difficulty, { exclude = new Set() } = {}) {
+  const questions = [];
+  for (const skill of skills) {
+    let bankQuestion;
+    try {
+      bankQuestion = (await questionBank.findForSkill(skill, { difficulty })).find(q => !exclude.has(q.text));
+    } catch (error) {
+      console.error('Question bank lookup failed:', error.message);
+    }
+    questions.push(bankQuestion
+      ? { category: 'technical', question: bankQuestion.text, source: 'bank', bankQuestionId: bankQuestion._id, skill }
+      : { category: 'technical', question: technicalQuestion(skill, difficulty) + (DIFFICULTY_SUFFIX[difficulty] || ''), source: 'template', skill });
+  }
+  return questions;
+}
+
+module.exports = {
+  generateInterviewQuestions,
+  generateSkillQuestions
+};
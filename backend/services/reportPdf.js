@@ -0,0 +1,186 @@
+const fs = require('fs-extra');
+const PDFDocument = require('pdfkit');
+const { evaluationScores } = require('./rubrics');
+
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  bar: '#2563eb',
+  track: '#e5e7eb',
+  warn: '#b45309'
+};
+const MAX_SKILLS = 20;
+const MAX_CODE_CHARS = 3000;
+
+// The built-in PDF fonts only cover Latin-1 plus a few typographic marks
+const WIN_ANSI_EXTRAS = '‘’“”–—…•€™';
+const clean = (text) => String(text ?? '')
+  .replace(/[^\n\t\x20-\xff]/gu, ch => (WIN_ANSI_EXTRAS.includes(ch) ? ch : '?'));
+
+function heading(doc, text) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(clean(text));
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+}
+
+function line(doc, label, value) {
+  doc.font('Helvetica-Bold').fillColor(COLORS.text).text(`${clean(label)}: `, { continued: true })
+    .font('Helvetica').text(clean(value));
+}
+
+function bullets(doc, items) {
+  if (!items?.length) {
+    doc.fillColor(COLORS.muted).text('None').fillColor(COLORS.text);
+    return;
+  }
+  doc.list(items.map(clean), { bulletRadius: 1.5, textIndent: 10 });
+}
+
+// Horizontal bars on a 0-`max` scale, one per { label, value }
+function barChart(doc, rows, { max = 5 } = {}) {
+  const labelWidth = 150;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right - labelWidth - 40;
+  const rowHeight = 16;
+  if (doc.y + rows.length * rowHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+  let y = doc.y;
+  doc.fontSize(9);
+  for (const row of rows) {
+    const value = Math.max(0, Math.min(max, row.value || 0));
+    doc.fillColor(COLORS.text).text(clean(row.label), left, y + 2, { width: labelWidth - 8, lineBreak: false, ellipsis: true });
+    doc.rect(left + labelWidth, y + 2, width, 9).fill(COLORS.track);
+    doc.rect(left + labelWidth, y + 2, (width * value) / max, 9).fill(row.color || COLORS.bar);
+    doc.fillColor(COLORS.text).text(row.value.toFixed(1), left + labelWidth + width + 6, y + 2, { lineBreak: false });
+    y += rowHeight;
+  }
+  doc.x = left;
+  doc.y = y + 4;
+  doc.fontSize(10);
+}
+
+function candidateSection(doc, { user, resume, interview, report }) {
+  line(doc, 'Candidate', `${user?.name || 'Unknown'}${user?.email ? ` <${user.email}>` : ''}`);
+  line(doc, 'Interview date', new Date(interview.startTime || interview.createdAt).toLocaleDateString('en-GB'));
+  if (interview.jobDescription?.title) line(doc, 'Target role', interview.jobDescription.title);
+  line(doc, 'Report', `version ${report.version ?? 1}, generated ${new Date(report.createdAt).toLocaleString('en-GB')}`);
+
+  const data = resume?.parsedData;
+  if (!data) return;
+  heading(doc, 'Resume highlights');
+  if (data.skills?.length) line(doc, 'Skills', data.skills.slice(0, MAX_SKILLS).join(', '));
+  const roles = [...(data.experience || []), ...(data.internships || [])]
+    .map(r => [r.role, r.company].filter(Boolean).join(' at ') + (r.duration ? ` (${r.duration})` : ''))
+    .filter(Boolean);
+  if (roles.length) line(doc, 'Experience', roles.join('; '));
+  const projects = (data.projects || []).map(p => p.title).filter(Boolean);
+  if (projects.length) line(doc, 'Projects', projects.join('; '));
+  const education = (data.education || []).map(e => [e.degree, e.institution].filter(Boolean).join(', ')).filter(Boolean);
+  if (education.length) line(doc, 'Education', education.join('; '));
+}
+
+function scoresSection(doc, { report, responses }) {
+  heading(doc, 'Scores');
+  line(doc, 'Average overall score', `${(report.scores?.overall || 0).toFixed(1)} / 5`);
+  if (typeof report.summary?.hireability === 'number') line(doc, 'Hireability', `${report.summary.hireability} / 100`);
+  if (report.coding?.questions) {
+    line(doc, 'Coding', `${report.coding.testsPassed}/${report.coding.testsTotal} tests passed, ${report.coding.fullyPassed}/${report.coding.questions} problems fully solved`);
+  }
+  const flags = report.flags || {};
+  line(doc, 'Flags', `${flags.readingCount || 0} reading, ${flags.silenceCount || 0} silence, ${flags.irrelevantCount || 0} irrelevant`);
+
+  const dimensions = report.scores?.dimensions || [];
+  if (dimensions.length) {
+    doc.moveDown(0.5).font('Helvetica-Bold').text('Average by dimension').font('Helvetica').moveDown(0.3);
+    barChart(doc, dimensions.map(d => ({ label: d.label, value: d.average })));
+  }
+
+  // Unscored answers are left out; fallback scores are drawn in a warning colour
+  const perQuestion = responses
+    .map((r, i) => ({ r, label: `Q${i + 1} ${r.questionId.category}` }))
+    .filter(({ r }) => typeof r.evaluation?.overallScore === 'number')
+    .map(({ r, label }) => ({
+      label,
+      value: r.evaluation.overallScore,
+      color: r.evaluationMeta?.source === 'fallback' ? COLORS.warn : COLORS.bar
+    }));
+  if (perQuestion.length) {
+    doc.moveDown(0.5).font('Helvetica-Bold').text('Overall score by question').font('Helvetica').moveDown(0.3);
+    barChart(doc, perQuestion);
+  }
+}
+
+function narrativeSection(doc, { report }) {
+  const summary = report.summary || {};
+  heading(doc, 'Summary');
+  if (summary.overview) doc.text(clean(summary.overview)).moveDown(0.5);
+  if (report.aiMeta?.source === 'fallback') {
+    doc.fillColor(COLORS.warn).text(`Written without AI: ${clean(report.aiMeta.fallbackReason)}`).fillColor(COLORS.text).moveDown(0.5);
+  }
+  doc.font('Helvetica-Bold').text('Strengths').font('Helvetica');
+  bullets(doc, summary.strengths);
+  doc.moveDown(0.5).font('Helvetica-Bold').text('Weaknesses').font('Helvetica');
+  bullets(doc, summary.weaknesses);
+  doc.moveDown(0.5).font('Helvetica-Bold').text('Recommendations').font('Helvetica');
+  bullets(doc, summary.recommendations);
+}
+
+function questionsSection(doc, { report, responses }) {
+  const assessments = new Map((report.summary?.perQuestion || []).map(p => [p.question, p.assessment]));
+  heading(doc, 'Questions and answers');
+  responses.forEach((response, i) => {
+    const question = response.questionId;
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 120) doc.addPage();
+    doc.moveDown(0.6).font('Helvetica-Bold').fontSize(11)
+      .text(clean(`Q${i + 1} (${question.category}${question.type === 'coding' ? ', coding' : ''}): ${question.text}`))
+      .font('Helvetica').fontSize(10).moveDown(0.2);
+
+    if (response.code?.source) {
+      doc.font('Courier').fontSize(8).text(clean(response.code.source.slice(0, MAX_CODE_CHARS))).font('Helvetica').fontSize(10);
+      if (response.codeRun?.total) line(doc, 'Tests', `${response.codeRun.passed}/${response.codeRun.total} passed (${response.codeRun.status})`);
+    }
+    const answerLabel = response.code?.source ? 'Explanation' : response.answerMode === 'typed' ? 'Answer' : 'Transcript';
+    line(doc, answerLabel, response.transcript || '(no answer captured)');
+
+    const evaluation = response.evaluation;
+    if (typeof evaluation?.overallScore === 'number') {
+      line(doc, 'Score', `${evaluation.overallScore} / 5${evaluation.rubric?.name ? ` (${evaluation.rubric.name} rubric)` : ''}`);
+      for (const s of evaluationScores(evaluation)) {
+        doc.text(clean(`${s.label}: ${s.score}/5${s.feedback ? ` - ${s.feedback}` : ''}`), { indent: 10 });
+      }
+      const flags = Object.entries(evaluation.flags || {}).filter(([, on]) => on).map(([flag]) => flag);
+      if (flags.length) line(doc, 'Flags', flags.join(', '));
+    } else {
+      doc.fillColor(COLORS.warn).text(clean(`Not scored: ${response.evaluationMeta?.fallbackReason || 'no evaluation'}`)).fillColor(COLORS.text);
+    }
+    if (response.evaluationMeta?.source === 'fallback') {
+      doc.fillColor(COLORS.warn).text(clean(`Scored without AI: ${response.evaluationMeta.fallbackReason}`)).fillColor(COLORS.text);
+    }
+    if (assessments.get(question.text)) line(doc, 'Assessment', assessments.get(question.text));
+  });
+}
+
+// Render the full interview report to `filePath`. Report-level figures (averages, narrative) come
+// from the stored report; per-question details from the responses as they are now.
+async function renderReportPdf({ report, interview, user, resume, responses }, filePath) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Interview Report' } });
+  const done = new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(filePath);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.pipe(stream);
+  });
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text('Interview Report');
+  doc.font('Helvetica').fontSize(10).moveDown(0.5);
+  candidateSection(doc, { user, resume, interview, report });
+  scoresSection(doc, { report, responses });
+  narrativeSection(doc, { report });
+  questionsSection(doc, { report, responses });
+
+  doc.end();
+  await done;
+  return filePath;
+}
+
+module.exports = { renderReportPdf };
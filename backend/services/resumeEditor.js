@@ -0,0 +1,198 @@
+// Validation and bookkeeping for user edits to Resume.parsedData.
+// Field paths follow fieldConfidence: "skills.3", "experience.0.company".
+
+const LIMITS = { text: 200, longText: 2000, skills: 200, entries: 50, items: 50 };
+
+// Field types per entry section; an entry needs at least one of its `identity` fields
+const SECTIONS = {
+  projects: {
+    identity: ['title'],
+    fields: { title: 'text', description: 'longText', techStack: 'list', duration: 'text', role: 'text' }
+  },
+  internships: {
+    identity: ['company', 'role'],
+    fields: { company: 'text', role: 'text', tasks: 'longList', technologies: 'list', duration: 'text' }
+  },
+  education: {
+    identity: ['degree', 'institution'],
+    fields: { degree: 'text', institution: 'text', years: 'text', gpa: 'text' }
+  },
+  experience: {
+    identity: ['company', 'role'],
+    fields: { company: 'text', role: 'text', duration: 'text', responsibilities: 'longList', technologies: 'list' }
+  }
+};
+const SECTION_NAMES = ['skills', ...Object.keys(SECTIONS)];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isEmpty = (v) => v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0);
+const same = (a, b) => (isEmpty(a) && isEmpty(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+class ResumeEditor {
+  // Check edited parsed data. With `partial`, only the sections present are validated and returned.
+  // Returns { value, errors }; error messages name the offending path, e.g. "projects[1].title".
+  validate(input, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (!isObject(input)) {
+      return { value, errors: ['parsedData must be an object'] };
+    }
+    for (const key of Object.keys(input)) {
+      if (!SECTION_NAMES.includes(key)) errors.push(`${key} is not a resume section`);
+    }
+    if (partial && !SECTION_NAMES.some(s => input[s] !== undefined)) {
+      errors.push(`Nothing to update: send at least one of ${SECTION_NAMES.join(', ')}`);
+    }
+
+    if (input.skills !== undefined || !partial) {
+      const skills = this.validateList(input.skills, 'skills', LIMITS.text, errors);
+      if (skills.length > LIMITS.skills) errors.push(`skills can have at most ${LIMITS.skills} entries`);
+      // Case-insensitive duplicates are dropped, keeping the first spelling
+      const seen = new Set();
+      value.skills = skills.filter(s => !seen.has(s.toLowerCase()) && seen.add(s.toLowerCase()));
+    }
+
+    for (const [section, spec] of Object.entries(SECTIONS)) {
+      if (input[section] === undefined && partial) continue;
+      if (!Array.isArray(input[section])) {
+        errors.push(`${section} must be a list`);
+        continue;
+      }
+      if (input[section].length > LIMITS.entries) {
+        errors.push(`${section} can have at most ${LIMITS.entries} entries`);
+      }
+      value[section] = input[section].map((entry, i) => this.validateEntry(entry, `${section}[${i}]`, spec, errors));
+    }
+
+    return { value, errors };
+  }
+
+  validateEntry(entry, path, spec, errors) {
+    if (!isObject(entry)) {
+      errors.push(`${path} must be an object`);
+      return {};
+    }
+    const value = {};
+    for (const key of Object.keys(entry)) {
+      if (key !== '_id' && !spec.fields[key]) errors.push(`${path}.${key} is not a field`);
+    }
+    if (entry._id !== undefined && entry._id !== null) value._id = String(entry._id);
+
+    for (const [field, type] of Object.entries(spec.fields)) {
+      const fieldPath = `${path}.${field}`;
+      if (type === 'list' || type === 'longList') {
+        value[field] = this.validateList(entry[field] ?? [], fieldPath, type === 'list' ? LIMITS.text : LIMITS.longText, errors);
+      } else {
+        value[field] = this.validateText(entry[field] ?? '', fieldPath, LIMITS[type], errors);
+      }
+    }
+    if (spec.identity.every(field => !value[field])) {
+      errors.push(`${path} needs a ${spec.identity.join(' or ')}`);
+    }
+    return value;
+  }
+
+  validateText(input, path, maxLength, errors) {
+    if (typeof input !== 'string') {
+      errors.push(`${path} must be text`);
+      return '';
+    }
+    const text = input.trim();
+    if (text.length > maxLength) errors.push(`${path} must be at most ${maxLength} characters`);
+    return text;
+  }
+
+  validateList(input, path, maxLength, errors) {
+    if (!Array.isArray(input)) {
+      errors.push(`${path} must be a list`);
+      return [];
+    }
+    if (input.length > LIMITS.items && path !== 'skills') {
+      errors.push(`${path} can have at most ${LIMITS.items} items`);
+    }
+    return input
+      .map((item, i) => this.validateText(item, `${path}[${i}]`, maxLength, errors))
+      .filter(Boolean);
+  }
+
+  // Apply validated sections to the current parsed data. Values that moved (e.g. after an entry
+  // above them was removed) keep their confidence record and correction under their new path; values
+  // the user added or changed are recorded as corrections with confidence 1. `confirmed` lists paths
+  // (in the edited data) of values the user checked and kept as they were.
+  // Returns { parsedData, fieldConfidence, corrections }.
+  applyEdits(current, value, { fieldConfidence = [], corrections = [], confirmed = [], now = new Date() } = {}) {
+    const parsedData = {};
+    const moved = new Map();
+    const changed = [];
+    const removed = [];
+
+    const oldSkills = current.skills || [];
+    parsedData.skills = value.skills || oldSkills;
+    parsedData.skills.forEach((skill, i) => {
+      const before = oldSkills.indexOf(skill);
+      if (before === -1) changed.push({ path: `skills.${i}`, action: 'added' });
+      else moved.set(`skills.${before}`, `skills.${i}`);
+    });
+    oldSkills.forEach((skill, i) => {
+      if (!parsedData.skills.includes(skill)) removed.push({ path: `skills.${i}`, previous: skill });
+    });
+
+    for (const [section, spec] of Object.entries(SECTIONS)) {
+      const oldEntries = current[section] || [];
+      parsedData[section] = value[section] || oldEntries;
+      parsedData[section].forEach((entry, i) => {
+        const before = entry._id === undefined ? -1 : oldEntries.findIndex(e => String(e._id) === String(entry._id));
+        if (before === -1) delete entry._id;
+        for (const field of Object.keys(spec.fields)) {
+          const path = `${section}.${i}.${field}`;
+          if (before === -1) {
+            if (!isEmpty(entry[field])) changed.push({ path, action: 'added' });
+          } else if (same(oldEntries[before][field], entry[field])) {
+            moved.set(`${section}.${before}.${field}`, path);
+          } else {
+            changed.push({ path, action: 'edited' });
+          }
+        }
+      });
+      const keptIds = new Set(parsedData[section].filter(e => e._id !== undefined).map(e => String(e._id)));
+      oldEntries.forEach((entry, i) => {
+        if (keptIds.has(String(entry._id))) return;
+        const { _id, ...previous } = entry;
+        removed.push({ path: `${section}.${i}`, previous });
+      });
+    }
+
+    const exists = (path) => moved.has(path) && !isEmpty(this.valueAt(parsedData, moved.get(path)));
+    const kept = new Set(moved.values());
+    const confirmedPaths = new Set(confirmed.filter(p => kept.has(p) && !isEmpty(this.valueAt(parsedData, p))));
+
+    const records = fieldConfidence
+      .filter(f => exists(f.path))
+      .map(f => {
+        const path = moved.get(f.path);
+        return { ...f, path, confidence: confirmedPaths.has(path) ? 1 : f.confidence };
+      });
+    for (const { path } of changed) {
+      if (!isEmpty(this.valueAt(parsedData, path))) records.push({ path, confidence: 1 });
+    }
+
+    // Earlier corrections follow their values; a value confirmed again gets a new entry.
+    // Removals keep the path the value had when it was removed.
+    const log = corrections
+      .filter(c => c.action === 'removed' || (exists(c.path) && !confirmedPaths.has(moved.get(c.path))))
+      .map(c => (c.action === 'removed' ? c : { ...c, path: moved.get(c.path) }));
+    for (const { path, previous } of removed) log.push({ path, action: 'removed', previous, correctedAt: now });
+    for (const { path, action } of changed) log.push({ path, action, correctedAt: now });
+    for (const path of confirmedPaths) log.push({ path, action: 'confirmed', correctedAt: now });
+
+    return { parsedData, fieldConfidence: records, corrections: log };
+  }
+
+  // Value at a field path, e.g. "projects.0.title"
+  valueAt(parsedData, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), parsedData);
+  }
+}
+
+module.exports = new ResumeEditor();
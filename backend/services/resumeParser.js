@@ -1,196 +1,144 @@
 const pdfParse = require('pdf-parse');
-const docx = require('docx');
 const fs = require('fs-extra');
 const path = require('path');
+const documentText = require('./documentText');
+const heuristicResumeParser = require('./heuristicResumeParser');
+
+// Supported uploads: the extensions and MIME types browsers report for them
+const FORMATS = {
+  pdf: { label: 'PDF', extensions: ['.pdf'], mimetypes: ['application/pdf'] },
+  docx: {
+    label: 'DOCX',
+    extensions: ['.docx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  odt: { label: 'ODT', extensions: ['.odt'], mimetypes: ['application/vnd.oasis.opendocument.text'] },
+  rtf: { label: 'RTF', extensions: ['.rtf'], mimetypes: ['application/rtf', 'text/rtf', 'application/x-rtf'] },
+  text: { label: 'TXT', extensions: ['.txt'], mimetypes: ['text/plain'] },
+  markdown: { label: 'Markdown', extensions: ['.md', '.markdown'], mimetypes: ['text/markdown', 'text/x-markdown'] }
+};
+// Sent for files the browser has no specific type for, so the extension decides
+const GENERIC_MIMETYPES = ['', 'application/octet-stream', 'text/plain'];
+// PDFs with fewer non-space characters than this are treated as scanned images
+const MIN_PDF_TEXT = 50;
+
+class ResumeFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResumeFileError';
+  }
+}
 
 class ResumeParser {
-  async parseFile(filePath, fileType) {
+  // Format key of an uploaded file (see FORMATS), or null when it is not supported
+  fileFormat(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const mimetype = file.mimetype || '';
+    const byExtension = Object.keys(FORMATS).find(f => FORMATS[f].extensions.includes(extension));
+    if (byExtension && (FORMATS[byExtension].mimetypes.includes(mimetype) || GENERIC_MIMETYPES.includes(mimetype))) {
+      return byExtension;
+    }
+    return Object.keys(FORMATS).find(f => FORMATS[f].mimetypes.includes(mimetype)) || null;
+  }
+
+  // "PDF, DOCX, ... and Markdown"
+  formatNames() {
+    const labels = Object.values(FORMATS).map(f => f.label);
+    return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+  }
+
+  // Text of a file in one of the FORMATS. Problems with the file itself throw a ResumeFileError
+  // whose message can be shown to the user; `document` names what the file is in those messages.
+  async parseFile(filePath, format, { document = 'resume' } = {}) {
+    if (!FORMATS[format]) {
+      throw new ResumeFileError(`Unsupported file type. Upload a ${this.formatNames()} file`);
+    }
+
+    let text;
     try {
-      let text = '';
-      
-      if (fileType === 'application/pdf') {
-        const dataBuffer = await fs.readFile(filePath);
-        const data = await pdfParse(dataBuffer);
-        text = data.text;
-      } else if (fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-        const dataBuffer = await fs.readFile(filePath);
-        const doc = new docx.Document({ sections: [] });
-        // Note: This is a simplified version. For production, you might want to use a more robust DOCX parser
-        text = await this.extractTextFromDocx(dataBuffer);
-      } else {
-        throw new Error('Unsupported file type');
-      }
-
-      return this.cleanText(text);
+      const buffer = await fs.readFile(filePath);
+      text = await this.extractText(buffer, format, document);
     } catch (error) {
+      if (error.name === 'ResumeFileError') throw error;
       console.error('Error parsing file:', error);
-      throw new Error('Failed to parse resume file');
+      throw new ResumeFileError(`Could not read this ${FORMATS[format].label} file. It may be damaged or password-protected.`);
+    }
+
+    text = this.cleanText(text);
+    if (!text) {
+      throw new ResumeFileError(`No text found in this ${FORMATS[format].label} file`);
     }
+    return text;
   }
 
-  async extractTextFromDocx(buffer) {
-    // Simplified DOCX text extraction
-    // In production, you might want to use a library like mammoth or docx4js
-    try {
-      const zip = new docx.Pack();
-      const doc = await zip.load(buffer);
-      let text = '';
-      
-      // Extract text from paragraphs
-      doc.sections.forEach(section => {
-        section.children.forEach(paragraph => {
-          paragraph.children.forEach(run => {
-            text += run.text + ' ';
-          });
-          text += '\n';
-        });
-      });
-      
-      return text;
-    } catch (error) {
-      // Fallback: try to extract as plain text
-      return buffer.toString('utf8');
+  async extractText(buffer, format, document = 'resume') {
+    switch (format) {
+      case 'pdf':
+        return this.extractTextFromPdf(buffer, document);
+      case 'docx':
+        return documentText.docxText(buffer);
+      case 'odt':
+        return documentText.odtText(buffer);
+      case 'rtf':
+        return documentText.rtfText(buffer.toString('latin1'));
+      case 'markdown':
+        return documentText.markdownText(buffer);
+      default:
+        return documentText.plainText(buffer);
     }
   }
 
+  async extractTextFromPdf(buffer, document = 'resume') {
+    const data = await pdfParse(buffer);
+    // Scanned documents are pictures of pages: there is little or no text to extract
+    if (data.text.replace(/\s/g, '').length < MIN_PDF_TEXT) {
+      throw new ResumeFileError(
+        'This PDF has no selectable text; it looks like a scanned or image-only document. ' +
+        `Upload a PDF exported from a word processor, or the ${document} as DOCX, ODT, RTF, TXT or Markdown.`
+      );
+    }
+    return data.text;
+  }
+
   cleanText(text) {
-    // Remove extra whitespace and normalize text
+    // Normalize whitespace within lines but keep the line structure (paragraphs, list items, table rows)
     return text
-      .replace(/\s+/g, ' ')
-      .replace(/\n+/g, '\n')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[^\S\n]+$/gm, '')
+      .replace(/(\S)[^\S\n]+/g, '$1 ')
+      .replace(/^[^\S\n]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
       .trim();
   }
 
   validateFile(file) {
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    
     const maxSize = 10 * 1024 * 1024; // 10MB
     
-    if (!allowedTypes.includes(file.mimetype)) {
-      throw new Error('Only PDF and DOCX files are allowed');
+    if (!this.fileFormat(file)) {
+      throw new ResumeFileError(`Only ${this.formatNames()} files are allowed`);
     }
     
     if (file.size > maxSize) {
-      throw new Error('File size must be less than 10MB');
+      throw new ResumeFileError('File size must be less than 10MB');
     }
     
     return true;
   }
 
-  // Heuristic fallback extraction from plain text to reduce generic output
+  // Offline parse used when the LLM fails: { parsedData, fieldConfidence }
   extractStructuredFallback(text) {
-    const out = {
-      skills: [],
-      projects: [],
-      internships: [],
-      education: [],
-      experience: []
-    };
-
-    const lower = text.toLowerCase();
-    const lines = text.split(/\n|\r|\t|\s{2,}/g).map(l => l.trim()).filter(Boolean);
-
-    // Skills: look for technical skills in the text
-    const skillPatterns = [
-      /skills[:\-]/i,
-      /technologies[:\-]/i,
-      /tech stack[:\-]/i,
-      /programming languages[:\-]/i,
-      /tools[:\-]/i
-    ];
-    
-    let skillsLine = null;
-    for (const pattern of skillPatterns) {
-      skillsLine = lines.find(l => pattern.test(l));
-      if (skillsLine) break;
-    }
-    
-    if (skillsLine) {
-      const afterColon = skillsLine.split(/skills[:\-]|technologies[:\-]|tech stack[:\-]|programming languages[:\-]|tools[:\-]/i).pop() || skillsLine;
-      const parts = afterColon.split(/[,•]|\s{2,}/).map(s => s.trim()).filter(s => s && s.length < 40);
-      out.skills = Array.from(new Set(parts.map(s => s.replace(/^[•\-]\s*/, '')))).slice(0, 15);
-    } else {
-      // Extract skills from common tech keywords found in text
-      const techKeywords = [
-        'javascript', 'react', 'node.js', 'python', 'java', 'c++', 'c#', 'php', 'ruby', 'go', 'rust',
-        'html', 'css', 'typescript', 'angular', 'vue', 'express', 'django', 'flask', 'spring',
-        'mongodb', 'postgresql', 'mysql', 'redis', 'aws', 'azure', 'gcp', 'docker', 'kubernetes',
-        'git', 'jenkins', 'jira', 'figma', 'adobe', 'photoshop', 'illustrator', 'sketch',
-        'machine learning', 'ai', 'data science', 'sql', 'nosql', 'api', 'rest', 'graphql'
-      ];
-      
-      const foundSkills = techKeywords.filter(skill => lower.includes(skill));
-      out.skills = foundSkills.slice(0, 10);
-    }
+    return heuristicResumeParser.parseResumeText(text);
+  }
 
-    // Projects: look for project sections
-    const projectKeywords = ['project', 'portfolio', 'application', 'app', 'website', 'system'];
-    const projectLines = lines.filter(l => 
-      projectKeywords.some(keyword => l.toLowerCase().includes(keyword))
-    );
-    
-    projectLines.slice(0, 3).forEach(line => {
-      const title = line;
-      const desc = line.length > 50 ? line : `${line} - A technical project`;
-      const tech = (desc.match(/react|node|express|mongo|postgres|redis|aws|gcp|azure|docker|kubernetes|python|java|go|ts|typescript|javascript|html|css/gi) || []).slice(0, 5);
-      out.projects.push({ 
-        title, 
-        description: desc, 
-        techStack: Array.from(new Set(tech)), 
-        duration: '3-6 months', 
-        role: 'Developer' 
-      });
-    });
-
-    // Experience: look for job/company patterns
-    const expPatterns = [
-      /(engineer|developer|intern|software|sde|programmer|analyst)/i,
-      /(company|inc\.|llc|solutions|technologies|corp|enterprises)/i
-    ];
-    
-    const expLines = lines.filter(l => 
-      expPatterns.some(pattern => pattern.test(l))
-    );
-    
-    expLines.slice(0, 3).forEach(line => {
-      const companyMatch = line.match(/(.+?)(?: at | - |, |\()/i);
-      const roleMatch = line.match(/(engineer|developer|intern|software|sde|programmer|analyst)/i);
-      
-      out.experience.push({ 
-        company: companyMatch ? companyMatch[1].trim() : line, 
-        role: roleMatch ? roleMatch[1] : 'Developer', 
-        duration: '1-2 years', 
-        responsibilities: ['Developed features', 'Fixed bugs', 'Code review'], 
-        technologies: out.skills.slice(0, 3) 
-      });
-    });
-
-    // Education: look for degree/university patterns
-    const eduPatterns = [
-      /(b\.?tech|btech|b\.e\.|be|bsc|m\.tech|mtech|msc|bachelor|master|phd)/i,
-      /(university|college|institute|school)/i
-    ];
-    
-    const eduLines = lines.filter(l => 
-      eduPatterns.some(pattern => pattern.test(l))
-    );
-    
-    eduLines.slice(0, 2).forEach(line => {
-      const degreeMatch = line.match(/(b\.?tech|btech|b\.e\.|be|bsc|m\.tech|mtech|msc|bachelor|master|phd)/i);
-      const institutionMatch = line.match(/(university|college|institute|school)/i);
-      
-      out.education.push({ 
-        degree: degreeMatch ? degreeMatch[1] : 'Bachelor\'s Degree', 
-        institution: institutionMatch ? line : 'University', 
-        years: '2020-2024', 
-        gpa: '3.5' 
-      });
-    });
-
-    return out;
+  // Confidence and source span of each value in LLM-parsed data, by whether it appears in the text
+  locateFields(parsedData, text) {
+    return heuristicResumeParser.locateFields(parsedData, text);
+  }
+
+  // Parsed data without low-confidence guesses, for generating questions
+  trustedData(resume) {
+    const { parsedData, fieldConfidence } = typeof resume.toObject === 'function' ? resume.toObject() : resume;
+    return heuristicResumeParser.trustedData(parsedData, fieldConfidence);
   }
 }
 
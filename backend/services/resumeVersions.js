@@ -0,0 +1,117 @@
+const Resume = require('../models/Resume');
+
+// How entries are matched across versions, and the fields compared once matched
+const ENTRY_SECTIONS = {
+  experience: {
+    key: ['company', 'role'],
+    label: (e) => [e.role, e.company].filter(Boolean).join(' at '),
+    fields: ['company', 'role', 'duration'],
+    lists: ['responsibilities', 'technologies']
+  },
+  internships: {
+    key: ['company', 'role'],
+    label: (e) => [e.role, e.company].filter(Boolean).join(' at '),
+    fields: ['company', 'role', 'duration'],
+    lists: ['tasks', 'technologies']
+  },
+  projects: {
+    key: ['title'],
+    label: (e) => e.title,
+    fields: ['title', 'description', 'duration', 'role'],
+    lists: ['techStack']
+  },
+  education: {
+    key: ['institution', 'degree'],
+    label: (e) => [e.degree, e.institution].filter(Boolean).join(', '),
+    fields: ['degree', 'institution', 'years', 'gpa'],
+    lists: []
+  }
+};
+
+const normalize = (s) => String(s || '').trim().toLowerCase();
+
+// Items of `b` missing from `a` (case-insensitively), in `b`'s order and spelling
+const missingFrom = (a, b) => {
+  const have = new Set((a || []).map(normalize));
+  return (b || []).filter(item => !have.has(normalize(item)));
+};
+
+class ResumeVersionService {
+  // Lineage a resume belongs to; resumes uploaded before lineages existed are their own
+  lineageOf(resume) {
+    return resume.lineageId || resume._id;
+  }
+
+  // The user's resumes in a lineage, oldest first
+  async members(userId, lineageId) {
+    return Resume.find({
+      userId,
+      $or: [{ lineageId }, { _id: lineageId, lineageId: { $exists: false } }]
+    }).sort({ createdAt: 1 });
+  }
+
+  // Resume id -> { lineageId, version, versionCount }; versions are numbered by upload date
+  number(resumes) {
+    const lineages = new Map();
+    for (const resume of resumes) {
+      const key = String(this.lineageOf(resume));
+      lineages.set(key, [...(lineages.get(key) || []), resume]);
+    }
+    const numbers = new Map();
+    for (const [lineageId, group] of lineages) {
+      group
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .forEach((resume, i) => numbers.set(String(resume._id), { lineageId, version: i + 1, versionCount: group.length }));
+    }
+    return numbers;
+  }
+
+  // What changed in the parsed data from `before` to `after`: skills added and removed, and entries
+  // added, removed or changed in each section. Entries are matched by company, title or institution.
+  diff(before = {}, after = {}) {
+    const result = {
+      skills: { added: missingFrom(before.skills, after.skills), removed: missingFrom(after.skills, before.skills) }
+    };
+
+    for (const [section, spec] of Object.entries(ENTRY_SECTIONS)) {
+      const keyOf = (entry) => normalize(spec.key.map(k => entry[k]).find(v => normalize(v)));
+      const oldEntries = before[section] || [];
+      const newEntries = after[section] || [];
+      const matched = new Set();
+      const changed = [];
+      const added = [];
+
+      for (const entry of newEntries) {
+        const key = keyOf(entry);
+        const index = oldEntries.findIndex((old, i) => !matched.has(i) && key && keyOf(old) === key);
+        if (index === -1) {
+          added.push(spec.label(entry));
+          continue;
+        }
+        matched.add(index);
+        const old = oldEntries[index];
+        const changes = [
+          ...spec.fields
+            .filter(field => normalize(old[field]) !== normalize(entry[field]))
+            .map(field => ({ field, from: old[field] || '', to: entry[field] || '' })),
+          ...spec.lists
+            .map(field => ({ field, added: missingFrom(old[field], entry[field]), removed: missingFrom(entry[field], old[field]) }))
+            .filter(change => change.added.length || change.removed.length)
+        ];
+        if (changes.length) changed.push({ name: spec.label(entry), changes });
+      }
+
+      result[section] = {
+        added,
+        removed: oldEntries.filter((entry, i) => !matched.has(i)).map(spec.label),
+        changed
+      };
+    }
+
+    result.unchanged = !result.skills.added.length && !result.skills.removed.length &&
+      Object.keys(ENTRY_SECTIONS).every(s => !result[s].added.length && !result[s].removed.length && !result[s].changed.length);
+    return result;
+  }
+}
+
+module.exports = new ResumeVersionService();
@@ -0,0 +1,281 @@
+// Scoring rubrics. Each rubric names the dimensions an answer is scored on (0-5), their relative
+// weights, anchor descriptions for low/mid/high scores, and the question kinds it can be applied to.
+// A kind is a question category, or "coding" for coding questions.
+// Bump `version` whenever a rubric's dimensions, weights or anchors change: each evaluation stores
+// the rubric id and version it was scored with, together with the labels and weights it used.
+const RUBRICS = [
+  {
+    id: 'general',
+    version: 1,
+    name: 'General',
+    description: 'Depth, clarity and confidence; suitable for any spoken question',
+    appliesTo: ['technical', 'project', 'internship', 'experience', 'behavioral'],
+    dimensions: [
+      {
+        key: 'technicalDepth',
+        label: 'Technical depth',
+        weight: 1,
+        description: 'Substance and accuracy of the content',
+        anchors: { 1: 'Vague or incorrect', 3: 'Correct but surface-level', 5: 'Precise, detailed and insightful' }
+      },
+      {
+        key: 'clarity',
+        label: 'Clarity',
+        weight: 1,
+        description: 'How clearly and logically the answer is communicated',
+        anchors: { 1: 'Hard to follow', 3: 'Understandable with some rambling', 5: 'Well structured and concise' }
+      },
+      {
+        key: 'confidence',
+        label: 'Confidence',
+        weight: 1,
+        description: 'Composure and decisiveness of the delivery',
+        anchors: { 1: 'Hesitant and unsure', 3: 'Mostly steady', 5: 'Assured without overclaiming' }
+      }
+    ]
+  },
+  {
+    id: 'technical',
+    version: 1,
+    name: 'Technical',
+    description: 'Correctness and engineering judgement',
+    appliesTo: ['technical', 'project'],
+    dimensions: [
+      {
+        key: 'correctness',
+        label: 'Correctness',
+        weight: 3,
+        description: 'Technical accuracy of the explanation',
+        anchors: { 1: 'Major misconceptions', 3: 'Mostly right with gaps', 5: 'Accurate and complete' }
+      },
+      {
+        key: 'tradeOffs',
+        label: 'Trade-offs',
+        weight: 2,
+        description: 'Awareness of alternatives, limitations and when the approach breaks down',
+        anchors: { 1: 'No alternatives considered', 3: 'Mentions trade-offs without weighing them', 5: 'Compares options and justifies the choice' }
+      },
+      {
+        key: 'depth',
+        label: 'Depth',
+        weight: 2,
+        description: 'Goes beyond definitions to internals, edge cases or real experience',
+        anchors: { 1: 'Buzzwords only', 3: 'Some concrete detail', 5: 'Explains how and why from first principles' }
+      },
+      {
+        key: 'communication',
+        label: 'Communication',
+        weight: 1,
+        description: 'Clear, structured explanation',
+        anchors: { 1: 'Hard to follow', 3: 'Understandable', 5: 'Clear and well ordered' }
+      }
+    ]
+  },
+  {
+    id: 'behavioral',
+    version: 1,
+    name: 'Behavioral (STAR)',
+    description: 'Structure, ownership and impact of a past situation',
+    appliesTo: ['behavioral', 'experience', 'internship', 'project'],
+    dimensions: [
+      {
+        key: 'starStructure',
+        label: 'STAR structure',
+        weight: 2,
+        description: 'Covers the situation, task, actions taken and result in order',
+        anchors: { 1: 'No clear story', 3: 'Some STAR parts missing or blurred', 5: 'Complete, well-paced STAR story' }
+      },
+      {
+        key: 'ownership',
+        label: 'Ownership',
+        weight: 2,
+        description: 'Makes their own decisions and actions clear ("I" rather than "we")',
+        anchors: { 1: 'Personal role unclear', 3: 'Some personal contribution', 5: 'Clear ownership of decisions and outcome' }
+      },
+      {
+        key: 'impact',
+        label: 'Impact',
+        weight: 2,
+        description: 'Concrete, ideally measurable, outcome and what was learned',
+        anchors: { 1: 'No outcome given', 3: 'Outcome stated vaguely', 5: 'Specific results and reflection' }
+      },
+      {
+        key: 'communication',
+        label: 'Communication',
+        weight: 1,
+        description: 'Concise and easy to follow',
+        anchors: { 1: 'Rambling', 3: 'Understandable', 5: 'Concise and engaging' }
+      }
+    ]
+  },
+  {
+    id: 'coding',
+    version: 1,
+    name: 'Coding',
+    description: 'Correctness from tests, code quality and explanation of the approach',
+    appliesTo: ['coding'],
+    dimensions: [
+      {
+        key: 'correctness',
+        label: 'Correctness',
+        weight: 3,
+        description: 'Algorithm choice and complexity; capped by the share of tests passed',
+        cappedByTests: true,
+        anchors: { 1: 'Wrong approach', 3: 'Works for common cases', 5: 'Correct and efficient' }
+      },
+      {
+        key: 'codeQuality',
+        label: 'Code quality',
+        weight: 2,
+        description: 'Readability, naming and structure of the code',
+        anchors: { 1: 'Hard to read', 3: 'Readable', 5: 'Clean and idiomatic' }
+      },
+      {
+        key: 'approach',
+        label: 'Approach',
+        weight: 1,
+        description: 'Quality of the explanation: complexity, edge cases, trade-offs',
+        anchors: { 1: 'No explanation', 3: 'Basic explanation', 5: 'Clear reasoning about complexity and edge cases' }
+      }
+    ]
+  }
+];
+
+// Rubric used for each question kind unless the interview overrides it
+const DEFAULT_RUBRICS = {
+  technical: 'technical',
+  project: 'technical',
+  internship: 'behavioral',
+  experience: 'behavioral',
+  behavioral: 'behavioral',
+  coding: 'coding'
+};
+
+const QUESTION_KINDS = Object.keys(DEFAULT_RUBRICS);
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Catch mistakes in the definitions above at startup rather than in the middle of an interview
+for (const rubric of RUBRICS) {
+  const keys = rubric.dimensions.map(d => d.key);
+  if (new Set(keys).size !== keys.length) throw new Error(`Rubric "${rubric.id}" has duplicate dimension keys`);
+  if (rubric.dimensions.some(d => !(d.weight > 0))) throw new Error(`Rubric "${rubric.id}" has a non-positive weight`);
+}
+for (const [kind, id] of Object.entries(DEFAULT_RUBRICS)) {
+  if (!RUBRICS.some(r => r.id === id && r.appliesTo.includes(kind))) {
+    throw new Error(`Default rubric "${id}" does not apply to ${kind} questions`);
+  }
+}
+
+function getRubric(id) {
+  return RUBRICS.find(r => r.id === id) || null;
+}
+
+const questionKind = (question) => (question.type === 'coding' ? 'coding' : question.category);
+
+// Keep only overrides naming a rubric that applies to that kind of question
+function normalizeRubricChoices(input = {}) {
+  const choices = {};
+  for (const kind of QUESTION_KINDS) {
+    const rubric = getRubric(input?.[kind]);
+    choices[kind] = rubric && rubric.appliesTo.includes(kind) ? rubric.id : DEFAULT_RUBRICS[kind];
+  }
+  return choices;
+}
+
+// The rubric a question is scored with under the interview's choices
+function rubricForQuestion(question, choices = {}) {
+  const kind = questionKind(question);
+  const chosen = getRubric(choices[kind]);
+  return chosen && chosen.appliesTo.includes(kind)
+    ? chosen
+    : getRubric(DEFAULT_RUBRICS[kind]) || getRubric('general');
+}
+
+// Weighted mean of dimension scores, one decimal
+function weightedScore(scores) {
+  const totalWeight = scores.reduce((sum, s) => sum + s.weight, 0);
+  if (!totalWeight) return 0;
+  return round1(scores.reduce((sum, s) => sum + s.score * s.weight, 0) / totalWeight);
+}
+
+// Assemble a stored evaluation from per-dimension { score, feedback } keyed by dimension key
+function buildEvaluation(rubric, dimensionScores, { sentiment = 'neutral', flags = {} } = {}) {
+  const scores = rubric.dimensions.map(d => ({
+    key: d.key,
+    label: d.label,
+    weight: d.weight,
+    score: dimensionScores[d.key].score,
+    feedback: dimensionScores[d.key].feedback || ''
+  }));
+  return {
+    rubric: { id: rubric.id, version: rubric.version, name: rubric.name },
+    scores,
+    sentiment,
+    flags: { reading: false, silence: false, irrelevant: false, ...flags },
+    overallScore: weightedScore(scores)
+  };
+}
+
+// Same score on every dimension, for offline fallbacks
+function uniformEvaluation(rubric, score, feedback, extras) {
+  const dimensionScores = {};
+  rubric.dimensions.forEach(d => { dimensionScores[d.key] = { score, feedback }; });
+  return buildEvaluation(rubric, dimensionScores, extras);
+}
+
+// Per-dimension scores of a stored evaluation. Evaluations made before rubrics existed only have
+// the three fixed fields, which are the dimensions of the "general" rubric.
+function evaluationScores(evaluation) {
+  if (evaluation?.scores?.length) return evaluation.scores;
+  return getRubric('general').dimensions
+    .filter(d => typeof evaluation?.[d.key]?.score === 'number')
+    .map(d => ({ key: d.key, label: d.label, weight: d.weight, score: evaluation[d.key].score, feedback: evaluation[d.key].feedback }));
+}
+
+// Average overall score and per-dimension averages across evaluations that may use different rubrics;
+// a dimension is averaged over the answers scored on it
+function averageEvaluations(evaluations) {
+  const dimensions = new Map();
+  for (const evaluation of evaluations) {
+    for (const s of evaluationScores(evaluation)) {
+      const entry = dimensions.get(s.key) || { key: s.key, label: s.label, total: 0, count: 0 };
+      entry.total += s.score;
+      entry.count += 1;
+      dimensions.set(s.key, entry);
+    }
+  }
+  const overall = evaluations.length
+    ? evaluations.reduce((sum, e) => sum + e.overallScore, 0) / evaluations.length
+    : 0;
+  return {
+    overall,
+    dimensions: [...dimensions.values()].map(d => ({ key: d.key, label: d.label, average: d.total / d.count, count: d.count }))
+  };
+}
+
+// Definitions without internals, for the setup screen
+function listRubrics() {
+  return RUBRICS.map(({ id, version, name, description, appliesTo, dimensions }) => ({
+    id,
+    version,
+    name,
+    description,
+    appliesTo,
+    dimensions: dimensions.map(({ key, label, weight, description: text, anchors }) => ({ key, label, weight, description: text, anchors }))
+  }));
+}
+
+module.exports = {
+  DEFAULT_RUBRICS,
+  QUESTION_KINDS,
+  getRubric,
+  normalizeRubricChoices,
+  rubricForQuestion,
+  weightedScore,
+  buildEvaluation,
+  uniformEvaluation,
+  evaluationScores,
+  averageEvaluations,
+  listRubrics
+};
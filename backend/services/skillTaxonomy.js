@@ -0,0 +1,361 @@
+const Skill = require('../models/Skill');
+
+const CATEGORIES = {
+  language: 'Language',
+  framework: 'Framework',
+  database: 'Database',
+  cloud: 'Cloud',
+  // Also engineering practices and fields, e.g. CI/CD or machine learning
+  tool: 'Tool',
+  soft: 'Soft skill'
+};
+
+// Built-in skills. `aliases` match in any case; `exact` ones only as written, for names that are also
+// common words ("Go", "REST"). One-letter names are only recognised as listed skills, never in prose.
+const BUILT_IN = [
+  { name: 'JavaScript', category: 'language', aliases: ['js', 'ecmascript', 'es6'] },
+  { name: 'TypeScript', category: 'language', aliases: ['ts'] },
+  { name: 'Python', category: 'language', aliases: ['python3', 'python 3'] },
+  { name: 'Java', category: 'language', aliases: [] },
+  { name: 'C++', category: 'language', aliases: ['cpp'] },
+  { name: 'C#', category: 'language', aliases: ['csharp', 'c sharp'] },
+  { name: 'C', category: 'language', aliases: [] },
+  { name: 'Go', category: 'language', aliases: ['golang'], exact: ['Go'] },
+  { name: 'Rust', category: 'language', aliases: [], exact: ['Rust'] },
+  { name: 'Ruby', category: 'language', aliases: [] },
+  { name: 'PHP', category: 'language', aliases: [] },
+  { name: 'Kotlin', category: 'language', aliases: [] },
+  { name: 'Swift', category: 'language', aliases: [], exact: ['Swift'] },
+  { name: 'Scala', category: 'language', aliases: [] },
+  { name: 'R', category: 'language', aliases: [] },
+  { name: 'Dart', category: 'language', aliases: [] },
+  { name: 'SQL', category: 'language', aliases: [] },
+  { name: 'HTML', category: 'language', aliases: ['html5'] },
+  { name: 'CSS', category: 'language', aliases: ['css3'] },
+  { name: 'Bash', category: 'language', aliases: ['shell scripting', 'shell script'] },
+  { name: 'MATLAB', category: 'language', aliases: [] },
+
+  { name: 'React', category: 'framework', aliases: ['react.js', 'reactjs'] },
+  { name: 'React Native', category: 'framework', aliases: [] },
+  { name: 'Angular', category: 'framework', aliases: ['angularjs', 'angular.js'] },
+  { name: 'Vue.js', category: 'framework', aliases: ['vue', 'vuejs'] },
+  { name: 'Next.js', category: 'framework', aliases: ['nextjs'] },
+  { name: 'Node.js', category: 'framework', aliases: ['nodejs', 'node js'], exact: ['Node'] },
+  { name: 'Express', category: 'framework', aliases: ['express.js', 'expressjs'], exact: ['Express'] },
+  { name: 'NestJS', category: 'framework', aliases: ['nest.js'] },
+  { name: 'Django', category: 'framework', aliases: [] },
+  { name: 'Flask', category: 'framework', aliases: [] },
+  { name: 'FastAPI', category: 'framework', aliases: [] },
+  { name: 'Spring', category: 'framework', aliases: [], exact: ['Spring'] },
+  { name: 'Spring Boot', category: 'framework', aliases: ['springboot'] },
+  { name: 'Ruby on Rails', category: 'framework', aliases: ['rails'] },
+  { name: '.NET', category: 'framework', aliases: ['dotnet', 'asp.net', '.net core'] },
+  { name: 'Tailwind CSS', category: 'framework', aliases: ['tailwind', 'tailwindcss'] },
+  { name: 'Bootstrap', category: 'framework', aliases: [] },
+  { name: 'jQuery', category: 'framework', aliases: [] },
+  { name: 'Redux', category: 'framework', aliases: [] },
+  { name: 'Flutter', category: 'framework', aliases: [] },
+  { name: 'TensorFlow', category: 'framework', aliases: [] },
+  { name: 'PyTorch', category: 'framework', aliases: [] },
+  { name: 'Pandas', category: 'framework', aliases: [] },
+  { name: 'NumPy', category: 'framework', aliases: [] },
+  { name: 'scikit-learn', category: 'framework', aliases: ['sklearn', 'scikit learn'] },
+
+  { name: 'MongoDB', category: 'database', aliases: ['mongo'] },
+  { name: 'PostgreSQL', category: 'database', aliases: ['postgres', 'psql'] },
+  { name: 'MySQL', category: 'database', aliases: [] },
+  { name: 'SQLite', category: 'database', aliases: [] },
+  { name: 'Redis', category: 'database', aliases: [] },
+  { name: 'DynamoDB', category: 'database', aliases: [] },
+  { name: 'Elasticsearch', category: 'database', aliases: ['elastic search'] },
+  { name: 'Cassandra', category: 'database', aliases: [] },
+  { name: 'NoSQL', category: 'database', aliases: [] },
+
+  { name: 'AWS', category: 'cloud', aliases: ['amazon web services'] },
+  { name: 'Azure', category: 'cloud', aliases: ['microsoft azure'] },
+  { name: 'GCP', category: 'cloud', aliases: ['google cloud', 'google cloud platform'] },
+  { name: 'Firebase', category: 'cloud', aliases: [] },
+  { name: 'Heroku', category: 'cloud', aliases: [] },
+  { name: 'Vercel', category: 'cloud', aliases: [] },
+
+  { name: 'Docker', category: 'tool', aliases: [] },
+  { name: 'Kubernetes', category: 'tool', aliases: ['k8s'] },
+  { name: 'Terraform', category: 'tool', aliases: [] },
+  { name: 'Jenkins', category: 'tool', aliases: [] },
+  { name: 'GitHub Actions', category: 'tool', aliases: [] },
+  { name: 'CI/CD', category: 'tool', aliases: ['ci cd', 'continuous integration'] },
+  { name: 'Git', category: 'tool', aliases: [] },
+  { name: 'GitHub', category: 'tool', aliases: [] },
+  { name: 'Linux', category: 'tool', aliases: [] },
+  { name: 'Figma', category: 'tool', aliases: [] },
+  { name: 'Jira', category: 'tool', aliases: [] },
+  { name: 'Kafka', category: 'tool', aliases: ['apache kafka'] },
+  { name: 'RabbitMQ', category: 'tool', aliases: [] },
+  { name: 'GraphQL', category: 'tool', aliases: [] },
+  { name: 'REST', category: 'tool', aliases: ['rest api', 'rest apis', 'restful', 'restful apis'], exact: ['REST'] },
+  { name: 'Postman', category: 'tool', aliases: [] },
+  { name: 'Webpack', category: 'tool', aliases: [] },
+  { name: 'Jest', category: 'tool', aliases: [] },
+  { name: 'Cypress', category: 'tool', aliases: [] },
+  { name: 'Selenium', category: 'tool', aliases: [] },
+  { name: 'Testing', category: 'tool', aliases: ['unit testing', 'automated testing'] },
+  { name: 'Microservices', category: 'tool', aliases: ['microservice architecture'] },
+  { name: 'System Design', category: 'tool', aliases: [] },
+  { name: 'Machine Learning', category: 'tool', aliases: [], exact: ['ML'] },
+  { name: 'Deep Learning', category: 'tool', aliases: [] },
+  { name: 'Artificial Intelligence', category: 'tool', aliases: [], exact: ['AI'] },
+  { name: 'Natural Language Processing', category: 'tool', aliases: [], exact: ['NLP'] },
+  { name: 'Computer Vision', category: 'tool', aliases: [] },
+  { name: 'Data Science', category: 'tool', aliases: [] },
+  { name: 'Data Analysis', category: 'tool', aliases: ['data analytics'] },
+  { name: 'Agile', category: 'tool', aliases: [] },
+  { name: 'Scrum', category: 'tool', aliases: [] },
+
+  { name: 'Communication', category: 'soft', aliases: ['communication skills'] },
+  { name: 'Leadership', category: 'soft', aliases: [] },
+  { name: 'Teamwork', category: 'soft', aliases: ['team work', 'collaboration'] },
+  { name: 'Problem Solving', category: 'soft', aliases: ['problem-solving'] },
+  { name: 'Time Management', category: 'soft', aliases: [] },
+  { name: 'Critical Thinking', category: 'soft', aliases: [] },
+  { name: 'Mentoring', category: 'soft', aliases: ['mentorship'] },
+  { name: 'Project Management', category: 'soft', aliases: [] }
+];
+
+const normalize = (s) => String(s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word-boundary aware so "go" doesn't match "good" and "java" doesn't match "javascript"
+const termPattern = (term, flags) =>
+  new RegExp(`(?<![A-Za-z0-9&])${escapeRegExp(term)}(?![A-Za-z0-9+#&])`, flags);
+
+class SkillTaxonomyService {
+  constructor() {
+    this.custom = [];
+    this.loading = null;
+    this.build();
+  }
+
+  // Index the built-in skills merged with the custom ones from the database
+  build() {
+    const entries = new Map();
+    for (const skill of BUILT_IN) {
+      entries.set(normalize(skill.name), {
+        ...skill,
+        key: normalize(skill.name),
+        aliases: skill.aliases.map(normalize),
+        exact: skill.exact || [],
+        custom: false
+      });
+    }
+    for (const doc of this.custom) {
+      const existing = entries.get(doc.key);
+      entries.set(doc.key, {
+        name: existing ? existing.name : doc.name,
+        key: doc.key,
+        category: doc.category || existing?.category || 'tool',
+        aliases: [...new Set([...(existing?.aliases || []), ...(doc.aliases || []).map(normalize)])],
+        exact: existing?.exact || [],
+        custom: true,
+        id: doc._id
+      });
+    }
+
+    this.entries = [...entries.values()];
+    this.byTerm = new Map();
+    this.patterns = [];
+    for (const entry of this.entries) {
+      for (const term of [entry.key, ...entry.aliases, ...entry.exact.map(normalize)]) {
+        if (!this.byTerm.has(term)) this.byTerm.set(term, entry);
+      }
+      // A name that is also an `exact` term, like "go", only matches as written
+      const exactTerms = new Set(entry.exact.map(normalize));
+      entry.patterns = [
+        ...[entry.key, ...entry.aliases]
+          .filter(t => t.length > 1 && !exactTerms.has(t))
+          .map(term => termPattern(term, 'gi')),
+        ...entry.exact.map(term => termPattern(term, 'g'))
+      ];
+      entry.patterns.forEach(regex => this.patterns.push({ entry, regex }));
+    }
+  }
+
+  // Load custom skills once (or again with `refresh`); until then only built-in skills are known
+  load({ refresh = false } = {}) {
+    if (!this.loading || refresh) {
+      this.loading = Skill.find().lean()
+        .then(docs => {
+          this.custom = docs;
+          this.build();
+        })
+        .catch(error => {
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  categories() {
+    return Object.entries(CATEGORIES).map(([key, label]) => ({ key, label }));
+  }
+
+  lookup(name) {
+    return this.byTerm.get(normalize(name)) || null;
+  }
+
+  // Canonical name, e.g. "nodejs" -> "Node.js"; unknown skills are returned trimmed
+  canonical(name) {
+    return this.lookup(name)?.name || String(name || '').trim().replace(/\s+/g, ' ');
+  }
+
+  // Lowercase canonical name, for comparing and storing skills as keys
+  key(name) {
+    return this.lookup(name)?.key || normalize(name);
+  }
+
+  // Canonical names with duplicates (after canonicalisation) removed, in their original order
+  normalizeList(list = []) {
+    const seen = new Set();
+    return list
+      .map(item => this.canonical(item))
+      .filter(item => item && !seen.has(normalize(item)) && seen.add(normalize(item)));
+  }
+
+  // Parsed resume data with canonical skill and technology names. Removing duplicate skills moves
+  // later ones up, so their confidence records (see heuristicResumeParser) are moved with them.
+  normalizeParsedData(parsedData = {}, fieldConfidence = []) {
+    const normalized = { ...parsedData };
+    const paths = new Map();
+    if (parsedData.skills) {
+      const seen = new Map();
+      normalized.skills = [];
+      parsedData.skills.forEach((skill, i) => {
+        const name = this.canonical(skill);
+        if (!name) return;
+        if (!seen.has(normalize(name))) {
+          seen.set(normalize(name), normalized.skills.length);
+          normalized.skills.push(name);
+        }
+        paths.set(`skills.${i}`, `skills.${seen.get(normalize(name))}`);
+      });
+    }
+    const lists = { projects: ['techStack'], experience: ['technologies'], internships: ['technologies'] };
+    for (const [section, fields] of Object.entries(lists)) {
+      if (!parsedData[section]) continue;
+      normalized[section] = parsedData[section].map(entry => {
+        const plain = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+        return { ...plain, ...Object.fromEntries(fields.map(f => [f, this.normalizeList(plain[f] || [])])) };
+      });
+    }
+
+    // A skill listed twice keeps the more confident record
+    const records = new Map();
+    for (const record of fieldConfidence) {
+      const path = record.path.startsWith('skills.') ? paths.get(record.path) : record.path;
+      if (!path) continue;
+      const kept = records.get(path);
+      if (!kept || record.confidence > kept.confidence) records.set(path, { ...record, path });
+    }
+    return { parsedData: normalized, fieldConfidence: [...records.values()] };
+  }
+
+  // Known skills mentioned in free text, first mention of each, in order of appearance.
+  // Overlapping mentions go to the longest, so "Spring Boot" is not also "Spring".
+  find(text = '') {
+    const mentions = [];
+    for (const { entry, regex } of this.patterns) {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text))) {
+        mentions.push({ entry, start: match.index, end: match.index + match[0].length });
+      }
+    }
+    mentions.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+    const found = new Map();
+    let covered = -1;
+    for (const mention of mentions) {
+      if (mention.start < covered) continue;
+      covered = mention.end;
+      if (!found.has(mention.entry.key)) {
+        found.set(mention.entry.key, {
+          name: mention.entry.name,
+          category: mention.entry.category,
+          text: text.slice(mention.start, mention.end),
+          start: mention.start,
+          end: mention.end
+        });
+      }
+    }
+    return [...found.values()];
+  }
+
+  // Whether the text mentions a skill under any of its names
+  mentions(text, skill) {
+    const entry = this.lookup(skill);
+    if (!entry) return normalize(skill).length > 0 && termPattern(normalize(skill), 'i').test(text || '');
+    return entry.patterns.some(regex => {
+      regex.lastIndex = 0;
+      return regex.test(text || '');
+    });
+  }
+
+  // Skills for browsing, optionally in one category or matching `q` by name or alias
+  browse({ category, q } = {}) {
+    const query = normalize(q);
+    return this.entries
+      .filter(e => !category || e.category === category)
+      .filter(e => !query || e.key.includes(query) || e.aliases.some(a => a.includes(query)))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(({ id, name, category: cat, aliases, exact, custom }) => ({
+        id, name, category: cat, aliases: [...aliases, ...exact], custom
+      }));
+  }
+
+  // Validate a new skill, or new aliases for a known one. Returns { value, errors }.
+  validate(input = {}) {
+    const errors = [];
+    const name = typeof input.name === 'string' ? input.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name) errors.push('name is required');
+    if (name.length > 60) errors.push('name must be at most 60 characters');
+
+    const existing = name ? this.entries.find(e => e.key === normalize(name)) : null;
+    const category = input.category === undefined || input.category === '' ? undefined : String(input.category).trim().toLowerCase();
+    if (category !== undefined && !CATEGORIES[category]) {
+      errors.push(`category must be one of ${Object.keys(CATEGORIES).join(', ')}`);
+    }
+    if (!existing && category === undefined) errors.push('category is required for a new skill');
+
+    const rawAliases = Array.isArray(input.aliases) ? input.aliases
+      : typeof input.aliases === 'string' ? input.aliases.split(/[;,]/) : [];
+    const aliases = [...new Set(rawAliases.map(normalize).filter(Boolean))].filter(a => a !== normalize(name));
+    for (const alias of aliases) {
+      const owner = this.lookup(alias);
+      if (owner && owner.key !== normalize(name)) errors.push(`"${alias}" is already a name of ${owner.name}`);
+    }
+    if (!existing && name && this.lookup(name)) {
+      errors.push(`"${name}" is already a name of ${this.lookup(name).name}`);
+    }
+
+    return { value: { name: existing ? existing.name : name, key: normalize(name), category, aliases }, errors };
+  }
+
+  // Add a validated skill, or its aliases to the skill of the same name
+  async extend(value, userId) {
+    const doc = await Skill.findOne({ key: value.key }) || new Skill({ name: value.name, key: value.key, createdBy: userId });
+    if (value.category) doc.category = value.category;
+    doc.aliases = [...new Set([...(doc.aliases || []), ...value.aliases])];
+    await doc.save();
+    await this.load({ refresh: true });
+    return this.browse().find(s => s.name === value.name);
+  }
+
+  // Remove a custom skill (built-in skills only lose the aliases added to them)
+  async remove(id) {
+    const doc = await Skill.findByIdAndDelete(id);
+    if (doc) await this.load({ refresh: true });
+    return doc;
+  }
+}
+
+module.exports = new SkillTaxonomyService();
@@ -0,0 +1,163 @@
+const fs = require('fs-extra');
+const transcriptionService = require('./transcription');
+const { normalizeAudio, detectSpeech, MIN_GAP_SECONDS } = require('./transcription/audio');
+
+// Filler words and phrases; "like" is skipped where it is a verb ("I like", "would like to")
+const FILLERS = {
+  um: /\b(?:um+|erm+)\b/g,
+  uh: /\b(?:uh+|er)\b/g,
+  ah: /\bah+\b/g,
+  like: /(?<!\b(?:i|you|we|they|would|'d|really|don't|didn't|just|feel|feels|felt|look|looks|looked|seems?)\s)\blike\b(?!\s+to\b)/g,
+  'you know': /\byou know\b/g,
+  'i mean': /\bi mean\b/g,
+  'sort of': /\bsort of\b/g,
+  'kind of': /\bkind of\b/g,
+  basically: /\bbasically\b/g
+};
+
+// Gaps shorter than this are normal phrasing and not counted as pauses
+const PAUSE_SECONDS = 2;
+
+// Flag thresholds. Reading aloud sounds fast and fluent: few fillers and no real pauses.
+const SILENCE_RATIO = 0.6;
+const SILENCE_LONGEST_PAUSE = 8;
+const MIN_WORDS = 5;
+const READING_MIN_SPEAKING_SECONDS = 20;
+const READING_MIN_WPM = 165;
+const READING_MAX_FILLERS_PER_MINUTE = 1;
+const READING_MAX_PAUSE = 1.5;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+class SpeechMetricsService {
+  countFillers(transcript) {
+    const text = transcript.toLowerCase().replace(/[’]/g, "'");
+    const fillers = Object.entries(FILLERS)
+      .map(([word, pattern]) => ({ word, count: (text.match(pattern) || []).length }))
+      .filter(f => f.count > 0);
+    return { fillers, fillerCount: fillers.reduce((sum, f) => sum + f.count, 0) };
+  }
+
+  // Word timestamps merged into stretches of speech, the same shape as detectSpeech returns
+  segmentsFromWords(words) {
+    const segments = [];
+    for (const w of words) {
+      if (typeof w.start !== 'number' || typeof w.end !== 'number') continue;
+      const last = segments[segments.length - 1];
+      if (last && w.start - last.end < MIN_GAP_SECONDS) last.end = Math.max(last.end, w.end);
+      else segments.push({ start: w.start, end: w.end });
+    }
+    return segments;
+  }
+
+  // Speech stretches from the recording itself, or null when the audio cannot be decoded.
+  // `wavPath` is the recording already normalized for transcription; otherwise it is converted here.
+  async audioSegments(audioPath, wavPath) {
+    let converted = null;
+    try {
+      if (!wavPath) {
+        const { ffmpegPath, timeoutMs } = transcriptionService.config;
+        converted = await normalizeAudio(audioPath, { ffmpegPath, timeoutMs });
+      }
+      return await detectSpeech(wavPath || converted);
+    } catch (error) {
+      console.warn('Audio analysis unavailable, using transcript timing:', error.message);
+      return null;
+    } finally {
+      if (converted) await fs.remove(converted).catch(() => {});
+    }
+  }
+
+  // Delivery metrics for a spoken answer. Timing comes from the recording when it can be decoded,
+  // then from word timestamps, and otherwise only the transcript and the client-reported duration
+  // are available (pause and silence metrics are then left out). Pace is measured from the first to the
+  // last stretch of speech, so silence before and after the answer does not slow it down. Never throws.
+  async analyze({ transcript, words = [], durationSeconds, audioPath, wavPath }) {
+    const text = (transcript || '').trim();
+    const wordCount = text ? text.split(/\s+/).length : 0;
+    const { fillers, fillerCount } = this.countFillers(text);
+
+    let source = 'transcript';
+    let segments = null;
+    let duration = Number(durationSeconds) || 0;
+    const audio = audioPath || wavPath ? await this.audioSegments(audioPath, wavPath) : null;
+    if (audio) {
+      source = 'audio';
+      segments = audio.segments;
+      duration = audio.durationSeconds;
+    } else if (words.some(w => typeof w.start === 'number')) {
+      source = 'timestamps';
+      segments = this.segmentsFromWords(words);
+      duration = Math.max(duration, segments.length ? segments[segments.length - 1].end : 0);
+    }
+
+    const speechSpan = segments?.length ? segments[segments.length - 1].end - segments[0].start : 0;
+    const paceSeconds = speechSpan > 0 ? speechSpan : duration;
+    const metrics = {
+      source,
+      durationSeconds: round1(duration),
+      wordCount,
+      wordsPerMinute: paceSeconds > 0 ? Math.round(wordCount / (paceSeconds / 60)) : undefined,
+      fillerCount,
+      fillers,
+      fillersPerMinute: paceSeconds > 0 ? round1(fillerCount / (paceSeconds / 60)) : undefined
+    };
+    if (!segments) return metrics;
+
+    // Silence before the first word counts as a pause; trailing silence is just stopping the recording
+    const gaps = segments.map((s, i) => s.start - (i === 0 ? 0 : segments[i - 1].end));
+    const speakingTime = segments.reduce((sum, s) => sum + (s.end - s.start), 0);
+    return {
+      ...metrics,
+      speakingTimeSeconds: round1(speakingTime),
+      longestPauseSeconds: round1(segments.length ? Math.max(...gaps) : duration),
+      pauseCount: gaps.filter(g => g >= PAUSE_SECONDS).length,
+      silenceRatio: duration > 0 ? round2(Math.max(0, 1 - speakingTime / duration)) : undefined
+    };
+  }
+
+  // silence/reading flags decided by the measurements. A flag is null when the metrics cannot decide it
+  // (reading needs timing from audio or word timestamps).
+  deriveFlags(metrics) {
+    const silence = metrics.wordCount < MIN_WORDS
+      || (metrics.silenceRatio ?? 0) >= SILENCE_RATIO
+      || (metrics.longestPauseSeconds ?? 0) >= SILENCE_LONGEST_PAUSE;
+
+    let reading = null;
+    if (metrics.source !== 'transcript') {
+      reading = !silence
+        && metrics.speakingTimeSeconds >= READING_MIN_SPEAKING_SECONDS
+        && metrics.wordsPerMinute >= READING_MIN_WPM
+        && metrics.fillersPerMinute < READING_MAX_FILLERS_PER_MINUTE
+        && metrics.longestPauseSeconds < READING_MAX_PAUSE;
+    }
+    return { silence, reading };
+  }
+
+  // Replace the model's guessed flags with measured ones where the metrics can decide them
+  applyFlags(evaluation, metrics) {
+    if (!evaluation || !metrics) return evaluation;
+    const derived = this.deriveFlags(metrics);
+    return {
+      ...evaluation,
+      flags: {
+        ...evaluation.flags,
+        silence: derived.silence,
+        reading: derived.reading ?? evaluation.flags.reading
+      }
+    };
+  }
+
+  // One line for the evaluation prompt
+  describe(metrics) {
+    const parts = [`${metrics.wordCount} words`];
+    if (metrics.wordsPerMinute !== undefined) parts.push(`${metrics.wordsPerMinute} words per minute`);
+    parts.push(`${metrics.fillerCount} filler words`);
+    if (metrics.longestPauseSeconds !== undefined) parts.push(`longest pause ${metrics.longestPauseSeconds}s`);
+    if (metrics.silenceRatio !== undefined) parts.push(`${Math.round(metrics.silenceRatio * 100)}% silence`);
+    return parts.join(', ');
+  }
+}
+
+module.exports = new SpeechMetricsService();
@@ -0,0 +1,197 @@
+const aiService = require('./aiService');
+const { STAR_COMPONENTS } = require('./aiSchemas');
+
+// Phrases that usually open each STAR component, for the offline fallback
+const CUES = {
+  situation: /\b(?:when i was|at my (?:previous|last|first)|back (?:when|in)|there was|we were|last (?:year|summer|semester)|during (?:my|an?|the)|the (?:company|team|project) (?:was|had))\b/i,
+  task: /\b(?:my (?:role|job|task|goal|responsibility) was|i was (?:responsible|asked|tasked|assigned|expected)|i (?:needed|had) to|the goal was|we needed to)\b/i,
+  action: /\b(?:so i|i (?:decided|built|implemented|created|wrote|organi[sz]ed|talked|spoke|led|designed|set up|proposed|reached out|started|reviewed|scheduled|suggested|refactored|introduced|took)|first,? i|then,? i|after that)\b/i,
+  result: /\b(?:as a result|in the end|eventually|ultimately|the result|the outcome|this (?:led|resulted)|which (?:led|resulted|meant)|we (?:shipped|delivered|launched|met)|i learned|improved|reduced|increased|saved)\b|\d+(?:\.\d+)?\s?(?:%|percent)/i
+};
+
+// Below these word counts a component present in the answer is judged weak
+const MIN_WORDS = { situation: 10, task: 6, action: 15, result: 8 };
+const MEASURABLE = /\d|\b(?:percent|twice|double[ds]?|half|halved)\b/i;
+
+const FEEDBACK = {
+  situation: {
+    missing: 'Open with the context: where you were, the team and what was at stake',
+    weak: 'Give a little more context so the listener understands why the situation mattered'
+  },
+  task: {
+    missing: 'Say what you specifically were responsible for or asked to achieve',
+    weak: 'Make your own goal or responsibility explicit'
+  },
+  action: {
+    missing: 'Describe the concrete steps you took yourself',
+    weak: 'Expand on the actions you took and why you chose them'
+  },
+  result: {
+    missing: 'Finish with the outcome, ideally measurable, and what you learned',
+    weak: 'Quantify the outcome or say what changed because of your actions'
+  }
+};
+
+const FIRST_PERSON = /\b(?:i|me|my|mine|myself)\b/gi;
+const PLURAL = /\b(?:we|us|our|ours|ourselves)\b/gi;
+// Share of personal pronouns that must be first person singular for clear ownership
+const CLEAR_OWNERSHIP = 0.6;
+const MIXED_OWNERSHIP = 0.35;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const wordCount = (text) => (text.trim() ? text.trim().split(/\s+/).length : 0);
+
+class StarAnalysisService {
+  // "I" versus "we": who the candidate says did the work
+  ownership(transcript) {
+    const text = transcript.replace(/[’]/g, "'");
+    const firstPerson = (text.match(FIRST_PERSON) || []).length;
+    const plural = (text.match(PLURAL) || []).length;
+    const total = firstPerson + plural;
+    const ratio = total ? round2(firstPerson / total) : undefined;
+
+    let assessment = 'unclear';
+    let feedback = 'The answer never says who did the work; describe what you did personally';
+    if (total && ratio >= CLEAR_OWNERSHIP) {
+      assessment = 'clear';
+      feedback = 'Your personal contribution comes through clearly';
+    } else if (total && ratio >= MIXED_OWNERSHIP) {
+      assessment = 'mixed';
+      feedback = 'Separate what you did from what the team did; use "I" for your own decisions';
+    } else if (total) {
+      assessment = 'team-focused';
+      feedback = 'Mostly "we": the interviewer cannot tell what you did yourself';
+    }
+    return { firstPerson, plural, ratio, assessment, feedback };
+  }
+
+  // Character offsets of a quoted excerpt in the transcript, ignoring case, whitespace and trailing punctuation
+  locate(transcript, quote) {
+    const words = quote.trim().replace(/^[\s"'“”.,;:!?-]+|[\s"'“”.,;:!?-]+$/g, '').split(/\s+/).filter(Boolean);
+    if (!words.length) return null;
+    const match = new RegExp(words.map(escapeRegex).join('\\s+'), 'i').exec(transcript);
+    return match ? { start: match.index, end: match.index + match[0].length } : null;
+  }
+
+  // Sentences with their offsets, further split where a STAR cue opens a new clause mid-sentence
+  clauses(transcript) {
+    const clauses = [];
+    const sentence = /[^.!?]+[.!?]*/g;
+    let match;
+    while ((match = sentence.exec(transcript))) {
+      const text = match[0];
+      const breaks = [0];
+      const cue = /[,;]\s+(?=(?:so|then|after that|as a result|in the end|eventually)\b)/gi;
+      let b;
+      while ((b = cue.exec(text))) breaks.push(b.index + b[0].length);
+      breaks.push(text.length);
+      for (let i = 0; i < breaks.length - 1; i++) {
+        const part = text.slice(breaks[i], breaks[i + 1]);
+        const lead = part.length - part.trimStart().length;
+        if (!part.trim()) continue;
+        clauses.push({ start: match.index + breaks[i] + lead, end: match.index + breaks[i] + part.trimEnd().length, text: part.trim() });
+      }
+    }
+    return clauses;
+  }
+
+  // Offline breakdown: clauses classified by cue phrases, otherwise by position in the story
+  heuristic(transcript) {
+    const clauses = this.clauses(transcript);
+    const assigned = { situation: [], task: [], action: [], result: [] };
+    clauses.forEach((clause, i) => {
+      let component = STAR_COMPONENTS.slice().reverse().find(c => CUES[c].test(clause.text));
+      if (!component) {
+        if (i === 0) component = 'situation';
+        else if (i === clauses.length - 1 && clauses.length > 2) component = 'result';
+        else component = 'action';
+      }
+      assigned[component].push(clause);
+    });
+
+    const components = {};
+    for (const component of STAR_COMPONENTS) {
+      const parts = assigned[component];
+      const text = parts.map(p => p.text).join(' ');
+      let strength = 'missing';
+      if (parts.length) {
+        const enough = wordCount(text) >= MIN_WORDS[component];
+        strength = enough && (component !== 'result' || MEASURABLE.test(text)) ? 'strong' : 'weak';
+      }
+      components[component] = {
+        strength,
+        spans: parts.map(({ start, end }) => ({ start, end })),
+        feedback: strength === 'strong' ? '' : FEEDBACK[component][strength]
+      };
+    }
+    return components;
+  }
+
+  // Spans from the model's quotes; a character claimed by more than one component keeps the first
+  fromAi(transcript, result) {
+    const taken = [];
+    const components = {};
+    for (const component of STAR_COMPONENTS) {
+      const { strength, quotes, feedback } = result[component];
+      const spans = [];
+      if (strength !== 'missing') {
+        for (const quote of quotes) {
+          const span = this.locate(transcript, quote);
+          if (span && !taken.some(t => span.start < t.end && t.start < span.end)) {
+            spans.push(span);
+            taken.push(span);
+          }
+        }
+      }
+      components[component] = {
+        strength,
+        spans: spans.sort((a, b) => a.start - b.start),
+        feedback: feedback || (strength === 'strong' ? '' : FEEDBACK[component][strength])
+      };
+    }
+    return components;
+  }
+
+  summarize(missing, weak) {
+    if (!missing.length && !weak.length) return 'All four STAR components are covered';
+    const parts = [];
+    if (missing.length) parts.push(`missing ${missing.join(', ')}`);
+    if (weak.length) parts.push(`weak ${weak.join(', ')}`);
+    const text = parts.join('; ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // STAR breakdown of a behavioral answer: { analysis, meta }. Falls back to cue phrases when the AI
+  // is unavailable; ownership is always counted from the transcript.
+  async analyze(transcript, questionText) {
+    let components;
+    let summary;
+    let meta;
+    try {
+      const result = await aiService.analyzeStar(questionText, transcript);
+      components = this.fromAi(transcript, result);
+      summary = result.summary;
+      meta = aiService.resultMeta();
+    } catch (error) {
+      console.error('STAR analysis failed, using heuristics:', error.message);
+      components = this.heuristic(transcript);
+      meta = aiService.resultMeta(error);
+    }
+
+    const missing = STAR_COMPONENTS.filter(c => components[c].strength === 'missing');
+    const weak = STAR_COMPONENTS.filter(c => components[c].strength === 'weak');
+    return {
+      analysis: {
+        components,
+        ownership: this.ownership(transcript),
+        missing,
+        weak,
+        summary: summary || this.summarize(missing, weak)
+      },
+      meta
+    };
+  }
+}
+
+module.exports = new StarAnalysisService();
@@ -0,0 +1,94 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const runProcess = require('./runProcess');
+
+const SAMPLE_RATE = 16000;
+const WAV_HEADER_BYTES = 44;
+
+// Decode any uploaded recording (webm/opus, mp4/aac, wav...) to 16 kHz mono 16-bit PCM WAV,
+// the input speech models expect, with loudness normalized so quiet recordings transcribe reliably.
+// Returns the path of a temporary file the caller must remove.
+async function normalizeAudio(inputPath, { ffmpegPath = 'ffmpeg', timeoutMs = 60000 } = {}) {
+  const outputPath = path.join(os.tmpdir(), `transcode-${Date.now()}-${Math.round(Math.random() * 1E9)}.wav`);
+  try {
+    await runProcess(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', inputPath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(SAMPLE_RATE),
+      '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11',
+      '-c:a', 'pcm_s16le',
+      outputPath
+    ], { timeoutMs });
+  } catch (error) {
+    await fs.remove(outputPath).catch(() => {});
+    throw error;
+  }
+  return outputPath;
+}
+
+// Length of a normalized WAV file from its size (2 bytes per mono sample)
+async function wavDurationSeconds(wavPath) {
+  const { size } = await fs.stat(wavPath);
+  return Math.max(0, (size - WAV_HEADER_BYTES) / (SAMPLE_RATE * 2));
+}
+
+// Voice activity detection settings: 30 ms frames; shorter gaps than MIN_GAP_SECONDS are breaths, not pauses
+const FRAME_SECONDS = 0.03;
+const MIN_GAP_SECONDS = 0.25;
+const MIN_SEGMENT_SECONDS = 0.1;
+// A frame is speech when it is within SPEECH_RANGE_DB of the loud end of the recording and above the floor
+const SPEECH_RANGE_DB = 30;
+const SILENCE_FLOOR_DB = -50;
+
+// 16-bit PCM samples of a WAV file; the header length varies, so the chunks are walked to find the data
+async function readPcm(wavPath) {
+  const buffer = await fs.readFile(wavPath);
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'data') {
+      const end = Math.min(buffer.length, offset + 8 + size);
+      const samples = new Int16Array((end - offset - 8) >> 1);
+      for (let i = 0; i < samples.length; i++) samples[i] = buffer.readInt16LE(offset + 8 + i * 2);
+      return samples;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error('WAV file has no audio data');
+}
+
+// Energy-based speech detection on a normalized WAV. Returns the recording length and the
+// stretches of speech as [{ start, end }] in seconds.
+async function detectSpeech(wavPath) {
+  const samples = await readPcm(wavPath);
+  const frameLength = Math.round(SAMPLE_RATE * FRAME_SECONDS);
+  const levels = [];
+  for (let start = 0; start + frameLength <= samples.length; start += frameLength) {
+    let sumSquares = 0;
+    for (let i = start; i < start + frameLength; i++) sumSquares += samples[i] * samples[i];
+    const rms = Math.sqrt(sumSquares / frameLength) / 32768;
+    levels.push(rms > 0 ? 20 * Math.log10(rms) : -120);
+  }
+
+  const durationSeconds = samples.length / SAMPLE_RATE;
+  if (levels.length === 0) return { durationSeconds, segments: [] };
+
+  const loud = [...levels].sort((a, b) => a - b)[Math.floor(levels.length * 0.95)];
+  const threshold = Math.max(SILENCE_FLOOR_DB, loud - SPEECH_RANGE_DB);
+  const segments = [];
+  levels.forEach((level, i) => {
+    if (level < threshold) return;
+    const start = i * FRAME_SECONDS;
+    const last = segments[segments.length - 1];
+    if (last && start - last.end < MIN_GAP_SECONDS) last.end = start + FRAME_SECONDS;
+    else segments.push({ start, end: start + FRAME_SECONDS });
+  });
+
+  return { durationSeconds, segments: segments.filter(s => s.end - s.start >= MIN_SEGMENT_SECONDS) };
+}
+
+module.exports = { normalizeAudio, wavDurationSeconds, detectSpeech, MIN_GAP_SECONDS };
@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const ProviderEngine = require('./providerEngine');
+const WhisperCppEngine = require('./whisperCppEngine');
+const { normalizeAudio, wavDurationSeconds } = require('./audio');
+
+// TRANSCRIPTION_ENGINE: "provider" (the AI provider's speech API), "whisper-cpp" (local, offline) or "none".
+// TRANSCRIPT_SOURCE: "client" keeps the browser's live transcript and only transcribes on the server
+// when it is empty; "server" always transcribes uploaded audio and prefers that result.
+function getTranscriptionConfig(env = process.env) {
+  return {
+    engine: (env.TRANSCRIPTION_ENGINE || 'provider').toLowerCase(),
+    transcriptSource: env.TRANSCRIPT_SOURCE === 'server' ? 'server' : 'client',
+    ffmpegPath: env.FFMPEG_PATH || 'ffmpeg',
+    timeoutMs: Number(env.TRANSCRIPTION_TIMEOUT_MS) || 120000,
+    whisperCpp: {
+      binary: env.WHISPER_CPP_BIN || 'whisper-cli',
+      model: env.WHISPER_CPP_MODEL,
+      language: env.WHISPER_CPP_LANGUAGE || 'en',
+      threads: Number(env.WHISPER_CPP_THREADS) || 4
+    }
+  };
+}
+
+function createEngine(config) {
+  switch (config.engine) {
+    case 'none':
+      return null;
+    case 'whisper-cpp':
+      return new WhisperCppEngine({ ...config.whisperCpp, timeoutMs: config.timeoutMs });
+    case 'provider':
+      return new ProviderEngine();
+    default:
+      throw new Error(`Unknown transcription engine "${config.engine}"`);
+  }
+}
+
+const round2 = (n) => (typeof n === 'number' ? Math.round(n * 100) / 100 : undefined);
+
+class TranscriptionService {
+  constructor() {
+    this.config = getTranscriptionConfig();
+    this.engine = createEngine(this.config);
+  }
+
+  describe() {
+    return { engine: this.engine ? this.engine.name : 'none', transcriptSource: this.config.transcriptSource };
+  }
+
+  // Transcribe one recording. status: ok (speech found), empty (no speech), failed or skipped (engine disabled).
+  // With `keepWav`, the normalized recording is kept for further analysis and returned as `wavPath`;
+  // the caller removes it.
+  async transcribe(filePath, { keepWav = false } = {}) {
+    if (!this.engine) {
+      return { status: 'skipped', engine: 'none', error: 'Server-side transcription is disabled' };
+    }
+
+    let wavPath = null;
+    let kept = false;
+    try {
+      try {
+        wavPath = await normalizeAudio(filePath, { ffmpegPath: this.config.ffmpegPath, timeoutMs: this.config.timeoutMs });
+      } catch (conversionError) {
+        if (this.engine.requiresWav) throw new Error(`Audio conversion failed: ${conversionError.message}`);
+        console.warn('Audio conversion failed, sending original recording:', conversionError.message);
+      }
+
+      const result = await this.engine.transcribe(wavPath || filePath);
+      const text = (result.text || '').trim();
+      const words = (result.words || [])
+        .filter(w => w.word && w.word.trim())
+        .map(w => ({ word: w.word.trim(), start: round2(w.start), end: round2(w.end), confidence: round2(w.confidence) }));
+      const confidences = words.map(w => w.confidence).filter(c => typeof c === 'number');
+
+      kept = keepWav && Boolean(wavPath);
+      return {
+        wavPath: kept ? wavPath : undefined,
+        status: text ? 'ok' : 'empty',
+        engine: this.engine.name,
+        text,
+        words,
+        confidence: confidences.length ? round2(confidences.reduce((sum, c) => sum + c, 0) / confidences.length) : undefined,
+        language: result.language,
+        durationSeconds: round2(result.durationSeconds ?? (wavPath ? await wavDurationSeconds(wavPath) : undefined))
+      };
+    } catch (error) {
+      console.error('Transcription failed:', error.message);
+      return { status: 'failed', engine: this.engine.name, error: error.message };
+    } finally {
+      if (wavPath && !kept) await fs.remove(wavPath).catch(() => {});
+    }
+  }
+
+  // Pick the answer text for a spoken answer from the browser transcript and the uploaded recording.
+  // Returns { text, transcription, wavPath } where transcription is the record stored on the Response;
+  // text is empty when nothing usable was captured (never a placeholder). With `keepWav`, `wavPath` is
+  // the normalized recording when one was made, for the caller to analyze and remove.
+  async resolveTranscript({ clientTranscript, audioPath, keepWav = false }) {
+    const client = (clientTranscript || '').trim();
+
+    if (!audioPath || (client && this.config.transcriptSource === 'client')) {
+      return {
+        text: client,
+        transcription: client
+          ? { source: 'client', status: 'ok' }
+          : { source: 'none', status: 'failed', error: 'No transcript or recording was received' }
+      };
+    }
+
+    const server = await this.transcribe(audioPath, { keepWav });
+    const { text, wavPath, ...details } = server;
+    if (server.status === 'ok') {
+      return { text, wavPath, transcription: { ...details, source: 'server', clientTranscript: client || undefined } };
+    }
+    if (client) {
+      return {
+        text: client,
+        wavPath,
+        transcription: {
+          ...details,
+          source: 'client',
+          status: 'ok',
+          error: server.error || 'Server transcription found no speech'
+        }
+      };
+    }
+    return { text: '', wavPath, transcription: { ...details, source: 'none' } };
+  }
+}
+
+module.exports = new TranscriptionService();
@@ -0,0 +1,16 @@
+const aiService = require('../aiService');
+
+// Uses the configured AI provider's speech-to-text API (e.g. OpenAI whisper-1); needs network access
+class ProviderEngine {
+  constructor() {
+    this.name = 'provider';
+    // The API accepts compressed uploads, so the original file works when conversion is unavailable
+    this.requiresWav = false;
+  }
+
+  async transcribe(filePath) {
+    return aiService.transcribeAudio(filePath);
+  }
+}
+
+module.exports = ProviderEngine;
@@ -0,0 +1,33 @@
+const { spawn } = require('child_process');
+
+// Run a command to completion, collecting capped stdout/stderr; rejects on non-zero exit or timeout
+function runProcess(command, args, { timeoutMs = 60000, cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stdout.on('data', (chunk) => { if (stdout.length < 1024 * 1024) stdout += chunk; });
+    child.stderr.on('data', (chunk) => { if (stderr.length < 64 * 1024) stderr += chunk; });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error(`${command} is not installed or not on PATH`) : error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) return reject(new Error(`${command} timed out after ${timeoutMs}ms`));
+      if (code !== 0) {
+        const detail = stderr.trim().split('\n').slice(-3).join(' ');
+        return reject(new Error(`${command} exited with code ${code}${detail ? `: ${detail}` : ''}`));
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+module.exports = runProcess;
@@ -0,0 +1,66 @@
+const fs = require('fs-extra');
+const runProcess = require('./runProcess');
+
+// Runs whisper.cpp (https://github.com/ggerganov/whisper.cpp) locally: no network or API key needed.
+// With --max-len 1 and --split-on-word every output segment is one word, which gives word timestamps;
+// word confidence is the mean probability of the word's tokens.
+class WhisperCppEngine {
+  constructor({ binary, model, language, threads, timeoutMs }) {
+    this.name = 'whisper-cpp';
+    this.requiresWav = true;
+    this.binary = binary;
+    this.model = model;
+    this.language = language;
+    this.threads = threads;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe(wavPath) {
+    if (!this.model) {
+      throw new Error('WHISPER_CPP_MODEL is not set (path to a ggml model file)');
+    }
+    const outputBase = wavPath.replace(/\.wav$/i, '');
+    try {
+      await runProcess(this.binary, [
+        '-m', this.model,
+        '-f', wavPath,
+        '-l', this.language,
+        '-t', String(this.threads),
+        '--max-len', '1',
+        '--split-on-word',
+        '--output-json-full',
+        '--output-file', outputBase,
+        '--no-prints'
+      ], { timeoutMs: this.timeoutMs });
+
+      const output = await fs.readJson(`${outputBase}.json`);
+      const segments = output.transcription || [];
+      const words = segments
+        .filter(s => s.text && s.text.trim())
+        .map(s => {
+          // Special tokens ([_BEG_], [_TT_...]) carry no information about the word
+          const probabilities = (s.tokens || [])
+            .filter(t => typeof t.p === 'number' && !String(t.text).startsWith('[_'))
+            .map(t => t.p);
+          return {
+            word: s.text.trim(),
+            start: s.offsets.from / 1000,
+            end: s.offsets.to / 1000,
+            confidence: probabilities.length
+              ? probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length
+              : undefined
+          };
+        });
+
+      return {
+        text: segments.map(s => s.text).join('').replace(/\s+/g, ' ').trim(),
+        language: output.result?.language,
+        words
+      };
+    } finally {
+      await fs.remove(`${outputBase}.json`).catch(() => {});
+    }
+  }
+}
+
+module.exports = WhisperCppEngine;
@@ -0,0 +1,87 @@
+// Face/attention analysis runs in the candidate's browser while the answer is recorded; the
+// server only receives the resulting events. Events are clamped to the answer's length and
+// the totals are derived here so stored figures always match the stored events.
+const EVENT_TYPES = ['no-face', 'multiple-faces', 'looking-away'];
+// Shorter events are detector flicker rather than real behaviour
+const MIN_EVENT_SECONDS = 1;
+const MAX_EVENTS = 200;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function parseReport(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// Total time covered by events, counting overlaps once
+function coveredSeconds(events) {
+  const sorted = [...events].sort((a, b) => a.start - b.start);
+  let total = 0;
+  let end = -Infinity;
+  for (const e of sorted) {
+    if (e.end <= end) continue;
+    total += e.end - Math.max(e.start, end);
+    end = e.end;
+  }
+  return round1(total);
+}
+
+function describe({ noFaceSeconds, lookingAwaySeconds, multipleFacesSeconds }) {
+  const parts = [];
+  if (noFaceSeconds) parts.push(`face not visible for ${noFaceSeconds}s`);
+  if (lookingAwaySeconds) parts.push(`looking away for ${lookingAwaySeconds}s`);
+  if (multipleFacesSeconds) parts.push(`more than one person visible for ${multipleFacesSeconds}s`);
+  if (parts.length === 0) return 'Face visible and facing the camera throughout';
+  const text = parts.join('; ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Build the stored videoAnalysis from the browser's report. `duration` is the answer length in seconds.
+function summarizeVideoAnalysis(raw, { duration, hasVideo }) {
+  const report = parseReport(raw);
+  if (!report) {
+    return {
+      status: 'none',
+      notes: hasVideo ? 'Video was recorded but not analyzed' : 'No video was recorded for this answer'
+    };
+  }
+  if (report.status !== 'analyzed') {
+    return { status: 'unavailable', notes: String(report.reason || 'Face detection was unavailable').slice(0, 200) };
+  }
+  if (!(Number(report.framesAnalyzed) > 0)) {
+    return { status: 'unavailable', notes: 'No camera frames could be analyzed' };
+  }
+
+  const limit = Number(duration) > 0 ? Number(duration) : Infinity;
+  const events = (Array.isArray(report.events) ? report.events : [])
+    .filter(e => EVENT_TYPES.includes(e?.type) && Number.isFinite(e.start) && Number.isFinite(e.end))
+    .map(e => ({ type: e.type, start: round1(Math.max(0, e.start)), end: round1(Math.min(limit, e.end)) }))
+    .filter(e => e.end - e.start >= MIN_EVENT_SECONDS)
+    .slice(0, MAX_EVENTS);
+
+  const ofType = (type) => events.filter(e => e.type === type);
+  const totals = {
+    noFaceSeconds: coveredSeconds(ofType('no-face')),
+    lookingAwaySeconds: coveredSeconds(ofType('looking-away')),
+    multipleFacesSeconds: coveredSeconds(ofType('multiple-faces'))
+  };
+
+  return {
+    status: 'analyzed',
+    engine: String(report.engine || 'browser').slice(0, 50),
+    framesAnalyzed: Number(report.framesAnalyzed),
+    events,
+    ...totals,
+    attentionLostSeconds: coveredSeconds([...ofType('no-face'), ...ofType('looking-away')]),
+    noFaceDetected: totals.noFaceSeconds > 0,
+    multipleFacesDetected: totals.multipleFacesSeconds > 0,
+    notes: describe(totals)
+  };
+}
+
+module.exports = { summarizeVideoAnalysis };
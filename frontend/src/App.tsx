@@ -8,6 +8,9 @@ import Register from "./components/Register";
 import Dashboard from "./components/Dashboard";
 import InterviewSession from "./components/InterviewSession";
 import ResultsPage from "./components/ResultsPage";
+import SharedReport from "./components/SharedReport";
+import AnalyticsPage from "./components/AnalyticsPage";
+import ResumeVersionsPage from "./components/ResumeVersionsPage";
 
 function App() {
   return (
@@ -18,6 +21,7 @@ function App() {
             <Route path="/" element={<LandingPage />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/shared/:token" element={<SharedReport />} />
             <Route
               path="/dashboard"
               element={
@@ -34,6 +38,22 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/analytics"
+              element={
+                <ProtectedRoute>
+                  <AnalyticsPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/resumes/:id/versions"
+              element={
+                <ProtectedRoute>
+                  <ResumeVersionsPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/results/:interviewId"
               element={
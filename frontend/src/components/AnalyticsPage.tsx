@@ -0,0 +1,419 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  analyticsAPI,
+  ComparedFigure,
+  InterviewComparison,
+  ProgressAnalytics,
+  TrendPoint,
+  TrendSeries,
+} from "../services/api";
+
+const CATEGORY_LABELS: Record<string, string> = {
+  technical: "Technical",
+  project: "Project",
+  internship: "Internship",
+  experience: "Experience",
+  behavioral: "Behavioral",
+  coding: "Coding",
+};
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString();
+
+const formatChange = (change: number | null) =>
+  change === null ? "-" : `${change > 0 ? "+" : ""}${change}`;
+
+const changeColor = (change: number | null, higherIsBetter = true) => {
+  if (!change) return "text-gray-500";
+  return change > 0 === higherIsBetter ? "text-green-700" : "text-red-700";
+};
+
+const percent = (share: number) => `${Math.round(share * 100)}%`;
+
+const seriesLabel = (s: TrendSeries) =>
+  s.label || s.skill || CATEGORY_LABELS[s.category ?? ""] || s.category || "";
+
+const rankingText = (s: TrendSeries | null) =>
+  s ? `${seriesLabel(s)} (${s.average.toFixed(2)})` : "-";
+
+// Scores (0-5) over time as a small line chart
+const Sparkline: React.FC<{
+  points: TrendPoint[];
+  width?: number;
+  height?: number;
+}> = ({ points, width = 140, height = 36 }) => {
+  if (points.length === 0) return null;
+  const x = (i: number) =>
+    points.length === 1
+      ? width / 2
+      : (i * (width - 8)) / (points.length - 1) + 4;
+  const y = (value: number) => height - 4 - (value / 5) * (height - 8);
+  return (
+    <svg width={width} height={height} className="text-blue-600">
+      <line
+        x1={0}
+        x2={width}
+        y1={y(2.5)}
+        y2={y(2.5)}
+        className="stroke-gray-200"
+        strokeDasharray="2 2"
+      />
+      <polyline
+        fill="none"
+        stroke="currentColor"
+        strokeWidth={2}
+        points={points.map((p, i) => `${x(i)},${y(p.average)}`).join(" ")}
+      />
+      {points.map((p, i) => (
+        <circle
+          key={i}
+          cx={x(i)}
+          cy={y(p.average)}
+          r={2.5}
+          fill="currentColor"
+        >
+          <title>
+            {formatDate(p.date)}: {p.average}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const TrendList: React.FC<{ title: string; series: TrendSeries[] }> = ({
+  title,
+  series,
+}) => (
+  <div className="bg-white p-6 rounded shadow">
+    <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+    {series.length === 0 ? (
+      <p className="mt-2 text-sm text-gray-500">No scored answers yet.</p>
+    ) : (
+      <ul className="mt-3 divide-y">
+        {series.map((s) => (
+          <li key={seriesLabel(s)} className="py-2 flex items-center gap-4">
+            <div className="w-48">
+              <div className="text-gray-900">{seriesLabel(s)}</div>
+              <div className="text-xs text-gray-500">
+                {s.count} answer{s.count === 1 ? "" : "s"}
+              </div>
+            </div>
+            <Sparkline points={s.points} />
+            <div className="ml-auto text-right">
+              <div className="font-semibold">{s.average.toFixed(2)}</div>
+              <div className={`text-xs ${changeColor(s.change)}`}>
+                {formatChange(s.change)}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const ComparisonRows: React.FC<{
+  title: string;
+  rows: (ComparedFigure & { label: string })[];
+  higherIsBetter?: boolean;
+}> = ({ title, rows, higherIsBetter = true }) => (
+  <>
+    <tr>
+      <td colSpan={4} className="pt-4 pb-1 text-xs uppercase text-gray-500">
+        {title}
+      </td>
+    </tr>
+    {rows.map((row) => (
+      <tr key={row.label} className="border-t">
+        <td className="py-1 text-gray-900">{row.label}</td>
+        <td className="py-1 text-right">{row.a ?? "-"}</td>
+        <td className="py-1 text-right">{row.b ?? "-"}</td>
+        <td
+          className={`py-1 text-right ${changeColor(row.change, higherIsBetter)}`}
+        >
+          {formatChange(row.change)}
+        </td>
+      </tr>
+    ))}
+  </>
+);
+
+const AnalyticsPage: React.FC = () => {
+  const navigate = useNavigate();
+  const [progress, setProgress] = useState<ProgressAnalytics | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [compareIds, setCompareIds] = useState<[string, string]>(["", ""]);
+  const [comparison, setComparison] = useState<InterviewComparison | null>(
+    null
+  );
+
+  useEffect(() => {
+    analyticsAPI
+      .getProgress()
+      .then((res) => {
+        setProgress(res.data);
+        const ids = res.data.interviews.map((i) => i.interviewId);
+        // Preselect the first and the latest interview
+        if (ids.length > 1) setCompareIds([ids[0], ids[ids.length - 1]]);
+      })
+      .catch((e: any) =>
+        setError(e?.response?.data?.message || "Failed to load analytics")
+      )
+      .finally(() => setLoading(false));
+  }, []);
+
+  const compare = async () => {
+    setError("");
+    try {
+      const res = await analyticsAPI.compare(compareIds[0], compareIds[1]);
+      setComparison(res.data);
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to compare interviews");
+    }
+  };
+
+  const interviewLabel = (id: string) => {
+    const interview = progress?.interviews.find((i) => i.interviewId === id);
+    if (!interview) return "";
+    return `${formatDate(interview.date)} · ${
+      interview.jobTitle || interview.resumeName || "Interview"
+    }`;
+  };
+
+  const overall = progress?.overall ?? [];
+  const overallChange =
+    overall.length > 1
+      ? Math.round(
+          (overall[overall.length - 1].average - overall[0].average) * 100
+        ) / 100
+      : null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold text-gray-900">Your Progress</h1>
+          <button
+            onClick={() => navigate("/dashboard")}
+            className="px-3 py-2 rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 text-red-700 p-3 rounded">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="bg-white p-8 rounded shadow text-center">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto" />
+            <p className="mt-3 text-gray-600">Loading analytics...</p>
+          </div>
+        ) : !progress || progress.interviews.length === 0 ? (
+          <div className="bg-white p-8 rounded shadow text-center text-gray-600">
+            Complete an interview to start tracking your progress.
+          </div>
+        ) : (
+          <>
+            <div className="bg-white p-6 rounded shadow">
+              <h2 className="text-lg font-semibold text-gray-900">Overview</h2>
+              <div className="mt-3 grid md:grid-cols-3 gap-4">
+                <div className="p-3 rounded bg-gray-50">
+                  <div className="text-xs text-gray-500">
+                    Completed interviews
+                  </div>
+                  <div className="text-xl font-semibold">
+                    {progress.interviews.length}
+                  </div>
+                </div>
+                <div className="p-3 rounded bg-gray-50">
+                  <div className="text-xs text-gray-500">
+                    Latest overall score
+                  </div>
+                  <div className="text-xl font-semibold">
+                    {overall.length
+                      ? `${overall[overall.length - 1].average} / 5`
+                      : "-"}
+                    <span
+                      className={`ml-2 text-sm ${changeColor(overallChange)}`}
+                    >
+                      {overallChange !== null &&
+                        `${formatChange(overallChange)} since first`}
+                    </span>
+                  </div>
+                </div>
+                <div className="p-3 rounded bg-gray-50">
+                  <div className="text-xs text-gray-500">
+                    Average answer duration
+                  </div>
+                  <div className="text-xl font-semibold">
+                    {progress.averageDuration !== null
+                      ? `${progress.averageDuration}s`
+                      : "-"}
+                  </div>
+                </div>
+                <div className="p-3 rounded bg-gray-50">
+                  <div className="text-xs text-gray-500">Best category</div>
+                  <div className="text-xl font-semibold">
+                    {rankingText(progress.categoryRanking.best)}
+                  </div>
+                </div>
+                <div className="p-3 rounded bg-gray-50">
+                  <div className="text-xs text-gray-500">Weakest category</div>
+                  <div className="text-xl font-semibold">
+                    {rankingText(progress.categoryRanking.worst)}
+                  </div>
+                </div>
+                <div className="p-3 rounded bg-gray-50">
+                  <div className="text-xs text-gray-500">Overall trend</div>
+                  <Sparkline points={overall} width={180} />
+                </div>
+              </div>
+            </div>
+
+            <TrendList
+              title="By rubric dimension"
+              series={progress.dimensions}
+            />
+            <TrendList
+              title="By question category"
+              series={progress.categories}
+            />
+            <TrendList title="By resume skill" series={progress.skills} />
+
+            <div className="bg-white p-6 rounded shadow">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Flags over time
+              </h2>
+              <p className="mt-1 text-sm text-gray-600">
+                Share of scored answers flagged overall: reading{" "}
+                {percent(progress.flags.rates.reading)}, silence{" "}
+                {percent(progress.flags.rates.silence)}, irrelevant{" "}
+                {percent(progress.flags.rates.irrelevant)}
+              </p>
+              <table className="mt-3 w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs uppercase text-gray-500">
+                    <th className="py-1">Interview</th>
+                    <th className="py-1 text-right">Reading</th>
+                    <th className="py-1 text-right">Silence</th>
+                    <th className="py-1 text-right">Irrelevant</th>
+                    <th className="py-1 text-right">Scored answers</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {progress.flags.points.map((p) => (
+                    <tr key={p.interviewId} className="border-t">
+                      <td className="py-1">{interviewLabel(p.interviewId)}</td>
+                      <td className="py-1 text-right">{p.reading}</td>
+                      <td className="py-1 text-right">{p.silence}</td>
+                      <td className="py-1 text-right">{p.irrelevant}</td>
+                      <td className="py-1 text-right">{p.answers}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {progress.interviews.length > 1 && (
+              <div className="bg-white p-6 rounded shadow">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Compare interviews
+                </h2>
+                <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                  {[0, 1].map((side) => (
+                    <select
+                      key={side}
+                      value={compareIds[side]}
+                      onChange={(e) => {
+                        const ids: [string, string] = [...compareIds];
+                        ids[side] = e.target.value;
+                        setCompareIds(ids);
+                      }}
+                      className="px-2 py-2 rounded border"
+                    >
+                      {progress.interviews.map((i) => (
+                        <option key={i.interviewId} value={i.interviewId}>
+                          {interviewLabel(i.interviewId)}
+                        </option>
+                      ))}
+                    </select>
+                  ))}
+                  <button
+                    onClick={compare}
+                    disabled={compareIds[0] === compareIds[1]}
+                    className="px-3 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                  >
+                    Compare
+                  </button>
+                </div>
+
+                {comparison && (
+                  <table className="mt-4 w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs uppercase text-gray-500">
+                        <th className="py-1" />
+                        <th className="py-1 text-right">
+                          {interviewLabel(comparison.a.interviewId)}
+                        </th>
+                        <th className="py-1 text-right">
+                          {interviewLabel(comparison.b.interviewId)}
+                        </th>
+                        <th className="py-1 text-right">Change</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <ComparisonRows
+                        title="Summary"
+                        rows={[
+                          { label: "Overall score", ...comparison.overall },
+                          {
+                            label: "Average answer duration (s)",
+                            ...comparison.averageDuration,
+                          },
+                        ]}
+                      />
+                      <ComparisonRows
+                        title="Rubric dimensions"
+                        rows={comparison.dimensions}
+                      />
+                      <ComparisonRows
+                        title="Question categories"
+                        rows={comparison.categories.map((c) => ({
+                          ...c,
+                          label: CATEGORY_LABELS[c.category] || c.category,
+                        }))}
+                      />
+                      {comparison.skills.length > 0 && (
+                        <ComparisonRows
+                          title="Resume skills"
+                          rows={comparison.skills.map((s) => ({
+                            ...s,
+                            label: s.skill,
+                          }))}
+                        />
+                      )}
+                      <ComparisonRows
+                        title="Flagged answers"
+                        higherIsBetter={false}
+                        rows={comparison.flags.map((f) => ({
+                          ...f,
+                          label: f.flag,
+                        }))}
+                      />
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,121 @@
+import React from "react";
+import { CodeRunResult, CodingLanguage, CodingQuestion } from "../services/api";
+import CodeRunResults from "./CodeRunResults";
+
+interface CodeEditorProps {
+  coding: CodingQuestion;
+  language: CodingLanguage;
+  code: string;
+  explanation: string;
+  run: CodeRunResult | null;
+  running: boolean;
+  onLanguageChange: (language: CodingLanguage) => void;
+  onCodeChange: (code: string) => void;
+  onExplanationChange: (text: string) => void;
+  onRun: () => void;
+}
+
+const LANGUAGE_LABELS: Record<CodingLanguage, string> = {
+  javascript: "JavaScript",
+  python: "Python",
+};
+
+const INDENT = "  ";
+
+const CodeEditor: React.FC<CodeEditorProps> = ({
+  coding,
+  language,
+  code,
+  explanation,
+  run,
+  running,
+  onLanguageChange,
+  onCodeChange,
+  onExplanationChange,
+  onRun,
+}) => {
+  const languages = Object.keys(coding.starterCode) as CodingLanguage[];
+
+  // Tab indents instead of moving focus out of the editor
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (e.key !== "Tab") return;
+    e.preventDefault();
+    const el = e.currentTarget;
+    const { selectionStart, selectionEnd } = el;
+    onCodeChange(
+      code.slice(0, selectionStart) + INDENT + code.slice(selectionEnd)
+    );
+    requestAnimationFrame(() => {
+      el.selectionStart = el.selectionEnd = selectionStart + INDENT.length;
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      {coding.examples.length > 0 && (
+        <div className="text-sm">
+          <div className="text-gray-500">
+            Implement <code>{coding.functionNames[language]}</code>. Examples:
+          </div>
+          <ul className="mt-1 font-mono text-xs text-gray-700 space-y-1">
+            {coding.examples.map((t, i) => (
+              <li key={i}>
+                {coding.functionNames[language]}(
+                {t.args.map((a) => JSON.stringify(a)).join(", ")}) →{" "}
+                {JSON.stringify(t.expected)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between">
+        <select
+          value={language}
+          onChange={(e) => onLanguageChange(e.target.value as CodingLanguage)}
+          className="rounded border-gray-300 text-sm py-1"
+        >
+          {languages.map((l) => (
+            <option key={l} value={l}>
+              {LANGUAGE_LABELS[l] || l}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={onRun}
+          disabled={running}
+          className={`px-3 py-1 rounded text-sm text-white ${
+            running ? "bg-gray-400" : "bg-gray-700 hover:bg-gray-800"
+          }`}
+        >
+          {running ? "Running..." : "Run examples"}
+        </button>
+      </div>
+
+      <textarea
+        value={code}
+        onChange={(e) => onCodeChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        spellCheck={false}
+        rows={16}
+        className="block w-full rounded border-gray-300 font-mono text-sm bg-gray-900 text-gray-100"
+      />
+
+      {run && <CodeRunResults run={run} />}
+
+      <label className="block text-sm text-gray-700">
+        Explain your approach (optional)
+        <textarea
+          value={explanation}
+          onChange={(e) => onExplanationChange(e.target.value)}
+          rows={3}
+          placeholder="Complexity, edge cases, trade-offs..."
+          className="mt-1 block w-full rounded border-gray-300 text-sm"
+        />
+      </label>
+    </div>
+  );
+};
+
+export default CodeEditor;
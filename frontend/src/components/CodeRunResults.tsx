@@ -0,0 +1,66 @@
+import React from "react";
+import { CheckCircle, XCircle } from "lucide-react";
+import { CodeRunResult } from "../services/api";
+
+const STATUS_LABELS: Record<CodeRunResult["status"], string> = {
+  passed: "All tests passed",
+  failed: "Some tests failed",
+  error: "Error",
+  timeout: "Time limit exceeded",
+};
+
+const show = (value: unknown) => JSON.stringify(value);
+
+const CodeRunResults: React.FC<{ run: CodeRunResult }> = ({ run }) => (
+  <div className="text-sm">
+    <div
+      className={`font-medium ${
+        run.status === "passed" ? "text-green-700" : "text-red-700"
+      }`}
+    >
+      {STATUS_LABELS[run.status]} · {run.passed}/{run.total} passed ·{" "}
+      {run.runTimeMs} ms
+    </div>
+    {run.error && (
+      <pre className="mt-2 p-2 rounded bg-red-50 text-red-800 text-xs whitespace-pre-wrap">
+        {run.error}
+      </pre>
+    )}
+    <ul className="mt-2 space-y-1">
+      {run.results.map((r) => (
+        <li key={r.index} className="flex items-start gap-2">
+          {r.passed ? (
+            <CheckCircle className="h-4 w-4 text-green-600 mt-0.5 shrink-0" />
+          ) : (
+            <XCircle className="h-4 w-4 text-red-600 mt-0.5 shrink-0" />
+          )}
+          {r.hidden ? (
+            <span className="text-gray-600">
+              Hidden test {r.index + 1}
+              {r.error ? ` · ${r.error}` : ""}
+            </span>
+          ) : (
+            <span className="font-mono text-xs text-gray-700 break-all">
+              ({(r.args || []).map(show).join(", ")}) → expected{" "}
+              {show(r.expected)}
+              {!r.passed &&
+                (r.error ? ` · ${r.error}` : `, got ${show(r.actual)}`)}
+            </span>
+          )}
+        </li>
+      ))}
+    </ul>
+    {run.stdout && (
+      <details className="mt-2">
+        <summary className="text-xs text-gray-500 cursor-pointer">
+          Console output
+        </summary>
+        <pre className="mt-1 p-2 rounded bg-gray-100 text-xs whitespace-pre-wrap">
+          {run.stdout}
+        </pre>
+      </details>
+    )}
+  </div>
+);
+
+export default CodeRunResults;
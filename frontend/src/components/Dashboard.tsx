@@ -9,26 +9,53 @@ import {
   Trash2,
   Upload,
   LogOut,
+  TrendingUp,
+  Target,
+  Pencil,
+  History,
 } from "lucide-react";
 import { useAuth } from "../contexts/AuthContext";
-import { resumeAPI, interviewAPI } from "../services/api";
+import {
+  resumeAPI,
+  interviewAPI,
+  evaluationAPI,
+  practiceAPI,
+  CreateInterviewOptions,
+  GapReportData,
+  PracticeTopic,
+  FieldConfidence,
+  ParsedResumeData,
+  ResumeCorrection,
+  TRUSTED_CONFIDENCE,
+} from "../services/api";
+import InterviewSetup from "./InterviewSetup";
+import GapReport from "./GapReport";
+import ResumeEditor from "./ResumeEditor";
 
 interface Resume {
   _id: string;
   fileName: string;
-  parsedData: {
-    skills: string[];
-    projects: any[];
-    internships: any[];
-    education: any[];
-    experience: any[];
-  };
+  parsedData: ParsedResumeData;
+  fieldConfidence?: FieldConfidence[];
+  corrections?: ResumeCorrection[];
+  lineageId?: string;
+  version?: number;
+  versionCount?: number;
   createdAt: string;
 }
 
+// Paths of the parsed values the parser was unsure about
+const uncertainPaths = (resume: Resume) =>
+  new Set(
+    (resume.fieldConfidence || [])
+      .filter((f) => f.confidence < TRUSTED_CONFIDENCE)
+      .map((f) => f.path)
+  );
+
 interface Interview {
   _id: string;
   status: "pending" | "in-progress" | "completed";
+  mode?: "interview" | "drill";
   totalQuestions: number;
   currentQuestionIndex: number;
   startTime?: string;
@@ -36,6 +63,9 @@ interface Interview {
   resumeId: {
     fileName: string;
   };
+  jobDescription?: { title?: string };
+  gapAnalysis?: { matchScore?: number | null };
+  reportId?: string;
   createdAt: string;
 }
 
@@ -47,7 +77,14 @@ const Dashboard: React.FC = () => {
     null
   );
   const [uploading, setUploading] = useState(false);
+  // Resume the next upload is a new version of ("" for a new resume)
+  const [uploadVersionOf, setUploadVersionOf] = useState("");
+  const [setupResume, setSetupResume] = useState<Resume | null>(null);
+  const [editResume, setEditResume] = useState<Resume | null>(null);
+  const [gapReport, setGapReport] = useState<GapReportData | null>(null);
   const [dragActive, setDragActive] = useState(false);
+  const [practiceTopics, setPracticeTopics] = useState<PracticeTopic[]>([]);
+  const [startingDrill, setStartingDrill] = useState(false);
   const { user, logout } = useAuth();
   const navigate = useNavigate();
 
@@ -57,9 +94,11 @@ const Dashboard: React.FC = () => {
 
   const fetchData = async () => {
     try {
-      const [resumesRes, interviewsRes] = await Promise.all([
+      const [resumesRes, interviewsRes, practiceRes] = await Promise.all([
         resumeAPI.getAll(),
         interviewAPI.getAll(),
+        // Practice topics are optional; the dashboard still loads without them
+        practiceAPI.getOverview().catch(() => null),
       ]);
       const safeResumes = (
         Array.isArray(resumesRes.data) ? resumesRes.data : []
@@ -89,6 +128,7 @@ const Dashboard: React.FC = () => {
         ? interviewsRes.data
         : [];
       setInterviews(safeInterviews);
+      setPracticeTopics(practiceRes?.data?.topics || []);
     } catch (error) {
       console.error("Error fetching data:", error);
     } finally {
@@ -99,8 +139,21 @@ const Dashboard: React.FC = () => {
   const handleFileUpload = async (file: File) => {
     setUploading(true);
     try {
-      await resumeAPI.upload(file);
+      const response = await resumeAPI.upload(
+        file,
+        uploadVersionOf || undefined
+      );
+      setUploadVersionOf("");
       await fetchData(); // Refresh the data
+      // Let the user check what was read from the file before interviewing
+      const uploaded = response.data.resume;
+      setEditResume({
+        _id: uploaded.id,
+        fileName: uploaded.fileName,
+        parsedData: uploaded.parsedData,
+        fieldConfidence: uploaded.fieldConfidence,
+        createdAt: new Date().toISOString(),
+      });
     } catch (error: any) {
       alert(error.response?.data?.message || "Upload failed");
     } finally {
@@ -134,10 +187,13 @@ const Dashboard: React.FC = () => {
     }
   };
 
-  const handleCreateInterview = async (resumeId: string) => {
+  const handleCreateInterview = async (
+    resumeId: string,
+    options: CreateInterviewOptions
+  ) => {
     setCreatingInterview(resumeId);
     try {
-      const response = await interviewAPI.create(resumeId);
+      const response = await interviewAPI.create(resumeId, options);
       const created = response.data.interview;
       const id = created?._id || created?.id;
       if (!id) {
@@ -149,6 +205,36 @@ const Dashboard: React.FC = () => {
       console.error("Error creating interview:", error);
     } finally {
       setCreatingInterview(null);
+      setSetupResume(null);
+    }
+  };
+
+  const handleViewGapReport = async (interviewId: string) => {
+    try {
+      const res = await interviewAPI.getGapAnalysis(interviewId);
+      setGapReport(res.data);
+    } catch (error: any) {
+      alert(error.response?.data?.message || "Failed to load gap report");
+    }
+  };
+
+  const handleDownloadReport = async (interviewId: string) => {
+    try {
+      await evaluationAPI.downloadReportPdf(interviewId);
+    } catch (error: any) {
+      alert(error.response?.data?.message || "Failed to download report");
+    }
+  };
+
+  const handleStartDrill = async () => {
+    setStartingDrill(true);
+    try {
+      const response = await practiceAPI.createDrill();
+      navigate(`/interview/${response.data.interview.id}`);
+    } catch (error: any) {
+      alert(error.response?.data?.message || "Failed to create drill");
+    } finally {
+      setStartingDrill(false);
     }
   };
 
@@ -156,7 +242,7 @@ const Dashboard: React.FC = () => {
     if (window.confirm("Are you sure you want to delete this resume?")) {
       try {
         await resumeAPI.delete(resumeId);
-        setResumes((prev) => prev.filter((r) => r._id !== resumeId));
+        await fetchData(); // Version numbers of the remaining uploads change
       } catch (error) {
         console.error("Error deleting resume:", error);
       }
@@ -194,6 +280,18 @@ const Dashboard: React.FC = () => {
     }
   };
 
+  // One card per resume: its latest version
+  const latestResumes = resumes.filter(
+    (resume) => !resume.versionCount || resume.version === resume.versionCount
+  );
+
+  // Topics whose next review falls on or before the end of today
+  const endOfToday = new Date();
+  endOfToday.setHours(23, 59, 59, 999);
+  const dueToday = practiceTopics.filter(
+    (topic) => new Date(topic.dueAt) <= endOfToday
+  );
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -253,11 +351,31 @@ const Dashboard: React.FC = () => {
               Upload your resume
             </p>
             <p className="text-gray-600 mb-4">
-              Drag and drop your PDF or DOCX file here, or click to browse
+              Drag and drop your resume file here, or click to browse
             </p>
+            {latestResumes.length > 0 && (
+              <div className="mb-4 text-sm text-gray-700">
+                <label htmlFor="upload-version-of" className="mr-2">
+                  Upload as
+                </label>
+                <select
+                  id="upload-version-of"
+                  value={uploadVersionOf}
+                  onChange={(e) => setUploadVersionOf(e.target.value)}
+                  className="px-2 py-1 rounded border border-gray-300"
+                >
+                  <option value="">a new resume</option>
+                  {latestResumes.map((resume) => (
+                    <option key={resume._id} value={resume._id}>
+                      a new version of {resume.fileName}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
             <input
               type="file"
-              accept=".pdf,.docx"
+              accept=".pdf,.docx,.odt,.rtf,.txt,.md,.markdown"
               onChange={handleFileInput}
               className="hidden"
               id="file-upload"
@@ -274,7 +392,7 @@ const Dashboard: React.FC = () => {
               {uploading ? "Uploading..." : "Choose File"}
             </label>
             <div className="mt-4 text-center text-sm text-gray-500">
-              Supported formats: PDF, DOCX (Max 10MB)
+              Supported formats: PDF, DOCX, ODT, RTF, TXT, Markdown (Max 10MB)
             </div>
           </div>
         </div>
@@ -284,7 +402,7 @@ const Dashboard: React.FC = () => {
           <h2 className="text-2xl font-bold text-gray-900 mb-6">
             Your Resumes
           </h2>
-          {resumes.length === 0 ? (
+          {latestResumes.length === 0 ? (
             <div className="bg-white rounded-lg shadow p-8 text-center">
               <FileText className="h-12 w-12 text-gray-400 mx-auto mb-4" />
               <h3 className="text-lg font-medium text-gray-900 mb-2">
@@ -296,7 +414,7 @@ const Dashboard: React.FC = () => {
             </div>
           ) : (
             <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {resumes.map((resume) => (
+              {latestResumes.map((resume) => (
                 <div
                   key={resume._id}
                   className="bg-white rounded-lg shadow p-6"
@@ -310,15 +428,37 @@ const Dashboard: React.FC = () => {
                         </h3>
                         <p className="text-sm text-gray-500">
                           {new Date(resume.createdAt).toLocaleDateString()}
+                          {(resume.versionCount || 1) > 1 &&
+                            ` · version ${resume.version} of ${resume.versionCount}`}
+                          {(resume.corrections || []).length > 0 &&
+                            " · reviewed"}
                         </p>
                       </div>
                     </div>
-                    <button
-                      onClick={() => handleDeleteResume(resume._id)}
-                      className="text-red-600 hover:text-red-800 transition-colors"
-                    >
-                      <Trash2 className="h-4 w-4" />
-                    </button>
+                    <div className="flex items-center space-x-3">
+                      <button
+                        onClick={() =>
+                          navigate(`/resumes/${resume._id}/versions`)
+                        }
+                        title="Versions"
+                        className="text-gray-600 hover:text-gray-900 transition-colors"
+                      >
+                        <History className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => setEditResume(resume)}
+                        title="Review details"
+                        className="text-gray-600 hover:text-gray-900 transition-colors"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteResume(resume._id)}
+                        className="text-red-600 hover:text-red-800 transition-colors"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
                   </div>
 
                   <div className="mb-4">
@@ -331,7 +471,16 @@ const Dashboard: React.FC = () => {
                         .map((skill, index) => (
                           <span
                             key={index}
-                            className="inline-block bg-gray-100 text-gray-700 text-xs px-2 py-1 rounded"
+                            title={
+                              uncertainPaths(resume).has(`skills.${index}`)
+                                ? "Uncertain: check this skill"
+                                : undefined
+                            }
+                            className={`inline-block text-xs px-2 py-1 rounded ${
+                              uncertainPaths(resume).has(`skills.${index}`)
+                                ? "bg-yellow-50 text-yellow-800 border border-dashed border-yellow-400"
+                                : "bg-gray-100 text-gray-700"
+                            }`}
                           >
                             {skill}
                           </span>
@@ -345,7 +494,7 @@ const Dashboard: React.FC = () => {
                   </div>
 
                   <button
-                    onClick={() => handleCreateInterview(resume._id)}
+                    onClick={() => setSetupResume(resume)}
                     disabled={creatingInterview === resume._id}
                     className={`w-full flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
                       creatingInterview === resume._id
@@ -371,11 +520,84 @@ const Dashboard: React.FC = () => {
           )}
         </div>
 
+        {/* Practice Section */}
+        {practiceTopics.length > 0 && (
+          <div className="mb-8">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold text-gray-900">
+                Due for Practice Today
+              </h2>
+              <button
+                onClick={handleStartDrill}
+                disabled={startingDrill}
+                className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-60"
+              >
+                <Target className="h-4 w-4 mr-2" />
+                {startingDrill ? "Creating..." : "Start drill"}
+              </button>
+            </div>
+            {dueToday.length === 0 ? (
+              <div className="bg-white rounded-lg shadow p-6 text-gray-600">
+                Nothing is due today. Next review:{" "}
+                {practiceTopics[0].name} on{" "}
+                {new Date(practiceTopics[0].dueAt).toLocaleDateString()}. A
+                drill now practises your weakest topics.
+              </div>
+            ) : (
+              <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                {dueToday.map((topic) => (
+                  <div
+                    key={topic.id}
+                    className="bg-white rounded-lg shadow p-4"
+                  >
+                    <div className="flex justify-between items-baseline">
+                      <h3 className="font-medium text-gray-900 capitalize">
+                        {topic.name}
+                      </h3>
+                      <span className="text-xs text-gray-500 capitalize">
+                        {topic.kind}
+                      </span>
+                    </div>
+                    <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className={`h-2 rounded-full ${
+                          topic.mastery >= 70
+                            ? "bg-green-500"
+                            : topic.mastery >= 50
+                            ? "bg-yellow-500"
+                            : "bg-red-500"
+                        }`}
+                        style={{ width: `${topic.mastery}%` }}
+                      ></div>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-600">
+                      {topic.mastery}% mastery
+                      {typeof topic.lastScore === "number" &&
+                        ` · last scored ${topic.lastScore}/5`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Interviews Section */}
         <div>
-          <h2 className="text-2xl font-bold text-gray-900 mb-6">
-            Your Interviews
-          </h2>
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-2xl font-bold text-gray-900">
+              Your Interviews
+            </h2>
+            {interviews.some((i) => i.status === "completed") && (
+              <button
+                onClick={() => navigate("/analytics")}
+                className="flex items-center text-blue-600 hover:text-blue-900"
+              >
+                <TrendingUp className="h-4 w-4 mr-1" />
+                View progress
+              </button>
+            )}
+          </div>
           {interviews.length === 0 ? (
             <div className="bg-white rounded-lg shadow p-8 text-center">
               <Video className="h-12 w-12 text-gray-400 mx-auto mb-4" />
@@ -419,6 +641,19 @@ const Dashboard: React.FC = () => {
                               ? (interview as any).resumeId.fileName
                               : "Resume"}
                           </div>
+                          {interview.mode === "drill" && (
+                            <span className="inline-block mt-1 bg-purple-100 text-purple-800 text-xs px-2 py-0.5 rounded">
+                              Drill
+                            </span>
+                          )}
+                          {interview.jobDescription?.title && (
+                            <div className="text-xs text-gray-500">
+                              For {interview.jobDescription.title}
+                              {typeof interview.gapAnalysis?.matchScore ===
+                                "number" &&
+                                ` · ${interview.gapAnalysis.matchScore}% match`}
+                            </div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span
@@ -475,6 +710,22 @@ const Dashboard: React.FC = () => {
                                 : "Continue"}
                             </button>
                           )}
+                          {interview.reportId && (
+                            <button
+                              onClick={() => handleDownloadReport(interview._id)}
+                              className="ml-4 text-gray-600 hover:text-gray-900"
+                            >
+                              PDF
+                            </button>
+                          )}
+                          {interview.gapAnalysis && (
+                            <button
+                              onClick={() => handleViewGapReport(interview._id)}
+                              className="ml-4 text-gray-600 hover:text-gray-900"
+                            >
+                              Gap Report
+                            </button>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -485,6 +736,45 @@ const Dashboard: React.FC = () => {
           )}
         </div>
       </main>
+
+      {gapReport && (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-bold text-gray-900">Gap Report</h2>
+              <button
+                onClick={() => setGapReport(null)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                Close
+              </button>
+            </div>
+            <GapReport data={gapReport} />
+          </div>
+        </div>
+      )}
+
+      {editResume && (
+        <ResumeEditor
+          resume={editResume}
+          onCancel={() => setEditResume(null)}
+          onSaved={() => {
+            setEditResume(null);
+            fetchData();
+          }}
+        />
+      )}
+
+      {setupResume && (
+        <InterviewSetup
+          resumeName={setupResume.fileName}
+          submitting={creatingInterview === setupResume._id}
+          onCancel={() => setSetupResume(null)}
+          onSubmit={(options) =>
+            handleCreateInterview(setupResume._id, options)
+          }
+        />
+      )}
     </div>
   );
 };
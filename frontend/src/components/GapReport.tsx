@@ -0,0 +1,87 @@
+import React from "react";
+import { GapReportData } from "../services/api";
+
+interface GapReportProps {
+  data: GapReportData;
+}
+
+const importanceLabel = (importance: string) =>
+  importance === "required" ? "required" : "nice to have";
+
+const GapReport: React.FC<GapReportProps> = ({ data }) => {
+  const { jobDescription, gapAnalysis } = data;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm text-gray-500">Target role</div>
+          <div className="font-medium text-gray-900">
+            {jobDescription.title || jobDescription.fileName || "Job description"}
+          </div>
+        </div>
+        {gapAnalysis.matchScore !== null && (
+          <div className="text-right">
+            <div className="text-sm text-gray-500">Match</div>
+            <div className="text-2xl font-semibold text-gray-900">
+              {gapAnalysis.matchScore}%
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4 text-sm">
+        <div className="p-3 rounded bg-green-50">
+          <h4 className="font-medium text-green-800 mb-2">
+            Matched ({gapAnalysis.matched.length})
+          </h4>
+          <ul className="space-y-1 text-gray-700">
+            {gapAnalysis.matched.map((m) => (
+              <li key={m.skill}>
+                <span className="font-medium">{m.skill}</span>
+                <span className="text-xs text-gray-500">
+                  {" "}
+                  · {m.evidence.join(", ")}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="p-3 rounded bg-yellow-50">
+          <h4 className="font-medium text-yellow-800 mb-2">
+            Transferable ({gapAnalysis.transferable.length})
+          </h4>
+          <ul className="space-y-1 text-gray-700">
+            {gapAnalysis.transferable.map((t) => (
+              <li key={t.skill}>
+                <span className="font-medium">{t.skill}</span>
+                <span className="text-xs text-gray-500">
+                  {" "}
+                  · via {t.via.join(", ")}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="p-3 rounded bg-red-50">
+          <h4 className="font-medium text-red-800 mb-2">
+            Missing ({gapAnalysis.missing.length})
+          </h4>
+          <ul className="space-y-1 text-gray-700">
+            {gapAnalysis.missing.map((m) => (
+              <li key={m.skill}>
+                <span className="font-medium">{m.skill}</span>
+                <span className="text-xs text-gray-500">
+                  {" "}
+                  · {importanceLabel(m.importance)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GapReport;
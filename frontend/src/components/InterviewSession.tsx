@@ -1,13 +1,61 @@
 import React, { useCallback, useEffect, useRef, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
-import { interviewAPI } from "../services/api";
+import {
+  interviewAPI,
+  AnswerMode,
+  CodeRunResult,
+  CodingLanguage,
+  CodingQuestion,
+} from "../services/api";
+import {
+  FaceMonitor,
+  VideoAnalysisReport,
+  preloadFaceDetection,
+} from "../services/faceMonitor";
+import CodeEditor from "./CodeEditor";
 
 type Question = {
   _id: string;
   text: string;
   category?: string;
+  parentQuestionId?: string;
+  timeLimit?: number;
+  type?: "verbal" | "coding";
+  coding?: CodingQuestion;
 };
 
+const DEFAULT_TIME_LIMIT_SECONDS = 120;
+// Keeps a full-length answer video well under the upload limit
+const VIDEO_BITS_PER_SECOND = 250_000;
+
+type Recording = {
+  audio?: Blob;
+  video?: Blob;
+  videoAnalysis?: VideoAnalysisReport;
+};
+
+// Blob type without codec parameters, which the upload filter does not accept
+const blobType = (recorder: MediaRecorder, fallback: string) =>
+  recorder.mimeType.split(";")[0] || fallback;
+
+const stopRecorder = (
+  recorder: MediaRecorder | null,
+  chunks: Blob[],
+  fallbackType: string
+) =>
+  new Promise<Blob | undefined>((resolve) => {
+    if (!recorder || recorder.state === "inactive") return resolve(undefined);
+    recorder.onstop = () =>
+      resolve(new Blob(chunks, { type: blobType(recorder, fallbackType) }));
+    recorder.stop();
+  });
+
+const speechRecognitionSupported = () =>
+  !!(
+    (window as any).webkitSpeechRecognition ||
+    (window as any).SpeechRecognition
+  );
+
 const InterviewSession: React.FC = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -18,26 +66,53 @@ const InterviewSession: React.FC = () => {
   const [progress, setProgress] = useState<{
     current: number;
     total: number;
+    followUps?: number;
+    isFollowUp?: boolean;
+    remainingBudgetSeconds?: number | null;
   } | null>(null);
   const [recording, setRecording] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
   const [transcript, setTranscript] = useState("");
   const [submitting, setSubmitting] = useState(false);
-  const QUESTION_TIME_LIMIT_SECONDS = 90;
   const [remainingSeconds, setRemainingSeconds] = useState<number>(
-    QUESTION_TIME_LIMIT_SECONDS
+    DEFAULT_TIME_LIMIT_SECONDS
   );
+  const timeLimitRef = useRef<number>(DEFAULT_TIME_LIMIT_SECONDS);
   const [mediaError, setMediaError] = useState<string>("");
+  const [language, setLanguage] = useState<CodingLanguage>("javascript");
+  // Code per language, so switching languages does not lose work
+  const [drafts, setDrafts] = useState<Partial<Record<CodingLanguage, string>>>(
+    {}
+  );
+  const [explanation, setExplanation] = useState("");
+  const [codeRun, setCodeRun] = useState<CodeRunResult | null>(null);
+  const [running, setRunning] = useState(false);
+  const [runError, setRunError] = useState("");
+  const [answerMode, setAnswerMode] = useState<AnswerMode>("voice");
+  const [typedAnswer, setTypedAnswer] = useState("");
+  // Set once camera/microphone access fails; later questions then default to typing
+  const voiceUnavailableRef = useRef(false);
+  const interviewModeRef = useRef<AnswerMode>("voice");
+
+  const isCoding = question?.type === "coding" && !!question.coding;
+  const code = isCoding
+    ? drafts[language] ?? question!.coding!.starterCode[language] ?? ""
+    : "";
+  // Questions answered without a recording run their countdown independently
+  const isTyped = !isCoding && answerMode === "typed";
 
   const mediaStreamRef = useRef<MediaStream | null>(null);
   const mediaRecorderRef = useRef<MediaRecorder | null>(null);
   const chunksRef = useRef<Blob[]>([]);
+  const videoRecorderRef = useRef<MediaRecorder | null>(null);
+  const videoChunksRef = useRef<Blob[]>([]);
+  const faceMonitorRef = useRef(new FaceMonitor());
   const timerRef = useRef<number | null>(null);
   const videoRef = useRef<HTMLVideoElement | null>(null);
   const recognitionRef = useRef<any>(null);
 
-  const fetchCurrent = useCallback(async () => {
-    if (!id) return;
+  const fetchCurrent = useCallback(async (): Promise<Question | null> => {
+    if (!id) return null;
     try {
       const res = await interviewAPI.getCurrentQuestion(id);
       if (res.data?.completed) {
@@ -49,13 +124,34 @@ const InterviewSession: React.FC = () => {
           }
         } catch {}
         navigate(`/results/${id}`);
-        return;
+        return null;
       }
-      setQuestion(res.data.question);
+      const next: Question = res.data.question;
+      const budget = res.data.progress?.remainingBudgetSeconds;
+      // Never allow more time than is left in the overall budget
+      timeLimitRef.current = Math.min(
+        next.timeLimit || DEFAULT_TIME_LIMIT_SECONDS,
+        typeof budget === "number" ? budget : Infinity
+      );
+      setQuestion(next);
       setProgress(res.data.progress);
-      setRemainingSeconds(QUESTION_TIME_LIMIT_SECONDS);
+      setRemainingSeconds(timeLimitRef.current);
+      interviewModeRef.current = res.data.answerMode || "voice";
+      setAnswerMode(
+        voiceUnavailableRef.current ? "typed" : interviewModeRef.current
+      );
+      setTypedAnswer("");
+      if (next.type === "coding" && next.coding) {
+        setLanguage(next.coding.language);
+        setDrafts({});
+        setExplanation("");
+        setCodeRun(null);
+        setRunError("");
+      }
+      return next;
     } catch (e) {
       console.error("Failed to fetch current question", e);
+      return null;
     } finally {
       setLoading(false);
     }
@@ -70,10 +166,19 @@ const InterviewSession: React.FC = () => {
     setStarting(true);
     try {
       await interviewAPI.start(id);
-      await fetchCurrent();
-      // initialize mic/cam and begin recording immediately
-      await initMicCam();
-      await startRecording();
+      const first = await fetchCurrent();
+      if (!first) return;
+      // initialize mic/cam and begin recording immediately, unless the interview is typed
+      if (interviewModeRef.current === "typed") return;
+      try {
+        await initMicCam();
+      } catch {
+        // No usable camera/microphone: fall back to typed answers
+        voiceUnavailableRef.current = true;
+        setAnswerMode("typed");
+        return;
+      }
+      if (first.type !== "coding") await startRecording();
     } catch (e) {
       console.error("Failed to start interview", e);
     } finally {
@@ -96,6 +201,7 @@ const InterviewSession: React.FC = () => {
         videoEl.srcObject = stream;
         await videoEl.play().catch(() => {});
       }
+      if (stream.getVideoTracks().length > 0) preloadFaceDetection();
     } catch (err: any) {
       console.error("Mic/Cam init error", err);
       setMediaError(err?.message || "Failed to access camera/microphone");
@@ -103,19 +209,39 @@ const InterviewSession: React.FC = () => {
     }
   };
 
-  const startRecording = async () => {
+  const startRecording = async (resetTimer = true) => {
     if (!mediaStreamRef.current) await initMicCam();
     const stream = mediaStreamRef.current!;
+    // Audio and video are recorded separately: the audio goes to transcription, the video is kept for review
     chunksRef.current = [];
-    const mediaRecorder = new MediaRecorder(stream);
+    const mediaRecorder = new MediaRecorder(
+      new MediaStream(stream.getAudioTracks()),
+      MediaRecorder.isTypeSupported("audio/webm")
+        ? { mimeType: "audio/webm" }
+        : undefined
+    );
     mediaRecorderRef.current = mediaRecorder;
     mediaRecorder.ondataavailable = (e) => {
       if (e.data && e.data.size > 0) chunksRef.current.push(e.data);
     };
     mediaRecorder.start(250);
+
+    videoChunksRef.current = [];
+    videoRecorderRef.current = null;
+    if (stream.getVideoTracks().length > 0) {
+      const videoRecorder = new MediaRecorder(stream, {
+        videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+      });
+      videoRecorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) videoChunksRef.current.push(e.data);
+      };
+      videoRecorder.start(1000);
+      videoRecorderRef.current = videoRecorder;
+      if (videoRef.current) faceMonitorRef.current.start(videoRef.current);
+    }
     setRecording(true);
     setRecordingTime(0);
-    setRemainingSeconds(QUESTION_TIME_LIMIT_SECONDS);
+    if (resetTimer) setRemainingSeconds(timeLimitRef.current);
     timerRef.current = window.setInterval(
       () => setRecordingTime((t) => t + 1),
       1000
@@ -130,10 +256,12 @@ const InterviewSession: React.FC = () => {
       rec.continuous = true;
       rec.interimResults = true;
       rec.onresult = (e: any) => {
+        // Only final results are kept; interim ones are repeated until they settle
         let txt = "";
         for (let i = e.resultIndex; i < e.results.length; i++) {
-          txt += e.results[i][0].transcript + " ";
+          if (e.results[i].isFinal) txt += e.results[i][0].transcript + " ";
         }
+        if (!txt.trim()) return;
         // accumulate silently, not shown to the user
         setTranscript((prev) => (prev ? prev + " " : "") + txt.trim());
       };
@@ -143,7 +271,7 @@ const InterviewSession: React.FC = () => {
     }
   };
 
-  const stopRecording = async (): Promise<{ audio?: Blob; video?: Blob }> => {
+  const stopRecording = async (): Promise<Recording> => {
     if (recognitionRef.current) {
       try {
         recognitionRef.current.stop();
@@ -155,15 +283,17 @@ const InterviewSession: React.FC = () => {
       timerRef.current = null;
     }
     setRecording(false);
-    const mediaRecorder = mediaRecorderRef.current;
-    return new Promise((resolve) => {
-      if (!mediaRecorder) return resolve({});
-      mediaRecorder.onstop = () => {
-        const blob = new Blob(chunksRef.current, { type: "audio/webm" });
-        resolve({ audio: blob });
-      };
-      mediaRecorder.stop();
-    });
+    const videoRecorder = videoRecorderRef.current;
+    const videoAnalysis = videoRecorder
+      ? faceMonitorRef.current.stop()
+      : undefined;
+    const [audio, video] = await Promise.all([
+      stopRecorder(mediaRecorderRef.current, chunksRef.current, "audio/webm"),
+      stopRecorder(videoRecorder, videoChunksRef.current, "video/webm"),
+    ]);
+    mediaRecorderRef.current = null;
+    videoRecorderRef.current = null;
+    return { audio, video, videoAnalysis };
   };
 
   // Enforce per-question countdown and auto-submit
@@ -172,13 +302,17 @@ const InterviewSession: React.FC = () => {
     if (remainingSeconds <= 0) {
       (async () => {
         try {
-          const { audio } = await stopRecording();
+          const { audio, video, videoAnalysis } = await stopRecording();
           if (id && question) {
+            // An empty transcript lets the server transcribe the recording
             const resp = await interviewAPI.submitAnswer(id, {
-              transcript: transcript.trim() || "(transcript unavailable)",
+              transcript: transcript.trim(),
               questionId: question._id,
               duration: recordingTime,
-              audio: audio as any,
+              audio,
+              video,
+              videoAnalysis,
+              answerMode: "voice",
             });
             setTranscript("");
             setRecordingTime(0);
@@ -214,6 +348,65 @@ const InterviewSession: React.FC = () => {
     fetchCurrent,
   ]);
 
+  // Coding and typed answers count down while the question is open and submit when time runs out
+  useEffect(() => {
+    if (!(isCoding || isTyped) || submitting) return;
+    if (remainingSeconds <= 0) {
+      submitAnswer();
+      return;
+    }
+    const timeout = window.setTimeout(
+      () => setRemainingSeconds((s) => s - 1),
+      1000
+    );
+    return () => window.clearTimeout(timeout);
+  }, [isCoding, isTyped, remainingSeconds, submitting]);
+
+  // Switch the current question between recording and typing without restarting its countdown
+  const switchAnswerMode = async (mode: AnswerMode) => {
+    if (mode === answerMode) return;
+    if (mode === "typed") {
+      if (recording) await stopRecording();
+      // Keep whatever live transcription captured so far as a starting point
+      setTypedAnswer((t) => t || transcript.trim());
+      setTranscript("");
+      setAnswerMode("typed");
+      return;
+    }
+    try {
+      setAnswerMode("voice");
+      await startRecording(false);
+    } catch {
+      setAnswerMode("typed");
+    }
+  };
+
+  // Coding and spoken questions render different video elements; keep the camera preview attached
+  useEffect(() => {
+    const videoEl = videoRef.current as
+      | (HTMLVideoElement & { srcObject: any })
+      | null;
+    if (videoEl && mediaStreamRef.current && !videoEl.srcObject) {
+      videoEl.srcObject = mediaStreamRef.current;
+      videoEl.play().catch(() => {});
+    }
+  }, [isCoding]);
+
+  const runCode = async () => {
+    if (!id || !question) return;
+    setRunning(true);
+    setRunError("");
+    try {
+      const res = await interviewAPI.runCode(id, question._id, { language, code });
+      setCodeRun(res.data.run);
+    } catch (e: any) {
+      console.error("Failed to run code", e);
+      setRunError(e?.response?.data?.message || "Failed to run code");
+    } finally {
+      setRunning(false);
+    }
+  };
+
   // Cleanup all media resources on unmount
   useEffect(() => {
     return () => {
@@ -224,13 +417,16 @@ const InterviewSession: React.FC = () => {
           } catch {}
           recognitionRef.current = null;
         }
-        if (
-          mediaRecorderRef.current &&
-          mediaRecorderRef.current.state !== "inactive"
-        ) {
-          try {
-            mediaRecorderRef.current.stop();
-          } catch {}
+        faceMonitorRef.current.stop();
+        for (const recorder of [
+          mediaRecorderRef.current,
+          videoRecorderRef.current,
+        ]) {
+          if (recorder && recorder.state !== "inactive") {
+            try {
+              recorder.stop();
+            } catch {}
+          }
         }
         if (mediaStreamRef.current) {
           mediaStreamRef.current.getTracks().forEach((t) => t.stop());
@@ -244,18 +440,37 @@ const InterviewSession: React.FC = () => {
     if (!id || !question) return;
     setSubmitting(true);
     try {
-      let audioBlob: Blob | undefined;
-      if (recording) {
-        const { audio } = await stopRecording();
-        audioBlob = audio;
-      }
+      let recorded: Recording = {};
+      if (recording) recorded = await stopRecording();
 
-      const resp = await interviewAPI.submitAnswer(id, {
-        transcript: transcript.trim() || "(transcript unavailable)",
-        questionId: question._id,
-        duration: recordingTime,
-        audio: audioBlob as any,
-      });
+      const resp = await interviewAPI.submitAnswer(
+        id,
+        isCoding
+          ? {
+              transcript: explanation.trim(),
+              questionId: question._id,
+              duration: timeLimitRef.current - Math.max(0, remainingSeconds),
+              code,
+              language,
+            }
+          : isTyped
+          ? {
+              transcript: typedAnswer.trim(),
+              questionId: question._id,
+              duration: timeLimitRef.current - Math.max(0, remainingSeconds),
+              answerMode: "typed",
+            }
+          : {
+              // An empty transcript lets the server transcribe the recording
+              transcript: transcript.trim(),
+              questionId: question._id,
+              duration: recordingTime,
+              audio: recorded.audio,
+              video: recorded.video,
+              videoAnalysis: recorded.videoAnalysis,
+              answerMode: "voice",
+            }
+      );
 
       // Reset state for next question
       setTranscript("");
@@ -300,6 +515,17 @@ const InterviewSession: React.FC = () => {
             {progress && (
               <div className="text-sm text-gray-600">
                 Q{progress.current} / {progress.total}
+                {!!progress.followUps && (
+                  <span className="ml-1 text-gray-400">
+                    (incl. {progress.followUps} follow-up
+                    {progress.followUps > 1 ? "s" : ""})
+                  </span>
+                )}
+                {typeof progress.remainingBudgetSeconds === "number" && (
+                  <span className="ml-2 text-gray-400">
+                    · {Math.ceil(progress.remainingBudgetSeconds / 60)} min left
+                  </span>
+                )}
               </div>
             )}
           </div>
@@ -323,51 +549,85 @@ const InterviewSession: React.FC = () => {
             <div>
               <div className="mb-4">
                 <h2 className="text-lg font-semibold text-gray-900">
-                  Question
+                  {question.parentQuestionId ? "Follow-up" : "Question"}
                 </h2>
                 <p className="mt-2 text-gray-800">{question.text}</p>
+                {!isCoding && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      switchAnswerMode(isTyped ? "voice" : "typed")
+                    }
+                    className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    {isTyped
+                      ? "Answer by voice instead"
+                      : "Type your answer instead"}
+                  </button>
+                )}
               </div>
 
-              <div className="grid md:grid-cols-2 gap-4">
+              {isCoding ? (
                 <div>
+                  <CodeEditor
+                    coding={question.coding!}
+                    language={language}
+                    code={code}
+                    explanation={explanation}
+                    run={codeRun}
+                    running={running}
+                    onLanguageChange={setLanguage}
+                    onCodeChange={(value) =>
+                      setDrafts((d) => ({ ...d, [language]: value }))
+                    }
+                    onExplanationChange={setExplanation}
+                    onRun={runCode}
+                  />
+                  {runError && (
+                    <div className="mt-2 text-sm text-red-600">{runError}</div>
+                  )}
+                  <div className="mt-3 flex items-center gap-3">
+                    <button
+                      onClick={submitAnswer}
+                      disabled={submitting}
+                      className={`px-4 py-2 rounded text-white ${
+                        submitting
+                          ? "bg-gray-400"
+                          : "bg-blue-600 hover:bg-blue-700"
+                      }`}
+                    >
+                      {submitting ? "Running tests..." : "Submit Code"}
+                    </button>
+                    <span className="text-sm text-gray-600">
+                      Remaining: {Math.floor(remainingSeconds / 60)}:
+                      {String(Math.max(0, remainingSeconds % 60)).padStart(2, "0")}
+                    </span>
+                  </div>
                   <video
                     ref={videoRef}
-                    className="w-full rounded bg-black/5"
+                    className="mt-4 w-40 rounded bg-black/5"
                     playsInline
                     autoPlay
                     muted
                   />
-                  <div className="mt-3 flex items-center gap-2">
-                    {!recording ? (
-                      <button
-                        onClick={startRecording}
-                        className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700"
-                      >
-                        Start Recording
-                      </button>
-                    ) : (
-                      <button
-                        onClick={stopRecording}
-                        className="px-4 py-2 rounded bg-red-600 text-white hover:bg-red-700"
-                      >
-                        Stop
-                      </button>
-                    )}
-                    <span className="text-sm text-gray-600">
-                      Time: {recordingTime}s • Remaining: {remainingSeconds}s
-                    </span>
-                  </div>
                 </div>
+              ) : isTyped ? (
                 <div>
-                  <div className="text-sm text-gray-600">
-                    Recording... Your answer is being captured and analyzed.
-                  </div>
+                  <textarea
+                    value={typedAnswer}
+                    onChange={(e) => setTypedAnswer(e.target.value)}
+                    rows={10}
+                    autoFocus
+                    placeholder="Type your answer here"
+                    className="block w-full rounded border-gray-300"
+                  />
                   {mediaError && (
                     <div className="mt-2 text-sm text-red-600">
-                      {mediaError}
+                      Camera/microphone unavailable ({mediaError}); answers
+                      are typed.
                     </div>
                   )}
-                  <div className="mt-3">
+                  <div className="mt-3 flex items-center gap-3">
                     <button
                       onClick={submitAnswer}
                       disabled={submitting}
@@ -379,9 +639,74 @@ const InterviewSession: React.FC = () => {
                     >
                       {submitting ? "Submitting..." : "Submit Answer"}
                     </button>
+                    <span className="text-sm text-gray-600">
+                      {typedAnswer.trim().split(/\s+/).filter(Boolean).length}{" "}
+                      words • Remaining: {Math.max(0, remainingSeconds)}s
+                    </span>
                   </div>
                 </div>
-              </div>
+              ) : (
+                <div className="grid md:grid-cols-2 gap-4">
+                  <div>
+                    <video
+                      ref={videoRef}
+                      className="w-full rounded bg-black/5"
+                      playsInline
+                      autoPlay
+                      muted
+                    />
+                    <div className="mt-3 flex items-center gap-2">
+                      {!recording ? (
+                        <button
+                          onClick={() => startRecording()}
+                          className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700"
+                        >
+                          Start Recording
+                        </button>
+                      ) : (
+                        <button
+                          onClick={stopRecording}
+                          className="px-4 py-2 rounded bg-red-600 text-white hover:bg-red-700"
+                        >
+                          Stop
+                        </button>
+                      )}
+                      <span className="text-sm text-gray-600">
+                        Time: {recordingTime}s • Remaining: {remainingSeconds}s
+                      </span>
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-sm text-gray-600">
+                      Recording... Your answer is being captured and analyzed.
+                    </div>
+                    {!speechRecognitionSupported() && (
+                      <div className="mt-2 text-xs text-gray-500">
+                        Live transcription isn't available in this browser;
+                        your recording is transcribed after you submit.
+                      </div>
+                    )}
+                    {mediaError && (
+                      <div className="mt-2 text-sm text-red-600">
+                        {mediaError}
+                      </div>
+                    )}
+                    <div className="mt-3">
+                      <button
+                        onClick={submitAnswer}
+                        disabled={submitting}
+                        className={`px-4 py-2 rounded text-white ${
+                          submitting
+                            ? "bg-gray-400"
+                            : "bg-blue-600 hover:bg-blue-700"
+                        }`}
+                      >
+                        {submitting ? "Submitting..." : "Submit Answer"}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -0,0 +1,474 @@
+import React, { useEffect, useState } from "react";
+import { X } from "lucide-react";
+import {
+  interviewAPI,
+  AnswerMode,
+  CodingLanguage,
+  CreateInterviewOptions,
+  Difficulty,
+  InterviewConfig,
+  QuestionCategory,
+  QuestionKind,
+  Rubric,
+} from "../services/api";
+
+interface InterviewSetupProps {
+  resumeName: string;
+  submitting: boolean;
+  onCancel: () => void;
+  onSubmit: (options: CreateInterviewOptions) => void;
+}
+
+const CATEGORIES: { key: QuestionCategory; label: string }[] = [
+  { key: "technical", label: "Technical" },
+  { key: "project", label: "Projects" },
+  { key: "experience", label: "Experience" },
+  { key: "internship", label: "Internships" },
+  { key: "behavioral", label: "Behavioral" },
+];
+
+const QUESTION_KINDS: { key: QuestionKind; label: string }[] = [
+  ...CATEGORIES,
+  { key: "coding", label: "Coding" },
+];
+
+const DIFFICULTIES: Difficulty[] = ["easy", "medium", "hard"];
+
+const CODING_LANGUAGES: { key: CodingLanguage; label: string }[] = [
+  { key: "javascript", label: "JavaScript" },
+  { key: "python", label: "Python" },
+];
+
+const InterviewSetup: React.FC<InterviewSetupProps> = ({
+  resumeName,
+  submitting,
+  onCancel,
+  onSubmit,
+}) => {
+  const [config, setConfig] = useState<InterviewConfig | null>(null);
+  const [rubrics, setRubrics] = useState<Rubric[]>([]);
+  const [budgetMinutes, setBudgetMinutes] = useState<string>("");
+  const [followUps, setFollowUps] = useState({ enabled: false, maxDepth: 1 });
+  const [jobTitle, setJobTitle] = useState("");
+  const [jobText, setJobText] = useState("");
+  const [jobFile, setJobFile] = useState<File | null>(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    interviewAPI
+      .getConfigDefaults()
+      .then((res) => {
+        setConfig(res.data.defaults);
+        setRubrics(res.data.rubrics || []);
+      })
+      .catch(() => setError("Failed to load interview defaults"));
+  }, []);
+
+  const updateWeight = (category: QuestionCategory, value: number) =>
+    setConfig((c) =>
+      c
+        ? { ...c, categoryWeights: { ...c.categoryWeights, [category]: value } }
+        : c
+    );
+
+  const updateTimeLimit = (category: QuestionCategory, value: number) =>
+    setConfig((c) =>
+      c ? { ...c, timeLimits: { ...c.timeLimits, [category]: value } } : c
+    );
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!config) return;
+    const minutes = parseInt(budgetMinutes, 10);
+    onSubmit({
+      config: {
+        ...config,
+        totalTimeBudget: Number.isFinite(minutes) && minutes > 0 ? minutes * 60 : null,
+      },
+      followUps,
+      jobDescription:
+        jobText.trim() || jobFile
+          ? { title: jobTitle.trim(), text: jobText.trim() }
+          : undefined,
+      jobDescriptionFile: jobFile || undefined,
+    });
+  };
+
+  const totalWeight = config
+    ? CATEGORIES.reduce((sum, c) => sum + config.categoryWeights[c.key], 0)
+    : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6"
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Interview setup</h2>
+            <p className="text-sm text-gray-500">{resumeName}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 text-red-700 p-3 rounded mb-4">{error}</div>
+        )}
+
+        {!config ? (
+          !error && <p className="text-gray-600">Loading...</p>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid md:grid-cols-2 gap-4">
+              <label className="block text-sm text-gray-700">
+                Number of questions
+                <input
+                  type="number"
+                  min={1}
+                  max={30}
+                  value={config.questionCount}
+                  onChange={(e) =>
+                    setConfig({ ...config, questionCount: Number(e.target.value) })
+                  }
+                  className="mt-1 block w-full rounded border-gray-300"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                Difficulty
+                <select
+                  value={config.difficulty}
+                  onChange={(e) =>
+                    setConfig({
+                      ...config,
+                      difficulty: e.target.value as Difficulty,
+                    })
+                  }
+                  className="mt-1 block w-full rounded border-gray-300 capitalize"
+                >
+                  {DIFFICULTIES.map((d) => (
+                    <option key={d} value={d}>
+                      {d}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm text-gray-700 md:col-span-2">
+                Answer mode
+                <select
+                  value={config.answerMode}
+                  onChange={(e) =>
+                    setConfig({
+                      ...config,
+                      answerMode: e.target.value as AnswerMode,
+                    })
+                  }
+                  className="mt-1 block w-full rounded border-gray-300"
+                >
+                  <option value="voice">Voice (camera and microphone)</option>
+                  <option value="typed">Typed</option>
+                </select>
+                <span className="text-xs text-gray-500">
+                  You can still switch for individual questions.
+                </span>
+              </label>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">
+                Category mix and time per question
+              </h3>
+              <div className="space-y-2">
+                {CATEGORIES.map(({ key, label }) => (
+                  <div key={key} className="grid grid-cols-12 gap-3 items-center">
+                    <span className="col-span-3 text-sm text-gray-700">
+                      {label}
+                    </span>
+                    <input
+                      type="range"
+                      min={0}
+                      max={5}
+                      value={config.categoryWeights[key]}
+                      onChange={(e) => updateWeight(key, Number(e.target.value))}
+                      className="col-span-5"
+                    />
+                    <span className="col-span-1 text-xs text-gray-500">
+                      {totalWeight
+                        ? Math.round((config.categoryWeights[key] / totalWeight) * 100)
+                        : 0}
+                      %
+                    </span>
+                    <label className="col-span-3 flex items-center gap-1 text-xs text-gray-500">
+                      <input
+                        type="number"
+                        min={30}
+                        max={600}
+                        step={10}
+                        value={config.timeLimits[key]}
+                        onChange={(e) =>
+                          updateTimeLimit(key, Number(e.target.value))
+                        }
+                        className="w-20 rounded border-gray-300 text-sm py-1"
+                      />
+                      sec
+                    </label>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">
+                Coding questions
+              </h3>
+              <p className="text-xs text-gray-500 mb-2">
+                Solved in an in-browser editor and checked against hidden
+                tests. They replace technical questions in the mix.
+              </p>
+              <div className="grid md:grid-cols-3 gap-4">
+                <label className="block text-sm text-gray-700">
+                  Number
+                  <input
+                    type="number"
+                    min={0}
+                    max={5}
+                    value={config.codingQuestions}
+                    onChange={(e) =>
+                      setConfig({
+                        ...config,
+                        codingQuestions: Number(e.target.value),
+                      })
+                    }
+                    className="mt-1 block w-full rounded border-gray-300"
+                  />
+                </label>
+                <label className="block text-sm text-gray-700">
+                  Language
+                  <select
+                    value={config.codingLanguage}
+                    onChange={(e) =>
+                      setConfig({
+                        ...config,
+                        codingLanguage: e.target.value as CodingLanguage,
+                      })
+                    }
+                    className="mt-1 block w-full rounded border-gray-300"
+                  >
+                    {CODING_LANGUAGES.map((l) => (
+                      <option key={l.key} value={l.key}>
+                        {l.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block text-sm text-gray-700">
+                  Minutes each
+                  <input
+                    type="number"
+                    min={2}
+                    max={60}
+                    value={Math.round(config.codingTimeLimit / 60)}
+                    onChange={(e) =>
+                      setConfig({
+                        ...config,
+                        codingTimeLimit: Number(e.target.value) * 60,
+                      })
+                    }
+                    className="mt-1 block w-full rounded border-gray-300"
+                  />
+                </label>
+              </div>
+            </div>
+
+            <label className="block text-sm text-gray-700">
+              Questions from curated bank:{" "}
+              {Math.round(config.bankShare * 100)}%
+              <input
+                type="range"
+                min={0}
+                max={100}
+                step={10}
+                value={Math.round(config.bankShare * 100)}
+                onChange={(e) =>
+                  setConfig({ ...config, bankShare: Number(e.target.value) / 100 })
+                }
+                className="mt-1 block w-full"
+              />
+            </label>
+
+            {rubrics.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">
+                  Scoring rubrics
+                </h3>
+                <p className="text-xs text-gray-500 mb-2">
+                  The dimensions each kind of answer is scored on.
+                </p>
+                <div className="grid md:grid-cols-2 gap-3">
+                  {QUESTION_KINDS.map((kind) => {
+                    const options = rubrics.filter((r) =>
+                      r.appliesTo.includes(kind.key)
+                    );
+                    const selected = rubrics.find(
+                      (r) => r.id === config.rubrics[kind.key]
+                    );
+                    return (
+                      <label
+                        key={kind.key}
+                        className="block text-sm text-gray-700"
+                      >
+                        {kind.label}
+                        <select
+                          value={config.rubrics[kind.key]}
+                          onChange={(e) =>
+                            setConfig({
+                              ...config,
+                              rubrics: {
+                                ...config.rubrics,
+                                [kind.key]: e.target.value,
+                              },
+                            })
+                          }
+                          className="mt-1 block w-full rounded border-gray-300"
+                        >
+                          {options.map((r) => (
+                            <option key={r.id} value={r.id}>
+                              {r.name}
+                            </option>
+                          ))}
+                        </select>
+                        {selected && (
+                          <span className="block mt-1 text-xs text-gray-500">
+                            {selected.dimensions.map((d) => d.label).join(", ")}
+                          </span>
+                        )}
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">
+                Target job (optional)
+              </h3>
+              <p className="text-xs text-gray-500 mb-2">
+                Paste a job description or upload one to focus questions on the
+                skills the role needs that your resume doesn't show.
+              </p>
+              <input
+                type="text"
+                value={jobTitle}
+                onChange={(e) => setJobTitle(e.target.value)}
+                placeholder="Job title"
+                className="block w-full rounded border-gray-300 text-sm mb-2"
+              />
+              <textarea
+                value={jobText}
+                onChange={(e) => setJobText(e.target.value)}
+                rows={4}
+                disabled={!!jobFile}
+                placeholder="Paste the job description here"
+                className="block w-full rounded border-gray-300 text-sm disabled:bg-gray-100"
+              />
+              <div className="mt-2 flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="file"
+                  accept=".pdf,.docx,.txt"
+                  onChange={(e) => setJobFile(e.target.files?.[0] || null)}
+                />
+                {jobFile && (
+                  <button
+                    type="button"
+                    onClick={() => setJobFile(null)}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-4">
+              <label className="block text-sm text-gray-700">
+                Overall time budget (minutes, optional)
+                <input
+                  type="number"
+                  min={1}
+                  value={budgetMinutes}
+                  onChange={(e) => setBudgetMinutes(e.target.value)}
+                  placeholder="No limit"
+                  className="mt-1 block w-full rounded border-gray-300"
+                />
+              </label>
+              <div className="text-sm text-gray-700">
+                <label className="flex items-center gap-2 mt-6">
+                  <input
+                    type="checkbox"
+                    checked={followUps.enabled}
+                    onChange={(e) =>
+                      setFollowUps((f) => ({ ...f, enabled: e.target.checked }))
+                    }
+                    className="rounded border-gray-300"
+                  />
+                  Adaptive follow-up questions
+                </label>
+                {followUps.enabled && (
+                  <label className="flex items-center gap-2 mt-2">
+                    Max depth per topic
+                    <select
+                      value={followUps.maxDepth}
+                      onChange={(e) =>
+                        setFollowUps((f) => ({
+                          ...f,
+                          maxDepth: Number(e.target.value),
+                        }))
+                      }
+                      className="rounded border-gray-300 text-sm py-1"
+                    >
+                      {[1, 2, 3].map((d) => (
+                        <option key={d} value={d}>
+                          {d}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="mt-6 flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!config || submitting || totalWeight === 0}
+            className={`px-4 py-2 rounded text-white ${
+              !config || submitting || totalWeight === 0
+                ? "bg-blue-400 cursor-not-allowed"
+                : "bg-blue-600 hover:bg-blue-700"
+            }`}
+          >
+            {submitting ? "Creating..." : "Create Interview"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default InterviewSetup;
@@ -0,0 +1,71 @@
+import React from "react";
+import { InterviewReport } from "../services/api";
+
+// Narrative part of a final report, shared by the results page and shared links
+const ReportDetails: React.FC<{
+  report: Pick<InterviewReport, "summary" | "coding">;
+}> = ({ report }) => (
+  <div className="mt-4 grid md:grid-cols-2 gap-6">
+    <div>
+      <h3 className="font-medium text-gray-900">Summary</h3>
+      <p className="mt-2 text-gray-700">{report.summary.overview}</p>
+    </div>
+    <div>
+      <h3 className="font-medium text-gray-900">Strengths</h3>
+      <ul className="mt-2 list-disc list-inside text-gray-700 space-y-1">
+        {report.summary.strengths.map((s, i) => (
+          <li key={i}>{s}</li>
+        ))}
+      </ul>
+    </div>
+    <div>
+      <h3 className="font-medium text-gray-900">Weaknesses</h3>
+      <ul className="mt-2 list-disc list-inside text-gray-700 space-y-1">
+        {report.summary.weaknesses.map((w, i) => (
+          <li key={i}>{w}</li>
+        ))}
+      </ul>
+    </div>
+    <div>
+      <h3 className="font-medium text-gray-900">Recommendations</h3>
+      <ul className="mt-2 list-disc list-inside text-gray-700 space-y-1">
+        {report.summary.recommendations.map((r, i) => (
+          <li key={i}>{r}</li>
+        ))}
+      </ul>
+    </div>
+    {report.coding && (
+      <div>
+        <h3 className="font-medium text-gray-900">Coding</h3>
+        <p className="mt-2 text-gray-700">
+          {report.coding.testsPassed}/{report.coding.testsTotal} tests passed
+          · {report.coding.fullyPassed}/{report.coding.questions} problems
+          fully solved
+        </p>
+      </div>
+    )}
+    {report.summary.hireability !== undefined && (
+      <div>
+        <h3 className="font-medium text-gray-900">Hireability</h3>
+        <p className="mt-2 text-gray-700">{report.summary.hireability}/100</p>
+      </div>
+    )}
+    {report.summary.perQuestion.length > 0 && (
+      <div className="md:col-span-2">
+        <h3 className="font-medium text-gray-900">Per-question analysis</h3>
+        <ul className="mt-2 space-y-2 text-gray-700">
+          {report.summary.perQuestion.map((p, i) => (
+            <li key={i} className="p-3 rounded bg-gray-50">
+              <div className="text-sm text-gray-500">
+                Q{i + 1}: {p.question}
+              </div>
+              <div>{p.assessment}</div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+  </div>
+);
+
+export default ReportDetails;
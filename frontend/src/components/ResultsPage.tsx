@@ -1,17 +1,40 @@
 import React, { useEffect, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { evaluationAPI } from "../services/api";
+import {
+  evaluationAPI,
+  interviewAPI,
+  AnswerComparison,
+  CodeRunResult,
+  CodingLanguage,
+  DimensionAverage,
+  EvaluationHistoryEntry,
+  EvaluationMeta,
+  GapReportData,
+  InterviewReport,
+  ModelAnswer,
+  ResponseEvaluation,
+  SpeechMetrics,
+  StarAnalysis,
+  TranscriptionInfo,
+  VideoAnalysis,
+} from "../services/api";
+import { VideoEventType } from "../services/faceMonitor";
+import CodeRunResults from "./CodeRunResults";
+import GapReport from "./GapReport";
+import ReportDetails from "./ReportDetails";
+import ShareLinks from "./ShareLinks";
+import { StarBreakdown, StarTranscript } from "./StarAnalysisDetails";
 
 type Scores = {
-  technicalDepth: number;
-  clarity: number;
-  confidence: number;
   overall: number;
+  dimensions: DimensionAverage[];
 };
 
 type SummaryResponse = {
   totalQuestions: number;
   completedQuestions: number;
+  unscoredResponses?: number;
+  fallbackResponses?: number;
   averageScores: Scores;
   flags: {
     total: number;
@@ -20,20 +43,235 @@ type SummaryResponse = {
     irrelevant: number;
   };
   responses: Array<{
+    responseId: string;
     question: string;
     category: string;
+    isFollowUp?: boolean;
+    type?: "verbal" | "coding";
+    answerMode?: "voice" | "typed" | "code";
     transcript: string;
-    evaluation: any;
+    code?: { language: CodingLanguage; source: string };
+    codeRun?: CodeRunResult;
+    transcription?: TranscriptionInfo;
+    speechMetrics?: SpeechMetrics;
+    evaluation?: ResponseEvaluation;
+    evaluationMeta?: EvaluationMeta;
+    evaluationHistory?: EvaluationHistoryEntry[];
     duration: number;
-    videoAnalysis?: {
-      notes?: string;
-      attentionLostSeconds?: number;
-      multipleFacesDetected?: boolean;
-      noFaceDetected?: boolean;
-    };
+    videoAnalysis?: VideoAnalysis;
+    starAnalysis?: StarAnalysis;
+    modelAnswer?: ModelAnswer;
+    comparison?: AnswerComparison;
   }>;
 };
 
+const TranscriptionNote: React.FC<{ info: TranscriptionInfo }> = ({
+  info,
+}) => {
+  if (info.status === "failed" || info.status === "skipped") {
+    return (
+      <div className="mt-1 text-xs text-red-700">
+        Transcription failed{info.error ? `: ${info.error}` : ""}
+      </div>
+    );
+  }
+  if (info.status === "empty") {
+    return (
+      <div className="mt-1 text-xs text-amber-700">
+        No speech detected in the recording
+      </div>
+    );
+  }
+  return (
+    <div className="mt-1 text-xs text-gray-500">
+      {info.source === "server"
+        ? `Transcribed on the server (${info.engine})`
+        : "Transcribed in the browser"}
+      {typeof info.confidence === "number"
+        ? ` · ${Math.round(info.confidence * 100)}% confidence`
+        : ""}
+      {info.error ? ` · server transcription: ${info.error}` : ""}
+    </div>
+  );
+};
+
+const DeliveryMetrics: React.FC<{ metrics: SpeechMetrics }> = ({
+  metrics,
+}) => {
+  const items: [string, string][] = [
+    [
+      "Pace",
+      metrics.wordsPerMinute !== undefined
+        ? `${metrics.wordsPerMinute} wpm`
+        : "-",
+    ],
+    [
+      "Filler words",
+      metrics.fillerCount
+        ? `${metrics.fillerCount} (${metrics.fillers
+            .map((f) => `${f.word} ×${f.count}`)
+            .join(", ")})`
+        : "0",
+    ],
+  ];
+  if (metrics.longestPauseSeconds !== undefined) {
+    items.push(["Longest pause", `${metrics.longestPauseSeconds}s`]);
+  }
+  if (metrics.silenceRatio !== undefined) {
+    items.push(["Silence", `${Math.round(metrics.silenceRatio * 100)}%`]);
+  }
+  items.push([
+    "Speaking time",
+    `${metrics.speakingTimeSeconds ?? metrics.durationSeconds}s`,
+  ]);
+
+  return (
+    <div className="mt-3 text-sm">
+      <div className="text-gray-500">Delivery:</div>
+      <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1 text-gray-700">
+        {items.map(([label, value]) => (
+          <span key={label}>
+            <span className="text-gray-500">{label}:</span> {value}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const EVENT_LABELS: Record<VideoEventType, string> = {
+  "no-face": "Face not visible",
+  "multiple-faces": "More than one person",
+  "looking-away": "Looking away",
+};
+
+const formatTime = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(
+    2,
+    "0"
+  )}`;
+
+const VideoAnalysisDetails: React.FC<{ analysis: VideoAnalysis }> = ({
+  analysis,
+}) => (
+  <div className="mt-3 text-sm">
+    <div className="text-gray-500">Video analysis:</div>
+    <div className="mt-1">{analysis.notes}</div>
+    {analysis.status === "analyzed" && (
+      <>
+        <div className="text-xs text-gray-600 mt-1">
+          Attention lost: {analysis.attentionLostSeconds}s · Multiple faces:{" "}
+          {analysis.multipleFacesDetected ? "Yes" : "No"} · No face:{" "}
+          {analysis.noFaceDetected ? "Yes" : "No"}
+        </div>
+        {!!analysis.events?.length && (
+          <ul className="mt-1 text-xs text-gray-600 space-y-0.5">
+            {analysis.events.map((e, i) => (
+              <li key={i}>
+                {formatTime(e.start)}–{formatTime(e.end)} ·{" "}
+                {EVENT_LABELS[e.type]}
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    )}
+  </div>
+);
+
+const ModelAnswerPanel: React.FC<{ answer: ModelAnswer }> = ({ answer }) => (
+  <div className="mt-2 text-gray-700">
+    <span className="text-sm text-gray-500">
+      Model answer
+      {answer.source === "bank"
+        ? " (from the question bank)"
+        : answer.fromBank
+        ? " (adapted from the question bank)"
+        : ""}
+      :
+    </span>
+    <div className="mt-1 whitespace-pre-wrap p-2 rounded bg-white border">
+      {answer.text}
+    </div>
+  </div>
+);
+
+const ComparisonDetails: React.FC<{ comparison: AnswerComparison }> = ({
+  comparison,
+}) => (
+  <div className="mt-3 text-sm">
+    <div className="text-gray-500">
+      Compared with the model answer: {comparison.summary}
+      {comparison.meta?.source === "fallback" &&
+        comparison.meta.fallbackReason !== "No answer text" && (
+          <span className="ml-1 text-xs">(matched by wording, without AI)</span>
+        )}
+    </div>
+    <div className="mt-1 grid md:grid-cols-3 gap-3">
+      <div className="p-2 bg-white rounded border">
+        <div className="font-medium text-green-700">
+          Covered ({comparison.covered.length})
+        </div>
+        <ul className="mt-1 list-disc ml-4 text-xs text-gray-700">
+          {comparison.covered.map((point, i) => (
+            <li key={i}>{point}</li>
+          ))}
+        </ul>
+      </div>
+      <div className="p-2 bg-white rounded border">
+        <div className="font-medium text-amber-700">
+          Missed ({comparison.missed.length})
+        </div>
+        <ul className="mt-1 list-disc ml-4 text-xs text-gray-700">
+          {comparison.missed.map((point, i) => (
+            <li key={i}>{point}</li>
+          ))}
+        </ul>
+      </div>
+      <div className="p-2 bg-white rounded border">
+        <div className="font-medium text-red-700">
+          Incorrect ({comparison.incorrect.length})
+        </div>
+        <ul className="mt-1 list-disc ml-4 text-xs text-gray-700">
+          {comparison.incorrect.map((item, i) => (
+            <li key={i}>
+              {item.claim}
+              {item.correction && (
+                <div className="text-gray-500">→ {item.correction}</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  </div>
+);
+
+const EvaluationHistory: React.FC<{ entries: EvaluationHistoryEntry[] }> = ({
+  entries,
+}) => (
+  <details className="mt-2 text-xs text-gray-600">
+    <summary className="cursor-pointer">
+      Evaluation history ({entries.length})
+    </summary>
+    <ul className="mt-1 space-y-0.5">
+      {entries.map((e) => (
+        <li key={e.version} className={e.current ? "font-medium" : ""}>
+          v{e.version}
+          {e.current ? " (current)" : ""} ·{" "}
+          {e.evaluatedAt ? new Date(e.evaluatedAt).toLocaleString() : "—"} ·{" "}
+          {e.trigger === "submit" ? "on submit" : "re-evaluated"} ·{" "}
+          {e.source === "ai"
+            ? `${e.provider}/${e.model}, prompt v${e.promptVersion ?? "?"}`
+            : e.source}
+          {e.overallScore !== undefined ? ` · ${e.overallScore} / 5` : ""}
+          {e.fallbackReason ? ` · ${e.fallbackReason}` : ""}
+        </li>
+      ))}
+    </ul>
+  </details>
+);
+
 const ResultsPage: React.FC = () => {
   const { interviewId } = useParams();
   const navigate = useNavigate();
@@ -41,8 +279,13 @@ const ResultsPage: React.FC = () => {
   const [loading, setLoading] = useState(true);
   const [generating, setGenerating] = useState(false);
   const [summary, setSummary] = useState<SummaryResponse | null>(null);
-  const [report, setReport] = useState<any | null>(null);
+  const [report, setReport] = useState<InterviewReport | null>(null);
   const [error, setError] = useState<string>("");
+  const [gapReport, setGapReport] = useState<GapReportData | null>(null);
+  const [loadingModelAnswers, setLoadingModelAnswers] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  // responseId being re-evaluated, or "all" for the whole interview
+  const [reEvaluating, setReEvaluating] = useState<string | null>(null);
 
   const fetchSummary = async () => {
     if (!interviewId) return;
@@ -54,17 +297,39 @@ const ResultsPage: React.FC = () => {
     }
   };
 
+  // The stored report, if one was generated before
+  const fetchReport = async (version?: number) => {
+    if (!interviewId) return;
+    try {
+      const res = await evaluationAPI.getInterviewReport(interviewId, version);
+      setReport(res.data);
+    } catch (e: any) {
+      if (e?.response?.status !== 404) {
+        setError(e?.response?.data?.message || "Failed to load report");
+      }
+    }
+  };
+
+  const downloadPdf = async () => {
+    if (!interviewId) return;
+    setDownloading(true);
+    try {
+      await evaluationAPI.downloadReportPdf(interviewId);
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to download report");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  // Generates the first report, or a new version when one exists
   const generateAndLoadReport = async () => {
     if (!interviewId) return;
     setGenerating(true);
     setError("");
     try {
-      const gen = await evaluationAPI.generateReport(interviewId);
-      const reportId = gen.data?.report?.id;
-      if (reportId) {
-        const rep = await evaluationAPI.getReport(reportId);
-        setReport(rep.data);
-      }
+      const gen = await evaluationAPI.generateReport(interviewId, !!report);
+      setReport(gen.data.report);
     } catch (e: any) {
       setError(e?.response?.data?.message || "Failed to generate report");
     } finally {
@@ -72,10 +337,56 @@ const ResultsPage: React.FC = () => {
     }
   };
 
+  // Model answers are generated once and stored; the summary then includes them
+  const loadModelAnswers = async () => {
+    if (!interviewId) return;
+    setLoadingModelAnswers(true);
+    setError("");
+    try {
+      await evaluationAPI.generateModelAnswers(interviewId);
+      await fetchSummary();
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to load model answers");
+    } finally {
+      setLoadingModelAnswers(false);
+    }
+  };
+
+  const reEvaluate = async (target: {
+    responseId?: string;
+    fallbackOnly?: boolean;
+  }) => {
+    if (!interviewId) return;
+    setReEvaluating(target.responseId || "all");
+    setError("");
+    try {
+      if (target.responseId) {
+        await evaluationAPI.reEvaluateResponse(target.responseId);
+      } else {
+        await evaluationAPI.reEvaluateInterview(
+          interviewId,
+          target.fallbackOnly
+        );
+      }
+      await fetchSummary();
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to re-evaluate");
+    } finally {
+      setReEvaluating(null);
+    }
+  };
+
   useEffect(() => {
     (async () => {
       setLoading(true);
-      await fetchSummary();
+      await Promise.all([fetchSummary(), fetchReport()]);
+      if (interviewId) {
+        // Only interviews created for a job description have a gap report
+        interviewAPI
+          .getGapAnalysis(interviewId)
+          .then((res) => setGapReport(res.data))
+          .catch(() => setGapReport(null));
+      }
       setLoading(false);
     })();
   }, [interviewId]);
@@ -106,6 +417,15 @@ const ResultsPage: React.FC = () => {
               <div className="bg-red-50 text-red-700 p-3 rounded">{error}</div>
             )}
 
+            {gapReport && (
+              <div className="bg-white p-6 rounded shadow">
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">
+                  Job Match
+                </h2>
+                <GapReport data={gapReport} />
+              </div>
+            )}
+
             {summary && (
               <div className="bg-white p-6 rounded shadow">
                 <h2 className="text-lg font-semibold text-gray-900">
@@ -123,6 +443,25 @@ const ResultsPage: React.FC = () => {
                     <div className="text-xl font-semibold">
                       {summary.completedQuestions}
                     </div>
+                    {!!summary.unscoredResponses && (
+                      <div className="text-xs text-amber-700">
+                        {summary.unscoredResponses} not scored
+                      </div>
+                    )}
+                    {!!summary.fallbackResponses && (
+                      <div className="text-xs text-amber-700">
+                        {summary.fallbackResponses} scored without AI ·{" "}
+                        <button
+                          onClick={() => reEvaluate({ fallbackOnly: true })}
+                          disabled={reEvaluating !== null}
+                          className="underline disabled:opacity-60"
+                        >
+                          {reEvaluating === "all"
+                            ? "re-evaluating..."
+                            : "re-evaluate"}
+                        </button>
+                      </div>
+                    )}
                   </div>
                   <div className="p-3 rounded bg-gray-50">
                     <div className="text-xs text-gray-500">Avg Overall</div>
@@ -139,68 +478,147 @@ const ResultsPage: React.FC = () => {
                 </div>
 
                 <div className="mt-4 grid md:grid-cols-2 gap-4">
-                  <div className="p-3 rounded bg-gray-50">
-                    <div className="text-sm text-gray-700">Technical Depth</div>
-                    <div className="text-2xl font-semibold">
-                      {summary.averageScores.technicalDepth.toFixed(2)}
-                    </div>
-                  </div>
-                  <div className="p-3 rounded bg-gray-50">
-                    <div className="text-sm text-gray-700">Clarity</div>
-                    <div className="text-2xl font-semibold">
-                      {summary.averageScores.clarity.toFixed(2)}
+                  {summary.averageScores.dimensions.map((d) => (
+                    <div key={d.key} className="p-3 rounded bg-gray-50">
+                      <div className="text-sm text-gray-700">
+                        {d.label}
+                        <span className="ml-1 text-xs text-gray-400">
+                          ({d.count} answer{d.count === 1 ? "" : "s"})
+                        </span>
+                      </div>
+                      <div className="text-2xl font-semibold">
+                        {d.average.toFixed(2)}
+                      </div>
                     </div>
-                  </div>
-                  <div className="p-3 rounded bg-gray-50">
-                    <div className="text-sm text-gray-700">Confidence</div>
-                    <div className="text-2xl font-semibold">
-                      {summary.averageScores.confidence.toFixed(2)}
-                    </div>
-                  </div>
+                  ))}
                 </div>
 
                 {/* Per-question details from summary */}
                 <div className="mt-6">
-                  <h3 className="text-md font-semibold text-gray-900">
-                    Per-question details
-                  </h3>
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-md font-semibold text-gray-900">
+                      Per-question details
+                    </h3>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => reEvaluate({})}
+                        disabled={reEvaluating !== null}
+                        className="px-3 py-1 text-sm rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-60"
+                      >
+                        {reEvaluating === "all"
+                          ? "Re-evaluating..."
+                          : "Re-evaluate all"}
+                      </button>
+                      {!summary.responses.some((r) => r.modelAnswer) && (
+                        <button
+                          onClick={loadModelAnswers}
+                          disabled={loadingModelAnswers}
+                          className="px-3 py-1 text-sm rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-60"
+                        >
+                          {loadingModelAnswers
+                            ? "Writing model answers..."
+                            : "Compare with model answers"}
+                        </button>
+                      )}
+                    </div>
+                  </div>
                   <ul className="mt-3 space-y-3">
                     {summary.responses.map((r, i) => (
                       <li key={i} className="p-4 rounded bg-gray-50">
                         <div className="text-sm text-gray-500">
-                          Q{i + 1} ({r.category})
+                          Q{i + 1} ({r.category}
+                          {r.isFollowUp ? ", follow-up" : ""}
+                          {r.type === "coding" ? ", coding" : ""}
+                          {r.answerMode === "typed" ? ", typed" : ""})
                         </div>
                         <div className="font-medium text-gray-900 mt-1">
                           {r.question}
                         </div>
-                        <div className="mt-2 text-gray-700">
-                          <span className="text-sm text-gray-500">
-                            Transcript:
-                          </span>
-                          <div className="mt-1 whitespace-pre-wrap">
-                            {r.transcript}
-                          </div>
-                        </div>
-                        <div className="mt-3 grid md:grid-cols-3 gap-3 text-sm">
-                          <div className="p-2 bg-white rounded border">
-                            <div className="text-gray-500">Technical</div>
-                            <div className="font-semibold">
-                              {r.evaluation?.technicalDepth?.score ?? "-"} / 5
-                            </div>
+                        {r.code && (
+                          <div className="mt-2">
+                            <span className="text-sm text-gray-500">
+                              Code ({r.code.language}):
+                            </span>
+                            <pre className="mt-1 p-3 rounded bg-gray-900 text-gray-100 text-xs overflow-x-auto">
+                              {r.code.source}
+                            </pre>
+                            {r.codeRun && (
+                              <div className="mt-2">
+                                <CodeRunResults run={r.codeRun} />
+                              </div>
+                            )}
                           </div>
-                          <div className="p-2 bg-white rounded border">
-                            <div className="text-gray-500">Clarity</div>
-                            <div className="font-semibold">
-                              {r.evaluation?.clarity?.score ?? "-"} / 5
+                        )}
+                        <div
+                          className={
+                            r.modelAnswer ? "grid md:grid-cols-2 gap-4" : ""
+                          }
+                        >
+                          <div className="mt-2 text-gray-700">
+                            <span className="text-sm text-gray-500">
+                              {r.code
+                                ? "Explanation:"
+                                : r.answerMode === "typed"
+                                ? "Answer:"
+                                : "Transcript:"}
+                            </span>
+                            <div className="mt-1 whitespace-pre-wrap">
+                              {r.starAnalysis ? (
+                                <StarTranscript
+                                  transcript={r.transcript}
+                                  analysis={r.starAnalysis}
+                                />
+                              ) : (
+                                r.transcript
+                              )}
                             </div>
+                            {r.transcription && (
+                              <TranscriptionNote info={r.transcription} />
+                            )}
+                            {r.evaluationMeta?.source === "skipped" && (
+                              <div className="mt-1 text-xs text-amber-700">
+                                Not scored: {r.evaluationMeta.fallbackReason}
+                              </div>
+                            )}
+                            {r.evaluationMeta?.source === "fallback" && (
+                              <div className="mt-1 text-xs text-amber-700">
+                                Scored without AI:{" "}
+                                {r.evaluationMeta.fallbackReason}
+                              </div>
+                            )}
                           </div>
-                          <div className="p-2 bg-white rounded border">
-                            <div className="text-gray-500">Confidence</div>
-                            <div className="font-semibold">
-                              {r.evaluation?.confidence?.score ?? "-"} / 5
+                          {r.modelAnswer && (
+                            <ModelAnswerPanel answer={r.modelAnswer} />
+                          )}
+                        </div>
+                        {r.comparison && (
+                          <ComparisonDetails comparison={r.comparison} />
+                        )}
+                        {r.evaluation && (
+                          <div className="mt-3 text-sm">
+                            {r.evaluation.rubric && (
+                              <div className="text-xs text-gray-500 mb-1">
+                                Rubric: {r.evaluation.rubric.name} (v
+                                {r.evaluation.rubric.version}) · overall{" "}
+                                {r.evaluation.overallScore} / 5
+                              </div>
+                            )}
+                            <div className="grid md:grid-cols-3 gap-3">
+                              {r.evaluation.scores.map((d) => (
+                                <div
+                                  key={d.key}
+                                  className="p-2 bg-white rounded border"
+                                  title={d.feedback}
+                                >
+                                  <div className="text-gray-500">{d.label}</div>
+                                  <div className="font-semibold">
+                                    {d.score} / 5
+                                  </div>
+                                </div>
+                              ))}
                             </div>
                           </div>
-                        </div>
+                        )}
                         <div className="mt-3 text-sm">
                           <span className="text-gray-500">Sentiment:</span>
                           <span className="ml-2 font-medium capitalize">
@@ -215,24 +633,30 @@ const ResultsPage: React.FC = () => {
                             {r.evaluation.flags.irrelevant ? "irrelevant" : ""}
                           </div>
                         )}
-                        {r.videoAnalysis && (
-                          <div className="mt-3 text-sm">
-                            <div className="text-gray-500">Video analysis:</div>
-                            <div className="mt-1">
-                              {r.videoAnalysis.notes ||
-                                "No significant issues detected."}
-                            </div>
-                            <div className="text-xs text-gray-600 mt-1">
-                              Attention lost:{" "}
-                              {r.videoAnalysis.attentionLostSeconds ?? 0}s ·
-                              Multiple faces:{" "}
-                              {r.videoAnalysis.multipleFacesDetected
-                                ? "Yes"
-                                : "No"}{" "}
-                              · No face:{" "}
-                              {r.videoAnalysis.noFaceDetected ? "Yes" : "No"}
-                            </div>
-                          </div>
+                        <div className="mt-2 flex items-start gap-3">
+                          {!!r.evaluationHistory?.length && (
+                            <EvaluationHistory entries={r.evaluationHistory} />
+                          )}
+                          <button
+                            onClick={() =>
+                              reEvaluate({ responseId: r.responseId })
+                            }
+                            disabled={reEvaluating !== null}
+                            className="mt-2 text-xs text-blue-700 underline disabled:opacity-60"
+                          >
+                            {reEvaluating === r.responseId
+                              ? "Re-evaluating..."
+                              : "Re-evaluate"}
+                          </button>
+                        </div>
+                        {r.starAnalysis && (
+                          <StarBreakdown analysis={r.starAnalysis} />
+                        )}
+                        {r.speechMetrics && (
+                          <DeliveryMetrics metrics={r.speechMetrics} />
+                        )}
+                        {r.videoAnalysis?.status && (
+                          <VideoAnalysisDetails analysis={r.videoAnalysis} />
                         )}
                       </li>
                     ))}
@@ -246,93 +670,57 @@ const ResultsPage: React.FC = () => {
                 <h2 className="text-lg font-semibold text-gray-900">
                   Final Report
                 </h2>
-                <button
-                  onClick={generateAndLoadReport}
-                  disabled={generating}
-                  className={`px-4 py-2 rounded text-white ${
-                    generating ? "bg-blue-400" : "bg-blue-600 hover:bg-blue-700"
-                  }`}
-                >
-                  {generating ? "Generating..." : "Generate Report"}
-                </button>
-              </div>
-
-              {report ? (
-                <div className="mt-4 grid md:grid-cols-2 gap-6">
-                  <div>
-                    <h3 className="font-medium text-gray-900">Summary</h3>
-                    <p className="mt-2 text-gray-700">
-                      {typeof report?.summary?.summary === "string"
-                        ? report.summary.summary
-                        : ""}
-                    </p>
-                  </div>
-                  <div>
-                    <h3 className="font-medium text-gray-900">Strengths</h3>
-                    <ul className="mt-2 list-disc list-inside text-gray-700 space-y-1">
-                      {(
-                        report.summary?.strengths ||
-                        report.strengths ||
-                        []
-                      ).map((s: string, i: number) => (
-                        <li key={i}>{s}</li>
-                      ))}
-                    </ul>
-                  </div>
-                  <div>
-                    <h3 className="font-medium text-gray-900">Weaknesses</h3>
-                    <ul className="mt-2 list-disc list-inside text-gray-700 space-y-1">
-                      {(
-                        report.summary?.weaknesses ||
-                        report.weaknesses ||
-                        []
-                      ).map((w: string, i: number) => (
-                        <li key={i}>{w}</li>
-                      ))}
-                    </ul>
-                  </div>
-                  <div>
-                    <h3 className="font-medium text-gray-900">
-                      Recommendations
-                    </h3>
-                    <ul className="mt-2 list-disc list-inside text-gray-700 space-y-1">
-                      {(
-                        report.summary?.recommendations ||
-                        report.recommendations ||
-                        []
-                      ).map((r: string, i: number) => (
-                        <li key={i}>{r}</li>
-                      ))}
-                    </ul>
-                  </div>
-                  {report.summary?.ai?.hireability !== undefined && (
-                    <div>
-                      <h3 className="font-medium text-gray-900">Hireability</h3>
-                      <p className="mt-2 text-gray-700">
-                        {report.summary.ai.hireability}/100
-                      </p>
-                    </div>
+                <div className="flex items-center gap-2">
+                  {report && (
+                    <button
+                      onClick={downloadPdf}
+                      disabled={downloading}
+                      className="px-3 py-2 rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-60"
+                    >
+                      {downloading ? "Preparing PDF..." : "Download PDF"}
+                    </button>
                   )}
-                  {Array.isArray(report.summary?.ai?.perQuestion) && (
-                    <div className="md:col-span-2">
-                      <h3 className="font-medium text-gray-900">
-                        Per-question analysis
-                      </h3>
-                      <ul className="mt-2 space-y-2 text-gray-700">
-                        {report.summary.ai.perQuestion.map(
-                          (p: any, i: number) => (
-                            <li key={i} className="p-3 rounded bg-gray-50">
-                              <div className="text-sm text-gray-500">
-                                Q{i + 1}: {p.question}
-                              </div>
-                              <div>{p.assessment}</div>
-                            </li>
-                          )
-                        )}
-                      </ul>
-                    </div>
+                  {report && report.versions.length > 1 && (
+                    <select
+                      value={report.version ?? ""}
+                      onChange={(e) => fetchReport(Number(e.target.value))}
+                      className="px-2 py-2 rounded border text-sm"
+                    >
+                      {report.versions
+                        .filter((v) => v.version !== undefined)
+                        .map((v) => (
+                          <option key={v.id} value={v.version}>
+                            Version {v.version} ·{" "}
+                            {new Date(v.createdAt).toLocaleString()}
+                          </option>
+                        ))}
+                    </select>
                   )}
+                  <button
+                    onClick={generateAndLoadReport}
+                    disabled={generating}
+                    className={`px-4 py-2 rounded text-white ${
+                      generating
+                        ? "bg-blue-400"
+                        : "bg-blue-600 hover:bg-blue-700"
+                    }`}
+                  >
+                    {generating
+                      ? "Generating..."
+                      : report
+                      ? "Regenerate Report"
+                      : "Generate Report"}
+                  </button>
+                </div>
+              </div>
+              {report?.aiMeta?.source === "fallback" && (
+                <div className="mt-2 text-xs text-amber-700">
+                  Written without AI: {report.aiMeta.fallbackReason}
                 </div>
+              )}
+
+              {report ? (
+                <ReportDetails report={report} />
               ) : (
                 <p className="mt-3 text-gray-600">
                   Generate the final report to see sentiment, strengths,
@@ -340,6 +728,8 @@ const ResultsPage: React.FC = () => {
                 </p>
               )}
             </div>
+
+            {report && interviewId && <ShareLinks interviewId={interviewId} />}
           </>
         )}
       </div>
@@ -0,0 +1,502 @@
+import React, { useEffect, useState } from "react";
+import { Check, Plus, Trash2, X } from "lucide-react";
+import {
+  resumeAPI,
+  skillsAPI,
+  FieldConfidence,
+  ParsedResumeData,
+  TRUSTED_CONFIDENCE,
+} from "../services/api";
+
+interface ResumeEditorProps {
+  resume: {
+    _id: string;
+    fileName: string;
+    parsedData: ParsedResumeData;
+    fieldConfidence?: FieldConfidence[];
+  };
+  onCancel: () => void;
+  onSaved: () => void;
+}
+
+type EntrySection = "projects" | "internships" | "education" | "experience";
+// Lists are edited as text: comma-separated tags, or one point per line
+type FieldType = "text" | "longText" | "tags" | "lines";
+
+const SECTIONS: {
+  key: EntrySection;
+  label: string;
+  fields: { key: string; label: string; type: FieldType }[];
+}[] = [
+  {
+    key: "experience",
+    label: "Experience",
+    fields: [
+      { key: "role", label: "Role", type: "text" },
+      { key: "company", label: "Company", type: "text" },
+      { key: "duration", label: "Duration", type: "text" },
+      { key: "technologies", label: "Technologies", type: "tags" },
+      { key: "responsibilities", label: "Responsibilities", type: "lines" },
+    ],
+  },
+  {
+    key: "internships",
+    label: "Internships",
+    fields: [
+      { key: "role", label: "Role", type: "text" },
+      { key: "company", label: "Company", type: "text" },
+      { key: "duration", label: "Duration", type: "text" },
+      { key: "technologies", label: "Technologies", type: "tags" },
+      { key: "tasks", label: "Tasks", type: "lines" },
+    ],
+  },
+  {
+    key: "projects",
+    label: "Projects",
+    fields: [
+      { key: "title", label: "Title", type: "text" },
+      { key: "role", label: "Role", type: "text" },
+      { key: "duration", label: "Duration", type: "text" },
+      { key: "techStack", label: "Tech stack", type: "tags" },
+      { key: "description", label: "Description", type: "longText" },
+    ],
+  },
+  {
+    key: "education",
+    label: "Education",
+    fields: [
+      { key: "degree", label: "Degree", type: "text" },
+      { key: "institution", label: "Institution", type: "text" },
+      { key: "years", label: "Years", type: "text" },
+      { key: "gpa", label: "GPA", type: "text" },
+    ],
+  },
+];
+
+// An entry as edited in the form; `origin` is its index in the parsed data
+interface EntryForm {
+  _id?: string;
+  origin?: number;
+  values: Record<string, string>;
+}
+
+const toForm = (
+  entry: Record<string, any>,
+  fields: { key: string; type: FieldType }[],
+  origin?: number
+): EntryForm => ({
+  _id: entry._id,
+  origin,
+  values: Object.fromEntries(
+    fields.map(({ key, type }) => {
+      const value = entry[key];
+      if (!Array.isArray(value)) return [key, value || ""];
+      return [key, value.join(type === "tags" ? ", " : "\n")];
+    })
+  ),
+});
+
+const fromForm = (
+  form: EntryForm,
+  fields: { key: string; type: FieldType }[]
+) => ({
+  ...(form._id ? { _id: form._id } : {}),
+  ...Object.fromEntries(
+    fields.map(({ key, type }) => {
+      const text = form.values[key] || "";
+      if (type === "tags" || type === "lines") {
+        const items = text.split(type === "tags" ? "," : "\n");
+        return [key, items.map((s) => s.trim()).filter(Boolean)];
+      }
+      return [key, text.trim()];
+    })
+  ),
+});
+
+const ResumeEditor: React.FC<ResumeEditorProps> = ({
+  resume,
+  onCancel,
+  onSaved,
+}) => {
+  const uncertain = new Set(
+    (resume.fieldConfidence || [])
+      .filter((f) => f.confidence < TRUSTED_CONFIDENCE)
+      .map((f) => f.path)
+  );
+  const [skills, setSkills] = useState<string[]>(resume.parsedData.skills);
+  const [newSkill, setNewSkill] = useState("");
+  // Canonical skill names, suggested while typing a new skill
+  const [knownSkills, setKnownSkills] = useState<string[]>([]);
+  const [entries, setEntries] = useState<Record<EntrySection, EntryForm[]>>(
+    () =>
+      Object.fromEntries(
+        SECTIONS.map(({ key, fields }) => [
+          key,
+          (resume.parsedData[key] || []).map((entry, i) =>
+            toForm(entry, fields, i)
+          ),
+        ])
+      ) as Record<EntrySection, EntryForm[]>
+  );
+  // Uncertain values the user marked as correct, by their path in the parsed data
+  const [confirmed, setConfirmed] = useState<Set<string>>(new Set());
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState<string[]>([]);
+
+  useEffect(() => {
+    skillsAPI
+      .browse()
+      .then((res) => setKnownSkills(res.data.skills.map((s) => s.name)))
+      .catch(() => setKnownSkills([]));
+  }, []);
+
+  const toggleConfirmed = (path: string) =>
+    setConfirmed((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+
+  const addSkill = () => {
+    const skill = newSkill.trim();
+    if (skill && !skills.some((s) => s.toLowerCase() === skill.toLowerCase())) {
+      setSkills([...skills, skill]);
+    }
+    setNewSkill("");
+  };
+
+  const updateEntry = (
+    section: EntrySection,
+    index: number,
+    field: string,
+    value: string
+  ) =>
+    setEntries((prev) => ({
+      ...prev,
+      [section]: prev[section].map((entry, i) =>
+        i === index
+          ? { ...entry, values: { ...entry.values, [field]: value } }
+          : entry
+      ),
+    }));
+
+  const addEntry = (section: EntrySection) => {
+    const { fields } = SECTIONS.find((s) => s.key === section)!;
+    setEntries((prev) => ({
+      ...prev,
+      [section]: [...prev[section], toForm({}, fields)],
+    }));
+  };
+
+  const removeEntry = (section: EntrySection, index: number) =>
+    setEntries((prev) => ({
+      ...prev,
+      [section]: prev[section].filter((_, i) => i !== index),
+    }));
+
+  const handleSave = async () => {
+    const parsedData = {
+      skills,
+      ...Object.fromEntries(
+        SECTIONS.map(({ key, fields }) => [
+          key,
+          entries[key].map((entry) => fromForm(entry, fields)),
+        ])
+      ),
+    } as ParsedResumeData;
+
+    // Confirmations are sent with the values' paths in the edited data
+    const confirmedPaths = [
+      ...skills.flatMap((skill, i) => {
+        const origin = resume.parsedData.skills.indexOf(skill);
+        return confirmed.has(`skills.${origin}`) ? [`skills.${i}`] : [];
+      }),
+      ...SECTIONS.flatMap(({ key, fields }) =>
+        entries[key].flatMap((entry, i) =>
+          fields
+            .filter(({ key: field }) =>
+              confirmed.has(`${key}.${entry.origin}.${field}`)
+            )
+            .map(({ key: field }) => `${key}.${i}.${field}`)
+        )
+      ),
+    ];
+
+    setSaving(true);
+    setErrors([]);
+    try {
+      await resumeAPI.updateParsedData(resume._id, parsedData, confirmedPaths);
+      onSaved();
+    } catch (error: any) {
+      setErrors(
+        error.response?.data?.errors || [
+          error.response?.data?.message || "Failed to save changes",
+        ]
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const uncertainNote = (path: string) =>
+    uncertain.has(path) && (
+      <button
+        type="button"
+        onClick={() => toggleConfirmed(path)}
+        className={`mt-1 flex items-center text-xs ${
+          confirmed.has(path) ? "text-green-700" : "text-yellow-700"
+        }`}
+      >
+        <Check className="h-3 w-3 mr-1" />
+        {confirmed.has(path)
+          ? "Marked as correct"
+          : "Uncertain: edit it, or mark it as correct"}
+      </button>
+    );
+
+  const inputClass = (path: string) =>
+    `mt-1 block w-full rounded text-sm ${
+      uncertain.has(path) && !confirmed.has(path)
+        ? "border-yellow-400 bg-yellow-50"
+        : "border-gray-300"
+    }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">
+              Review resume details
+            </h2>
+            <p className="text-sm text-gray-500">
+              {resume.fileName}. Interview questions are written from these
+              details.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {uncertain.size > 0 && (
+          <div className="bg-yellow-50 text-yellow-800 text-sm p-3 rounded mb-4">
+            Highlighted details were guessed while reading your resume and are
+            left out of interview questions until you correct or confirm them.
+          </div>
+        )}
+
+        {errors.length > 0 && (
+          <div className="bg-red-50 text-red-700 text-sm p-3 rounded mb-4">
+            <ul className="list-disc list-inside">
+              {errors.map((error, i) => (
+                <li key={i}>{error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="space-y-6">
+          <section>
+            <h3 className="font-medium text-gray-900 mb-2">Skills</h3>
+            <div className="flex flex-wrap gap-2">
+              {skills.map((skill) => {
+                const path = `skills.${resume.parsedData.skills.indexOf(
+                  skill
+                )}`;
+                const unsure = uncertain.has(path) && !confirmed.has(path);
+                return (
+                  <span
+                    key={skill}
+                    className={`inline-flex items-center text-sm px-2 py-1 rounded ${
+                      unsure
+                        ? "bg-yellow-50 text-yellow-800 border border-dashed border-yellow-400"
+                        : "bg-gray-100 text-gray-700"
+                    }`}
+                  >
+                    {skill}
+                    {uncertain.has(path) && (
+                      <button
+                        type="button"
+                        title={
+                          confirmed.has(path)
+                            ? "Marked as correct"
+                            : "Mark as correct"
+                        }
+                        onClick={() => toggleConfirmed(path)}
+                        className={`ml-1 ${
+                          confirmed.has(path)
+                            ? "text-green-700"
+                            : "text-yellow-700 hover:text-green-700"
+                        }`}
+                      >
+                        <Check className="h-3 w-3" />
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      title="Remove"
+                      onClick={() =>
+                        setSkills(skills.filter((s) => s !== skill))
+                      }
+                      className="ml-1 text-gray-400 hover:text-red-600"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </span>
+                );
+              })}
+            </div>
+            <div className="mt-2 flex gap-2">
+              <input
+                type="text"
+                value={newSkill}
+                onChange={(e) => setNewSkill(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    addSkill();
+                  }
+                }}
+                placeholder="Add a skill"
+                list="taxonomy-skills"
+                className="block w-full rounded border-gray-300 text-sm"
+              />
+              <datalist id="taxonomy-skills">
+                {knownSkills.map((name) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+              <button
+                type="button"
+                onClick={addSkill}
+                className="px-3 py-1 rounded text-sm bg-gray-100 hover:bg-gray-200"
+              >
+                Add
+              </button>
+            </div>
+          </section>
+
+          {SECTIONS.map(({ key: section, label, fields }) => (
+            <section key={section}>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-medium text-gray-900">{label}</h3>
+                <button
+                  type="button"
+                  onClick={() => addEntry(section)}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-900"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add
+                </button>
+              </div>
+              {entries[section].length === 0 && (
+                <p className="text-sm text-gray-500">None listed.</p>
+              )}
+              <div className="space-y-3">
+                {entries[section].map((entry, index) => (
+                  <div
+                    key={entry._id || `new-${index}`}
+                    className="border border-gray-200 rounded p-3"
+                  >
+                    <div className="grid md:grid-cols-2 gap-3">
+                      {fields.map(({ key: field, label: fieldLabel, type }) => {
+                        const path = `${section}.${entry.origin}.${field}`;
+                        const multiline = type === "longText" || type === "lines";
+                        return (
+                          <label
+                            key={field}
+                            className={`block text-sm text-gray-700 ${
+                              multiline ? "md:col-span-2" : ""
+                            }`}
+                          >
+                            {fieldLabel}
+                            {type === "tags" && (
+                              <span className="text-gray-400">
+                                {" "}
+                                (comma-separated)
+                              </span>
+                            )}
+                            {type === "lines" && (
+                              <span className="text-gray-400">
+                                {" "}
+                                (one per line)
+                              </span>
+                            )}
+                            {multiline ? (
+                              <textarea
+                                rows={3}
+                                value={entry.values[field]}
+                                onChange={(e) =>
+                                  updateEntry(
+                                    section,
+                                    index,
+                                    field,
+                                    e.target.value
+                                  )
+                                }
+                                className={inputClass(path)}
+                              />
+                            ) : (
+                              <input
+                                type="text"
+                                value={entry.values[field]}
+                                onChange={(e) =>
+                                  updateEntry(
+                                    section,
+                                    index,
+                                    field,
+                                    e.target.value
+                                  )
+                                }
+                                className={inputClass(path)}
+                              />
+                            )}
+                            {uncertainNote(path)}
+                          </label>
+                        );
+                      })}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeEntry(section, index)}
+                      className="mt-2 flex items-center text-sm text-red-600 hover:text-red-800"
+                    >
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </section>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 rounded-md text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-60"
+          >
+            {saving ? "Saving..." : "Save details"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResumeEditor;
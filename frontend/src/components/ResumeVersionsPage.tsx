@@ -0,0 +1,454 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import {
+  analyticsAPI,
+  resumeAPI,
+  EntryDiff,
+  ResumeDiff,
+  ResumeVersionPerformance,
+  ResumeVersions,
+} from "../services/api";
+
+const CATEGORY_LABELS: Record<string, string> = {
+  technical: "Technical",
+  project: "Project",
+  internship: "Internship",
+  experience: "Experience",
+  behavioral: "Behavioral",
+  coding: "Coding",
+};
+
+const SECTION_LABELS: {
+  key: "experience" | "internships" | "projects" | "education";
+  label: string;
+}[] = [
+  { key: "experience", label: "Experience" },
+  { key: "internships", label: "Internships" },
+  { key: "projects", label: "Projects" },
+  { key: "education", label: "Education" },
+];
+
+const FIELD_LABELS: Record<string, string> = {
+  techStack: "tech stack",
+  gpa: "GPA",
+};
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString();
+
+const formatChange = (change: number | null | undefined) =>
+  change === null || change === undefined
+    ? "-"
+    : `${change > 0 ? "+" : ""}${change}`;
+
+const changeColor = (change: number | null | undefined) => {
+  if (!change) return "text-gray-500";
+  return change > 0 ? "text-green-700" : "text-red-700";
+};
+
+const EntryChanges: React.FC<{ label: string; diff: EntryDiff }> = ({
+  label,
+  diff,
+}) => {
+  if (!diff.added.length && !diff.removed.length && !diff.changed.length) {
+    return null;
+  }
+  return (
+    <div>
+      <h3 className="font-medium text-gray-900">{label}</h3>
+      <ul className="mt-1 text-sm space-y-1">
+        {diff.added.map((name) => (
+          <li key={`added-${name}`} className="text-green-700">
+            + {name || "Untitled"}
+          </li>
+        ))}
+        {diff.removed.map((name) => (
+          <li key={`removed-${name}`} className="text-red-700">
+            − {name || "Untitled"}
+          </li>
+        ))}
+        {diff.changed.map((entry) => (
+          <li key={`changed-${entry.name}`} className="text-gray-800">
+            ~ {entry.name}
+            <ul className="ml-5 text-gray-600">
+              {entry.changes.map((change) => (
+                <li key={change.field}>
+                  {FIELD_LABELS[change.field] || change.field}:{" "}
+                  {change.added || change.removed ? (
+                    <>
+                      {(change.added || []).map((item) => (
+                        <span key={item} className="text-green-700">
+                          +{item}{" "}
+                        </span>
+                      ))}
+                      {(change.removed || []).map((item) => (
+                        <span key={item} className="text-red-700">
+                          −{item}{" "}
+                        </span>
+                      ))}
+                    </>
+                  ) : (
+                    <>
+                      <span className="line-through">
+                        {change.from || "(empty)"}
+                      </span>{" "}
+                      → {change.to || "(empty)"}
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const DiffView: React.FC<{ diff: ResumeDiff }> = ({ diff }) =>
+  diff.unchanged ? (
+    <p className="text-sm text-gray-600">
+      The parsed details of these versions are the same.
+    </p>
+  ) : (
+    <div className="space-y-4">
+      {(diff.skills.added.length > 0 || diff.skills.removed.length > 0) && (
+        <div>
+          <h3 className="font-medium text-gray-900">Skills</h3>
+          <div className="mt-1 flex flex-wrap gap-1">
+            {diff.skills.added.map((skill) => (
+              <span
+                key={`added-${skill}`}
+                className="text-xs px-2 py-1 rounded bg-green-100 text-green-800"
+              >
+                + {skill}
+              </span>
+            ))}
+            {diff.skills.removed.map((skill) => (
+              <span
+                key={`removed-${skill}`}
+                className="text-xs px-2 py-1 rounded bg-red-100 text-red-800 line-through"
+              >
+                {skill}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+      {SECTION_LABELS.map(({ key, label }) => (
+        <EntryChanges key={key} label={label} diff={diff[key]} />
+      ))}
+    </div>
+  );
+
+const ResumeVersionsPage: React.FC = () => {
+  const { id } = useParams<{ id: string }>();
+  const navigate = useNavigate();
+  const [lineage, setLineage] = useState<ResumeVersions | null>(null);
+  const [performance, setPerformance] = useState<ResumeVersionPerformance[]>(
+    []
+  );
+  const [otherResumes, setOtherResumes] = useState<
+    { _id: string; fileName: string; createdAt: string }[]
+  >([]);
+  const [diffIds, setDiffIds] = useState<[string, string]>(["", ""]);
+  const [diff, setDiff] = useState<ResumeDiff | null>(null);
+  const [addId, setAddId] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    if (!id) return;
+    setError("");
+    try {
+      const [versionsRes, performanceRes, resumesRes] = await Promise.all([
+        resumeAPI.getVersions(id),
+        analyticsAPI.getResumeVersions(id),
+        resumeAPI.getAll(),
+      ]);
+      const versions = versionsRes.data.versions;
+      setLineage(versionsRes.data);
+      setPerformance(performanceRes.data.versions);
+      setOtherResumes(
+        (Array.isArray(resumesRes.data) ? resumesRes.data : []).filter(
+          (r: any) => !versions.some((v) => v.id === r._id)
+        )
+      );
+      // Start with what changed in the latest version
+      const latest = versions[versions.length - 1];
+      if (versions.length > 1) {
+        setDiffIds([versions[versions.length - 2].id, latest.id]);
+        setDiff(latest.changes);
+      } else {
+        setDiff(null);
+      }
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to load resume versions");
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const compare = async () => {
+    setError("");
+    try {
+      const res = await resumeAPI.getDiff(diffIds[1], diffIds[0]);
+      setDiff(res.data.changes);
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to compare versions");
+    }
+  };
+
+  const addVersion = async () => {
+    if (!id || !addId) return;
+    try {
+      await resumeAPI.setVersionOf(addId, id);
+      setAddId("");
+      await load();
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to add the resume");
+    }
+  };
+
+  const splitOff = async (versionId: string) => {
+    try {
+      await resumeAPI.setVersionOf(versionId, null);
+      const remaining = lineage?.versions.filter((v) => v.id !== versionId);
+      if (versionId === id && remaining?.length) {
+        navigate(`/resumes/${remaining[remaining.length - 1].id}/versions`);
+      } else {
+        await load();
+      }
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to update versions");
+    }
+  };
+
+  const versions = lineage?.versions ?? [];
+  const versionLabel = (versionId: string) => {
+    const version = versions.find((v) => v.id === versionId);
+    return version ? `v${version.version} · ${version.fileName}` : "";
+  };
+  const categories = Array.from(
+    new Set(performance.flatMap((v) => v.categories.map((c) => c.category)))
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold text-gray-900">Resume Versions</h1>
+          <button
+            onClick={() => navigate("/dashboard")}
+            className="px-3 py-2 rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 text-red-700 p-3 rounded">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="bg-white p-8 rounded shadow text-center">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto" />
+            <p className="mt-3 text-gray-600">Loading versions...</p>
+          </div>
+        ) : (
+          lineage && (
+            <>
+              <div className="bg-white p-6 rounded shadow">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Interview performance by version
+                </h2>
+                <p className="mt-1 text-sm text-gray-600">
+                  Average scores (0-5) of completed interviews on each
+                  version. The change is measured from the previous version
+                  that has scored answers.
+                </p>
+                <table className="mt-3 w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs uppercase text-gray-500">
+                      <th className="py-1">Version</th>
+                      <th className="py-1">Uploaded</th>
+                      <th className="py-1 text-right">Interviews</th>
+                      <th className="py-1 text-right">Overall</th>
+                      <th className="py-1 text-right">Change</th>
+                      <th className="py-1" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {performance.map((v) => (
+                      <tr key={v.resumeId} className="border-t">
+                        <td className="py-1 text-gray-900">
+                          {versionLabel(v.resumeId)}
+                        </td>
+                        <td className="py-1">{formatDate(v.uploadedAt)}</td>
+                        <td className="py-1 text-right">{v.interviews}</td>
+                        <td className="py-1 text-right">{v.overall ?? "-"}</td>
+                        <td
+                          className={`py-1 text-right ${changeColor(
+                            v.change
+                          )}`}
+                        >
+                          {formatChange(v.change)}
+                          {v.comparedWith !== null &&
+                            v.comparedWith !== v.version - 1 && (
+                              <span className="text-xs text-gray-500">
+                                {" "}
+                                vs v{v.comparedWith}
+                              </span>
+                            )}
+                        </td>
+                        <td className="py-1 text-right">
+                          {versions.length > 1 && (
+                            <button
+                              onClick={() => splitOff(v.resumeId)}
+                              className="text-xs text-gray-500 hover:text-red-700"
+                            >
+                              Not a version
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {categories.length > 0 && (
+                  <table className="mt-4 w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs uppercase text-gray-500">
+                        <th className="py-1">Category</th>
+                        {performance.map((v) => (
+                          <th key={v.resumeId} className="py-1 text-right">
+                            v{v.version}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {categories.map((category) => (
+                        <tr key={category} className="border-t">
+                          <td className="py-1 text-gray-900">
+                            {CATEGORY_LABELS[category] || category}
+                          </td>
+                          {performance.map((v) => {
+                            const entry = v.categories.find(
+                              (c) => c.category === category
+                            );
+                            return (
+                              <td key={v.resumeId} className="py-1 text-right">
+                                {entry ? entry.average : "-"}
+                                {entry?.change !== undefined &&
+                                  entry.change !== null && (
+                                    <span
+                                      className={`ml-1 text-xs ${changeColor(
+                                        entry.change
+                                      )}`}
+                                    >
+                                      ({formatChange(entry.change)})
+                                    </span>
+                                  )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className="bg-white p-6 rounded shadow">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  What changed
+                </h2>
+                {versions.length < 2 ? (
+                  <p className="mt-2 text-sm text-gray-600">
+                    This resume has one version. Upload a revision as a new
+                    version from the dashboard, or add an earlier upload
+                    below.
+                  </p>
+                ) : (
+                  <>
+                    <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                      {[0, 1].map((side) => (
+                        <select
+                          key={side}
+                          value={diffIds[side]}
+                          onChange={(e) => {
+                            const ids: [string, string] = [...diffIds];
+                            ids[side] = e.target.value;
+                            setDiffIds(ids);
+                          }}
+                          className="px-2 py-2 rounded border"
+                        >
+                          {versions.map((v) => (
+                            <option key={v.id} value={v.id}>
+                              {versionLabel(v.id)}
+                            </option>
+                          ))}
+                        </select>
+                      ))}
+                      <button
+                        onClick={compare}
+                        disabled={diffIds[0] === diffIds[1]}
+                        className="px-3 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                      >
+                        Compare
+                      </button>
+                    </div>
+                    {diff && (
+                      <div className="mt-4">
+                        <DiffView diff={diff} />
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+
+              {otherResumes.length > 0 && (
+                <div className="bg-white p-6 rounded shadow">
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    Add an upload to this history
+                  </h2>
+                  <p className="mt-1 text-sm text-gray-600">
+                    Versions are ordered by upload date.
+                  </p>
+                  <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                    <select
+                      value={addId}
+                      onChange={(e) => setAddId(e.target.value)}
+                      className="px-2 py-2 rounded border"
+                    >
+                      <option value="">Choose a resume</option>
+                      {otherResumes.map((r) => (
+                        <option key={r._id} value={r._id}>
+                          {r.fileName} ({formatDate(r.createdAt)})
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={addVersion}
+                      disabled={!addId}
+                      className="px-3 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                    >
+                      Add as a version
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResumeVersionsPage;
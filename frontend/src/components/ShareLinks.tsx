@@ -0,0 +1,191 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { shareAPI, ShareLink } from "../services/api";
+
+const EXPIRY_OPTIONS = [1, 7, 30];
+
+const describeLink = (link: ShareLink) =>
+  [
+    link.status.charAt(0).toUpperCase() + link.status.slice(1),
+    link.reportVersion ? `report v${link.reportVersion}` : "",
+    `${link.views} view${link.views === 1 ? "" : "s"}` +
+      (link.lastViewedAt
+        ? ` (last ${new Date(link.lastViewedAt).toLocaleString()})`
+        : ""),
+    link.revokedAt
+      ? `revoked ${new Date(link.revokedAt).toLocaleString()}`
+      : `expires ${new Date(link.expiresAt).toLocaleString()}`,
+    `${link.includeTranscripts ? "with" : "without"} transcripts, ` +
+      `${link.includeRecordings ? "with" : "without"} recordings`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+interface ShareLinksProps {
+  interviewId: string;
+}
+
+// Owner's panel for creating, copying and revoking read-only report links
+const ShareLinks: React.FC<ShareLinksProps> = ({ interviewId }) => {
+  const [links, setLinks] = useState<ShareLink[]>([]);
+  const [showAll, setShowAll] = useState(false);
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [includeTranscripts, setIncludeTranscripts] = useState(true);
+  const [includeRecordings, setIncludeRecordings] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState<string | null>(null);
+  const [error, setError] = useState("");
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      const res = await shareAPI.list(interviewId, showAll);
+      setLinks(res.data);
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to load share links");
+    }
+  }, [interviewId, showAll]);
+
+  useEffect(() => {
+    fetchLinks();
+  }, [fetchLinks]);
+
+  const createLink = async () => {
+    setCreating(true);
+    setError("");
+    try {
+      await shareAPI.create({
+        interviewId,
+        expiresInDays,
+        includeTranscripts,
+        includeRecordings,
+      });
+      await fetchLinks();
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to create share link");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeLink = async (id: string) => {
+    if (!window.confirm("Revoke this link? Anyone using it loses access.")) {
+      return;
+    }
+    try {
+      await shareAPI.revoke(id);
+      await fetchLinks();
+    } catch (e: any) {
+      setError(e?.response?.data?.message || "Failed to revoke share link");
+    }
+  };
+
+  const copyLink = async (link: ShareLink) => {
+    await navigator.clipboard.writeText(shareAPI.pageUrl(link.token));
+    setCopiedId(link.id);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded shadow">
+      <h2 className="text-lg font-semibold text-gray-900">Share Report</h2>
+      <p className="mt-1 text-sm text-gray-600">
+        Anyone with a link can view this report without an account until the
+        link expires or you revoke it.
+      </p>
+      {error && (
+        <div className="mt-3 bg-red-50 text-red-700 p-3 rounded">{error}</div>
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          Expires after
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            className="px-2 py-1 rounded border"
+          >
+            {EXPIRY_OPTIONS.map((days) => (
+              <option key={days} value={days}>
+                {days} day{days === 1 ? "" : "s"}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={includeTranscripts}
+            onChange={(e) => setIncludeTranscripts(e.target.checked)}
+          />
+          Include transcripts and code
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={includeRecordings}
+            onChange={(e) => setIncludeRecordings(e.target.checked)}
+          />
+          Include recordings
+        </label>
+        <button
+          onClick={createLink}
+          disabled={creating}
+          className="px-3 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+        >
+          {creating ? "Creating..." : "Create link"}
+        </button>
+      </div>
+
+      <div className="mt-4 flex items-center justify-between">
+        <h3 className="font-medium text-gray-900">
+          {showAll ? "All links" : "Active links"}
+        </h3>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={showAll}
+            onChange={(e) => setShowAll(e.target.checked)}
+          />
+          Show expired and revoked
+        </label>
+      </div>
+      {links.length === 0 ? (
+        <p className="mt-2 text-sm text-gray-500">No share links.</p>
+      ) : (
+        <ul className="mt-2 space-y-2">
+          {links.map((link) => (
+            <li key={link.id} className="p-3 rounded bg-gray-50 text-sm">
+              <div className="flex items-center gap-2">
+                <input
+                  readOnly
+                  value={shareAPI.pageUrl(link.token)}
+                  className="flex-1 px-2 py-1 rounded border bg-white text-xs"
+                  onFocus={(e) => e.target.select()}
+                />
+                {link.status === "active" && (
+                  <>
+                    <button
+                      onClick={() => copyLink(link)}
+                      className="text-blue-700 underline"
+                    >
+                      {copiedId === link.id ? "Copied" : "Copy"}
+                    </button>
+                    <button
+                      onClick={() => revokeLink(link.id)}
+                      className="text-red-700 underline"
+                    >
+                      Revoke
+                    </button>
+                  </>
+                )}
+              </div>
+              <div className="mt-1 text-xs text-gray-600">
+                {describeLink(link)}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ShareLinks;
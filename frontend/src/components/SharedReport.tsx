@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { shareAPI, SharedReport as SharedReportData } from "../services/api";
+import ReportDetails from "./ReportDetails";
+import { StarBreakdown, StarTranscript } from "./StarAnalysisDetails";
+
+// Public read-only results for a share link; needs no account
+const SharedReport: React.FC = () => {
+  const { token } = useParams();
+  const [data, setData] = useState<SharedReportData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!token) return;
+    shareAPI
+      .view(token)
+      .then((res) => setData(res.data))
+      .catch((e: any) =>
+        setError(e?.response?.data?.message || "Failed to load the report")
+      )
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-6">
+        <div className="max-w-5xl mx-auto bg-white p-8 rounded shadow text-center">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto" />
+          <p className="mt-3 text-gray-600">Loading report...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!data || !token) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-6">
+        <div className="max-w-5xl mx-auto bg-white p-8 rounded shadow text-center">
+          <h1 className="text-xl font-semibold text-gray-900">
+            Report unavailable
+          </h1>
+          <p className="mt-2 text-gray-600">
+            {error || "This share link is not valid."}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const { report, interview, responses, link } = data;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            Interview Results{data.candidate ? `: ${data.candidate}` : ""}
+          </h1>
+          <p className="mt-1 text-sm text-gray-600">
+            {interview.jobTitle ? `${interview.jobTitle} · ` : ""}
+            Interviewed {new Date(interview.date).toLocaleDateString()} ·
+            Shared read-only until {new Date(link.expiresAt).toLocaleString()}
+          </p>
+        </div>
+
+        <div className="bg-white p-6 rounded shadow">
+          <h2 className="text-lg font-semibold text-gray-900">Overview</h2>
+          <div className="mt-3 grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="p-3 rounded bg-gray-50">
+              <div className="text-xs text-gray-500">Questions</div>
+              <div className="text-xl font-semibold">
+                {interview.totalQuestions}
+              </div>
+            </div>
+            <div className="p-3 rounded bg-gray-50">
+              <div className="text-xs text-gray-500">Average score</div>
+              <div className="text-xl font-semibold">
+                {report.scores.overall.toFixed(2)} / 5
+              </div>
+            </div>
+            {report.scores.dimensions.map((d) => (
+              <div key={d.key} className="p-3 rounded bg-gray-50">
+                <div className="text-xs text-gray-500">{d.label}</div>
+                <div className="text-xl font-semibold">
+                  {d.average.toFixed(2)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded shadow">
+          <h2 className="text-lg font-semibold text-gray-900">Final Report</h2>
+          {report.aiSource === "fallback" && (
+            <div className="mt-2 text-xs text-amber-700">
+              Written without AI from the scores
+            </div>
+          )}
+          <ReportDetails report={report} />
+        </div>
+
+        <div className="bg-white p-6 rounded shadow">
+          <h2 className="text-lg font-semibold text-gray-900">Questions</h2>
+          <ul className="mt-3 space-y-3">
+            {responses.map((r, i) => (
+              <li key={r.responseId} className="p-4 rounded bg-gray-50">
+                <div className="text-sm text-gray-500">
+                  Q{i + 1} ({r.category}
+                  {r.isFollowUp ? ", follow-up" : ""}
+                  {r.type === "coding" ? ", coding" : ""}
+                  {r.answerMode === "typed" ? ", typed" : ""})
+                </div>
+                <div className="font-medium text-gray-900 mt-1">
+                  {r.question}
+                </div>
+                {r.code && (
+                  <div className="mt-2">
+                    <span className="text-sm text-gray-500">
+                      Code ({r.code.language}):
+                    </span>
+                    <pre className="mt-1 p-3 rounded bg-gray-900 text-gray-100 text-xs overflow-x-auto">
+                      {r.code.source}
+                    </pre>
+                    {r.codeRun && (
+                      <div className="mt-1 text-sm text-gray-700">
+                        {r.codeRun.passed}/{r.codeRun.total} tests passed
+                      </div>
+                    )}
+                  </div>
+                )}
+                {r.transcript !== undefined && (
+                  <div className="mt-2 text-gray-700">
+                    <span className="text-sm text-gray-500">
+                      {r.code ? "Explanation:" : "Answer:"}
+                    </span>
+                    <div className="mt-1 whitespace-pre-wrap">
+                      {r.starAnalysis ? (
+                        <StarTranscript
+                          transcript={r.transcript}
+                          analysis={r.starAnalysis}
+                        />
+                      ) : (
+                        r.transcript
+                      )}
+                    </div>
+                  </div>
+                )}
+                {r.recordings?.video ? (
+                  <video
+                    controls
+                    preload="none"
+                    className="mt-2 w-full max-w-md rounded"
+                    src={shareAPI.recordingUrl(token, r.responseId, "video")}
+                  />
+                ) : (
+                  r.recordings?.audio && (
+                    <audio
+                      controls
+                      preload="none"
+                      className="mt-2"
+                      src={shareAPI.recordingUrl(token, r.responseId, "audio")}
+                    />
+                  )
+                )}
+                {r.evaluation ? (
+                  <div className="mt-3 text-sm">
+                    <div className="text-xs text-gray-500 mb-1">
+                      Overall {r.evaluation.overallScore} / 5
+                      {r.evaluationSource === "fallback"
+                        ? " (scored without AI)"
+                        : ""}
+                    </div>
+                    <div className="grid md:grid-cols-3 gap-3">
+                      {r.evaluation.scores.map((d) => (
+                        <div key={d.key} className="p-2 bg-white rounded border">
+                          <div className="text-gray-500">{d.label}</div>
+                          <div className="font-semibold">{d.score} / 5</div>
+                          {d.feedback && (
+                            <div className="mt-1 text-xs text-gray-600">
+                              {d.feedback}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="mt-2 text-xs text-amber-700">Not scored</div>
+                )}
+                {r.starAnalysis && <StarBreakdown analysis={r.starAnalysis} />}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedReport;
@@ -0,0 +1,90 @@
+import React from "react";
+import { StarAnalysis, StarComponentKey } from "../services/api";
+
+const STAR_STYLES: Record<StarComponentKey, { label: string; color: string }> =
+  {
+    situation: { label: "Situation", color: "bg-sky-100" },
+    task: { label: "Task", color: "bg-violet-100" },
+    action: { label: "Action", color: "bg-emerald-100" },
+    result: { label: "Result", color: "bg-amber-100" },
+  };
+
+const STRENGTH_STYLES = {
+  strong: "text-green-700 border-green-300",
+  weak: "text-amber-700 border-amber-300",
+  missing: "text-red-700 border-red-300",
+};
+
+// Transcript with each STAR component's spans highlighted in its colour
+export const StarTranscript: React.FC<{
+  transcript: string;
+  analysis: StarAnalysis;
+}> = ({ transcript, analysis }) => {
+  const spans = (Object.keys(STAR_STYLES) as StarComponentKey[])
+    .flatMap((key) =>
+      analysis.components[key].spans.map((s) => ({ ...s, key }))
+    )
+    .sort((a, b) => a.start - b.start);
+  const parts: React.ReactNode[] = [];
+  let pos = 0;
+  spans.forEach((s, i) => {
+    if (s.start < pos || s.end > transcript.length) return;
+    if (s.start > pos) parts.push(transcript.slice(pos, s.start));
+    parts.push(
+      <mark
+        key={i}
+        className={`${STAR_STYLES[s.key].color} rounded px-0.5`}
+        title={STAR_STYLES[s.key].label}
+      >
+        {transcript.slice(s.start, s.end)}
+      </mark>
+    );
+    pos = s.end;
+  });
+  parts.push(transcript.slice(pos));
+  return <>{parts}</>;
+};
+
+export const StarBreakdown: React.FC<{ analysis: StarAnalysis }> = ({
+  analysis,
+}) => (
+  <div className="mt-3 text-sm">
+    <div className="text-gray-500">
+      STAR structure: {analysis.summary}
+      {analysis.meta?.source === "fallback" && (
+        <span className="ml-1 text-xs">(estimated without AI)</span>
+      )}
+    </div>
+    <div className="mt-1 grid md:grid-cols-4 gap-2">
+      {(Object.keys(STAR_STYLES) as StarComponentKey[]).map((key) => {
+        const component = analysis.components[key];
+        return (
+          <div
+            key={key}
+            className={`p-2 rounded border ${STRENGTH_STYLES[component.strength]}`}
+          >
+            <div className="flex items-center gap-1 font-medium">
+              <span
+                className={`inline-block w-3 h-3 rounded ${STAR_STYLES[key].color}`}
+              />
+              {STAR_STYLES[key].label}
+              <span className="ml-auto text-xs capitalize">
+                {component.strength}
+              </span>
+            </div>
+            {component.feedback && (
+              <div className="mt-1 text-xs text-gray-600">
+                {component.feedback}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+    <div className="mt-1 text-xs text-gray-600">
+      Ownership: {analysis.ownership.assessment} · "I" ×
+      {analysis.ownership.firstPerson}, "we" ×{analysis.ownership.plural} ·{" "}
+      {analysis.ownership.feedback}
+    </div>
+  </div>
+);
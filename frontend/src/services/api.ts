@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { VideoAnalysisReport, VideoEvent } from './faceMonitor';
 
 const API_BASE_URL = 'http://localhost:5000/api';
 
@@ -41,10 +42,112 @@ export const authAPI = {
   getMe: () => axios.get('/auth/me'),
 };
 
+// How sure the parser is of one parsed value, and where in the resume text it was read from
+export interface FieldConfidence {
+  // e.g. "skills.3" or "experience.0.company"
+  path: string;
+  confidence: number;
+  start?: number;
+  end?: number;
+}
+
+// Values below this confidence are guesses and are left out of generated questions
+export const TRUSTED_CONFIDENCE = 0.5;
+
+export interface ParsedProject {
+  _id?: string;
+  title: string;
+  description: string;
+  techStack: string[];
+  duration: string;
+  role: string;
+}
+
+export interface ParsedInternship {
+  _id?: string;
+  company: string;
+  role: string;
+  tasks: string[];
+  technologies: string[];
+  duration: string;
+}
+
+export interface ParsedEducation {
+  _id?: string;
+  degree: string;
+  institution: string;
+  years: string;
+  gpa: string;
+}
+
+export interface ParsedExperience {
+  _id?: string;
+  company: string;
+  role: string;
+  duration: string;
+  responsibilities: string[];
+  technologies: string[];
+}
+
+export interface ParsedResumeData {
+  skills: string[];
+  projects: ParsedProject[];
+  internships: ParsedInternship[];
+  education: ParsedEducation[];
+  experience: ParsedExperience[];
+}
+
+// A parsed value the user added, changed or confirmed
+export interface ResumeCorrection {
+  path: string;
+  action: 'added' | 'edited' | 'confirmed' | 'removed';
+  // The removed skill or entry, for 'removed'
+  previous?: string | Record<string, unknown>;
+  correctedAt: string;
+}
+
+export interface ResumeVersion {
+  id: string;
+  version: number | null;
+  fileName: string;
+  createdAt: string;
+}
+
+export interface EntryDiff {
+  added: string[];
+  removed: string[];
+  changed: {
+    name: string;
+    changes: {
+      field: string;
+      from?: string;
+      to?: string;
+      added?: string[];
+      removed?: string[];
+    }[];
+  }[];
+}
+
+export interface ResumeDiff {
+  skills: { added: string[]; removed: string[] };
+  experience: EntryDiff;
+  internships: EntryDiff;
+  projects: EntryDiff;
+  education: EntryDiff;
+  unchanged: boolean;
+}
+
+export interface ResumeVersions {
+  lineageId: string;
+  versions: (ResumeVersion & { changes: ResumeDiff | null })[];
+}
+
 export const resumeAPI = {
-  upload: (file: File) => {
+  // `versionOf` uploads the file as a new version of that resume
+  upload: (file: File, versionOf?: string) => {
     const formData = new FormData();
     formData.append('resume', file);
+    if (versionOf) formData.append('versionOf', versionOf);
     return axios.post('/resume/upload', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
@@ -57,17 +160,342 @@ export const resumeAPI = {
   getById: (id: string) => axios.get(`/resume/${id}`),
   
   delete: (id: string) => axios.delete(`/resume/${id}`),
+
+  // Replace the parsed data; `confirmed` lists paths of uncertain values kept as parsed
+  updateParsedData: (
+    id: string,
+    parsedData: ParsedResumeData,
+    confirmed: string[] = []
+  ) => axios.put(`/resume/${id}/parsed-data`, { parsedData, confirmed }),
+
+  // Update only the sections sent
+  patchParsedData: (
+    id: string,
+    parsedData: Partial<ParsedResumeData>,
+    confirmed: string[] = []
+  ) => axios.patch(`/resume/${id}/parsed-data`, { parsedData, confirmed }),
+
+  getVersions: (id: string) =>
+    axios.get<ResumeVersions>(`/resume/${id}/versions`),
+
+  // Changes from `against` (by default the previous version) to this resume
+  getDiff: (id: string, against?: string) =>
+    axios.get<{ from: ResumeVersion; to: ResumeVersion; changes: ResumeDiff }>(
+      `/resume/${id}/diff`,
+      { params: against ? { against } : {} }
+    ),
+
+  // Group with another resume's versions, or split off into its own when null
+  setVersionOf: (id: string, versionOf: string | null) =>
+    axios.patch(`/resume/${id}/lineage`, { versionOf }),
 };
 
+export type QuestionCategory =
+  | 'technical'
+  | 'project'
+  | 'internship'
+  | 'experience'
+  | 'behavioral';
+
+export type Difficulty = 'easy' | 'medium' | 'hard';
+
+export type CodingLanguage = 'javascript' | 'python';
+
+export type AnswerMode = 'voice' | 'typed';
+
+// What a rubric is chosen for: a question category, or coding questions
+export type QuestionKind = QuestionCategory | 'coding';
+
+export interface RubricDimension {
+  key: string;
+  label: string;
+  weight: number;
+  description: string;
+  anchors: Record<string, string>;
+}
+
+export interface Rubric {
+  id: string;
+  version: number;
+  name: string;
+  description: string;
+  appliesTo: QuestionKind[];
+  dimensions: RubricDimension[];
+}
+
+// One dimension of a stored evaluation
+export interface RubricScore {
+  key: string;
+  label: string;
+  weight: number;
+  score: number;
+  feedback?: string;
+}
+
+export interface ResponseEvaluation {
+  rubric?: { id: string; version: number; name: string };
+  scores: RubricScore[];
+  sentiment: 'positive' | 'neutral' | 'negative';
+  flags: { reading: boolean; silence: boolean; irrelevant: boolean };
+  overallScore: number;
+}
+
+// Dimension average across the answers scored on it
+export interface DimensionAverage {
+  key: string;
+  label: string;
+  average: number;
+  count: number;
+}
+
+export interface InterviewConfig {
+  questionCount: number;
+  categoryWeights: Record<QuestionCategory, number>;
+  difficulty: Difficulty;
+  answerMode: AnswerMode;
+  timeLimits: Record<QuestionCategory, number>;
+  totalTimeBudget: number | null;
+  bankShare: number;
+  codingQuestions: number;
+  codingLanguage: CodingLanguage;
+  codingTimeLimit: number;
+  rubrics: Record<QuestionKind, string>;
+}
+
+export interface CodingTest {
+  args: unknown[];
+  expected: unknown;
+}
+
+export interface CodingQuestion {
+  problemId: string;
+  title: string;
+  language: CodingLanguage;
+  functionNames: Partial<Record<CodingLanguage, string>>;
+  starterCode: Partial<Record<CodingLanguage, string>>;
+  examples: CodingTest[];
+}
+
+// Hidden tests only report whether they passed
+export interface CodeTestResult {
+  index: number;
+  hidden: boolean;
+  passed: boolean;
+  args?: unknown[];
+  expected?: unknown;
+  actual?: unknown;
+  error?: string;
+  timeMs?: number;
+}
+
+export interface CodeRunResult {
+  language: CodingLanguage;
+  status: 'passed' | 'failed' | 'error' | 'timeout';
+  passed: number;
+  total: number;
+  runTimeMs: number;
+  results: CodeTestResult[];
+  stdout?: string;
+  stderr?: string;
+  error?: string;
+}
+
+// How a spoken answer's text was obtained; confidence is 0-1 when the engine reports it
+export interface TranscriptionInfo {
+  source: 'client' | 'server' | 'none';
+  status: 'ok' | 'empty' | 'failed' | 'skipped';
+  engine?: string;
+  language?: string;
+  confidence?: number;
+  durationSeconds?: number;
+  words?: { word: string; start?: number; end?: number; confidence?: number }[];
+  error?: string;
+  clientTranscript?: string;
+}
+
+// Stored face/attention analysis of a recorded answer; figures are only present when analyzed
+export interface VideoAnalysis {
+  status: 'analyzed' | 'unavailable' | 'none';
+  engine?: string;
+  framesAnalyzed?: number;
+  notes?: string;
+  attentionLostSeconds?: number;
+  noFaceSeconds?: number;
+  lookingAwaySeconds?: number;
+  multipleFacesSeconds?: number;
+  multipleFacesDetected?: boolean;
+  noFaceDetected?: boolean;
+  events?: VideoEvent[];
+}
+
+export type StarComponentKey = 'situation' | 'task' | 'action' | 'result';
+
+export interface StarComponent {
+  strength: 'strong' | 'weak' | 'missing';
+  spans: { start: number; end: number }[]; // character offsets into the transcript
+  feedback?: string;
+}
+
+// STAR breakdown of a behavioral answer
+export interface StarAnalysis {
+  components: Record<StarComponentKey, StarComponent>;
+  ownership: {
+    firstPerson: number;
+    plural: number;
+    ratio?: number;
+    assessment: 'clear' | 'mixed' | 'team-focused' | 'unclear';
+    feedback: string;
+  };
+  missing: StarComponentKey[];
+  weak: StarComponentKey[];
+  summary: string;
+  meta?: { source: 'ai' | 'fallback'; fallbackReason?: string };
+}
+
+// Where an evaluation came from; source "fallback" means the AI was unavailable
+export interface EvaluationMeta {
+  source: 'ai' | 'fallback' | 'skipped';
+  provider?: string;
+  model?: string;
+  fallbackReason?: string;
+  promptVersion?: number;
+  evaluatedAt?: string;
+}
+
+// One past or current evaluation of an answer
+export interface EvaluationHistoryEntry extends EvaluationMeta {
+  version: number;
+  current: boolean;
+  trigger: 'submit' | 're-evaluate';
+  rubric?: { id: string; version: number; name: string };
+  overallScore?: number;
+}
+
+// Stored final report; every regeneration adds a numbered version
+export interface InterviewReport {
+  id: string;
+  version?: number;
+  createdAt: string;
+  summary: {
+    totalQuestions: number;
+    averageScore: number;
+    overview?: string;
+    strengths: string[];
+    weaknesses: string[];
+    recommendations: string[];
+    hireability?: number;
+    perQuestion: { question: string; assessment: string }[];
+  };
+  scores: { overall: number; dimensions: DimensionAverage[] };
+  coding?: {
+    questions: number;
+    fullyPassed: number;
+    testsPassed: number;
+    testsTotal: number;
+  };
+  aiMeta?: { source: 'ai' | 'fallback'; fallbackReason?: string };
+  versions: {
+    id: string;
+    version?: number;
+    createdAt: string;
+    source?: 'ai' | 'fallback';
+  }[];
+}
+
+// Exemplary answer to a question, grounded in the candidate's resume
+export interface ModelAnswer {
+  text: string;
+  keyPoints: string[];
+  source: 'ai' | 'bank';
+  fromBank?: boolean;
+  fallbackReason?: string;
+  generatedAt: string;
+}
+
+// The candidate's answer measured against the model answer's key points
+export interface AnswerComparison {
+  covered: string[];
+  missed: string[];
+  incorrect: { claim: string; correction?: string }[];
+  summary: string;
+  meta?: { source: 'ai' | 'fallback'; fallbackReason?: string };
+}
+
+// Measured delivery of a spoken answer; pause fields need timing from audio or word timestamps
+export interface SpeechMetrics {
+  source: 'audio' | 'timestamps' | 'transcript';
+  durationSeconds: number;
+  speakingTimeSeconds?: number;
+  wordCount: number;
+  wordsPerMinute?: number;
+  fillerCount: number;
+  fillersPerMinute?: number;
+  fillers: { word: string; count: number }[];
+  longestPauseSeconds?: number;
+  pauseCount?: number;
+  silenceRatio?: number;
+}
+
+export interface CreateInterviewOptions {
+  config?: InterviewConfig;
+  followUps?: { enabled: boolean; maxDepth: number };
+  jobDescription?: { title?: string; text?: string };
+  jobDescriptionFile?: File;
+}
+
+type SkillImportance = 'required' | 'niceToHave';
+
+export interface GapAnalysis {
+  matched: { skill: string; importance: SkillImportance; evidence: string[] }[];
+  transferable: { skill: string; importance: SkillImportance; via: string[] }[];
+  missing: { skill: string; importance: SkillImportance }[];
+  matchScore: number | null;
+  generatedAt: string;
+}
+
+export interface GapReportData {
+  jobDescription: {
+    title?: string;
+    fileName?: string;
+    requiredSkills: string[];
+    niceToHaveSkills: string[];
+  };
+  gapAnalysis: GapAnalysis;
+}
+
 export const interviewAPI = {
-  create: (resumeId: string) =>
-    axios.post('/interview/create', { resumeId }),
+  create: (resumeId: string, options: CreateInterviewOptions = {}) => {
+    const { jobDescriptionFile, ...rest } = options;
+    if (!jobDescriptionFile) {
+      return axios.post('/interview/create', { resumeId, ...rest });
+    }
+    // Nested options travel as JSON strings alongside the uploaded file
+    const formData = new FormData();
+    formData.append('resumeId', resumeId);
+    Object.entries(rest).forEach(([key, value]) => {
+      if (value !== undefined) formData.append(key, JSON.stringify(value));
+    });
+    formData.append('jobDescriptionFile', jobDescriptionFile);
+    return axios.post('/interview/create', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  getConfigDefaults: () => axios.get('/interview/config/defaults'),
   
   getById: (id: string) => axios.get(`/interview/${id}`),
   
   getCurrentQuestion: (id: string) => axios.get(`/interview/${id}/current-question`),
+
+  getGapAnalysis: (id: string) =>
+    axios.get<GapReportData>(`/interview/${id}/gap-analysis`),
   
   getAll: () => axios.get('/interview'),
+
+  runCode: (id: string, questionId: string, data: { language: CodingLanguage; code: string }) =>
+    axios.post<{ run: CodeRunResult }>(`/interview/${id}/questions/${questionId}/run`, data),
   
   submitAnswer: (id: string, data: {
     transcript: string;
@@ -75,11 +503,23 @@ export const interviewAPI = {
     duration: number;
     audio?: File | Blob;
     video?: File | Blob;
+    videoAnalysis?: VideoAnalysisReport;
+    code?: string;
+    language?: CodingLanguage;
+    answerMode?: AnswerMode;
   }) => {
     const formData = new FormData();
     formData.append('transcript', data.transcript);
     formData.append('questionId', data.questionId);
     formData.append('duration', data.duration.toString());
+    if (data.answerMode) {
+      formData.append('answerMode', data.answerMode);
+    }
+
+    if (data.code !== undefined && data.language) {
+      formData.append('code', data.code);
+      formData.append('language', data.language);
+    }
     
     if (data.audio) {
       formData.append('audio', data.audio);
@@ -87,6 +527,9 @@ export const interviewAPI = {
     if (data.video) {
       formData.append('video', data.video);
     }
+    if (data.videoAnalysis) {
+      formData.append('videoAnalysis', JSON.stringify(data.videoAnalysis));
+    }
     
     return axios.post(`/interview/${id}/submit-answer`, formData, {
       headers: {
@@ -106,12 +549,314 @@ export const evaluationAPI = {
     duration: number;
   }) => axios.post('/evaluation/evaluate', data),
   
-  generateReport: (interviewId: string) =>
-    axios.post(`/evaluation/${interviewId}/generate-report`),
+  generateReport: (interviewId: string, regenerate = false) =>
+    axios.post(`/evaluation/${interviewId}/generate-report`, { regenerate }),
+
+  // Fetches the report PDF with the auth header and saves it; error bodies arrive as blobs too
+  downloadReportPdf: async (interviewId: string) => {
+    try {
+      const res = await axios.get(`/evaluation/${interviewId}/report/pdf`, {
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `interview-report-${interviewId}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error: any) {
+      if (error.response?.data instanceof Blob) {
+        try {
+          error.response.data = JSON.parse(await error.response.data.text());
+        } catch {
+          // not JSON; keep the blob
+        }
+      }
+      throw error;
+    }
+  },
+
+  getInterviewReport: (interviewId: string, version?: number) =>
+    axios.get<InterviewReport>(`/evaluation/${interviewId}/report`, {
+      params: version ? { version } : undefined,
+    }),
   
   getReport: (reportId: string) =>
     axios.get(`/evaluation/report/${reportId}`),
   
   getSummary: (interviewId: string) =>
     axios.get(`/evaluation/${interviewId}/summary`),
+
+  reEvaluateInterview: (interviewId: string, fallbackOnly = false) =>
+    axios.post(`/evaluation/${interviewId}/re-evaluate`, { fallbackOnly }),
+
+  reEvaluateResponse: (responseId: string) =>
+    axios.post(`/evaluation/response/${responseId}/re-evaluate`),
+
+  generateModelAnswers: (interviewId: string, refresh = false) =>
+    axios.post(`/evaluation/${interviewId}/model-answers`, { refresh }),
+
+  getModelAnswers: (interviewId: string) =>
+    axios.get(`/evaluation/${interviewId}/model-answers`),
+};
+
+// Expiring read-only link to a report, as listed to its owner
+export interface ShareLink {
+  id: string;
+  interviewId: string;
+  reportId: string;
+  reportVersion?: number;
+  token: string;
+  includeTranscripts: boolean;
+  includeRecordings: boolean;
+  status: 'active' | 'expired' | 'revoked';
+  views: number;
+  lastViewedAt?: string;
+  expiresAt: string;
+  revokedAt?: string;
+  createdAt: string;
+}
+
+// One answer on the shared page; answer content is only present when the link includes it
+export interface SharedResponse {
+  responseId: string;
+  question: string;
+  category: QuestionCategory;
+  type?: 'verbal' | 'coding';
+  isFollowUp: boolean;
+  answerMode?: AnswerMode;
+  evaluation?: ResponseEvaluation;
+  evaluationSource?: EvaluationMeta['source'];
+  duration?: number;
+  transcript?: string;
+  code?: { language: CodingLanguage; source: string };
+  codeRun?: Pick<CodeRunResult, 'status' | 'passed' | 'total'>;
+  starAnalysis?: StarAnalysis;
+  recordings?: { audio: boolean; video: boolean };
+}
+
+export interface SharedReport {
+  candidate?: string;
+  interview: { date: string; jobTitle?: string; totalQuestions: number };
+  report: Pick<InterviewReport, 'version' | 'createdAt' | 'summary' | 'scores' | 'coding'> & {
+    aiSource?: 'ai' | 'fallback';
+  };
+  responses: SharedResponse[];
+  link: { expiresAt: string; includeTranscripts: boolean; includeRecordings: boolean };
+}
+
+export const shareAPI = {
+  create: (data: {
+    interviewId: string;
+    expiresInDays: number;
+    includeTranscripts: boolean;
+    includeRecordings: boolean;
+  }) => axios.post<{ link: ShareLink }>('/share', data),
+
+  list: (interviewId: string, all = false) =>
+    axios.get<ShareLink[]>('/share', {
+      params: all ? { interviewId, all: true } : { interviewId },
+    }),
+
+  revoke: (id: string) => axios.delete<{ link: ShareLink }>(`/share/${id}`),
+
+  // Public: no account needed, the token is the credential
+  view: (token: string) => axios.get<SharedReport>(`/share/view/${token}`),
+
+  recordingUrl: (token: string, responseId: string, kind: 'audio' | 'video') =>
+    `${API_BASE_URL}/share/view/${token}/recordings/${responseId}/${kind}`,
+
+  // Frontend address of the shared results page
+  pageUrl: (token: string) => `${window.location.origin}/shared/${token}`,
+};
+
+// An average in one interview, for trend lines
+export interface TrendPoint {
+  interviewId: string;
+  date: string;
+  average: number;
+  count?: number;
+}
+
+// Averages of one dimension, category or skill across interviews; change is latest minus first
+export interface TrendSeries {
+  key?: string;
+  label?: string;
+  category?: QuestionKind;
+  skill?: string;
+  points: TrendPoint[];
+  average: number;
+  count: number;
+  change: number | null;
+}
+
+type FlagCounts = {
+  answers: number;
+  reading: number;
+  silence: number;
+  irrelevant: number;
+};
+
+type AveragedEntry = { average: number; count: number };
+
+// Figures of one completed interview
+export interface InterviewStats {
+  interviewId: string;
+  date: string;
+  jobTitle?: string;
+  resumeName?: string;
+  answered: number;
+  scored: number;
+  overall: number | null;
+  dimensions: (AveragedEntry & { key: string; label: string })[];
+  categories: (AveragedEntry & { category: QuestionKind })[];
+  skills: (AveragedEntry & { skill: string })[];
+  flags: FlagCounts;
+  averageDuration: number | null;
+}
+
+export interface ProgressAnalytics {
+  interviews: Pick<
+    InterviewStats,
+    | 'interviewId'
+    | 'date'
+    | 'jobTitle'
+    | 'resumeName'
+    | 'answered'
+    | 'scored'
+    | 'overall'
+    | 'averageDuration'
+  >[];
+  overall: TrendPoint[];
+  dimensions: TrendSeries[];
+  categories: TrendSeries[];
+  skills: TrendSeries[];
+  flags: {
+    points: (FlagCounts & { interviewId: string; date: string })[];
+    rates: Record<'reading' | 'silence' | 'irrelevant', number>;
+  };
+  averageDuration: number | null;
+  categoryRanking: { best: TrendSeries | null; worst: TrendSeries | null };
+}
+
+// A figure in two interviews; change is b minus a when both have it
+export interface ComparedFigure {
+  a: number | null;
+  b: number | null;
+  change: number | null;
+}
+
+export interface InterviewComparison {
+  a: InterviewStats;
+  b: InterviewStats;
+  overall: ComparedFigure;
+  averageDuration: ComparedFigure;
+  dimensions: (ComparedFigure & { key: string; label: string })[];
+  categories: (ComparedFigure & { category: QuestionKind })[];
+  skills: (ComparedFigure & { skill: string })[];
+  flags: (ComparedFigure & { flag: string })[];
+}
+
+export interface ResumeVersionPerformance {
+  resumeId: string;
+  version: number;
+  fileName: string;
+  uploadedAt: string;
+  interviews: number;
+  scored: number;
+  overall: number | null;
+  // Version the change is measured from: the last earlier one with scored answers
+  comparedWith: number | null;
+  change: number | null;
+  dimensions: (AveragedEntry & { key: string; label: string })[];
+  categories: (AveragedEntry & {
+    category: QuestionKind;
+    change?: number | null;
+  })[];
+}
+
+export const analyticsAPI = {
+  getProgress: () => axios.get<ProgressAnalytics>('/analytics'),
+
+  getResumeVersions: (resumeId: string) =>
+    axios.get<{ lineageId: string; versions: ResumeVersionPerformance[] }>(
+      `/analytics/resume-versions/${resumeId}`
+    ),
+
+  compare: (a: string, b: string) =>
+    axios.get<InterviewComparison>('/analytics/compare', { params: { a, b } }),
+};
+
+export type PracticeTopicKind = 'category' | 'skill';
+
+export interface PracticeTopic {
+  id: string;
+  kind: PracticeTopicKind;
+  name: string;
+  // 0-100, a moving average of the topic's scores
+  mastery: number;
+  dueAt: string;
+  due: boolean;
+  intervalDays: number;
+  reviews: number;
+  lastScore?: number;
+  lastReviewedAt?: string;
+  history: { interviewId: string; score: number; reviewedAt: string }[];
+}
+
+export interface PracticeOverview {
+  topics: PracticeTopic[];
+  dueCount: number;
+  drillSize: number;
+}
+
+export interface CreateDrillOptions {
+  resumeId?: string;
+  size?: number;
+  difficulty?: Difficulty;
+  answerMode?: AnswerMode;
+}
+
+export const practiceAPI = {
+  getOverview: () => axios.get<PracticeOverview>('/practice'),
+
+  createDrill: (options: CreateDrillOptions = {}) =>
+    axios.post('/practice/drills', options),
+};
+
+export type SkillCategory =
+  | 'language'
+  | 'framework'
+  | 'database'
+  | 'cloud'
+  | 'tool'
+  | 'soft';
+
+export interface TaxonomySkill {
+  // Set for skills added through the API (or built-ins with added aliases)
+  id?: string;
+  name: string;
+  category: SkillCategory;
+  aliases: string[];
+  custom: boolean;
+}
+
+export interface SkillTaxonomy {
+  categories: { key: SkillCategory; label: string }[];
+  skills: TaxonomySkill[];
+}
+
+export interface NewSkill {
+  name: string;
+  category?: SkillCategory;
+  aliases?: string[];
+}
+
+export const skillsAPI = {
+  browse: (params: { category?: SkillCategory; q?: string } = {}) =>
+    axios.get<SkillTaxonomy>('/skills', { params }),
+
+  add: (skill: NewSkill) => axios.post<TaxonomySkill>('/skills', skill),
+
+  remove: (id: string) => axios.delete(`/skills/${id}`),
 };
@@ -0,0 +1,227 @@
+// On-device face and attention tracking during a recorded answer, using MediaPipe's
+// FaceLandmarker (WebAssembly, on the CPU). Frames never leave the browser; only the
+// resulting events are sent with the answer.
+import wasmLoaderPath from "@mediapipe/tasks-vision/vision_wasm_internal.js?url";
+import wasmBinaryPath from "@mediapipe/tasks-vision/vision_wasm_internal.wasm?url";
+// Served with the app like the WASM files, so detection needs no third-party host
+import modelAssetPath from "../assets/face_landmarker.task?url";
+
+export type VideoEventType = "no-face" | "multiple-faces" | "looking-away";
+
+export interface VideoEvent {
+  type: VideoEventType;
+  start: number; // seconds from the start of the answer
+  end: number;
+}
+
+export interface VideoAnalysisReport {
+  status: "analyzed" | "unavailable";
+  engine?: string;
+  reason?: string;
+  sampleIntervalMs?: number;
+  framesAnalyzed?: number;
+  events?: VideoEvent[];
+}
+
+// Landmark coordinates are normalized to the frame: 0-1 from left to right and top to bottom
+interface Landmark {
+  x: number;
+  y: number;
+}
+
+// The part of MediaPipe's FaceLandmarker used here: one list of landmarks per detected face
+interface FaceLandmarkDetector {
+  detectForVideo(
+    video: HTMLVideoElement,
+    timestampMs: number
+  ): { faceLandmarks: Landmark[][] };
+}
+
+const ENGINE = "mediapipe-face-landmarker";
+const SAMPLE_INTERVAL_MS = 500;
+const MAX_FACES = 3;
+// Head turned sideways: nose this far from the midpoint between the eyes, relative to eye distance
+const MAX_YAW_RATIO = 0.35;
+// Eyes turned sideways: iris this close to either corner of the eye (0 and 1 are the corners)
+const MIN_IRIS_POSITION = 0.25;
+
+// Face mesh landmark indices: eye corners, iris centres and nose tip
+const RIGHT_EYE = { outer: 33, inner: 133, iris: 468 };
+const LEFT_EYE = { outer: 263, inner: 362, iris: 473 };
+const NOSE_TIP = 1;
+
+type FrameState = VideoEventType | "ok";
+
+const round1 = (n: number) => Math.round(n * 10) / 10;
+
+let detectorPromise: Promise<FaceLandmarkDetector> | null = null;
+
+// Load the landmarker once per page; the library and model are only downloaded when first needed
+function loadDetector(): Promise<FaceLandmarkDetector> {
+  if (!detectorPromise) {
+    detectorPromise = import("@mediapipe/tasks-vision").then(
+      ({ FaceLandmarker }) =>
+        FaceLandmarker.createFromOptions(
+          { wasmLoaderPath, wasmBinaryPath },
+          {
+            baseOptions: { modelAssetPath, delegate: "CPU" },
+            runningMode: "VIDEO",
+            numFaces: MAX_FACES,
+          }
+        )
+    );
+    // A failed load can be retried on the next answer
+    detectorPromise.catch(() => {
+      detectorPromise = null;
+    });
+  }
+  return detectorPromise;
+}
+
+// Start loading the model early, e.g. when the camera is switched on
+export const preloadFaceDetection = () => {
+  loadDetector().catch(() => {});
+};
+
+// Where the iris sits between the eye's corners, 0-1, or null when the eye is too narrow to tell
+function irisPosition(points: Landmark[], eye: typeof RIGHT_EYE) {
+  const outer = points[eye.outer].x;
+  const width = points[eye.inner].x - outer;
+  if (Math.abs(width) < 1e-3) return null;
+  return (points[eye.iris].x - outer) / width;
+}
+
+function isLookingAway(points: Landmark[]): boolean {
+  const eyeCenter = (eye: typeof RIGHT_EYE) =>
+    (points[eye.outer].x + points[eye.inner].x) / 2;
+  const right = eyeCenter(RIGHT_EYE);
+  const left = eyeCenter(LEFT_EYE);
+  const eyeDistance = Math.abs(left - right);
+  if (
+    eyeDistance > 0 &&
+    Math.abs(points[NOSE_TIP].x - (left + right) / 2) / eyeDistance >
+      MAX_YAW_RATIO
+  ) {
+    return true;
+  }
+  // Iris landmarks are only present with the full face mesh
+  if (points.length <= LEFT_EYE.iris) return false;
+  const positions = [
+    irisPosition(points, RIGHT_EYE),
+    irisPosition(points, LEFT_EYE),
+  ].filter((p): p is number => p !== null);
+  return (
+    positions.length === 2 &&
+    positions.every(
+      (p) => p < MIN_IRIS_POSITION || p > 1 - MIN_IRIS_POSITION
+    )
+  );
+}
+
+export class FaceMonitor {
+  private detector: FaceLandmarkDetector | null = null;
+  private timer: number | null = null;
+  private startedAt = 0;
+  private framesAnalyzed = 0;
+  private events: VideoEvent[] = [];
+  private current: { type: VideoEventType; start: number } | null = null;
+  private failure: string | null = null;
+
+  start(video: HTMLVideoElement) {
+    this.stopTimer();
+    this.startedAt = performance.now();
+    this.framesAnalyzed = 0;
+    this.events = [];
+    this.current = null;
+    this.failure = null;
+
+    if (typeof WebAssembly !== "object") {
+      this.failure = "This browser does not support on-device face detection";
+      return;
+    }
+    const timer = window.setInterval(
+      () => this.sample(video),
+      SAMPLE_INTERVAL_MS
+    );
+    this.timer = timer;
+    loadDetector().then(
+      (detector) => {
+        this.detector = detector;
+      },
+      (error: unknown) => {
+        // Only the answer that is still recording is affected
+        if (this.timer !== timer) return;
+        this.failure = `Face detection could not be loaded: ${
+          error instanceof Error ? error.message : String(error)
+        }`;
+        this.stopTimer();
+      }
+    );
+  }
+
+  stop(): VideoAnalysisReport {
+    this.stopTimer();
+    if (this.failure) return { status: "unavailable", reason: this.failure };
+    if (this.framesAnalyzed === 0) {
+      return {
+        status: "unavailable",
+        reason: "Face detection was still loading when the answer ended",
+      };
+    }
+    this.record("ok", this.elapsed());
+    return {
+      status: "analyzed",
+      engine: ENGINE,
+      sampleIntervalMs: SAMPLE_INTERVAL_MS,
+      framesAnalyzed: this.framesAnalyzed,
+      events: this.events,
+    };
+  }
+
+  private stopTimer() {
+    if (this.timer) {
+      window.clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private elapsed() {
+    return round1((performance.now() - this.startedAt) / 1000);
+  }
+
+  private sample(video: HTMLVideoElement) {
+    // Skip frames until the model has loaded and the camera has a frame
+    if (!this.detector || video.readyState < 2 || !video.videoWidth) return;
+    const at = this.elapsed();
+    try {
+      const { faceLandmarks } = this.detector.detectForVideo(
+        video,
+        performance.now()
+      );
+      this.framesAnalyzed++;
+      let state: FrameState = "ok";
+      if (faceLandmarks.length === 0) state = "no-face";
+      else if (faceLandmarks.length > 1) state = "multiple-faces";
+      else if (isLookingAway(faceLandmarks[0])) state = "looking-away";
+      this.record(state, at);
+    } catch (error: unknown) {
+      // Without any analyzed frame there is nothing to report
+      if (this.framesAnalyzed === 0) {
+        this.failure = `Face detection failed: ${
+          error instanceof Error ? error.message : String(error)
+        }`;
+        this.stopTimer();
+      }
+    }
+  }
+
+  // Consecutive frames in the same state form one event
+  private record(state: FrameState, at: number) {
+    if (this.current && this.current.type === state) return;
+    if (this.current) {
+      this.events.push({ ...this.current, end: at });
+      this.current = null;
+    }
+    if (state !== "ok") this.current = { type: state, start: at };
+  }
+}